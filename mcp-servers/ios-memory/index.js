@@ -8,16 +8,28 @@
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-
-// MCP Server SDK
-const MCPServer = require('@modelcontextprotocol/sdk/server/index.js').Server;
-const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const {
+    readJsonFile, writeJsonFile, updateJsonFile, withFileLock, isStorageArtifact, cleanStorageArtifacts
+} = require('../../scripts/lib/storage');
+const { FileCache } = require('../../scripts/lib/file-cache');
+const { parseSize, parseDuration, readLimitSetting } = require('../../scripts/lib/limits');
+const { WATCH_IGNORED_DIRS, sameContent, MemoryWatcher } = require('../../scripts/lib/watcher');
+
+// MCP Server SDK. Resolved on first use so the extractors below can be
+// required without the server's node_modules.
+const loadSdk = () => ({
+    MCPServer: require('@modelcontextprotocol/sdk/server/index.js').Server,
+    StdioServerTransport: require('@modelcontextprotocol/sdk/server/stdio.js').StdioServerTransport
+});
 
 // Configuration
 const MEMORY_DIR = process.env.IOS_MEMORY_DIR || '.claude/ios-memory';
-const MAX_SIZE = process.env.IOS_MEMORY_MAX_SIZE || '10MB';
-const RETENTION = process.env.IOS_MEMORY_RETENTION || '90days';
+const MAX_SIZE = readLimitSetting('IOS_MEMORY_MAX_SIZE', '10MB', parseSize);
+const RETENTION = readLimitSetting('IOS_MEMORY_RETENTION', '90days', parseDuration);
+const WATCH = process.env.IOS_MEMORY_WATCH === 'true';
+const WATCH_DEBOUNCE = Number(process.env.IOS_MEMORY_WATCH_DEBOUNCE) || 500;
 
 // Memory storage paths
 const getMemoryDir = () => path.join(process.cwd(), MEMORY_DIR);
@@ -30,22 +42,18 @@ const ensureMemoryDir = () => {
 };
 
 const getMemoryPath = (type) => path.join(ensureMemoryDir(), `${type}.json`);
+const getFileCachePath = () => path.join(ensureMemoryDir(), 'cache', 'files.json');
 
-// Utility functions
-const readJson = (filePath) => {
-    try {
-        if (fs.existsSync(filePath)) {
-            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        }
-    } catch (error) {
-        // Return null on error
-    }
-    return null;
-};
+// Utility functions. JSON stores are shared with the hooks and other servers, so writes
+// are atomic, read-modify-write cycles lock, and corrupt files are restored from backup.
+const readJson = (filePath) => readJsonFile(filePath);
+const writeJson = (filePath, data) => writeJsonFile(filePath, data);
 
-const writeJson = (filePath, data) => {
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
-};
+// Memory documents are read-modified-written under their lock and keep the previous version
+// as <type>.json.bak, which a corrupt document is restored from. update receives the stored
+// document (null when there is none) and returns the new one.
+const updateMemory = (type, update) => updateJsonFile(getMemoryPath(type), update, { fallback: null });
+const storeMemory = (type, data) => updateMemory(type, () => data);
 
 const getTimestamp = () => new Date().toISOString();
 
@@ -54,9 +62,14 @@ const MEMORY_SCHEMAS = {
     'xcode-project': {
         projectFile: null,
         workspace: null,
+        objectVersion: null,
         targets: [],
         schemes: [],
         configurations: [],
+        defaultConfiguration: null,
+        buildConfigurations: [],
+        packages: [],
+        warnings: [],
         lastAnalyzed: null
     },
     'swiftui-views': {
@@ -69,22 +82,36 @@ const MEMORY_SCHEMAS = {
     'ios-dependencies': {
         spmPackages: [],
         cocoaPods: [],
+        transitivePackages: [],
+        transitivePods: [],
         frameworks: [],
         systemFrameworks: [],
+        lockFiles: [],
+        drift: [],
+        warnings: [],
         lastSync: null
     },
     'ios-schemes': {
         schemes: [],
         runConfigurations: [],
+        warnings: [],
         lastListed: null
     },
     'ios-tests': {
         unitTestTargets: [],
         uiTestTargets: [],
+        testPlans: [],
         testCount: 0,
+        failureCount: 0,
+        skippedCount: 0,
         coverage: 0,
+        coverageTargets: [],
+        coverageReport: null,
         failingTests: [],
-        lastRun: null
+        reports: [],
+        warnings: [],
+        lastRun: null,
+        lastAnalyzed: null
     },
     'info-plist': {
         bundleId: null,
@@ -93,10 +120,149 @@ const MEMORY_SCHEMAS = {
         deploymentTarget: null,
         permissions: [],
         urlSchemes: [],
+        entitlements: null,
+        targets: [],
+        warnings: [],
         lastRead: null
     }
 };
 
+// Retention per memory type (mirrors mcp-configs/ios.json). Types that
+// age out follow IOS_MEMORY_RETENTION; persistent types are never expired.
+const MEMORY_RETENTION = {
+    'xcode-project': 'persistent',
+    'swiftui-views': RETENTION,
+    'ios-dependencies': RETENTION,
+    'ios-schemes': 'persistent',
+    'ios-tests': RETENTION,
+    'info-plist': 'persistent'
+};
+
+// Array entries carrying one of these fields are pruned once they are older than the retention
+const ENTRY_TIMESTAMP_KEYS = ['timestamp', 'date', 'lastModified', 'createdAt', 'recordedAt', 'capturedAt'];
+
+const getDocumentTimestamp = (data) => data.lastUpdated || data.lastSync || data.lastAnalyzed ||
+    data.lastIndexed || data.lastListed || data.lastRun || data.lastRead || null;
+
+// Remove array entries whose timestamp is before the cutoff, in place.
+// Returns the number of removed entries per JSON path.
+function pruneTimestampedEntries(node, cutoff, nodePath = '$', pruned = {}) {
+    if (Array.isArray(node)) {
+        const kept = node.filter(entry => {
+            const key = entry && typeof entry === 'object' && ENTRY_TIMESTAMP_KEYS.find(k => typeof entry[k] === 'string');
+            return !key || !(Date.parse(entry[key]) < cutoff);
+        });
+        if (kept.length < node.length) {
+            pruned[nodePath] = node.length - kept.length;
+            node.splice(0, node.length, ...kept);
+        }
+        node.forEach((entry, i) => pruneTimestampedEntries(entry, cutoff, `${nodePath}[${i}]`, pruned));
+    } else if (node && typeof node === 'object') {
+        for (const [key, child] of Object.entries(node)) {
+            pruneTimestampedEntries(child, cutoff, `${nodePath}.${key}`, pruned);
+        }
+    }
+    return pruned;
+}
+
+// Backups, corrupt copies and lockfiles kept by the storage layer do not count
+const getDirectorySize = (dir) => {
+    if (!fs.existsSync(dir)) return 0;
+    return fs.readdirSync(dir, { withFileTypes: true }).reduce((total, entry) => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return total + getDirectorySize(fullPath);
+        return isStorageArtifact(entry.name) ? total : total + fs.statSync(fullPath).size;
+    }, 0);
+};
+
+// Apply retention and the size limit to the memory directory.
+//   types     - memory types to check (default: all)
+//   olderThan - duration overriding the per-type retention
+//   keep      - types that must not be evicted to meet the size limit (just written)
+//   evict     - evict to meet the size limit; only saves and refreshes do, so a load or
+//               forget never drops other memory
+// Returns a report of expired documents, pruned entries and size evictions.
+function enforceMemoryLimits({
+    types = Object.keys(MEMORY_SCHEMAS),
+    olderThan = null,
+    keep = [],
+    evict = false,
+    maxSize = MAX_SIZE,
+    now = Date.now()
+} = {}) {
+    const report = { expired: [], pruned: {}, cache: false, evicted: [], size: null };
+
+    for (const type of types) {
+        const retention = olderThan || MEMORY_RETENTION[type] || RETENTION;
+        const maxAge = parseDuration(retention);
+        if (maxAge === null) continue;
+        const memoryPath = getMemoryPath(type);
+        const cutoff = now - maxAge;
+
+        withFileLock(memoryPath, () => {
+            const data = readJson(memoryPath);
+            if (!data) return;
+
+            if (Date.parse(getDocumentTimestamp(data)) < cutoff) {
+                fs.unlinkSync(memoryPath);
+                report.expired.push({ type, retention });
+                return;
+            }
+
+            const pruned = pruneTimestampedEntries(data, cutoff);
+            if (Object.keys(pruned).length > 0) {
+                writeJsonFile(memoryPath, data, { backup: true });
+                report.pruned[type] = pruned;
+            }
+        });
+    }
+
+    const limit = parseSize(maxSize);
+    let bytes = getDirectorySize(getMemoryDir());
+    if (evict && bytes > limit) {
+        // The file cache goes first: the next refresh rebuilds it
+        const cachePath = getFileCachePath();
+        if (fs.existsSync(cachePath)) {
+            bytes -= fs.statSync(cachePath).size;
+            fs.rmSync(cachePath, { force: true });
+            report.cache = true;
+        }
+
+        // Then whole non-persistent documents, least recently updated first
+        const candidates = Object.keys(MEMORY_SCHEMAS)
+            .filter(type => MEMORY_RETENTION[type] !== 'persistent' && !keep.includes(type))
+            .map(type => ({ type, data: readJson(getMemoryPath(type)) }))
+            .filter(candidate => candidate.data)
+            .sort((a, b) => String(getDocumentTimestamp(a.data)).localeCompare(String(getDocumentTimestamp(b.data))));
+
+        for (const { type } of candidates) {
+            if (bytes <= limit) break;
+            const memoryPath = getMemoryPath(type);
+            withFileLock(memoryPath, () => {
+                if (!fs.existsSync(memoryPath)) return;
+                bytes -= fs.statSync(memoryPath).size;
+                fs.unlinkSync(memoryPath);
+                report.evicted.push(type);
+            });
+        }
+    }
+    report.size = { bytes, limit: maxSize, overLimit: bytes > limit };
+    // Backups of expired and evicted documents, old corrupt copies, stale locks
+    cleanStorageArtifacts(getMemoryDir(), { now });
+
+    return report;
+}
+
+// One line per action taken, for appending to tool responses
+const formatLimitsReport = (report) => [
+    ...report.expired.map(({ type, retention }) => `Expired ${type} memory (older than ${retention})`),
+    ...Object.entries(report.pruned).flatMap(([type, paths]) =>
+        Object.entries(paths).map(([entryPath, count]) => `Pruned ${count} old entries from ${type} ${entryPath}`)),
+    ...(report.cache ? [`Dropped the file cache to stay under ${report.size.limit}`] : []),
+    ...report.evicted.map(type => `Evicted ${type} memory to stay under ${report.size.limit}`),
+    ...(report.size.overLimit ? [`Memory directory is ${report.size.bytes} bytes, over the ${report.size.limit} limit`] : [])
+];
+
 // iOS project detection
 function isIOSProject(dir) {
     const indicators = [
@@ -152,16 +318,350 @@ function findXcodeProject(dir) {
     return null;
 }
 
+// project.pbxproj is an OpenStep-style property list: { key = value; } dictionaries,
+// ( a, b, ) arrays, quoted or bare strings, <hex> data and /* */ or // comments
+const PBX_ESCAPES = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', f: '\f', v: '\v' };
+const PBX_BARE_STRING = /[^\s{}()=;,"'<>]+/y;
+
+function parsePbxproj(content) {
+    let index = 0;
+
+    const fail = (message) => {
+        const line = content.slice(0, index).split('\n').length;
+        throw new Error(`Invalid project.pbxproj (line ${line}): ${message}`);
+    };
+
+    const skipTrivia = () => {
+        for (;;) {
+            while (index < content.length && /\s/.test(content[index])) index++;
+            if (content.startsWith('/*', index)) {
+                const end = content.indexOf('*/', index + 2);
+                if (end < 0) fail('unterminated comment');
+                index = end + 2;
+            } else if (content.startsWith('//', index)) {
+                const end = content.indexOf('\n', index);
+                index = end < 0 ? content.length : end + 1;
+            } else {
+                return;
+            }
+        }
+    };
+
+    const expect = (char) => {
+        skipTrivia();
+        if (content[index] !== char) fail(`expected '${char}'`);
+        index++;
+    };
+
+    const parseQuoted = () => {
+        const quote = content[index++];
+        let value = '';
+        while (index < content.length && content[index] !== quote) {
+            if (content[index] !== '\\') {
+                value += content[index++];
+                continue;
+            }
+            const next = content[index + 1];
+            const unicode = /^[Uu]([0-9a-fA-F]{4})/.exec(content.slice(index + 1, index + 6));
+            const octal = /^[0-7]{1,3}/.exec(content.slice(index + 1, index + 4));
+            if (unicode) {
+                value += String.fromCharCode(parseInt(unicode[1], 16));
+                index += 6;
+            } else if (octal) {
+                value += String.fromCharCode(parseInt(octal[0], 8));
+                index += 1 + octal[0].length;
+            } else {
+                value += PBX_ESCAPES[next] || next;
+                index += 2;
+            }
+        }
+        if (index >= content.length) fail('unterminated string');
+        index++;
+        return value;
+    };
+
+    const parseValue = () => {
+        skipTrivia();
+        const char = content[index];
+
+        if (char === '{') {
+            index++;
+            const dict = {};
+            for (;;) {
+                skipTrivia();
+                if (content[index] === '}') {
+                    index++;
+                    return dict;
+                }
+                const key = parseValue();
+                if (typeof key !== 'string') fail('expected a dictionary key');
+                expect('=');
+                dict[key] = parseValue();
+                expect(';');
+            }
+        }
+
+        if (char === '(') {
+            index++;
+            const array = [];
+            for (;;) {
+                skipTrivia();
+                if (content[index] === ')') {
+                    index++;
+                    return array;
+                }
+                array.push(parseValue());
+                skipTrivia();
+                if (content[index] === ',') {
+                    index++;
+                } else if (content[index] !== ')') {
+                    fail("expected ',' or ')'");
+                }
+            }
+        }
+
+        if (char === '"' || char === "'") {
+            return parseQuoted();
+        }
+
+        // Data is kept as its hex string
+        if (char === '<') {
+            const end = content.indexOf('>', index);
+            if (end < 0) fail('unterminated data');
+            const data = content.slice(index + 1, end).replace(/\s+/g, '');
+            index = end + 1;
+            return data;
+        }
+
+        PBX_BARE_STRING.lastIndex = index;
+        const match = PBX_BARE_STRING.exec(content);
+        if (!match) fail(index >= content.length ? 'unexpected end of file' : `unexpected '${char}'`);
+        // A comment may follow a bare string without whitespace in between
+        const comment = match[0].search(/\/[*/]/);
+        const value = comment > 0 ? match[0].slice(0, comment) : match[0];
+        index += value.length;
+        return value;
+    };
+
+    const root = parseValue();
+    skipTrivia();
+    if (index < content.length) fail('unexpected content after the root object');
+    if (!root || typeof root !== 'object' || Array.isArray(root)) fail('root is not a dictionary');
+    return root;
+}
+
+const PBX_BUILD_PHASES = {
+    PBXSourcesBuildPhase: 'sources',
+    PBXResourcesBuildPhase: 'resources',
+    PBXFrameworksBuildPhase: 'frameworks',
+    PBXHeadersBuildPhase: 'headers',
+    PBXCopyFilesBuildPhase: 'copy-files',
+    PBXShellScriptBuildPhase: 'run-script',
+    PBXRezBuildPhase: 'rez'
+};
+
+const PBX_PRODUCT_TYPES = {
+    'com.apple.product-type.application': 'application',
+    'com.apple.product-type.application.on-demand-install-capable': 'app-clip',
+    'com.apple.product-type.bundle.unit-test': 'test',
+    'com.apple.product-type.bundle.ui-testing': 'ui-test',
+    'com.apple.product-type.framework': 'framework',
+    'com.apple.product-type.framework.static': 'framework',
+    'com.apple.product-type.library.static': 'library',
+    'com.apple.product-type.library.dynamic': 'library',
+    'com.apple.product-type.app-extension': 'app-extension',
+    'com.apple.product-type.extensionkit-extension': 'app-extension',
+    'com.apple.product-type.application.watchapp2': 'watch-app',
+    'com.apple.product-type.application.watchapp2-container': 'watch-app',
+    'com.apple.product-type.watchkit2-extension': 'watch-extension',
+    'com.apple.product-type.bundle': 'bundle',
+    'com.apple.product-type.tool': 'tool'
+};
+
+const SDK_PLATFORMS = { iphoneos: 'iOS', macosx: 'macOS', appletvos: 'tvOS', watchos: 'watchOS', xros: 'visionOS' };
+
+const DEPLOYMENT_TARGET_SETTINGS = {
+    iOS: 'IPHONEOS_DEPLOYMENT_TARGET',
+    macOS: 'MACOSX_DEPLOYMENT_TARGET',
+    tvOS: 'TVOS_DEPLOYMENT_TARGET',
+    watchOS: 'WATCHOS_DEPLOYMENT_TARGET',
+    visionOS: 'XROS_DEPLOYMENT_TARGET'
+};
+
+// Expand $(VAR) and ${VAR} references, including modifiers like $(PRODUCT_NAME:rfc1034identifier).
+// References that cannot be resolved are left in place.
+function expandBuildSetting(value, settings, depth = 0) {
+    if (typeof value !== 'string' || depth > 8) return value;
+    return value.replace(/\$(?:\(([A-Za-z0-9_]+)(?::([\w,]+))?\)|\{([A-Za-z0-9_]+)(?::([\w,]+))?\})/g, (reference, parenName, parenModifier, braceName, braceModifier) => {
+        const name = parenName || braceName;
+        if (typeof settings[name] !== 'string') return reference;
+        let expanded = expandBuildSetting(settings[name], settings, depth + 1);
+        for (const modifier of (parenModifier || braceModifier || '').split(',').filter(Boolean)) {
+            if (modifier === 'rfc1034identifier') expanded = expanded.replace(/[^A-Za-z0-9.-]/g, '-');
+            else if (modifier === 'c99extidentifier') expanded = expanded.replace(/[^A-Za-z0-9_]/g, '_');
+            else if (modifier === 'lower') expanded = expanded.toLowerCase();
+            else if (modifier === 'upper') expanded = expanded.toUpperCase();
+        }
+        return expanded;
+    });
+}
+
+// Build settings of a target in its shipping configuration (Release when there is one),
+// layered over the project-level settings of the same configuration
+function targetBuildSettings(target, project) {
+    const configurations = target.buildConfigurations || [];
+    const primary = configurations.find(c => c.name === 'Release') ||
+        configurations.find(c => c.name === (target.defaultConfiguration || project.defaultConfiguration)) ||
+        configurations[0];
+    const projectConfiguration = primary && (project.buildConfigurations || []).find(c => c.name === primary.name);
+    return {
+        TARGET_NAME: target.name,
+        PRODUCT_NAME: target.productName || target.name,
+        ...(projectConfiguration && projectConfiguration.settings),
+        ...(primary && primary.settings)
+    };
+}
+
+// Resolve a parsed project.pbxproj into targets, build configurations and package references
+function readXcodeProject(plist) {
+    const objects = plist.objects || {};
+    const get = (id) => (id && objects[id]) || null;
+    const project = get(plist.rootObject);
+    if (!project || project.isa !== 'PBXProject') {
+        throw new Error('project.pbxproj has no PBXProject root object');
+    }
+
+    // Files and groups are located relative to their parent group
+    const parents = new Map();
+    for (const [id, object] of Object.entries(objects)) {
+        for (const child of object.children || []) parents.set(child, id);
+    }
+    const filePath = (id, seen = new Set()) => {
+        const object = get(id);
+        if (!object || seen.has(id)) return null;
+        seen.add(id);
+        const own = object.path || '';
+        switch (object.sourceTree) {
+            case '<group>': {
+                const parent = parents.has(id) ? filePath(parents.get(id), seen) : null;
+                return [parent, own].filter(Boolean).join('/');
+            }
+            case 'SOURCE_ROOT':
+            case '<absolute>':
+                return own;
+            default:
+                return object.sourceTree && own ? `$(${object.sourceTree})/${own}` : own;
+        }
+    };
+
+    const configurationList = (id) => {
+        const list = get(id) || {};
+        return {
+            defaultConfiguration: list.defaultConfigurationName || null,
+            buildConfigurations: (list.buildConfigurations || []).map(get).filter(Boolean).map(config => ({
+                name: config.name,
+                ...(config.baseConfigurationReference && { baseConfiguration: filePath(config.baseConfigurationReference) }),
+                settings: config.buildSettings || {}
+            }))
+        };
+    };
+
+    const packages = new Map();
+    for (const id of project.packageReferences || []) {
+        const reference = get(id);
+        if (!reference) continue;
+        if (reference.isa === 'XCLocalSwiftPackageReference') {
+            packages.set(id, { name: path.posix.basename(reference.relativePath || ''), kind: 'local', relativePath: reference.relativePath || null });
+        } else {
+            const url = reference.repositoryURL || null;
+            packages.set(id, {
+                name: url ? path.posix.basename(url).replace(/\.git$/, '') : null,
+                kind: 'remote',
+                url,
+                requirement: reference.requirement || null
+            });
+        }
+    }
+    const packageProduct = (id) => {
+        const product = get(id);
+        if (!product) return null;
+        const owner = packages.get(product.package);
+        return { name: product.productName, package: owner ? owner.name : null };
+    };
+
+    const buildFile = (id) => {
+        const file = get(id);
+        if (!file) return null;
+        if (file.productRef) {
+            return { ...packageProduct(file.productRef), kind: 'package-product' };
+        }
+        const reference = get(file.fileRef);
+        if (!reference) return null;
+        return {
+            name: reference.name || path.posix.basename(reference.path || ''),
+            path: filePath(file.fileRef),
+            kind: reference.isa === 'PBXFileReference' ? 'file' : reference.isa === 'PBXVariantGroup' ? 'localized' : reference.isa,
+            fileType: reference.lastKnownFileType || reference.explicitFileType || null,
+            ...(reference.sourceTree === 'SDKROOT' && { sdk: true })
+        };
+    };
+
+    const projectConfigurations = configurationList(project.buildConfigurationList);
+
+    const targets = (project.targets || []).map(get).filter(Boolean).map(target => {
+        const { buildConfigurations, defaultConfiguration } = configurationList(target.buildConfigurationList);
+        const settings = targetBuildSettings(
+            { name: target.name, productName: target.productName, buildConfigurations, defaultConfiguration },
+            projectConfigurations
+        );
+        const setting = (key) => (settings[key] === undefined ? null : expandBuildSetting(settings[key], settings));
+        const platform = SDK_PLATFORMS[setting('SDKROOT')] || null;
+
+        return {
+            name: target.name,
+            type: PBX_PRODUCT_TYPES[target.productType] ||
+                (target.productType ? target.productType.replace('com.apple.product-type.', '') : 'aggregate'),
+            productType: target.productType || null,
+            productName: target.productName || null,
+            bundleId: setting('PRODUCT_BUNDLE_IDENTIFIER'),
+            platform,
+            deploymentTarget: platform ? setting(DEPLOYMENT_TARGET_SETTINGS[platform]) : null,
+            defaultConfiguration,
+            buildConfigurations,
+            buildPhases: (target.buildPhases || []).map(get).filter(Boolean).map(phase => ({
+                type: PBX_BUILD_PHASES[phase.isa] || phase.isa,
+                ...(phase.name && { name: phase.name }),
+                files: (phase.files || []).map(buildFile).filter(Boolean)
+            })),
+            dependencies: (target.dependencies || []).map(get).filter(Boolean)
+                .map(dependency => (get(dependency.target) || {}).name || (get(dependency.targetProxy) || {}).remoteInfo)
+                .filter(Boolean),
+            packageProducts: (target.packageProductDependencies || []).map(packageProduct).filter(Boolean)
+        };
+    });
+
+    return {
+        objectVersion: plist.objectVersion || null,
+        defaultConfiguration: projectConfigurations.defaultConfiguration,
+        buildConfigurations: projectConfigurations.buildConfigurations,
+        targets,
+        packages: Array.from(packages.values())
+    };
+}
+
+// Parsed project.pbxproj, shared by every memory type that reads the project
+const readCachedXcodeProject = (cache, projectFile) =>
+    cache.get(projectFile, 'pbxproj', (content) => readXcodeProject(parsePbxproj(content)));
+
 // Extract Xcode project structure
-function extractXcodeProject(projectRoot) {
-    const structure = { ...MEMORY_SCHEMAS['xcode-project'] };
+function extractXcodeProject(projectRoot, cache = new FileCache()) {
+    const structure = structuredClone(MEMORY_SCHEMAS['xcode-project']);
 
     // Find project file
     const projectFile = findXcodeProject(projectRoot);
     if (projectFile) {
         structure.projectFile = projectFile;
-        const relativePath = path.relative(projectRoot, projectFile);
-        structure.workspace = relativePath.replace('/project.pbxproj', '');
+        structure.workspace = path.relative(projectRoot, path.dirname(projectFile));
     }
 
     // Look for xcworkspace
@@ -173,52 +673,579 @@ function extractXcodeProject(projectRoot) {
         }
     }
 
-    // Extract targets and schemes from project file
     if (projectFile && fs.existsSync(projectFile)) {
-        const content = fs.readFileSync(projectFile, 'utf8');
+        try {
+            const project = readCachedXcodeProject(cache, projectFile);
+            Object.assign(structure, {
+                objectVersion: project.objectVersion,
+                targets: project.targets,
+                configurations: project.buildConfigurations.map(c => c.name),
+                defaultConfiguration: project.defaultConfiguration,
+                buildConfigurations: project.buildConfigurations,
+                packages: project.packages
+            });
+        } catch (error) {
+            structure.warnings.push(error.message);
+        }
+    }
+
+    // Schemes live in the project and workspace bundles, not in the pbxproj; ios-schemes has their details
+    structure.schemes = [...new Set(findSchemeFiles(projectRoot).map(scheme => scheme.name))];
+
+    structure.lastAnalyzed = getTimestamp();
+    return structure;
+}
+
+const decodeXmlEntities = (value) => value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+
+// Parse the attribute section of an XML start tag into a plain object
+const parseXmlAttributes = (source) => {
+    const attributes = {};
+    const attributeMatches = source.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g);
+    for (const match of attributeMatches) {
+        attributes[match[1]] = decodeXmlEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+};
 
-        // Extract targets (PBXNativeTarget)
-        const targetMatches = content.matchAll(/PBXNativeTarget\s*\/\*\s*((?:\w|\s)+?)\s*\*\//g);
-        structure.targets = Array.from(targetMatches).map(m => m[1].trim());
+// Parse XML into nested { name, attributes, children } elements; enough for .xcscheme files
+function parseXmlTree(content) {
+    const root = { name: null, attributes: {}, children: [] };
+    const stack = [root];
+    const source = content.replace(/<!--[\s\S]*?-->/g, '').replace(/<\?[\s\S]*?\?>/g, '');
+    const tagMatches = source.matchAll(/<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g);
+    for (const [, closing, name, attributeText, selfClosing] of tagMatches) {
+        if (closing) {
+            if (stack.length > 1) stack.pop();
+            continue;
+        }
+        const element = { name, attributes: parseXmlAttributes(attributeText), children: [] };
+        stack[stack.length - 1].children.push(element);
+        if (!selfClosing) stack.push(element);
+    }
+    return root.children[0] || null;
+}
 
-        // Extract schemes
-        const schemeMatches = content.matchAll(/([A-Za-z0-9_]+)\.xcscheme/g);
-        const uniqueSchemes = new Set(Array.from(schemeMatches).map(m => m.replace('.xcscheme', '')));
-        structure.schemes = Array.from(uniqueSchemes);
+const childrenNamed = (element, ...names) => (element ? element.children.filter(child => names.includes(child.name)) : []);
+const childNamed = (element, name) => childrenNamed(element, name)[0] || null;
 
-        // Extract configurations
-        const configMatches = content.matchAll(/buildConfigList\s*=\s*\(([^)]+)\)/g);
-        if (configMatches) {
-            const configs = configMatches[0][1].split(',').map(c => c.trim().replace(/"/g, ''));
-            structure.configurations = configs;
+// Scheme files of the project and workspace bundles: shared schemes under xcshareddata,
+// per-user schemes under xcuserdata/<user>.xcuserdatad
+function findSchemeFiles(projectRoot) {
+    const containers = [];
+    const projectFile = findXcodeProject(projectRoot);
+    if (projectFile) containers.push(path.dirname(projectFile));
+    for (const dir of [projectRoot, path.join(projectRoot, 'ios')]) {
+        const entries = fs.existsSync(dir) ? fs.readdirSync(dir, { withFileTypes: true }) : [];
+        for (const entry of entries) {
+            if (entry.isDirectory() && entry.name.endsWith('.xcworkspace')) containers.push(path.join(dir, entry.name));
         }
     }
 
-    // Look for xcshareddata in derived data location (for user schemes)
-    const schemeDirs = [
-        path.join(projectRoot, 'xcshareddata', 'xcschemes'),
-        path.join(projectRoot, 'ios', 'xcshareddata', 'xcschemes')
-    ];
+    const files = [];
+    const collect = (container, schemeDir, user) => {
+        if (!fs.existsSync(schemeDir)) return;
+        for (const file of fs.readdirSync(schemeDir).filter(f => f.endsWith('.xcscheme')).sort()) {
+            files.push({ name: file.replace(/\.xcscheme$/, ''), file: path.join(schemeDir, file), container: path.basename(container), shared: !user, user });
+        }
+    };
+    for (const container of containers) {
+        collect(container, path.join(container, 'xcshareddata', 'xcschemes'), null);
+        const userDataDir = path.join(container, 'xcuserdata');
+        const users = fs.existsSync(userDataDir) ? fs.readdirSync(userDataDir).filter(d => d.endsWith('.xcuserdatad')).sort() : [];
+        for (const userDir of users) {
+            collect(container, path.join(userDataDir, userDir, 'xcschemes'), userDir.replace(/\.xcuserdatad$/, ''));
+        }
+    }
+    return files;
+}
+
+// <BuildableReference> as the target it points at
+const buildableTarget = (element) => {
+    const reference = element && (element.name === 'BuildableReference' ? element : childNamed(element, 'BuildableReference'));
+    if (!reference) return null;
+    const { BlueprintName, BuildableName, ReferencedContainer } = reference.attributes;
+    return {
+        name: BlueprintName || null,
+        buildableName: BuildableName || null,
+        container: ReferencedContainer ? ReferencedContainer.replace(/^container:/, '') : null
+    };
+};
 
-    for (const schemeDir of schemeDirs) {
-        if (fs.existsSync(schemeDir)) {
-            const schemeFiles = fs.readdirSync(schemeDir).filter(f => f.endsWith('.xcscheme'));
-            for (const schemeFile of schemeFiles) {
-                const schemeName = schemeFile.replace('.xcscheme', '');
-                if (!structure.schemes.includes(schemeName)) {
-                    structure.schemes.push(schemeName);
+// Pre- or post-action scripts of a scheme action
+const schemeScripts = (action, listName) => childrenNamed(childNamed(action, listName), 'ExecutionAction').map(execution => {
+    const content = childNamed(execution, 'ActionContent') || { attributes: {} };
+    const type = execution.attributes.ActionType || '';
+    return {
+        title: content.attributes.title || null,
+        type: /ShellScriptAction$/.test(type) ? 'shell-script' : /SendEmailAction$/.test(type) ? 'email' : type,
+        ...(content.attributes.scriptText !== undefined && { script: content.attributes.scriptText }),
+        ...(content.attributes.shellToInvoke && { shell: content.attributes.shellToInvoke }),
+        ...(childNamed(content, 'EnvironmentBuildable') && { environmentTarget: buildableTarget(childNamed(content, 'EnvironmentBuildable')) })
+    };
+});
+
+const schemeArguments = (action) => childrenNamed(childNamed(action, 'CommandLineArguments'), 'CommandLineArgument')
+    .map(({ attributes }) => ({ argument: attributes.argument, enabled: attributes.isEnabled === 'YES' }));
+
+const schemeEnvironment = (action) => childrenNamed(childNamed(action, 'EnvironmentVariables'), 'EnvironmentVariable')
+    .map(({ attributes }) => ({ key: attributes.key, value: attributes.value || '', enabled: attributes.isEnabled === 'YES' }));
+
+// Settings every scheme action shares: configuration, scripts, and arguments where the action has them
+const schemeAction = (action, extra = {}) => {
+    if (!action) return null;
+    return {
+        buildConfiguration: action.attributes.buildConfiguration || null,
+        ...extra,
+        arguments: schemeArguments(action),
+        environment: schemeEnvironment(action),
+        preActions: schemeScripts(action, 'PreActions'),
+        postActions: schemeScripts(action, 'PostActions')
+    };
+};
+
+// Runnable of a launch or profile action: the product it runs, or the executable path
+const schemeRunnable = (action) => {
+    const runnable = childrenNamed(action, 'BuildableProductRunnable', 'RemoteRunnable', 'PathRunnable')[0];
+    if (!runnable) return null;
+    if (runnable.name === 'PathRunnable') return { path: runnable.attributes.FilePath || null };
+    return buildableTarget(runnable);
+};
+
+// Build, test, launch, profile, analyze and archive actions of one .xcscheme file
+function parseXcscheme(content) {
+    const scheme = parseXmlTree(content);
+    if (!scheme || scheme.name !== 'Scheme') {
+        throw new Error('not an Xcode scheme');
+    }
+
+    const build = childNamed(scheme, 'BuildAction');
+    const test = childNamed(scheme, 'TestAction');
+    const launch = childNamed(scheme, 'LaunchAction');
+    const profile = childNamed(scheme, 'ProfileAction');
+    const archive = childNamed(scheme, 'ArchiveAction');
+
+    return {
+        version: scheme.attributes.version || null,
+        buildAction: build && {
+            parallelizeBuildables: build.attributes.parallelizeBuildables !== 'NO',
+            buildImplicitDependencies: build.attributes.buildImplicitDependencies !== 'NO',
+            entries: childrenNamed(childNamed(build, 'BuildActionEntries'), 'BuildActionEntry').map(entry => ({
+                ...buildableTarget(entry),
+                buildFor: ['Testing', 'Running', 'Profiling', 'Archiving', 'Analyzing']
+                    .filter(action => entry.attributes[`buildFor${action}`] === 'YES')
+                    .map(action => action.toLowerCase())
+            })),
+            preActions: schemeScripts(build, 'PreActions'),
+            postActions: schemeScripts(build, 'PostActions')
+        },
+        testAction: schemeAction(test, test && {
+            codeCoverageEnabled: test.attributes.codeCoverageEnabled === 'YES',
+            useLaunchArguments: test.attributes.shouldUseLaunchSchemeArgsEnv !== 'NO',
+            testPlans: childrenNamed(childNamed(test, 'TestPlans'), 'TestPlanReference').map(({ attributes }) => ({
+                path: (attributes.reference || '').replace(/^container:/, ''),
+                default: attributes.default === 'YES'
+            })),
+            testables: childrenNamed(childNamed(test, 'Testables'), 'TestableReference').map(testable => ({
+                ...buildableTarget(testable),
+                skipped: testable.attributes.skipped === 'YES',
+                parallelizable: testable.attributes.parallelizable === 'YES',
+                skippedTests: childrenNamed(childNamed(testable, 'SkippedTests'), 'Test').map(t => t.attributes.Identifier)
+            }))
+        }),
+        launchAction: schemeAction(launch, launch && { runnable: schemeRunnable(launch) }),
+        profileAction: schemeAction(profile, profile && { runnable: schemeRunnable(profile) }),
+        analyzeAction: schemeAction(childNamed(scheme, 'AnalyzeAction')),
+        archiveAction: archive && {
+            buildConfiguration: archive.attributes.buildConfiguration || null,
+            revealArchiveInOrganizer: archive.attributes.revealArchiveInOrganizer === 'YES',
+            ...(archive.attributes.customArchiveName && { archiveName: archive.attributes.customArchiveName }),
+            preActions: schemeScripts(archive, 'PreActions'),
+            postActions: schemeScripts(archive, 'PostActions')
+        }
+    };
+}
+
+// Extract shared and user schemes with the settings of each action
+function extractIOSSchemes(projectRoot, cache = new FileCache()) {
+    const schemes = structuredClone(MEMORY_SCHEMAS['ios-schemes']);
+
+    for (const { name, file, container, shared, user } of findSchemeFiles(projectRoot)) {
+        const entry = { name, file: path.relative(projectRoot, file), container, shared, user };
+        try {
+            Object.assign(entry, cache.get(file, 'xcscheme', parseXcscheme));
+        } catch (error) {
+            schemes.warnings.push(`${entry.file}: ${error.message}`);
+            continue;
+        }
+        schemes.schemes.push(entry);
+
+        // What `xcodebuild -scheme <name>` runs and tests, with the arguments that are switched on
+        const launch = entry.launchAction || {};
+        const test = entry.testAction || {};
+        const enabled = (items) => items.filter(item => item.enabled);
+        schemes.runConfigurations.push({
+            scheme: name,
+            runnable: launch.runnable ? launch.runnable.buildableName || launch.runnable.path || null : null,
+            buildConfiguration: launch.buildConfiguration || null,
+            testConfiguration: test.buildConfiguration || null,
+            testPlan: ((test.testPlans || []).find(plan => plan.default) || (test.testPlans || [])[0] || {}).path || null,
+            testTargets: (test.testables || []).filter(t => !t.skipped).map(t => t.name),
+            arguments: enabled(launch.arguments || []).map(a => a.argument),
+            environment: Object.fromEntries(enabled(launch.environment || []).map(v => [v.key, v.value]))
+        });
+    }
+
+    schemes.lastListed = getTimestamp();
+    return schemes;
+}
+
+// Directories that never hold exported test reports: everything watch mode ignores, dependency
+// checkouts, derived data internals, resources and bundles whose contents Xcode manages
+const TEST_REPORT_SKIPPED_DIRS = new Set([...WATCH_IGNORED_DIRS, 'Carthage', 'SourcePackages', 'Logs', 'res']);
+const TEST_REPORT_SKIPPED_BUNDLES = /\.(xcassets|xcresult|xcodeproj|xcworkspace|lproj|app|framework|xcframework|noindex|bundle|swiftmodule|dSYM|xcarchive)$/;
+
+// Where xcpretty (build/reports), fastlane scan (fastlane/test_output) and CI scripts export reports
+const TEST_REPORT_DIRS = new Set(['reports', 'test_output', 'test-results', 'test_results', 'TestResults', 'test-reports']);
+// Report exports kept elsewhere: junit.xml, TEST-MyAppTests.xml, xcresult.json, coverage.json, TestResults.json
+const TEST_REPORT_NAME = /^TEST-|junit|xcresult|xccov|coverage|tests?[-_]?(results?|reports?|summary)/i;
+
+// JUnit XML and JSON exports in a report directory or named like a report
+const isTestReportFile = (name, inReportDir) => name.endsWith('.junit') ||
+    (/\.(json|xml)$/.test(name) && (inReportDir || TEST_REPORT_NAME.test(name)));
+
+// Test plans and the JUnit XML and JSON files that may be xcresulttool or xccov exports.
+// Only the report directory of build output is read, not the build products around it.
+function findTestReportFiles(dir, files = [], inReportDir = false) {
+    const entries = fs.existsSync(dir) ? fs.readdirSync(dir, { withFileTypes: true }) : [];
+    for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (entry.name === 'build') {
+                findTestReportFiles(path.join(fullPath, 'reports'), files, true);
+            } else if (!TEST_REPORT_SKIPPED_DIRS.has(entry.name) && !TEST_REPORT_SKIPPED_BUNDLES.test(entry.name)) {
+                findTestReportFiles(fullPath, files, inReportDir || TEST_REPORT_DIRS.has(entry.name));
+            }
+        } else if (entry.name.endsWith('.xctestplan') || isTestReportFile(entry.name, inReportDir)) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+// "MyAppTests.LoginTests" / "LoginTests/testLogin()" style names as { target, class, method }
+const splitTestName = (className, method, target = null) => {
+    const classParts = String(className || '').split('.');
+    return {
+        target: target || (classParts.length > 1 ? classParts[0] : null),
+        class: classParts[classParts.length - 1] || null,
+        method: String(method || '').replace(/\(\)$/, '')
+    };
+};
+
+const testKey = (test) => `${test.target || ''}|${test.class || ''}|${test.method}`;
+
+// "path/File.swift:41: message" -> { location, message }
+const splitFailureText = (text) => {
+    const match = String(text || '').match(/^\s*(\S+\.(?:swift|mm?|h)):(\d+)(?::\d+)?:?\s*(?:error:\s*)?([\s\S]*)$/);
+    return match
+        ? { location: `${match[1]}:${match[2]}`, message: match[3].trim() }
+        : { location: null, message: String(text || '').trim() };
+};
+
+const XCRESULT_STATUSES = { Success: 'passed', Passed: 'passed', Failure: 'failed', Failed: 'failed', Skipped: 'skipped', 'Expected Failure': 'passed' };
+
+// Values in the legacy xcresulttool JSON are wrapped as { _type, _value } and arrays as { _values }
+const xcValue = (node) => (node && node._value !== undefined ? node._value : null);
+const xcValues = (node) => (node && Array.isArray(node._values) ? node._values : []);
+
+// file:///path/File.swift#...&StartingLineNumber=40 -> path/File.swift:41 (xcresult lines are zero-based)
+const xcresultLocation = (summary) => {
+    const url = xcValue((summary.documentLocationInCreatingWorkspace || {}).url);
+    if (!url) return null;
+    const [file, fragment = ''] = url.replace(/^file:\/\//, '').split('#');
+    const line = fragment.match(/StartingLineNumber=(\d+)/);
+    return line ? `${decodeURIComponent(file)}:${Number(line[1]) + 1}` : decodeURIComponent(file);
+};
+
+// Parse a JUnit report from xcpretty, xcbeautify or fastlane scan
+function parseXcodeJUnit(content) {
+    const tests = [];
+    for (const match of content.matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g)) {
+        const attributes = parseXmlAttributes(match[1]);
+        const body = match[2] || '';
+        const test = splitTestName(attributes.classname, attributes.name);
+        const failure = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+
+        if (failure) {
+            // xcpretty puts the location in the element body, xcbeautify in front of the message
+            const { message = '' } = parseXmlAttributes(failure[2]);
+            const fromMessage = splitFailureText(message);
+            const fromBody = splitFailureText(decodeXmlEntities(failure[3] || ''));
+            tests.push({
+                ...test,
+                status: 'failed',
+                message: (fromMessage.message || fromBody.message).split('\n')[0].substring(0, 300),
+                location: fromMessage.location || fromBody.location
+            });
+        } else {
+            tests.push({ ...test, status: /<skipped\b/.test(body) ? 'skipped' : 'passed' });
+        }
+    }
+    return { kind: 'junit', tests };
+}
+
+const toPercentage = (covered, executable) => (executable > 0 ? Math.round((covered / executable) * 1000) / 10 : 0);
+
+// Classify a JSON export and read what it carries. Returns null for unrelated JSON.
+function parseTestReportJson(content) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch {
+        return null;
+    }
+    if (!data || typeof data !== 'object') return null;
+    const typeName = data._type && data._type._name;
+
+    // xcresulttool get --format json (legacy): totals and failure summaries of the invocation
+    if (typeName === 'ActionsInvocationRecord') {
+        const metrics = data.metrics || {};
+        return {
+            kind: 'xcresult',
+            totals: {
+                tests: Number(xcValue(metrics.testsCount)) || 0,
+                failed: Number(xcValue(metrics.testsFailedCount)) || 0,
+                skipped: Number(xcValue(metrics.testsSkippedCount)) || 0
+            },
+            failures: xcValues((data.issues || {}).testFailureSummaries).map(summary => {
+                const [className, method] = String(xcValue(summary.testCaseName) || '').split('.');
+                return {
+                    ...splitTestName(className, method, xcValue(summary.producingTarget)),
+                    message: String(xcValue(summary.message) || '').split('\n')[0].substring(0, 300),
+                    location: xcresultLocation(summary)
+                };
+            })
+        };
+    }
+
+    // xcresulttool get --format json --id <testsRef> (legacy): every test of every testable
+    if (typeName === 'ActionTestPlanRunSummaries') {
+        const tests = [];
+        const visit = (node, target) => {
+            const subtests = xcValues(node.subtests);
+            if (subtests.length > 0) {
+                subtests.forEach(child => visit(child, target));
+            } else if (node.testStatus) {
+                const [className, method] = String(xcValue(node.identifier) || '').split('/');
+                tests.push({ ...splitTestName(className, method, target), status: XCRESULT_STATUSES[xcValue(node.testStatus)] || 'failed' });
+            }
+        };
+        for (const summary of xcValues(data.summaries)) {
+            for (const testable of xcValues(summary.testableSummaries)) {
+                const target = xcValue(testable.targetName);
+                xcValues(testable.tests).forEach(node => visit(node, target));
+            }
+        }
+        return { kind: 'xcresult-tests', tests };
+    }
+
+    // xcresulttool get test-results summary (Xcode 16)
+    if (typeof data.totalTestCount === 'number' && Array.isArray(data.testFailures)) {
+        return {
+            kind: 'xcresult',
+            totals: { tests: data.totalTestCount, failed: data.failedTests || 0, skipped: data.skippedTests || 0 },
+            failures: data.testFailures.map(failure => {
+                const [className, method] = String(failure.testIdentifierString || failure.testName || '').split('/');
+                return {
+                    ...splitTestName(method ? className : null, method || className, failure.targetName),
+                    ...splitFailureText(failure.failureText)
+                };
+            })
+        };
+    }
+
+    // xcresulttool get test-results tests (Xcode 16): a tree of plans, bundles, suites and cases
+    if (Array.isArray(data.testNodes)) {
+        const tests = [];
+        const uiTargets = [];
+        const visit = (node, target, suite) => {
+            if (node.nodeType === 'Unit test bundle' || node.nodeType === 'UI test bundle') {
+                target = node.name;
+                if (node.nodeType === 'UI test bundle') uiTargets.push(node.name);
+            } else if (node.nodeType === 'Test Suite') {
+                suite = node.name;
+            } else if (node.nodeType === 'Test Case') {
+                const [className, method] = String(node.nodeIdentifier || '').split('/');
+                const test = { ...splitTestName(method ? className : suite, method || node.name, target), status: XCRESULT_STATUSES[node.result] || 'failed' };
+                const failure = (node.children || []).find(child => child.nodeType === 'Failure Message');
+                if (test.status === 'failed' && failure) Object.assign(test, splitFailureText(failure.name));
+                tests.push(test);
+                return;
+            }
+            (node.children || []).forEach(child => visit(child, target, suite));
+        };
+        data.testNodes.forEach(node => visit(node, null, null));
+        return { kind: 'xcresult-tests', tests, uiTargets };
+    }
+
+    // xccov view --report --json
+    if (typeof data.executableLines === 'number' && Array.isArray(data.targets)) {
+        return {
+            kind: 'coverage',
+            coveredLines: data.coveredLines || 0,
+            executableLines: data.executableLines,
+            targets: data.targets.map(target => ({
+                name: target.name,
+                coverage: toPercentage(target.coveredLines || 0, target.executableLines || 0),
+                coveredLines: target.coveredLines || 0,
+                executableLines: target.executableLines || 0
+            }))
+        };
+    }
+
+    return null;
+}
+
+// Targets, options and selected or skipped tests of an .xctestplan
+function parseTestPlan(content) {
+    const plan = JSON.parse(content);
+    const options = plan.defaultOptions || {};
+    return {
+        configurations: (plan.configurations || []).map(c => c.name),
+        codeCoverage: options.codeCoverage !== undefined ? options.codeCoverage !== false : false,
+        arguments: (options.commandLineArgumentEntries || []).filter(a => a.enabled !== false).map(a => a.argument),
+        environment: Object.fromEntries((options.environmentVariableEntries || []).filter(v => v.enabled !== false).map(v => [v.key, v.value])),
+        targets: (plan.testTargets || []).map(entry => ({
+            name: (entry.target || {}).name || null,
+            enabled: entry.enabled !== false,
+            parallelizable: entry.parallelizable === true,
+            ...(entry.selectedTests && { selectedTests: entry.selectedTests }),
+            skippedTests: entry.skippedTests || []
+        }))
+    };
+}
+
+const isUITestTarget = (name) => /UI ?Tests?$/i.test(name);
+
+// Extract test targets, results, failures and coverage from test plans and exported reports
+function extractIOSTests(projectRoot, cache = new FileCache()) {
+    const tests = structuredClone(MEMORY_SCHEMAS['ios-tests']);
+    const targetTypes = new Map();
+    const relative = (file) => (file && file.startsWith(`${projectRoot}${path.sep}`) ? path.relative(projectRoot, file) : file);
+
+    // Test targets declared in the Xcode project
+    const projectFile = findXcodeProject(projectRoot);
+    if (projectFile && fs.existsSync(projectFile)) {
+        try {
+            const project = readCachedXcodeProject(cache, projectFile);
+            for (const target of project.targets.filter(t => t.type === 'test' || t.type === 'ui-test')) {
+                targetTypes.set(target.name, target.type);
+            }
+        } catch {
+            // Reported by the xcode-project memory
+        }
+    }
+
+    const perTest = [];
+    const summaries = [];
+    const coverageReports = [];
+
+    for (const file of findTestReportFiles(projectRoot)) {
+        const report = { file: relative(file), runAt: fs.statSync(file).mtime.toISOString() };
+        let result;
+        try {
+            if (file.endsWith('.xctestplan')) {
+                const plan = cache.get(file, 'xctestplan', parseTestPlan);
+                tests.testPlans.push({ name: path.basename(file, '.xctestplan'), file: report.file, ...plan });
+                for (const target of plan.targets.filter(t => t.name && !targetTypes.has(t.name))) {
+                    targetTypes.set(target.name, isUITestTarget(target.name) ? 'ui-test' : 'test');
                 }
+                continue;
             }
+            result = file.endsWith('.json')
+                ? cache.get(file, 'ios-test-report', parseTestReportJson)
+                : cache.get(file, 'ios-test-report', content => (/<testsuites?\b/.test(content) ? parseXcodeJUnit(content) : null));
+        } catch (error) {
+            tests.warnings.push(`${report.file}: ${error.message}`);
+            continue;
+        }
+        if (!result) continue;
+
+        tests.reports.push({ ...report, kind: result.kind });
+        if (result.kind === 'coverage') {
+            coverageReports.push({ ...report, result });
+            continue;
         }
+        for (const name of result.uiTargets || []) targetTypes.set(name, 'ui-test');
+        (result.tests ? perTest : summaries).push({ ...report, result });
+        if (!tests.lastRun || report.runAt > tests.lastRun) tests.lastRun = report.runAt;
     }
 
-    structure.lastAnalyzed = getTimestamp();
-    return structure;
+    const byRun = (a, b) => a.runAt.localeCompare(b.runAt);
+    const failingTest = (test, report) => ({
+        name: `${test.class ? `${test.class}.` : ''}${test.method}`,
+        target: test.target,
+        class: test.class,
+        method: test.method,
+        message: test.message || null,
+        location: relative(test.location) || null,
+        report
+    });
+
+    if (perTest.length > 0) {
+        // The latest result for each test wins; summaries only add failure messages and locations
+        const results = new Map();
+        for (const { file, result } of perTest.sort(byRun)) {
+            for (const test of result.tests) results.set(testKey(test), { ...test, report: file });
+        }
+        const details = new Map(summaries.sort(byRun).flatMap(({ result }) => result.failures.map(f => [testKey(f), f])));
+
+        const all = Array.from(results.values());
+        tests.testCount = all.length;
+        tests.skippedCount = all.filter(t => t.status === 'skipped').length;
+        tests.failureCount = all.filter(t => t.status === 'failed').length;
+        for (const test of all.filter(t => t.status === 'failed')) {
+            const detail = details.get(testKey(test)) || {};
+            tests.failingTests.push(failingTest({ ...test, message: test.message || detail.message, location: test.location || detail.location }, test.report));
+        }
+        for (const test of all.filter(t => t.target && !targetTypes.has(t.target))) {
+            targetTypes.set(test.target, isUITestTarget(test.target) ? 'ui-test' : 'test');
+        }
+    } else if (summaries.length > 0) {
+        const { file, result } = summaries.sort(byRun)[summaries.length - 1];
+        tests.testCount = result.totals.tests;
+        tests.skippedCount = result.totals.skipped;
+        tests.failureCount = result.totals.failed;
+        tests.failingTests = result.failures.map(f => failingTest(f, file));
+    }
+
+    if (coverageReports.length > 0) {
+        const { file, result } = coverageReports.sort(byRun)[coverageReports.length - 1];
+        tests.coverage = toPercentage(result.coveredLines, result.executableLines);
+        tests.coverageTargets = result.targets;
+        tests.coverageReport = file;
+    }
+
+    for (const [name, type] of Array.from(targetTypes.entries()).sort(([a], [b]) => a.localeCompare(b))) {
+        (type === 'ui-test' ? tests.uiTestTargets : tests.unitTestTargets).push(name);
+    }
+
+    // lastRun is when the reports were written; retention counts from this refresh
+    tests.lastAnalyzed = getTimestamp();
+    return tests;
 }
 
 // Extract SwiftUI views
-function extractSwiftUIViews(projectRoot) {
-    const views = { ...MEMORY_SCHEMAS['swiftui-views'] };
+function extractSwiftUIViews(projectRoot, cache = new FileCache()) {
+    const views = structuredClone(MEMORY_SCHEMAS['swiftui-views']);
 
     // Common Swift source directories
     const sourceDirs = findSwiftSourceDirs(projectRoot);
@@ -226,34 +1253,16 @@ function extractSwiftUIViews(projectRoot) {
     for (const srcDir of sourceDirs) {
         if (!fs.existsSync(srcDir)) continue;
 
-        findSwiftFiles(srcDir, (filePath, fileName) => {
-            const content = fs.readFileSync(filePath, 'utf8');
-
-            // Find struct conforming to View
-            const viewMatches = content.matchAll(/struct\s+(\w+)\s*:\s*View\s*{/g);
-            for (const match of viewMatches) {
-                const viewName = match[1];
-                views.views.push({
-                    name: viewName,
-                    file: path.relative(projectRoot, filePath),
-                    hasPreview: content.includes('#Preview'),
-                    stateProperties: extractStateProperties(content, viewName)
-                });
-            }
+        findSwiftFiles(srcDir, (filePath) => {
+            const facts = cache.get(filePath, 'swiftui-views', scanSwiftUISource);
 
-            // Find NavigationDestination
-            const navMatches = content.matchAll(/NavigationDestination\s*\(\s*(?:\w+:)?\s*(\w+)\s*\)/g);
-            for (const match of navMatches) {
-                views.navigationPaths.push(match[2]);
+            for (const view of facts.views) {
+                views.views.push({ ...view, file: path.relative(projectRoot, filePath) });
             }
-
-            // Find sheet presentations
-            if (content.includes('.sheet(') || content.includes('.sheet(isPresented:')) {
-                const sheetMatches = content.matchAll(/(?:isPresented|isPresented:)\s*:\s*\$?(\w+)/g);
-                for (const match of sheetMatches) {
-                    if (!views.sheets.includes(match[1])) {
-                        views.sheets.push(match[1]);
-                    }
+            views.navigationPaths.push(...facts.navigationPaths);
+            for (const sheet of facts.sheets) {
+                if (!views.sheets.includes(sheet)) {
+                    views.sheets.push(sheet);
                 }
             }
         });
@@ -266,6 +1275,37 @@ function extractSwiftUIViews(projectRoot) {
     return views;
 }
 
+// Views, navigation destinations and sheets declared in one Swift source
+function scanSwiftUISource(content) {
+    const facts = { views: [], navigationPaths: [], sheets: [] };
+
+    // Find struct conforming to View
+    const viewMatches = content.matchAll(/struct\s+(\w+)\s*:\s*View\s*{/g);
+    for (const match of viewMatches) {
+        facts.views.push({
+            name: match[1],
+            hasPreview: content.includes('#Preview'),
+            stateProperties: extractStateProperties(content, match[1])
+        });
+    }
+
+    // Find NavigationDestination
+    const navMatches = content.matchAll(/NavigationDestination\s*\(\s*(?:\w+:)?\s*(\w+)\s*\)/g);
+    for (const match of navMatches) {
+        facts.navigationPaths.push(match[1]);
+    }
+
+    // Find sheet presentations
+    if (content.includes('.sheet(') || content.includes('.sheet(isPresented:')) {
+        const sheetMatches = content.matchAll(/(?:isPresented|isPresented:)\s*:\s*\$?(\w+)/g);
+        for (const match of sheetMatches) {
+            facts.sheets.push(match[1]);
+        }
+    }
+
+    return facts;
+}
+
 // Helper: Find Swift source directories
 function findSwiftSourceDirs(projectRoot) {
     const dirs = [];
@@ -340,140 +1380,1066 @@ function extractStateProperties(content, viewName) {
     return properties;
 }
 
-// Extract iOS dependencies
-function extractIOSDependencies(projectRoot) {
-    const deps = { ...MEMORY_SCHEMAS['ios-dependencies'] };
+// Dotted versions compare numerically by major, minor and patch; missing components count as 0
+const parseVersion = (version) => {
+    const match = String(version || '').trim().match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+    return match ? match.slice(1).map(part => Number(part || 0)) : null;
+};
 
-    // Swift Package Manager
-    const packageFile = path.join(projectRoot, 'Package.swift');
-    if (fs.existsSync(packageFile)) {
-        const content = fs.readFileSync(packageFile, 'utf8');
-
-        // Extract package dependencies
-        const packageMatches = content.matchAll(/\.package\s*\(\s*url:\s*["']([^"']+)["'](?:,\s*from:\s*["']([^"']+)["'])?/g);
-        for (const match of packageMatches) {
-            deps.spmPackages.push({
-                url: match[1],
-                version: match[2] || 'branch'
-            });
+const compareVersions = (a, b) => {
+    const left = parseVersion(a) || [0, 0, 0];
+    const right = parseVersion(b) || [0, 0, 0];
+    for (let i = 0; i < 3; i++) {
+        if (left[i] !== right[i]) return left[i] < right[i] ? -1 : 1;
+    }
+    return 0;
+};
+
+// SwiftPM identity: the last URL or path component, lowercased, without .git
+const packageIdentity = (location) => (location
+    ? path.posix.basename(String(location).replace(/\/+$/, '')).replace(/\.git$/, '').toLowerCase()
+    : null);
+
+// Requirement kinds of XCRemoteSwiftPackageReference, named like their Package.swift counterparts
+const XCODE_REQUIREMENT_KINDS = {
+    upToNextMajorVersion: 'upToNextMajor',
+    upToNextMinorVersion: 'upToNextMinor',
+    exactVersion: 'exact',
+    versionRange: 'range',
+    branch: 'branch',
+    revision: 'revision'
+};
+
+function xcodePackageRequirement(requirement) {
+    if (!requirement) return null;
+    const kind = XCODE_REQUIREMENT_KINDS[requirement.kind] || requirement.kind;
+    switch (kind) {
+        case 'exact':
+            return { kind, version: requirement.version };
+        case 'range':
+            return { kind, minimumVersion: requirement.minimumVersion, maximumVersion: requirement.maximumVersion };
+        case 'branch':
+            return { kind, branch: requirement.branch };
+        case 'revision':
+            return { kind, revision: requirement.revision };
+        default:
+            return { kind, minimumVersion: requirement.minimumVersion };
+    }
+}
+
+// Requirement of a .package(...) argument list
+function parsePackageRequirement(args) {
+    let match;
+    if ((match = args.match(/\.upToNextMinor\s*\(\s*from:\s*"([^"]+)"/))) {
+        return { kind: 'upToNextMinor', minimumVersion: match[1] };
+    }
+    if ((match = args.match(/(?:\bexact:\s*|\.exact\s*\(\s*)"([^"]+)"/))) {
+        return { kind: 'exact', version: match[1] };
+    }
+    if ((match = args.match(/(?:\bbranch:\s*|\.branch\s*\(\s*)"([^"]+)"/))) {
+        return { kind: 'branch', branch: match[1] };
+    }
+    if ((match = args.match(/(?:\brevision:\s*|\.revision\s*\(\s*)"([^"]+)"/))) {
+        return { kind: 'revision', revision: match[1] };
+    }
+    if ((match = args.match(/"([^"]+)"\s*\.\.([<.])\s*"([^"]+)"/))) {
+        return { kind: 'range', minimumVersion: match[1], maximumVersion: match[3], ...(match[2] === '.' && { closed: true }) };
+    }
+    if ((match = args.match(/(?:\bfrom:\s*|\.upToNextMajor\s*\(\s*from:\s*)"([^"]+)"/))) {
+        return { kind: 'upToNextMajor', minimumVersion: match[1] };
+    }
+    return null;
+}
+
+// .package(...) declarations of a Package.swift
+function parsePackageSwift(content) {
+    // Drop comments, but not the // of URLs inside strings
+    const source = content.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|[,(\[])\s*\/\/.*$/gm, '$1');
+    const packages = [];
+    for (const match of source.matchAll(/\.package\s*\(/g)) {
+        const start = match.index + match[0].length;
+        let end = start;
+        for (let depth = 1; end < source.length; end++) {
+            if (source[end] === '(') depth++;
+            else if (source[end] === ')' && --depth === 0) break;
         }
+        const args = source.slice(start, end);
+        const label = (name) => (args.match(new RegExp(`\\b${name}:\\s*"([^"]+)"`)) || [])[1] || null;
+        const url = label('url');
+        const localPath = label('path');
+        const registryId = label('id');
+        if (!url && !localPath && !registryId) continue;
+
+        packages.push({
+            name: label('name') || (registryId ? registryId.split('.').pop() : packageIdentity(url || localPath)),
+            identity: registryId ? registryId.toLowerCase() : packageIdentity(url || localPath),
+            url: url || null,
+            ...(localPath && { path: localPath }),
+            requirement: localPath ? null : parsePackageRequirement(args)
+        });
     }
+    return packages;
+}
 
-    // CocoaPods
-    const podfile = path.join(projectRoot, 'Podfile');
-    if (fs.existsSync(podfile)) {
-        const content = fs.readFileSync(podfile, 'utf8');
-
-        // Extract pod dependencies
-        const podMatches = content.matchAll(/pod\s+["']([^"']+)["'](?:\s*,\s*["']([^"']+)["'])?/g);
-        for (const match of podMatches) {
-            deps.cocoaPods.push({
-                name: match[1],
-                version: match[2] || null
-            });
+// Pins of a Package.resolved file (format 1, or 2 and 3 which add identities and an origin hash)
+function parsePackageResolved(content) {
+    const data = JSON.parse(content);
+    const pins = data.version === 1 ? ((data.object || {}).pins || []) : (data.pins || []);
+    return {
+        version: data.version,
+        pins: pins.map(pin => {
+            const url = pin.location || pin.repositoryURL || null;
+            const state = pin.state || {};
+            return {
+                identity: pin.identity || packageIdentity(url),
+                url,
+                version: state.version || null,
+                branch: state.branch || null,
+                revision: state.revision || null
+            };
+        })
+    };
+}
+
+function describeRequirement(requirement) {
+    switch (requirement.kind) {
+        case 'exact':
+            return `exactly ${requirement.version}`;
+        case 'range':
+            return `${requirement.minimumVersion}${requirement.closed ? '...' : '..<'}${requirement.maximumVersion}`;
+        case 'branch':
+            return `branch ${requirement.branch}`;
+        case 'revision':
+            return `revision ${requirement.revision}`;
+        case 'upToNextMinor':
+            return `up to next minor from ${requirement.minimumVersion}`;
+        default:
+            return `up to next major from ${requirement.minimumVersion}`;
+    }
+}
+
+const describePin = (pin) => pin.version || (pin.branch ? `branch ${pin.branch}` : `revision ${String(pin.revision).slice(0, 12)}`);
+
+function satisfiesPackageRequirement(requirement, version) {
+    const [major, minor] = parseVersion(requirement.minimumVersion) || [0, 0];
+    const atLeast = (minimum) => compareVersions(version, minimum) >= 0;
+    switch (requirement.kind) {
+        case 'exact':
+            return compareVersions(version, requirement.version) === 0;
+        case 'range': {
+            const upper = compareVersions(version, requirement.maximumVersion);
+            return atLeast(requirement.minimumVersion) && (requirement.closed ? upper <= 0 : upper < 0);
+        }
+        case 'upToNextMinor':
+            return atLeast(requirement.minimumVersion) && compareVersions(version, `${major}.${minor + 1}.0`) < 0;
+        default:
+            return atLeast(requirement.minimumVersion) && compareVersions(version, `${major + 1}.0.0`) < 0;
+    }
+}
+
+// Why a resolved pin does not match the declared requirement, or null when it does
+function packageDrift(requirement, pin) {
+    if (!requirement) return null;
+    if (!pin) return 'not in Package.resolved';
+    const mismatch = `requires ${describeRequirement(requirement)}, resolved ${describePin(pin)}`;
+    switch (requirement.kind) {
+        case 'branch':
+            return pin.branch === requirement.branch ? null : mismatch;
+        case 'revision':
+            return pin.revision && pin.revision.startsWith(requirement.revision) ? null : mismatch;
+        default:
+            return pin.version && satisfiesPackageRequirement(requirement, pin.version) ? null : mismatch;
+    }
+}
+
+// pod declarations of a Podfile: name, version constraints and external source
+function parsePodfile(content) {
+    const pods = [];
+    const source = content.replace(/#.*$/gm, '');
+    for (const match of source.matchAll(/^\s*pod\s+["']([^"']+)["']((?:\s*,\s*["'][^"']*["'])*)(.*)$/gm)) {
+        const requirements = Array.from(match[2].matchAll(/["']([^"']*)["']/g), m => m[1]);
+        const option = (name) => (match[3].match(new RegExp(`:${name}\\s*=>\\s*["']([^"']+)["']`)) || [])[1];
+        const external = ['path', 'git', 'branch', 'tag', 'commit', 'podspec']
+            .filter(name => option(name))
+            .reduce((sources, name) => ({ ...sources, [name]: option(name) }), {});
+        pods.push({
+            name: match[1],
+            version: requirements[0] || null,
+            requirements,
+            ...(Object.keys(external).length > 0 && { external })
+        });
+    }
+    return pods;
+}
+
+// Podfile.lock: resolved pods with their dependencies, the Podfile's declarations, checksums and sources
+function parsePodfileLock(content) {
+    const lock = { pods: [], dependencies: [], checksums: {}, externalSources: {}, podfileChecksum: null, cocoapodsVersion: null };
+    const unquote = (value) => value.trim().replace(/^(["'])(.*)\1$/, '$2');
+    const nameAndVersion = (text) => {
+        const match = unquote(text).match(/^(.+?)(?:\s+\((.+)\))?$/);
+        return { name: match[1], version: match[2] || null };
+    };
+
+    let section = null;
+    let pod = null;
+    let external = null;
+    for (const line of content.split(/\r?\n/)) {
+        if (!line.trim()) continue;
+        const top = line.match(/^([A-Z][A-Z ]*):\s*(.*)$/);
+        if (top) {
+            section = top[1];
+            if (section === 'PODFILE CHECKSUM') lock.podfileChecksum = top[2] || null;
+            if (section === 'COCOAPODS') lock.cocoapodsVersion = top[2] || null;
+            continue;
+        }
+
+        const item = line.match(/^(\s*)-\s+(.+?):?\s*$/);
+        const entry = line.match(/^(\s+)(["']?)(.+?)\2:\s*(.*)$/);
+        if (section === 'PODS' && item) {
+            const { name, version } = nameAndVersion(item[2]);
+            if (item[1].length <= 2) {
+                pod = { name, version, dependencies: [] };
+                lock.pods.push(pod);
+            } else if (pod) {
+                pod.dependencies.push(version ? `${name} (${version})` : name);
+            }
+        } else if (section === 'DEPENDENCIES' && item) {
+            const { name, version } = nameAndVersion(item[2]);
+            lock.dependencies.push({ name, requirement: version });
+        } else if (section === 'SPEC CHECKSUMS' && entry) {
+            lock.checksums[entry[3]] = entry[4];
+        } else if ((section === 'EXTERNAL SOURCES' || section === 'CHECKOUT OPTIONS') && entry) {
+            if (entry[1].length <= 2) {
+                external = entry[3];
+                lock.externalSources[external] = lock.externalSources[external] || {};
+            } else if (external) {
+                lock.externalSources[external][entry[3].replace(/^:/, '')] = unquote(entry[4]);
+            }
         }
     }
+    return lock;
+}
 
-    // System frameworks from project file
+// CocoaPods constraints: "~> 5.7" (>= 5.7, < 6.0), ">= 1.0", "< 2.0", "= 1.2" or a bare version
+function satisfiesPodRequirement(requirement, version) {
+    return requirement.split(',').every(part => {
+        const match = part.trim().match(/^(~>|>=|<=|>|<|=)?\s*(\d\S*)$/);
+        if (!match) return true;
+        const [, operator = '=', target] = match;
+        const comparison = compareVersions(version, target);
+        switch (operator) {
+            case '~>': {
+                const parts = target.split('.').map(Number);
+                const upper = parts.length > 1 ? [...parts.slice(0, -2), parts[parts.length - 2] + 1].join('.') : String(parts[0] + 1);
+                return comparison >= 0 && compareVersions(version, upper) < 0;
+            }
+            case '>=': return comparison >= 0;
+            case '>': return comparison > 0;
+            case '<=': return comparison <= 0;
+            case '<': return comparison < 0;
+            default: return comparison === 0;
+        }
+    });
+}
+
+// Package.resolved files: SwiftPM's next to Package.swift, Xcode's inside the project and workspace bundles
+function findPackageResolvedFiles(projectRoot) {
+    const files = [{ file: path.join(projectRoot, 'Package.resolved'), source: 'Package.swift' }];
     const projectFile = findXcodeProject(projectRoot);
+    for (const dir of [projectRoot, path.join(projectRoot, 'ios')]) {
+        const entries = fs.existsSync(dir) ? fs.readdirSync(dir, { withFileTypes: true }) : [];
+        for (const entry of entries.filter(e => e.isDirectory() && e.name.endsWith('.xcworkspace'))) {
+            files.push({ file: path.join(dir, entry.name, 'xcshareddata', 'swiftpm', 'Package.resolved'), source: 'xcodeproj' });
+        }
+    }
     if (projectFile) {
-        const content = fs.readFileSync(projectFile, 'utf8');
+        files.push({ file: path.join(path.dirname(projectFile), 'project.xcworkspace', 'xcshareddata', 'swiftpm', 'Package.resolved'), source: 'xcodeproj' });
+    }
+    return files.filter(({ file }) => fs.existsSync(file));
+}
+
+// Extract iOS dependencies: declared requirements, resolved versions and the drift between them
+function extractIOSDependencies(projectRoot, cache = new FileCache()) {
+    const deps = structuredClone(MEMORY_SCHEMAS['ios-dependencies']);
+    const relative = (file) => path.relative(projectRoot, file);
+    const read = (file, namespace, parse) => {
+        try {
+            return cache.get(file, namespace, parse);
+        } catch (error) {
+            deps.warnings.push(`${relative(file)}: ${error.message}`);
+            return null;
+        }
+    };
 
-        // Extract linked frameworks
-        const frameworkMatches = content.matchAll(/([\w.]+\.framework)/g);
-        const uniqueFrameworks = new Set(Array.from(frameworkMatches));
-        deps.frameworks = Array.from(uniqueFrameworks).filter(f => f.endsWith('.framework'));
+    const projectFile = findXcodeProject(projectRoot);
+    let project = null;
+    if (projectFile && fs.existsSync(projectFile)) {
+        try {
+            project = readCachedXcodeProject(cache, projectFile);
+        } catch {
+            // Reported by the xcode-project memory
+        }
+    }
+
+    // Swift packages declared in Package.swift and the ones Xcode manages in the project
+    const declared = [];
+    const packageFile = path.join(projectRoot, 'Package.swift');
+    if (fs.existsSync(packageFile)) {
+        for (const declaration of read(packageFile, 'package-swift', parsePackageSwift) || []) {
+            declared.push({ ...declaration, source: 'Package.swift' });
+        }
+    }
+    for (const reference of project ? project.packages : []) {
+        const location = reference.url || reference.relativePath;
+        declared.push({
+            name: reference.name,
+            identity: packageIdentity(location),
+            url: reference.url || null,
+            ...(reference.relativePath && { path: reference.relativePath }),
+            requirement: xcodePackageRequirement(reference.requirement),
+            source: 'xcodeproj'
+        });
+    }
+
+    // Pins from the Package.resolved written for the same manifest win over the other ones
+    const resolvedFiles = findPackageResolvedFiles(projectRoot).map(({ file, source }) => {
+        const resolved = read(file, 'package-resolved', parsePackageResolved);
+        if (resolved) deps.lockFiles.push({ file: relative(file), format: `Package.resolved v${resolved.version}` });
+        return { source, pins: resolved ? resolved.pins : [] };
+    });
+    const findPin = (identity, source) => resolvedFiles
+        .slice()
+        .sort((a, b) => (b.source === source) - (a.source === source))
+        .flatMap(resolved => resolved.pins)
+        .find(pin => pin.identity === identity) || null;
+
+    const usedPins = new Set();
+    for (const declaration of declared) {
+        const pin = declaration.path ? null : findPin(declaration.identity, declaration.source);
+        if (pin) usedPins.add(pin.identity);
+        const requirement = declaration.requirement;
+        const drift = resolvedFiles.length > 0 && !declaration.path ? packageDrift(requirement, pin) : null;
+        deps.spmPackages.push({
+            ...declaration,
+            version: (pin && pin.version) ||
+                (requirement && (requirement.version || requirement.minimumVersion || requirement.branch || requirement.revision)) || null,
+            resolved: pin ? { version: pin.version, branch: pin.branch, revision: pin.revision } : null,
+            drift
+        });
+        if (drift) deps.drift.push({ manager: 'spm', name: declaration.name, message: drift });
+    }
+    const transitive = new Map();
+    for (const pin of resolvedFiles.flatMap(resolved => resolved.pins).filter(p => !usedPins.has(p.identity))) {
+        if (!transitive.has(pin.identity)) transitive.set(pin.identity, pin);
+    }
+    deps.transitivePackages = Array.from(transitive.values());
+
+    // CocoaPods: the Podfile's constraints against what Podfile.lock resolved
+    const podfile = path.join(projectRoot, 'Podfile');
+    const podfileLock = path.join(projectRoot, 'Podfile.lock');
+    const pods = fs.existsSync(podfile) ? read(podfile, 'podfile', parsePodfile) || [] : [];
+    const lock = fs.existsSync(podfileLock) ? read(podfileLock, 'podfile-lock', parsePodfileLock) : null;
+    if (lock) {
+        deps.lockFiles.push({ file: 'Podfile.lock', format: `CocoaPods ${lock.cocoapodsVersion || 'unknown'}`, podfileChecksum: lock.podfileChecksum });
+    }
+
+    const resolvedPods = new Map(((lock && lock.pods) || []).map(p => [p.name, p]));
+    const checksum = (name) => (lock ? lock.checksums[name.split('/')[0]] || null : null);
+    for (const pod of pods) {
+        const resolved = resolvedPods.get(pod.name);
+        const requirement = pod.requirements.join(', ');
+        const locked = lock && lock.dependencies.find(d => d.name === pod.name);
+        let drift = null;
+        if (lock && !resolved) {
+            drift = 'not in Podfile.lock (run pod install)';
+        } else if (locked && !pod.external && (locked.requirement || '') !== requirement) {
+            drift = `Podfile requires ${requirement || 'any version'}, Podfile.lock was resolved for ${locked.requirement || 'any version'} (run pod install)`;
+        } else if (resolved && requirement && !pod.external && !satisfiesPodRequirement(requirement, resolved.version)) {
+            drift = `requires ${requirement}, resolved ${resolved.version}`;
+        }
+
+        deps.cocoaPods.push({
+            ...pod,
+            resolved: resolved ? resolved.version : null,
+            checksum: checksum(pod.name),
+            dependencies: resolved ? resolved.dependencies : [],
+            ...(lock && lock.externalSources[pod.name] && { external: { ...pod.external, ...lock.externalSources[pod.name] } }),
+            drift
+        });
+        if (drift) deps.drift.push({ manager: 'cocoapods', name: pod.name, message: drift });
+    }
+    const declaredPods = new Set(pods.map(p => p.name));
+    deps.transitivePods = ((lock && lock.pods) || [])
+        .filter(p => !declaredPods.has(p.name))
+        .map(p => ({ name: p.name, version: p.version, checksum: checksum(p.name), dependencies: p.dependencies }));
+
+    // Frameworks linked by the targets' frameworks build phases
+    if (project) {
+        const frameworks = new Set();
+        const systemFrameworks = new Set();
+        for (const target of project.targets) {
+            for (const phase of target.buildPhases.filter(p => p.type === 'frameworks')) {
+                for (const file of phase.files.filter(f => /\.(xc)?framework$/.test(f.name || ''))) {
+                    (file.sdk ? systemFrameworks : frameworks).add(file.name);
+                }
+            }
+        }
+        deps.frameworks = Array.from(frameworks).sort();
+        deps.systemFrameworks = Array.from(systemFrameworks).sort();
     }
 
     deps.lastSync = getTimestamp();
     return deps;
 }
 
-// Extract Info.plist data
-function extractInfoPlist(projectRoot) {
-    const info = { ...MEMORY_SCHEMAS['info-plist'] };
+// Property list values as JSON: dates become ISO strings and data becomes base64
+const PLIST_EPOCH = Date.UTC(2001, 0, 1);
+
+// Parse an XML property list
+function parseXmlPlist(content) {
+    const source = content.replace(/<!--[\s\S]*?-->/g, '').replace(/<\?[\s\S]*?\?>/g, '').replace(/<!DOCTYPE[^>]*>/i, '');
+    const tokens = Array.from(source.matchAll(/<(\/?)([\w-]+)[^>]*?(\/?)>|([^<]+)/g), ([, closing, name, selfClosing, text]) => (
+        text !== undefined ? { text } : { name, closing: Boolean(closing), selfClosing: Boolean(selfClosing) }
+    ));
+    let index = 0;
+
+    const nextElement = () => {
+        while (index < tokens.length && tokens[index].text !== undefined && !tokens[index].text.trim()) index++;
+        const token = tokens[index++];
+        if (!token || token.text !== undefined) {
+            throw new Error(token ? 'Invalid plist: unexpected text' : 'Invalid plist: unexpected end of file');
+        }
+        return token;
+    };
+
+    const readText = (name) => {
+        let text = '';
+        while (index < tokens.length && tokens[index].text !== undefined) text += tokens[index++].text;
+        const close = tokens[index++];
+        if (!close || !close.closing || close.name !== name) {
+            throw new Error(`Invalid plist: unclosed <${name}>`);
+        }
+        return decodeXmlEntities(text);
+    };
 
-    // Common Info.plist locations
-    const plistLocations = [
-        path.join(projectRoot, 'Info.plist'),
-        path.join(projectRoot, 'app', 'Info.plist'),
-        path.join(projectRoot, 'ios', 'Info.plist'),
-        path.join(projectRoot, 'ios', 'app', 'Info.plist')
-    ];
+    const parseValue = (element) => {
+        if (element.closing) {
+            throw new Error(`Invalid plist: unexpected </${element.name}>`);
+        }
+        const text = () => (element.selfClosing ? '' : readText(element.name));
+        switch (element.name) {
+            case 'plist': {
+                const value = parseValue(nextElement());
+                nextElement();
+                return value;
+            }
+            case 'dict': {
+                const dict = {};
+                if (element.selfClosing) return dict;
+                for (;;) {
+                    const key = nextElement();
+                    if (key.closing && key.name === 'dict') return dict;
+                    if (key.name !== 'key') {
+                        throw new Error(`Invalid plist: expected <key>, found <${key.name}>`);
+                    }
+                    const name = key.selfClosing ? '' : readText('key');
+                    dict[name] = parseValue(nextElement());
+                }
+            }
+            case 'array': {
+                const array = [];
+                if (element.selfClosing) return array;
+                for (;;) {
+                    const item = nextElement();
+                    if (item.closing && item.name === 'array') return array;
+                    array.push(parseValue(item));
+                }
+            }
+            case 'string':
+            case 'date':
+                return text();
+            case 'integer':
+            case 'real':
+                return Number(text());
+            case 'data':
+                return text().replace(/\s+/g, '');
+            case 'true':
+            case 'false':
+                text();
+                return element.name === 'true';
+            default:
+                throw new Error(`Invalid plist: unknown element <${element.name}>`);
+        }
+    };
 
-    // Also look in bundle directories
-    const entries = fs.existsSync(projectRoot) ? fs.readdirSync(projectRoot, { withFileTypes: true }) : [];
-    for (const entry of entries) {
-        if (entry.isDirectory()) {
-            const bundleDir = path.join(projectRoot, entry.name);
-            const bundlePlist = path.join(bundleDir, 'Info.plist');
-            if (fs.existsSync(bundlePlist)) {
-                plistLocations.push(bundlePlist);
+    return parseValue(nextElement());
+}
+
+// Parse a binary property list (bplist00)
+function parseBinaryPlist(buffer) {
+    if (buffer.length < 40) throw new Error('Invalid binary plist: too short');
+    const trailer = buffer.length - 32;
+    const offsetSize = buffer[trailer + 6];
+    const refSize = buffer[trailer + 7];
+    const objectCount = Number(buffer.readBigUInt64BE(trailer + 8));
+    const topObject = Number(buffer.readBigUInt64BE(trailer + 16));
+    const offsetTable = Number(buffer.readBigUInt64BE(trailer + 24));
+
+    const readUInt = (position, size) => {
+        if (position + size > buffer.length) throw new Error('Invalid binary plist: offset out of range');
+        let value = 0;
+        for (let i = 0; i < size; i++) value = value * 256 + buffer[position + i];
+        return value;
+    };
+
+    const parseObject = (ref, depth = 0) => {
+        if (ref >= objectCount || depth > 64) throw new Error('Invalid binary plist: bad object reference');
+        let position = readUInt(offsetTable + ref * offsetSize, offsetSize);
+        const marker = buffer[position++];
+        const type = marker >> 4;
+        const info = marker & 0x0f;
+
+        // Lengths of 15 and above follow the marker as an integer object
+        const readLength = () => {
+            if (info !== 0x0f) return info;
+            const size = 1 << (buffer[position++] & 0x0f);
+            const length = readUInt(position, size);
+            position += size;
+            return length;
+        };
+        const readRefs = (count) => Array.from({ length: count }, (_, i) => readUInt(position + i * refSize, refSize));
+
+        switch (type) {
+            case 0x0:
+                if (info === 0x08 || info === 0x09) return info === 0x09;
+                return null;
+            case 0x1: {
+                const size = 1 << info;
+                if (size === 8) return Number(buffer.readBigInt64BE(position));
+                if (size === 16) return Number(buffer.readBigInt64BE(position + 8));
+                return readUInt(position, size);
+            }
+            case 0x2:
+                return info === 2 ? buffer.readFloatBE(position) : buffer.readDoubleBE(position);
+            case 0x3:
+                return new Date(PLIST_EPOCH + buffer.readDoubleBE(position) * 1000).toISOString();
+            case 0x4: {
+                const length = readLength();
+                return buffer.subarray(position, position + length).toString('base64');
+            }
+            case 0x5: {
+                const length = readLength();
+                return buffer.subarray(position, position + length).toString('latin1');
+            }
+            case 0x6: {
+                const length = readLength();
+                return Buffer.from(buffer.subarray(position, position + length * 2)).swap16().toString('utf16le');
+            }
+            case 0x8:
+                return { UID: readUInt(position, info + 1) };
+            case 0xa:
+            case 0xc: {
+                const length = readLength();
+                return readRefs(length).map(child => parseObject(child, depth + 1));
             }
+            case 0xd: {
+                const length = readLength();
+                const keys = readRefs(length);
+                position += length * refSize;
+                const values = readRefs(length);
+                const dict = {};
+                keys.forEach((key, i) => {
+                    dict[parseObject(key, depth + 1)] = parseObject(values[i], depth + 1);
+                });
+                return dict;
+            }
+            default:
+                throw new Error(`Invalid binary plist: unknown object type 0x${type.toString(16)}`);
+        }
+    };
+
+    return parseObject(topObject);
+}
+
+// Parse an XML or binary property list from its raw bytes
+const parsePlist = (buffer) => (buffer.subarray(0, 8).toString('latin1') === 'bplist00'
+    ? parseBinaryPlist(buffer)
+    : parseXmlPlist(buffer.toString('utf8')));
+
+// Plist files hold binary data, so they are parsed from the raw bytes rather than the cached text
+const readPlistFile = (cache, file) => cache.get(file, 'plist', (content, filePath) => parsePlist(fs.readFileSync(filePath)));
+
+// Entitlements that describe the app's capabilities
+const ENTITLEMENT_CAPABILITIES = {
+    push: 'aps-environment',
+    appGroups: 'com.apple.security.application-groups',
+    associatedDomains: 'com.apple.developer.associated-domains',
+    keychainGroups: 'keychain-access-groups',
+    iCloudContainers: 'com.apple.developer.icloud-container-identifiers'
+};
+
+function describeEntitlements(entitlements, file) {
+    const value = (key) => entitlements[ENTITLEMENT_CAPABILITIES[key]];
+    return {
+        file,
+        push: value('push') || null,
+        appGroups: value('appGroups') || [],
+        associatedDomains: value('associatedDomains') || [],
+        keychainGroups: value('keychainGroups') || [],
+        iCloudContainers: value('iCloudContainers') || [],
+        keys: Object.keys(entitlements).sort()
+    };
+}
+
+// Usage descriptions ("NSCameraUsageDescription") with the text the user is shown
+const describePermissions = (plist) => Object.entries(plist)
+    .filter(([key, value]) => /UsageDescription$/.test(key) && typeof value === 'string')
+    .map(([key, description]) => ({ key, name: key.replace(/^NS/, '').replace(/UsageDescription$/, ''), description }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+
+// Identity, permissions, URL schemes and entitlements of one target (or loose Info.plist).
+// Values like $(PRODUCT_BUNDLE_IDENTIFIER) are expanded with the target's build settings.
+function describePlistTarget({ name = null, type = null, plist = {}, plistFile = null, settings = {}, entitlements = null, entitlementsFile = null }) {
+    const expand = (value) => (typeof value === 'string' ? expandBuildSetting(value, settings) : value);
+    const setting = (key) => (settings[key] === undefined ? null : expand(settings[key]));
+    return {
+        name,
+        type,
+        infoPlist: plistFile,
+        bundleId: expand(plist.CFBundleIdentifier) || setting('PRODUCT_BUNDLE_IDENTIFIER'),
+        version: expand(plist.CFBundleShortVersionString) || setting('MARKETING_VERSION'),
+        buildNumber: expand(plist.CFBundleVersion) || setting('CURRENT_PROJECT_VERSION'),
+        deploymentTarget: plist.MinimumOSVersion || plist.LSMinimumSystemVersion || setting('IPHONEOS_DEPLOYMENT_TARGET') ||
+            setting('MACOSX_DEPLOYMENT_TARGET'),
+        permissions: describePermissions(plist).map(permission => ({ ...permission, description: expand(permission.description) })),
+        urlSchemes: (plist.CFBundleURLTypes || []).flatMap(type => type.CFBundleURLSchemes || []).map(expand),
+        backgroundModes: plist.UIBackgroundModes || [],
+        entitlements: entitlements ? describeEntitlements(entitlements, entitlementsFile) : null
+    };
+}
+
+// Build settings that Xcode turns into Info.plist keys (GENERATE_INFOPLIST_FILE)
+const generatedPlistKeys = (settings) => Object.fromEntries(Object.entries(settings)
+    .filter(([key]) => key.startsWith('INFOPLIST_KEY_'))
+    .map(([key, value]) => [key.slice('INFOPLIST_KEY_'.length), value]));
+
+// Extract Info.plist and entitlements data for every target
+function extractInfoPlist(projectRoot, cache = new FileCache()) {
+    const info = structuredClone(MEMORY_SCHEMAS['info-plist']);
+    const relative = (file) => path.relative(projectRoot, file);
+    const read = (file) => {
+        try {
+            return readPlistFile(cache, file);
+        } catch (error) {
+            info.warnings.push(`${relative(file)}: ${error.message}`);
+            return null;
+        }
+    };
+
+    // Targets declare their Info.plist and entitlements in build settings, relative to the project directory
+    const projectFile = findXcodeProject(projectRoot);
+    let project = null;
+    if (projectFile && fs.existsSync(projectFile)) {
+        try {
+            project = readCachedXcodeProject(cache, projectFile);
+        } catch {
+            // Reported by the xcode-project memory
+        }
+    }
+    const seenPlists = new Set();
+    if (project) {
+        const sourceRoot = path.dirname(path.dirname(projectFile));
+        for (const target of project.targets) {
+            const settings = { SRCROOT: sourceRoot, PROJECT_DIR: sourceRoot, ...targetBuildSettings(target, project) };
+            const settingPath = (key) => (settings[key] ? path.resolve(sourceRoot, expandBuildSetting(settings[key], settings)) : null);
+            const plistFile = settingPath('INFOPLIST_FILE');
+            const entitlementsFile = settingPath('CODE_SIGN_ENTITLEMENTS');
+            const generates = settings.GENERATE_INFOPLIST_FILE === 'YES';
+            if (!plistFile && !entitlementsFile && !generates) continue;
+
+            const plist = {
+                ...(generates && generatedPlistKeys(settings)),
+                ...(plistFile && fs.existsSync(plistFile) && read(plistFile))
+            };
+            const entitlements = entitlementsFile && fs.existsSync(entitlementsFile) ? read(entitlementsFile) : null;
+            if (plistFile) seenPlists.add(plistFile);
+            info.targets.push(describePlistTarget({
+                name: target.name,
+                type: target.type,
+                plist,
+                plistFile: plistFile && relative(plistFile),
+                settings,
+                entitlements,
+                entitlementsFile: entitlementsFile && relative(entitlementsFile)
+            }));
         }
     }
 
-    for (const plistPath of plistLocations) {
-        if (fs.existsSync(plistPath)) {
-            const content = fs.readFileSync(plistPath, 'utf8');
+    // Without a project, fall back to Info.plist files in the usual places and entitlements next to them
+    if (info.targets.length === 0) {
+        const plistLocations = [
+            path.join(projectRoot, 'Info.plist'),
+            path.join(projectRoot, 'app', 'Info.plist'),
+            path.join(projectRoot, 'ios', 'Info.plist'),
+            path.join(projectRoot, 'ios', 'app', 'Info.plist')
+        ];
+        const entries = fs.existsSync(projectRoot) ? fs.readdirSync(projectRoot, { withFileTypes: true }) : [];
+        for (const entry of entries) {
+            if (entry.isDirectory()) plistLocations.push(path.join(projectRoot, entry.name, 'Info.plist'));
+        }
 
-            // Extract bundle identifier
-            const bundleIdMatch = content.match(/<key>CFBundleIdentifier<\/key>\s*\n*\s*<string>([^<]+)<\/string>/);
-            if (bundleIdMatch) {
-                info.bundleId = bundleIdMatch[1];
-            }
+        for (const plistFile of plistLocations.filter(file => fs.existsSync(file) && !seenPlists.has(file))) {
+            seenPlists.add(plistFile);
+            const plist = read(plistFile);
+            if (!plist) continue;
+            const dir = path.dirname(plistFile);
+            const entitlementsName = fs.readdirSync(dir).find(file => file.endsWith('.entitlements'));
+            const entitlementsFile = entitlementsName ? path.join(dir, entitlementsName) : null;
+            info.targets.push(describePlistTarget({
+                name: dir === projectRoot ? null : path.basename(dir),
+                plist,
+                plistFile: relative(plistFile),
+                entitlements: entitlementsFile && read(entitlementsFile),
+                entitlementsFile: entitlementsFile && relative(entitlementsFile)
+            }));
+        }
+    }
 
-            // Extract version
-            const versionMatch = content.match(/<key>CFBundleShortVersionString<\/key>\s*\n*\s*<string>([^<]+)<\/string>/);
-            if (versionMatch) {
-                info.version = versionMatch[1];
-            }
+    // The app target (or the first plist) keeps the top-level summary fields
+    const main = info.targets.find(target => target.type === 'application') || info.targets[0];
+    if (main) {
+        Object.assign(info, {
+            bundleId: main.bundleId,
+            version: main.version,
+            buildNumber: main.buildNumber,
+            deploymentTarget: main.deploymentTarget,
+            permissions: main.permissions,
+            urlSchemes: main.urlSchemes,
+            entitlements: main.entitlements
+        });
+    }
 
-            // Extract build number
-            const buildMatch = content.match(/<key>CFBundleVersion<\/key>\s*\n*\s*<string>([^<]+)<\/string>/);
-            if (buildMatch) {
-                info.buildNumber = buildMatch[1];
-            }
+    info.lastRead = getTimestamp();
+    return info;
+}
 
-            // Extract deployment target
-            const platformMatch = content.match(/<key>IPHONEOS_DEPLOYMENT_TARGET<\/key>\s*\n*\s*<string>([^<]+)<\/string>/);
-            if (platformMatch) {
-                info.deploymentTarget = platformMatch[1];
-            }
+// Watch mode: with IOS_MEMORY_WATCH=true the server re-extracts the memory types
+// affected by source changes and notifies clients subscribed to their resources
+
+// Memory types that depend on a changed file, by project-relative path
+function typesForChange(relativePath) {
+    const name = path.basename(relativePath);
+    if (name === 'project.pbxproj') return ['xcode-project', 'ios-dependencies', 'info-plist'];
+    if (name.endsWith('.xcscheme')) return ['xcode-project', 'ios-schemes'];
+    if (['Package.swift', 'Package.resolved', 'Podfile', 'Podfile.lock'].includes(name)) return ['ios-dependencies'];
+    if (name.endsWith('Info.plist') || name.endsWith('.entitlements')) return ['info-plist'];
+    if (name.endsWith('.xctestplan')) return ['ios-tests'];
+    // Reports under build/ are not watched; they are read on the next refresh
+    if (isTestReportFile(name, path.dirname(relativePath).split(/[\\/]/).some(dir => TEST_REPORT_DIRS.has(dir)))) return ['ios-tests'];
+    if (name.endsWith('.swift')) return ['swiftui-views'];
+    return [];
+}
 
-            // Extract permissions
-            const permissions = [];
-            const permissionMatches = content.matchAll(/<key>NS[^<]*Permission[^<]*<\/key>\s*\n*\s*<(?:true|string)>/g);
-            for (const match of permissionMatches) {
-                const permissionName = match[0].match(/NS(.*?)Permission/)?.[1];
-                if (permissionName) {
-                    permissions.push(permissionName);
-                }
+// MCP prompts: project briefings assembled from stored memory and trimmed to a token budget,
+// so an agent starts from what is already known instead of re-reading the project
+const DEFAULT_PROMPT_TOKENS = 2000;
+const HIGH_CONFIDENCE = 0.7;
+const INSTINCTS_FILE = path.join('instincts', 'mobile-instincts.json');
+
+const PROMPTS = [
+    {
+        name: 'onboard-me',
+        description: 'Project tour: targets, views, dependencies and app configuration',
+        arguments: [
+            { name: 'maxTokens', description: `Token budget for the prompt (default ${DEFAULT_PROMPT_TOKENS})`, required: false }
+        ]
+    },
+    {
+        name: 'plan-feature',
+        description: 'Where the views and view models for a new feature should live, based on existing feature folders',
+        arguments: [
+            { name: 'feature', description: 'Feature to plan, e.g. "order history"', required: true },
+            { name: 'maxTokens', description: `Token budget for the prompt (default ${DEFAULT_PROMPT_TOKENS})`, required: false }
+        ]
+    },
+    {
+        name: 'review-context',
+        description: 'Project conventions and high-confidence instincts for code review',
+        arguments: [
+            { name: 'maxTokens', description: `Token budget for the prompt (default ${DEFAULT_PROMPT_TOKENS})`, required: false }
+        ]
+    }
+];
+
+// Rough token count (about four characters per token), enough for budgeting
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Render sections in priority order. Items that no longer fit are summarized as
+// "… N more" and later sections are skipped once the budget is spent.
+function fitToBudget(title, sections, maxTokens) {
+    const lines = [`# ${title}`];
+    const trailerTokens = estimateTokens('- … 999 more\n');
+    let used = estimateTokens(`${lines[0]}\n`);
+
+    for (const { heading, items } of sections) {
+        if (!items || items.length === 0) continue;
+        const headingLine = `\n## ${heading}`;
+        if (used + estimateTokens(`${headingLine}\n`) + trailerTokens > maxTokens) break;
+        lines.push(headingLine);
+        used += estimateTokens(`${headingLine}\n`);
+
+        for (let i = 0; i < items.length; i++) {
+            const line = `- ${items[i]}`;
+            const cost = estimateTokens(`${line}\n`);
+            if (used + cost + (i < items.length - 1 ? trailerTokens : 0) > maxTokens) {
+                lines.push(`- … ${items.length - i} more`);
+                used += trailerTokens;
+                break;
             }
-            info.permissions = permissions;
+            lines.push(line);
+            used += cost;
+        }
+    }
+    return lines.join('\n');
+}
 
-            // Extract URL schemes
-            const urlMatches = content.matchAll(/<key>CFBundleURLSchemes<\/key>[\s\S]*?<array>[\s\S]*?<\/array>/g);
-            if (urlMatches) {
-                const schemes = [];
-                const schemeMatches = urlMatches[0].matchAll(/<string>([^<]+)<\/string>/g);
-                for (const match of schemeMatches) {
-                    schemes.push(match[1]);
-                }
-                info.urlSchemes = schemes;
-            }
+const parsePromptBudget = (value) => {
+    if (value === undefined || value === null || value === '') return DEFAULT_PROMPT_TOKENS;
+    const tokens = Number(value);
+    if (!Number.isInteger(tokens) || tokens < 100) {
+        throw new Error(`Invalid maxTokens: ${value} (expected an integer of at least 100)`);
+    }
+    return tokens;
+};
 
-            info.lastRead = getTimestamp();
-            break;
+// Instincts from the project (.claude/instincts) and the user (~/.claude/instincts);
+// the project copy wins for the same id
+function loadInstincts(projectRoot = process.cwd()) {
+    const byId = new Map();
+    for (const file of [path.join(os.homedir(), '.claude', INSTINCTS_FILE), path.join(projectRoot, '.claude', INSTINCTS_FILE)]) {
+        const data = readJson(file);
+        for (const instinct of (data && data.instincts) || []) {
+            byId.set(instinct.id, instinct);
         }
     }
+    return Array.from(byId.values());
+}
 
-    return info;
+const formatInstincts = (instincts) => instincts
+    .filter(instinct => instinct.confidence >= HIGH_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)
+    .map(instinct => `${instinct.description || instinct.id} (${instinct.context || instinct.type || 'general'}, confidence ${instinct.confidence.toFixed(1)})`);
+
+// Entries stored either as names or as objects with a name (xcode-project targets)
+const entryNames = (entries = []) => entries.map(entry => (typeof entry === 'string' ? entry : entry.name));
+
+const countBy = (entries, key) => entries.reduce((counts, entry) => {
+    counts[entry[key]] = (counts[entry[key]] || 0) + 1;
+    return counts;
+}, {});
+
+function readPromptMemory() {
+    const memory = {};
+    for (const type of Object.keys(MEMORY_SCHEMAS)) {
+        memory[type] = readJson(getMemoryPath(type));
+    }
+    return memory;
+}
+
+const missingMemoryNote = (memory, types) => {
+    const missing = types.filter(type => !memory[type]);
+    return missing.length > 0 ? [`Not stored yet: ${missing.join(', ')} (run ios-refresh)`] : [];
+};
+
+// Folders that group views by feature: the directory under a Features/Modules/Scenes
+// folder, otherwise the directory holding the view file
+function featureFolders(views) {
+    const folders = new Map();
+    for (const view of views) {
+        const segments = path.dirname(view.file).split(/[\\/]/);
+        const container = segments.findIndex(segment => /^(features?|modules|scenes|screens)$/i.test(segment));
+        const folder = container !== -1 && segments.length > container + 1
+            ? segments.slice(0, container + 2).join('/')
+            : segments.join('/');
+        if (!folders.has(folder)) folders.set(folder, { folder, container: container !== -1 ? segments.slice(0, container + 1).join('/') : null, views: [] });
+        folders.get(folder).views.push(view.name);
+    }
+    return Array.from(folders.values());
+}
+
+function describeStack(memory) {
+    const deps = memory['ios-dependencies'] || {};
+    const plist = memory['info-plist'] || {};
+    const views = (memory['swiftui-views'] || {}).views || [];
+    const items = [];
+    if (views.length > 0) items.push(`UI: SwiftUI (${views.length} views, ${views.filter(v => v.hasPreview).length} with previews)`);
+    const managers = [
+        (deps.spmPackages || []).length > 0 && 'Swift Package Manager',
+        (deps.cocoaPods || []).length > 0 && 'CocoaPods'
+    ].filter(Boolean);
+    if (managers.length > 0) items.push(`Dependencies: ${managers.join(' and ')}`);
+    if (plist.deploymentTarget) items.push(`Deployment target: iOS ${plist.deploymentTarget}`);
+    if (plist.bundleId) items.push(`Bundle id: ${plist.bundleId}`);
+    return items;
+}
+
+// Scheme names exactly as xcodebuild -scheme expects them, with what each runs and tests
+function describeSchemes(memory) {
+    const runConfigurations = (memory['ios-schemes'] || {}).runConfigurations;
+    if (!runConfigurations) {
+        return entryNames((memory['xcode-project'] || {}).schemes).map(scheme => `Scheme: ${scheme}`);
+    }
+    return runConfigurations.map(config => {
+        const details = [
+            config.runnable && `runs ${config.runnable}${config.buildConfiguration ? ` (${config.buildConfiguration})` : ''}`,
+            config.testPlan ? `tests ${config.testPlan}` : config.testTargets.length > 0 && `tests ${config.testTargets.join(', ')}`
+        ].filter(Boolean);
+        return `Scheme: ${config.scheme}${details.length > 0 ? ` - ${details.join('; ')}` : ''}`;
+    });
+}
+
+function buildOnboardPrompt(memory) {
+    const project = memory['xcode-project'] || {};
+    const deps = memory['ios-dependencies'] || {};
+    const plist = memory['info-plist'] || {};
+    const tests = memory['ios-tests'] || {};
+    const views = (memory['swiftui-views'] || {}).views || [];
+
+    return [
+        { heading: 'Stack', items: [...describeStack(memory), ...missingMemoryNote(memory, ['xcode-project', 'swiftui-views', 'ios-dependencies'])] },
+        {
+            heading: 'Project',
+            items: [
+                project.workspace && `Open ${project.workspace}`,
+                ...entryNames(project.targets).map(target => `Target: ${target}`),
+                ...describeSchemes(memory)
+            ].filter(Boolean)
+        },
+        { heading: 'Feature folders', items: featureFolders(views).map(({ folder, views: names }) => `${folder}: ${names.join(', ')}`) },
+        {
+            heading: 'Dependencies',
+            items: [
+                ...(deps.spmPackages || []).map(p => `SPM ${p.name || p.url} ${p.version || ''}`.trim()),
+                ...(deps.cocoaPods || []).map(p => `Pod ${p.name}${p.version ? ` ${p.version}` : ''}`)
+            ]
+        },
+        {
+            heading: 'Tests',
+            items: [
+                ...entryNames(tests.unitTestTargets).map(target => `Unit tests: ${target}`),
+                ...entryNames(tests.uiTestTargets).map(target => `UI tests: ${target}`)
+            ]
+        },
+        { heading: 'URL schemes', items: plist.urlSchemes || [] }
+    ];
+}
+
+function buildPlanFeaturePrompt(memory, feature) {
+    const project = memory['xcode-project'] || {};
+    const views = (memory['swiftui-views'] || {}).views || [];
+    const typeName = feature.trim().split(/[^A-Za-z0-9]+/).filter(Boolean)
+        .map(word => word[0].toUpperCase() + word.slice(1)).join('');
+
+    const folders = featureFolders(views);
+    const container = (folders.find(f => f.container) || {}).container;
+    const existing = folders.find(f => path.basename(f.folder).toLowerCase() === typeName.toLowerCase());
+    const placement = existing
+        ? [`A folder for this feature already exists: ${existing.folder} (${existing.views.join(', ')}) — extend it`]
+        : container
+            ? [`Create ${container}/${typeName}/ next to ${folders.filter(f => f.container === container).map(f => path.basename(f.folder)).join(', ')}`]
+            : [`No feature folders yet; views live in ${folders.map(f => f.folder).join(', ') || 'the app target'}`];
+
+    // Name new types the way existing views and their state holders are named
+    const observed = views.flatMap(view => (view.stateProperties || [])
+        .filter(p => p.kind === 'ObservedObject' || p.kind === 'StateObject')
+        .map(p => p.type));
+    const naming = [
+        `${typeName}View.swift with struct ${typeName}View: View${views.some(v => v.hasPreview) ? ' and a #Preview' : ''}`,
+        ...(observed.length > 0 ? [`${typeName}ViewModel for state, as existing views use ${[...new Set(observed)].slice(0, 3).join(', ')}`] : [])
+    ];
+
+    return [
+        { heading: 'Placement', items: [...placement, ...missingMemoryNote(memory, ['swiftui-views', 'xcode-project'])] },
+        { heading: 'Files to add', items: naming },
+        { heading: 'Targets', items: entryNames(project.targets) },
+        { heading: 'Stack', items: describeStack(memory) }
+    ];
+}
+
+function buildReviewPrompt(memory, instincts) {
+    const views = (memory['swiftui-views'] || {}).views || [];
+    const plist = memory['info-plist'] || {};
+    const tests = memory['ios-tests'] || {};
+
+    const stateKinds = countBy(views.flatMap(view => view.stateProperties || []), 'kind');
+    const conventions = [
+        ...describeStack(memory),
+        ...Object.entries(stateKinds).map(([kind, n]) => `${n} @${kind} properties across views`),
+        ...missingMemoryNote(memory, ['swiftui-views', 'ios-dependencies'])
+    ];
+
+    return [
+        { heading: 'Conventions', items: conventions },
+        { heading: 'High-confidence instincts', items: formatInstincts(instincts) },
+        {
+            heading: 'Known issues',
+            items: [
+                ...views.filter(view => !view.hasPreview).map(view => `${view.name} has no #Preview (${view.file})`),
+                ...((memory['ios-dependencies'] || {}).drift || []).map(drift => `Dependency drift: ${drift.name} ${drift.message}`),
+                ...(tests.failingTests || []).map(test => (typeof test === 'string'
+                    ? `Failing test: ${test}`
+                    : `Failing test: ${test.name}${test.location ? ` (${test.location})` : ''}${test.message ? `: ${test.message}` : ''}`)),
+                ...(plist.permissions || []).map(permission => `Uses permission: ${typeof permission === 'string' ? permission : permission.key}`)
+            ]
+        }
+    ];
+}
+
+// Render a prompt for prompts/get
+function buildPrompt(name, args = {}) {
+    const prompt = PROMPTS.find(p => p.name === name);
+    if (!prompt) {
+        throw new Error(`Unknown prompt: ${name}`);
+    }
+    const maxTokens = parsePromptBudget(args.maxTokens);
+    const memory = readPromptMemory();
+
+    let title;
+    let intro;
+    let sections;
+    switch (name) {
+        case 'onboard-me':
+            title = 'Project onboarding';
+            intro = 'Walk me through this iOS project using the context below. Point out where to start reading.';
+            sections = buildOnboardPrompt(memory);
+            break;
+        case 'plan-feature':
+            if (!args.feature) {
+                throw new Error('plan-feature requires a feature argument');
+            }
+            title = `Feature plan: ${args.feature}`;
+            intro = `Plan the feature "${args.feature}": which folders, views and types to add, following the structure below.`;
+            sections = buildPlanFeaturePrompt(memory, args.feature);
+            break;
+        case 'review-context':
+            title = 'Review context';
+            intro = 'Review the change against these project conventions and learned instincts.';
+            sections = buildReviewPrompt(memory, loadInstincts());
+            break;
+    }
+
+    const text = `${intro}\n\n${fitToBudget(title, sections, maxTokens - estimateTokens(`${intro}\n\n`))}`;
+    return {
+        description: prompt.description,
+        messages: [{ role: 'user', content: { type: 'text', text } }]
+    };
 }
 
 // MCP Server implementation
 class IOSMemoryServer {
     constructor() {
+        const { MCPServer } = loadSdk();
         this.server = new MCPServer(
             {
                 name: 'ios-memory',
@@ -481,13 +2447,16 @@ class IOSMemoryServer {
             },
             {
                 capabilities: {
-                    resources: {},
+                    resources: { subscribe: true },
                     tools: {},
                     prompts: {}
                 }
             }
         );
 
+        // Resource URIs the client asked to be notified about
+        this.subscriptions = new Set();
+        this.watcher = null;
         this.setupHandlers();
     }
 
@@ -508,7 +2477,7 @@ class IOSMemoryServer {
             const uri = request.params.uri;
             const type = uri.replace('ios-memory://', '');
 
-            if (!MEMORY_SCHEMAS[type]) {
+            if (!Object.hasOwn(MEMORY_SCHEMAS, type)) {
                 throw new Error(`Unknown memory type: ${type}`);
             }
 
@@ -528,6 +2497,25 @@ class IOSMemoryServer {
             };
         });
 
+        // Resource subscriptions, answered with notifications/resources/updated in watch mode
+        this.server.setRequestHandler('resources/subscribe', async (request) => {
+            this.subscriptions.add(request.params.uri);
+            return {};
+        });
+
+        this.server.setRequestHandler('resources/unsubscribe', async (request) => {
+            this.subscriptions.delete(request.params.uri);
+            return {};
+        });
+
+        // Prompts built from stored memory
+        this.server.setRequestHandler('prompts/list', async () => ({ prompts: PROMPTS }));
+
+        this.server.setRequestHandler('prompts/get', async (request) => {
+            const { name, arguments: args } = request.params;
+            return buildPrompt(name, args);
+        });
+
         // List available tools
         this.server.setRequestHandler('tools/list', async () => {
             return {
@@ -603,6 +2591,11 @@ class IOSMemoryServer {
                                     type: 'array',
                                     items: { type: 'string' },
                                     description: 'Specific types to refresh (all if empty)'
+                                },
+                                force: {
+                                    type: 'boolean',
+                                    description: 'Re-extract every file instead of reusing cached results for unchanged files',
+                                    default: false
                                 }
                             }
                         }
@@ -622,20 +2615,20 @@ class IOSMemoryServer {
                     let data = args.data;
 
                     if (args.refresh) {
-                        data = await this.refreshMemoryType(type, projectRoot);
+                        const cache = new FileCache(getFileCachePath());
+                        data = await this.refreshMemoryType(type, projectRoot, cache);
+                        cache.save();
                     } else if (!data) {
                         data = MEMORY_SCHEMAS[type];
                     }
 
-                    const memoryPath = getMemoryPath(type);
-                    const existing = readJson(memoryPath) || {};
-                    const merged = { ...existing, ...data, lastUpdated: getTimestamp() };
-                    writeJson(memoryPath, merged);
+                    updateMemory(type, existing => ({ ...existing, ...data, lastUpdated: getTimestamp() }));
+                    const limits = formatLimitsReport(enforceMemoryLimits({ keep: [type], evict: true }));
 
                     return {
                         content: [{
                             type: 'text',
-                            text: `Saved iOS ${type} memory`
+                            text: [`Saved iOS ${type} memory`, ...limits].join('\n')
                         }]
                     };
                 }
@@ -643,11 +2636,16 @@ class IOSMemoryServer {
                 case 'ios-load': {
                     const type = args.type;
                     const memoryPath = getMemoryPath(type);
+                    // Expired memory is dropped here and rebuilt below
+                    enforceMemoryLimits({ types: [type] });
                     let data = readJson(memoryPath);
 
                     if (!data) {
-                        data = await this.refreshMemoryType(type, projectRoot);
-                        writeJson(memoryPath, data);
+                        const cache = new FileCache(getFileCachePath());
+                        const refreshed = await this.refreshMemoryType(type, projectRoot, cache);
+                        cache.save();
+                        // Another client may have stored it in the meantime
+                        data = updateMemory(type, current => current || refreshed);
                     }
 
                     return {
@@ -690,13 +2688,16 @@ class IOSMemoryServer {
                         if (data) {
                             summary[type] = {
                                 exists: true,
-                                lastUpdated: data.lastUpdated || data.lastSync || data.lastAnalyzed || data.lastIndexed || data.lastRead,
-                                size: JSON.stringify(data).length
+                                lastUpdated: getDocumentTimestamp(data),
+                                size: JSON.stringify(data).length,
+                                retention: MEMORY_RETENTION[type]
                             };
                         } else {
-                            summary[type] = { exists: false };
+                            summary[type] = { exists: false, retention: MEMORY_RETENTION[type] };
                         }
                     }
+                    summary.storage = { bytes: getDirectorySize(getMemoryDir()), limit: MAX_SIZE };
+                    summary.cache = new FileCache(getFileCachePath()).summary();
 
                     return {
                         content: [{
@@ -709,15 +2710,23 @@ class IOSMemoryServer {
                 case 'ios-refresh': {
                     const types = args.types || Object.keys(MEMORY_SCHEMAS);
                     const results = {};
+                    // Unchanged source files reuse their cached extraction results unless forced
+                    const cache = new FileCache(getFileCachePath(), { force: args.force });
 
                     for (const type of types) {
-                        if (MEMORY_SCHEMAS[type]) {
-                            const data = await this.refreshMemoryType(type, projectRoot);
-                            const memoryPath = getMemoryPath(type);
-                            writeJson(memoryPath, data);
+                        if (Object.hasOwn(MEMORY_SCHEMAS, type)) {
+                            const data = await this.refreshMemoryType(type, projectRoot, cache);
+                            storeMemory(type, data);
                             results[type] = 'refreshed';
                         }
                     }
+                    cache.save();
+                    results.cache = cache.stats;
+
+                    const limits = formatLimitsReport(enforceMemoryLimits({ keep: types, evict: true }));
+                    if (limits.length > 0) {
+                        results.limits = limits;
+                    }
 
                     return {
                         content: [{
@@ -733,32 +2742,79 @@ class IOSMemoryServer {
         });
     }
 
-    async refreshMemoryType(type, projectRoot) {
+    async refreshMemoryType(type, projectRoot, cache = new FileCache()) {
         if (!isIOSProject(projectRoot)) {
             return { error: 'Not an iOS project', projectRoot };
         }
 
         switch (type) {
             case 'xcode-project':
-                return extractXcodeProject(projectRoot);
+                return extractXcodeProject(projectRoot, cache);
             case 'swiftui-views':
-                return extractSwiftUIViews(projectRoot);
+                return extractSwiftUIViews(projectRoot, cache);
             case 'ios-dependencies':
-                return extractIOSDependencies(projectRoot);
+                return extractIOSDependencies(projectRoot, cache);
+            case 'ios-schemes':
+                return extractIOSSchemes(projectRoot, cache);
+            case 'ios-tests':
+                return extractIOSTests(projectRoot, cache);
             case 'info-plist':
-                return extractInfoPlist(projectRoot);
+                return extractInfoPlist(projectRoot, cache);
             default:
                 return { ...MEMORY_SCHEMAS[type], lastUpdated: getTimestamp() };
         }
     }
 
+    // Re-extract the types touched by watched changes; subscribers hear about the ones whose content changed
+    async refreshChangedTypes(types, projectRoot) {
+        const cache = new FileCache(getFileCachePath());
+        const changed = [];
+
+        for (const type of types) {
+            const data = await this.refreshMemoryType(type, projectRoot, cache);
+            if (data.error) continue;
+            updateMemory(type, current => {
+                if (sameContent(current, data)) return current;
+                changed.push(type);
+                return data;
+            });
+        }
+        cache.save();
+
+        for (const type of changed) {
+            const uri = `ios-memory://${type}`;
+            if (this.subscriptions.has(uri)) {
+                await this.server.notification({ method: 'notifications/resources/updated', params: { uri } });
+            }
+        }
+        return changed;
+    }
+
     async start() {
+        const { StdioServerTransport } = loadSdk();
         const transport = new StdioServerTransport();
         await this.server.connect(transport);
 
         // Initialize memory directory
         ensureMemoryDir();
 
+        try {
+            const limits = formatLimitsReport(enforceMemoryLimits());
+            limits.forEach(line => console.error(line));
+        } catch (error) {
+            console.error(`Memory limits not enforced: ${error.message}`);
+        }
+
+        if (WATCH) {
+            const projectRoot = process.cwd();
+            this.watcher = new MemoryWatcher(projectRoot, {
+                typesFor: typesForChange,
+                debounce: WATCH_DEBOUNCE,
+                onChange: types => this.refreshChangedTypes(types, projectRoot)
+            }).start();
+            console.error(`Watching ${projectRoot} for changes`);
+        }
+
         console.error('iOS Memory MCP Server running');
     }
 }
@@ -774,11 +2830,32 @@ module.exports = {
     // Exported for testing
     isIOSProject,
     findXcodeProject,
+    parsePbxproj,
+    readXcodeProject,
+    expandBuildSetting,
     extractXcodeProject,
     extractSwiftUIViews,
     extractIOSDependencies,
+    parsePackageSwift,
+    parsePackageResolved,
+    parsePodfile,
+    parsePodfileLock,
+    findSchemeFiles,
+    parseXcscheme,
+    extractIOSSchemes,
+    parseXcodeJUnit,
+    parseTestReportJson,
+    parseTestPlan,
+    extractIOSTests,
+    parsePlist,
     extractInfoPlist,
     extractStateProperties,
+    enforceMemoryLimits,
+    FileCache,
+    PROMPTS,
+    buildPrompt,
+    typesForChange,
+    MemoryWatcher,
     readJson,
     writeJson,
     MEMORY_SCHEMAS,
@@ -8,15 +8,25 @@
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-
-// MCP Server SDK
-const MCPServer = require('@modelcontextprotocol/sdk/server/index.js').Server;
-const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { execSync } = require('child_process');
+const { readJsonFile, writeJsonFile, updateJsonFile } = require('../../scripts/lib/storage');
+const { FileCache } = require('../../scripts/lib/file-cache');
+const { sameContent, MemoryWatcher } = require('../../scripts/lib/watcher');
+
+// MCP Server SDK. Resolved on first use so the extractors below can be
+// required without the server's node_modules.
+const loadSdk = () => ({
+    MCPServer: require('@modelcontextprotocol/sdk/server/index.js').Server,
+    StdioServerTransport: require('@modelcontextprotocol/sdk/server/stdio.js').StdioServerTransport
+});
 
 // Configuration
 const CONTEXT_DIR = process.env.KMP_CONTEXT_DIR || '.claude/kmp-context';
 const AUTO_DETECT = process.env.KMP_AUTO_DETECT === 'true';
+const WATCH = process.env.KMP_CONTEXT_WATCH === 'true';
+const WATCH_DEBOUNCE = Number(process.env.KMP_CONTEXT_WATCH_DEBOUNCE) || 500;
 
 // Context storage paths
 const getContextDir = () => path.join(process.cwd(), CONTEXT_DIR);
@@ -29,22 +39,17 @@ const ensureContextDir = () => {
 };
 
 const getContextPath = (type) => path.join(ensureContextDir(), `${type}.json`);
+const getFileCachePath = () => path.join(ensureContextDir(), 'cache', 'files.json');
 
-// Utility functions
-const readJson = (filePath) => {
-    try {
-        if (fs.existsSync(filePath)) {
-            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        }
-    } catch (error) {
-        // Return null on error
-    }
-    return null;
-};
+// Utility functions. JSON stores are shared with the hooks and other servers, so writes
+// are atomic, read-modify-write cycles lock, and corrupt files are restored from backup.
+const readJson = (filePath) => readJsonFile(filePath);
+const writeJson = (filePath, data) => writeJsonFile(filePath, data);
 
-const writeJson = (filePath, data) => {
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
-};
+// Context documents are read-modified-written under their lock and keep the previous version
+// as <type>.json.bak, which a corrupt document is restored from. update receives the stored
+// document (null when there is none) and returns the new one.
+const updateContext = (type, update) => updateJsonFile(getContextPath(type), update, { fallback: null });
 
 const getTimestamp = () => new Date().toISOString();
 
@@ -309,8 +314,8 @@ function extractPackages(sourceSetPath) {
 }
 
 // Extract expect/actual declarations
-function extractExpectActual(projectRoot) {
-    const declarations = { ...CONTEXT_SCHEMAS['expect-actual'] };
+function extractExpectActual(projectRoot, cache = new FileCache()) {
+    const declarations = structuredClone(CONTEXT_SCHEMAS['expect-actual']);
 
     const sharedPath = modules.sharedModule.path || findModulePath(projectRoot);
     if (!sharedPath) {
@@ -323,46 +328,49 @@ function extractExpectActual(projectRoot) {
     }
 
     // Find all .kt files in commonMain
-    function findExpectDeclarations(dir) {
-        if (!fs.existsSync(dir)) return;
-
-        const entries = fs.readdirSync(dir, { withFileTypes: true });
-        for (const entry of entries) {
-            const fullPath = path.join(dir, entry.name);
-
-            if (entry.isDirectory() && !entry.name.startsWith('.')) {
-                findExpectDeclarations(fullPath);
-            } else if (entry.name.endsWith('.kt')) {
-                const content = fs.readFileSync(fullPath, 'utf8');
-
-                // Find expect declarations
-                const expectMatches = content.matchAll(/expect\s+(class|object|fun|val|var)\s+(\w+)/g);
-                for (const match of expectMatches) {
-                    const kind = match[1];
-                    const name = match[2];
-
-                    declarations.declarations.push({
-                        name,
-                        kind,
-                        expectLocation: {
-                            file: path.relative(projectRoot, fullPath),
-                            sourceSet: 'commonMain'
-                        },
-                        actualImplementations: findActualImplementations(sharedPath, name),
-                        signature: extractExpectSignature(content, name, kind)
-                    });
-                }
-            }
+    for (const file of findKotlinFiles(commonMain)) {
+        for (const { kind, name, signature } of cache.get(file, 'expect-declarations', scanExpectDeclarations)) {
+            declarations.declarations.push({
+                name,
+                kind,
+                expectLocation: {
+                    file: path.relative(projectRoot, file),
+                    sourceSet: 'commonMain'
+                },
+                actualImplementations: findActualImplementations(sharedPath, name, cache),
+                signature
+            });
         }
     }
 
-    findExpectDeclarations(commonMain);
-
     declarations.lastScanned = getTimestamp();
     return declarations;
 }
 
-function findActualImplementations(sharedPath, expectName) {
+// Recursively collect .kt files, skipping hidden directories
+function findKotlinFiles(dir) {
+    const files = [];
+    if (!fs.existsSync(dir)) return files;
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory() && !entry.name.startsWith('.')) {
+            files.push(...findKotlinFiles(fullPath));
+        } else if (entry.name.endsWith('.kt')) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+// Expect declarations in one commonMain source
+const scanExpectDeclarations = (content) => Array.from(content.matchAll(/expect\s+(class|object|fun|val|var)\s+(\w+)/g))
+    .map(match => ({ kind: match[1], name: match[2], signature: extractExpectSignature(content, match[2], match[1]) }));
+
+// Words following `actual` in one platform source
+const scanActualNames = (content) => Array.from(content.matchAll(/actual\s+(\w+)/g), match => match[1]);
+
+function findActualImplementations(sharedPath, expectName, cache = new FileCache()) {
     const implementations = [];
     const platforms = ['android', 'ios', 'desktop', 'web'];
 
@@ -377,36 +385,16 @@ function findActualImplementations(sharedPath, expectName) {
         }
 
         // Search for actual declaration
-        function findActualInDir(dir) {
-            if (!fs.existsSync(dir)) return null;
-
-            const entries = fs.readdirSync(dir, { withFileTypes: true });
-            for (const entry of entries) {
-                if (entry.isDirectory() && !entry.name.startsWith('.')) {
-                    const result = findActualInDir(path.join(dir, entry.name));
-                    if (result) return result;
-                } else if (entry.name.endsWith('.kt')) {
-                    const content = fs.readFileSync(path.join(dir, entry.name), 'utf8');
-
-                    // Check for actual declaration
-                    const actualPattern = new RegExp(`actual\\s+${expectName}\\b`);
-                    if (actualPattern.test(content)) {
-                        return {
-                            platform,
-                            location: {
-                                file: path.join(dir, entry.name),
-                                sourceSet: `${platform}Main`
-                            }
-                        };
-                    }
+        const file = findKotlinFiles(platformMain)
+            .find(candidate => cache.get(candidate, 'actual-names', scanActualNames).includes(expectName));
+        if (file) {
+            implementations.push({
+                platform,
+                location: {
+                    file,
+                    sourceSet: `${platform}Main`
                 }
-            }
-            return null;
-        }
-
-        const actual = findActualInDir(platformMain);
-        if (actual) {
-            implementations.push(actual);
+            });
         }
     }
 
@@ -546,12 +534,476 @@ function detectPlatformTargets(projectRoot) {
     return targets;
 }
 
+// Context bundles: every context type plus project metadata, for handing context
+// to another machine with kmp-export / kmp-import
+const BUNDLE_FORMAT = 'kmp-context-bundle';
+const BUNDLE_VERSION = 1;
+const CONTEXT_SCHEMA_VERSION = 1;
+const MERGE_STRATEGIES = ['replace', 'merge-arrays', 'keep-newer'];
+const MAX_DIFF_CHANGES = 50;
+
+const getContextTimestamp = (data) => data.lastUpdated || data.lastAnalyzed || data.lastIndexed ||
+    data.lastScanned || data.lastCatalogued || data.lastDetected || null;
+
+// Keys that identify array entries, so merge-arrays updates entries instead of duplicating them
+const ENTRY_IDENTITY_KEYS = ['name', 'id', 'route', 'path', 'alias', 'file'];
+
+const runGit = (projectRoot, args) => {
+    try {
+        return execSync(`git ${args}`, { cwd: projectRoot, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch {
+        return null;
+    }
+};
+
+// Project name from settings.gradle(.kts), falling back to the directory name
+function getProjectInfo(projectRoot) {
+    let name = path.basename(path.resolve(projectRoot));
+    for (const settingsFile of ['settings.gradle.kts', 'settings.gradle']) {
+        const settingsPath = path.join(projectRoot, settingsFile);
+        if (!fs.existsSync(settingsPath)) continue;
+        const match = fs.readFileSync(settingsPath, 'utf8').match(/rootProject\.name\s*=\s*["']([^"']+)["']/);
+        if (match) name = match[1];
+        break;
+    }
+
+    return {
+        name,
+        gitCommit: runGit(projectRoot, 'rev-parse HEAD'),
+        gitBranch: runGit(projectRoot, 'rev-parse --abbrev-ref HEAD')
+    };
+}
+
+function createContextBundle(projectRoot, types = Object.keys(CONTEXT_SCHEMAS)) {
+    const context = {};
+    for (const type of types) {
+        const data = readJson(getContextPath(type));
+        if (data) context[type] = data;
+    }
+
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        schemaVersion: CONTEXT_SCHEMA_VERSION,
+        project: getProjectInfo(projectRoot),
+        exportedAt: getTimestamp(),
+        context
+    };
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const getEntryIdentity = (entry) => {
+    if (!isPlainObject(entry)) return null;
+    const key = ENTRY_IDENTITY_KEYS.find(k => typeof entry[k] === 'string');
+    return key ? `${key}:${entry[key]}` : null;
+};
+
+// Deep merge where incoming scalars win, objects merge key by key and arrays are
+// unioned: entries with the same identity are merged, other new entries appended
+function mergeArraysDeep(local, incoming) {
+    if (Array.isArray(local) && Array.isArray(incoming)) {
+        const merged = [...local];
+        for (const entry of incoming) {
+            const identity = getEntryIdentity(entry);
+            const index = identity
+                ? merged.findIndex(existing => getEntryIdentity(existing) === identity)
+                : merged.findIndex(existing => JSON.stringify(existing) === JSON.stringify(entry));
+            if (index === -1) {
+                merged.push(entry);
+            } else {
+                merged[index] = mergeArraysDeep(merged[index], entry);
+            }
+        }
+        return merged;
+    }
+    if (isPlainObject(local) && isPlainObject(incoming)) {
+        const merged = { ...local };
+        for (const [key, value] of Object.entries(incoming)) {
+            // An own __proto__ key from JSON.parse would replace the merged object's prototype
+            if (key === '__proto__') continue;
+            merged[key] = Object.hasOwn(local, key) ? mergeArraysDeep(local[key], value) : value;
+        }
+        return merged;
+    }
+    return incoming;
+}
+
+// Resolve one context type; returns the document to keep
+function mergeContext(local, incoming, strategy) {
+    if (!local) return incoming;
+    switch (strategy) {
+        case 'replace':
+            return incoming;
+        case 'merge-arrays':
+            return mergeArraysDeep(local, incoming);
+        case 'keep-newer': {
+            const localTime = Date.parse(getContextTimestamp(local)) || 0;
+            const incomingTime = Date.parse(getContextTimestamp(incoming)) || 0;
+            return incomingTime > localTime ? incoming : local;
+        }
+        default:
+            throw new Error(`Unknown merge strategy: ${strategy} (expected ${MERGE_STRATEGIES.join(', ')})`);
+    }
+}
+
+// List the JSON paths that differ between two documents
+function diffJson(before, after, nodePath = '$', changes = []) {
+    if (JSON.stringify(before) === JSON.stringify(after)) return changes;
+
+    const bothArrays = Array.isArray(before) && Array.isArray(after);
+    if (bothArrays || (isPlainObject(before) && isPlainObject(after))) {
+        const keys = bothArrays
+            ? [...Array(Math.max(before.length, after.length)).keys()]
+            : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        for (const key of keys) {
+            const childPath = bothArrays ? `${nodePath}[${key}]` : `${nodePath}.${key}`;
+            if (!(key in before)) {
+                changes.push({ path: childPath, change: 'added', after: after[key] });
+            } else if (!(key in after)) {
+                changes.push({ path: childPath, change: 'removed', before: before[key] });
+            } else {
+                diffJson(before[key], after[key], childPath, changes);
+            }
+        }
+    } else {
+        changes.push({ path: nodePath, change: 'changed', before, after });
+    }
+    return changes;
+}
+
+// Import a bundle into the context directory. With dryRun nothing is written and
+// the report lists, per type, what would be created or updated and the changed paths.
+function importContextBundle(bundle, { strategy = 'merge-arrays', dryRun = false, types = null } = {}) {
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+        throw new Error(`Not a ${BUNDLE_FORMAT} file`);
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+        throw new Error(`Bundle version ${bundle.version} is newer than supported version ${BUNDLE_VERSION}`);
+    }
+    if (!MERGE_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown merge strategy: ${strategy} (expected ${MERGE_STRATEGIES.join(', ')})`);
+    }
+
+    const report = { dryRun, strategy, source: bundle.project, exportedAt: bundle.exportedAt, types: {}, warnings: [] };
+    if (bundle.schemaVersion !== CONTEXT_SCHEMA_VERSION) {
+        report.warnings.push(`Bundle schema version ${bundle.schemaVersion} differs from ${CONTEXT_SCHEMA_VERSION}`);
+    }
+
+    for (const [type, incoming] of Object.entries(bundle.context || {})) {
+        if (types && !types.includes(type)) continue;
+        if (!Object.hasOwn(CONTEXT_SCHEMAS, type)) {
+            report.warnings.push(`Skipped unknown context type: ${type}`);
+            continue;
+        }
+
+        // Merged under the document's lock so a concurrent refresh is not lost
+        const merge = (local) => {
+            const result = mergeContext(local, incoming, strategy);
+            const changes = local ? diffJson(local, result) : [];
+            const action = !local ? 'create' : changes.length > 0 ? 'update' : 'unchanged';
+
+            report.types[type] = {
+                action,
+                ...(local && {
+                    changes: changes.slice(0, MAX_DIFF_CHANGES),
+                    ...(changes.length > MAX_DIFF_CHANGES && { truncated: changes.length - MAX_DIFF_CHANGES })
+                })
+            };
+            return action === 'unchanged' ? local : result;
+        };
+        if (dryRun) {
+            merge(readJson(getContextPath(type)));
+        } else {
+            updateContext(type, merge);
+        }
+    }
+
+    return report;
+}
+
 // Global reference to modules (set during extraction)
 let modules = { sharedModule: {} };
 
+// Watch mode: with KMP_CONTEXT_WATCH=true the server re-extracts the context types
+// affected by source changes and notifies clients subscribed to their resources
+
+// Context types that depend on a changed file, by project-relative path
+function typesForChange(relativePath) {
+    const name = path.basename(relativePath);
+    if (/^settings\.gradle(\.kts)?$/.test(name)) return ['kmp-modules', 'source-sets'];
+    if (/^build\.gradle(\.kts)?$/.test(name)) return ['kmp-modules', 'source-sets', 'platform-targets'];
+    if (name === 'Info.plist') return ['platform-targets'];
+    if (name.endsWith('.kt')) return ['source-sets', 'expect-actual', 'shared-models'];
+    return [];
+}
+
+// MCP prompts: project briefings assembled from stored context and trimmed to a token budget,
+// so an agent starts from what is already known instead of re-reading the project
+const DEFAULT_PROMPT_TOKENS = 2000;
+const HIGH_CONFIDENCE = 0.7;
+const INSTINCTS_FILE = path.join('instincts', 'mobile-instincts.json');
+const PLATFORM_SOURCE_SETS = ['androidMain', 'iosMain', 'desktopMain'];
+
+const PROMPTS = [
+    {
+        name: 'onboard-me',
+        description: 'Project tour: shared module, targets, source sets and expect/actual declarations',
+        arguments: [
+            { name: 'maxTokens', description: `Token budget for the prompt (default ${DEFAULT_PROMPT_TOKENS})`, required: false }
+        ]
+    },
+    {
+        name: 'plan-feature',
+        description: 'Where shared and platform code for a new feature should live',
+        arguments: [
+            { name: 'feature', description: 'Feature to plan, e.g. "order history"', required: true },
+            { name: 'maxTokens', description: `Token budget for the prompt (default ${DEFAULT_PROMPT_TOKENS})`, required: false }
+        ]
+    },
+    {
+        name: 'review-context',
+        description: 'Multiplatform conventions and high-confidence instincts for code review',
+        arguments: [
+            { name: 'maxTokens', description: `Token budget for the prompt (default ${DEFAULT_PROMPT_TOKENS})`, required: false }
+        ]
+    }
+];
+
+// Rough token count (about four characters per token), enough for budgeting
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Render sections in priority order. Items that no longer fit are summarized as
+// "… N more" and later sections are skipped once the budget is spent.
+function fitToBudget(title, sections, maxTokens) {
+    const lines = [`# ${title}`];
+    const trailerTokens = estimateTokens('- … 999 more\n');
+    let used = estimateTokens(`${lines[0]}\n`);
+
+    for (const { heading, items } of sections) {
+        if (!items || items.length === 0) continue;
+        const headingLine = `\n## ${heading}`;
+        if (used + estimateTokens(`${headingLine}\n`) + trailerTokens > maxTokens) break;
+        lines.push(headingLine);
+        used += estimateTokens(`${headingLine}\n`);
+
+        for (let i = 0; i < items.length; i++) {
+            const line = `- ${items[i]}`;
+            const cost = estimateTokens(`${line}\n`);
+            if (used + cost + (i < items.length - 1 ? trailerTokens : 0) > maxTokens) {
+                lines.push(`- … ${items.length - i} more`);
+                used += trailerTokens;
+                break;
+            }
+            lines.push(line);
+            used += cost;
+        }
+    }
+    return lines.join('\n');
+}
+
+const parsePromptBudget = (value) => {
+    if (value === undefined || value === null || value === '') return DEFAULT_PROMPT_TOKENS;
+    const tokens = Number(value);
+    if (!Number.isInteger(tokens) || tokens < 100) {
+        throw new Error(`Invalid maxTokens: ${value} (expected an integer of at least 100)`);
+    }
+    return tokens;
+};
+
+// Instincts from the project (.claude/instincts) and the user (~/.claude/instincts);
+// the project copy wins for the same id
+function loadInstincts(projectRoot = process.cwd()) {
+    const byId = new Map();
+    for (const file of [path.join(os.homedir(), '.claude', INSTINCTS_FILE), path.join(projectRoot, '.claude', INSTINCTS_FILE)]) {
+        const data = readJson(file);
+        for (const instinct of (data && data.instincts) || []) {
+            byId.set(instinct.id, instinct);
+        }
+    }
+    return Array.from(byId.values());
+}
+
+const formatInstincts = (instincts) => instincts
+    .filter(instinct => instinct.confidence >= HIGH_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)
+    .map(instinct => `${instinct.description || instinct.id} (${instinct.context || instinct.type || 'general'}, confidence ${instinct.confidence.toFixed(1)})`);
+
+function readPromptContext() {
+    const context = {};
+    for (const type of Object.keys(CONTEXT_SCHEMAS)) {
+        context[type] = readJson(getContextPath(type));
+    }
+    return context;
+}
+
+const missingContextNote = (context, types) => {
+    const missing = types.filter(type => !context[type]);
+    return missing.length > 0 ? [`Not stored yet: ${missing.join(', ')} (run kmp-refresh)`] : [];
+};
+
+// Source sets that exist in the shared module, e.g. ['commonMain', 'androidMain', 'iosMain']
+const presentSourceSets = (context) => Object.entries(context['source-sets'] || {})
+    .filter(([, sourceSet]) => sourceSet && sourceSet.path)
+    .map(([name]) => name);
+
+// Longest package prefix shared by every commonMain package
+function basePackage(packages) {
+    if (packages.length === 0) return null;
+    const split = packages.map(p => p.split('.'));
+    const prefix = [];
+    for (let i = 0; split.every(parts => parts.length > i && parts[i] === split[0][i]); i++) {
+        prefix.push(split[0][i]);
+    }
+    return prefix.join('.') || null;
+}
+
+function describeStack(context) {
+    const modules = context['kmp-modules'] || {};
+    const targets = context['platform-targets'] || {};
+    const items = [];
+    if (modules.sharedModule && modules.sharedModule.name) items.push(`Shared module: ${modules.sharedModule.name}`);
+    if (modules.targets && modules.targets.length > 0) items.push(`Targets: ${modules.targets.join(', ')}`);
+    if (modules.hierarchicalStructure) items.push('Uses the hierarchical source set structure');
+    if (targets.android && targets.android.minSdk) {
+        items.push(`Android minSdk ${targets.android.minSdk}${targets.android.targetSdk ? `, targetSdk ${targets.android.targetSdk}` : ''}`);
+    }
+    if (targets.ios && targets.ios.deploymentTarget) items.push(`iOS deployment target ${targets.ios.deploymentTarget}`);
+    return items;
+}
+
+const formatExpectActual = (declaration) => {
+    const platforms = (declaration.actualImplementations || []).map(actual => actual.platform);
+    return `expect ${declaration.kind} ${declaration.name} → ${platforms.length > 0 ? platforms.join(', ') : 'no actuals'} (${declaration.expectLocation.file})`;
+};
+
+function buildOnboardPrompt(context) {
+    const sourceSets = context['source-sets'] || {};
+    const declarations = (context['expect-actual'] || {}).declarations || [];
+    const models = (context['shared-models'] || {}).models || [];
+
+    return [
+        { heading: 'Stack', items: [...describeStack(context), ...missingContextNote(context, ['kmp-modules', 'source-sets', 'expect-actual'])] },
+        {
+            heading: 'Source sets',
+            items: presentSourceSets(context).map(name => {
+                const { packages = [], dependencies = [] } = sourceSets[name];
+                return `${name}: ${packages.length} packages, ${dependencies.length} dependencies`;
+            })
+        },
+        { heading: 'Shared packages', items: (sourceSets.commonMain && sourceSets.commonMain.packages) || [] },
+        { heading: 'expect/actual', items: declarations.map(formatExpectActual) },
+        { heading: 'Shared models', items: models.map(model => `${model.name}${model.isSealed ? ' (sealed)' : ''} — ${model.file}`) }
+    ];
+}
+
+function buildPlanFeaturePrompt(context, feature) {
+    const sourceSets = context['source-sets'] || {};
+    const declarations = (context['expect-actual'] || {}).declarations || [];
+    const models = context['shared-models'] || {};
+    const packages = (sourceSets.commonMain && sourceSets.commonMain.packages) || [];
+
+    const segment = feature.trim().toLowerCase().replace(/[^a-z0-9]+/g, '');
+    const base = basePackage(packages);
+    const existing = packages.find(p => p.split('.').pop() === segment);
+    const placement = existing
+        ? [`A package for this feature already exists in commonMain: ${existing} — extend it`]
+        : [`Put shared logic in commonMain under ${base ? `${base}.${segment}` : segment}`];
+
+    const platforms = presentSourceSets(context).filter(name => PLATFORM_SOURCE_SETS.includes(name));
+    const example = declarations.find(d => (d.actualImplementations || []).length > 0);
+    const platformItems = platforms.length > 0
+        ? [
+            `Platform APIs: declare expect in commonMain and actual in ${platforms.join(', ')}`,
+            ...(example ? [`Follow ${formatExpectActual(example)}`] : [])
+        ]
+        : [];
+
+    const json = models.jsonConfig;
+    const modelItems = [
+        ...((models.serializers || []).length > 0 ? ['Mark shared models @Serializable, as existing models are'] : []),
+        ...(json ? [`Json configuration: ${Object.entries(json).map(([key, value]) => `${key}=${value}`).join(', ')}`] : [])
+    ];
+
+    return [
+        { heading: 'Placement', items: [...placement, ...missingContextNote(context, ['source-sets', 'expect-actual'])] },
+        { heading: 'Existing packages', items: packages },
+        { heading: 'Platform code', items: platformItems },
+        { heading: 'Models', items: modelItems },
+        { heading: 'Stack', items: describeStack(context) }
+    ];
+}
+
+function buildReviewPrompt(context, instincts) {
+    const declarations = (context['expect-actual'] || {}).declarations || [];
+    const platforms = presentSourceSets(context)
+        .filter(name => PLATFORM_SOURCE_SETS.includes(name))
+        .map(name => name.replace(/Main$/, ''));
+
+    const incomplete = declarations.flatMap(declaration => {
+        const implemented = (declaration.actualImplementations || []).map(actual => actual.platform);
+        const missing = platforms.filter(platform => !implemented.includes(platform));
+        return missing.length > 0 ? [`expect ${declaration.name} has no actual for ${missing.join(', ')}`] : [];
+    });
+
+    return [
+        {
+            heading: 'Conventions',
+            items: [
+                ...describeStack(context),
+                'Keep platform APIs out of commonMain; reach them through expect/actual',
+                ...missingContextNote(context, ['kmp-modules', 'expect-actual'])
+            ]
+        },
+        { heading: 'High-confidence instincts', items: formatInstincts(instincts) },
+        { heading: 'Known issues', items: incomplete }
+    ];
+}
+
+// Render a prompt for prompts/get
+function buildPrompt(name, args = {}) {
+    const prompt = PROMPTS.find(p => p.name === name);
+    if (!prompt) {
+        throw new Error(`Unknown prompt: ${name}`);
+    }
+    const maxTokens = parsePromptBudget(args.maxTokens);
+    const context = readPromptContext();
+
+    let title;
+    let intro;
+    let sections;
+    switch (name) {
+        case 'onboard-me':
+            title = 'Project onboarding';
+            intro = 'Walk me through this Kotlin Multiplatform project using the context below. Point out where to start reading.';
+            sections = buildOnboardPrompt(context);
+            break;
+        case 'plan-feature':
+            if (!args.feature) {
+                throw new Error('plan-feature requires a feature argument');
+            }
+            title = `Feature plan: ${args.feature}`;
+            intro = `Plan the feature "${args.feature}": what goes in commonMain, what needs platform code, following the structure below.`;
+            sections = buildPlanFeaturePrompt(context, args.feature);
+            break;
+        case 'review-context':
+            title = 'Review context';
+            intro = 'Review the change against these project conventions and learned instincts.';
+            sections = buildReviewPrompt(context, loadInstincts());
+            break;
+    }
+
+    const text = `${intro}\n\n${fitToBudget(title, sections, maxTokens - estimateTokens(`${intro}\n\n`))}`;
+    return {
+        description: prompt.description,
+        messages: [{ role: 'user', content: { type: 'text', text } }]
+    };
+}
+
 // MCP Server implementation
 class KMPContextServer {
     constructor() {
+        const { MCPServer } = loadSdk();
         this.server = new MCPServer(
             {
                 name: 'kmp-context',
@@ -559,13 +1011,16 @@ class KMPContextServer {
             },
             {
                 capabilities: {
-                    resources: {},
+                    resources: { subscribe: true },
                     tools: {},
                     prompts: {}
                 }
             }
         );
 
+        // Resource URIs the client asked to be notified about
+        this.subscriptions = new Set();
+        this.watcher = null;
         this.setupHandlers();
     }
 
@@ -586,7 +1041,7 @@ class KMPContextServer {
             const uri = request.params.uri;
             const type = uri.replace('kmp-context://', '');
 
-            if (!CONTEXT_SCHEMAS[type]) {
+            if (!Object.hasOwn(CONTEXT_SCHEMAS, type)) {
                 throw new Error(`Unknown context type: ${type}`);
             }
 
@@ -606,6 +1061,25 @@ class KMPContextServer {
             };
         });
 
+        // Resource subscriptions, answered with notifications/resources/updated in watch mode
+        this.server.setRequestHandler('resources/subscribe', async (request) => {
+            this.subscriptions.add(request.params.uri);
+            return {};
+        });
+
+        this.server.setRequestHandler('resources/unsubscribe', async (request) => {
+            this.subscriptions.delete(request.params.uri);
+            return {};
+        });
+
+        // Prompts built from stored context
+        this.server.setRequestHandler('prompts/list', async () => ({ prompts: PROMPTS }));
+
+        this.server.setRequestHandler('prompts/get', async (request) => {
+            const { name, arguments: args } = request.params;
+            return buildPrompt(name, args);
+        });
+
         // List available tools
         this.server.setRequestHandler('tools/list', async () => {
             return {
@@ -641,6 +1115,57 @@ class KMPContextServer {
                             properties: {}
                         }
                     },
+                    {
+                        name: 'kmp-export',
+                        description: 'Export all KMP context as a versioned bundle with project name and git commit',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                path: {
+                                    type: 'string',
+                                    description: 'File to write the bundle to (returned inline when omitted)'
+                                },
+                                types: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Specific types to export'
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'kmp-import',
+                        description: 'Import a KMP context bundle exported on another machine',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                path: {
+                                    type: 'string',
+                                    description: 'Bundle file written by kmp-export'
+                                },
+                                bundle: {
+                                    type: 'object',
+                                    description: 'Bundle object, instead of a path'
+                                },
+                                strategy: {
+                                    type: 'string',
+                                    enum: MERGE_STRATEGIES,
+                                    description: 'replace local context, merge arrays into it, or keep whichever is newer',
+                                    default: 'merge-arrays'
+                                },
+                                dryRun: {
+                                    type: 'boolean',
+                                    description: 'Only report what would change',
+                                    default: false
+                                },
+                                types: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Specific types to import'
+                                }
+                            }
+                        }
+                    },
                     {
                         name: 'kmp-refresh',
                         description: 'Refresh all KMP context from project',
@@ -651,6 +1176,11 @@ class KMPContextServer {
                                     type: 'array',
                                     items: { type: 'string' },
                                     description: 'Specific types to refresh'
+                                },
+                                force: {
+                                    type: 'boolean',
+                                    description: 'Re-extract every file instead of reusing cached results for unchanged files',
+                                    default: false
                                 }
                             }
                         }
@@ -732,6 +1262,7 @@ class KMPContextServer {
 
                     // Add project type info
                     summary.projectType = detectProjectType(projectRoot);
+                    summary.cache = new FileCache(getFileCachePath()).summary();
 
                     return {
                         content: [{
@@ -741,40 +1272,67 @@ class KMPContextServer {
                     };
                 }
 
+                case 'kmp-export': {
+                    const bundle = createContextBundle(projectRoot, args.types || Object.keys(CONTEXT_SCHEMAS));
+
+                    if (args.path) {
+                        const bundlePath = path.resolve(projectRoot, args.path);
+                        fs.mkdirSync(path.dirname(bundlePath), { recursive: true });
+                        writeJson(bundlePath, bundle);
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: `Exported ${Object.keys(bundle.context).length} context types to ${args.path}`
+                            }]
+                        };
+                    }
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: JSON.stringify(bundle, null, 2)
+                        }]
+                    };
+                }
+
+                case 'kmp-import': {
+                    const bundle = args.bundle || (args.path && readJson(path.resolve(projectRoot, args.path)));
+                    if (!bundle) {
+                        throw new Error(args.path ? `Cannot read bundle: ${args.path}` : 'No bundle or path specified');
+                    }
+
+                    const report = importContextBundle(bundle, {
+                        strategy: args.strategy,
+                        dryRun: args.dryRun,
+                        types: args.types
+                    });
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: JSON.stringify(report, null, 2)
+                        }]
+                    };
+                }
+
                 case 'kmp-refresh': {
                     const types = args.types || Object.keys(CONTEXT_SCHEMAS);
                     const results = {};
+                    // Unchanged source files reuse their cached extraction results unless forced
+                    const cache = new FileCache(getFileCachePath(), { force: args.force });
 
                     // Update modules reference first
                     modules = extractKMPModules(projectRoot);
 
                     for (const type of types) {
-                        if (CONTEXT_SCHEMAS[type]) {
-                            let data;
-                            switch (type) {
-                                case 'kmp-modules':
-                                    data = extractKMPModules(projectRoot);
-                                    break;
-                                case 'source-sets':
-                                    data = extractSourceSets(projectRoot);
-                                    break;
-                                case 'expect-actual':
-                                    data = extractExpectActual(projectRoot);
-                                    break;
-                                case 'shared-models':
-                                    data = extractSharedModels(projectRoot);
-                                    break;
-                                case 'platform-targets':
-                                    data = detectPlatformTargets(projectRoot);
-                                    break;
-                                default:
-                                    data = { ...CONTEXT_SCHEMAS[type], lastUpdated: getTimestamp() };
-                            }
-                            const contextPath = getContextPath(type);
-                            writeJson(contextPath, data);
+                        if (Object.hasOwn(CONTEXT_SCHEMAS, type)) {
+                            const data = this.refreshContextType(type, projectRoot, cache);
+                            updateContext(type, () => data);
                             results[type] = 'refreshed';
                         }
                     }
+                    cache.save();
+                    results.cache = cache.stats;
 
                     return {
                         content: [{
@@ -790,13 +1348,68 @@ class KMPContextServer {
         });
     }
 
+    refreshContextType(type, projectRoot, cache = new FileCache()) {
+        switch (type) {
+            case 'kmp-modules':
+                return extractKMPModules(projectRoot);
+            case 'source-sets':
+                return extractSourceSets(projectRoot);
+            case 'expect-actual':
+                return extractExpectActual(projectRoot, cache);
+            case 'shared-models':
+                return extractSharedModels(projectRoot);
+            case 'platform-targets':
+                return detectPlatformTargets(projectRoot);
+            default:
+                return { ...CONTEXT_SCHEMAS[type], lastUpdated: getTimestamp() };
+        }
+    }
+
+    // Re-extract the types touched by watched changes; subscribers hear about the ones whose content changed
+    async refreshChangedTypes(types, projectRoot) {
+        const cache = new FileCache(getFileCachePath());
+        const changed = [];
+
+        // Source set and expect/actual extraction read the module layout from here
+        modules = extractKMPModules(projectRoot);
+
+        for (const type of types) {
+            const data = this.refreshContextType(type, projectRoot, cache);
+            updateContext(type, current => {
+                if (sameContent(current, data)) return current;
+                changed.push(type);
+                return data;
+            });
+        }
+        cache.save();
+
+        for (const type of changed) {
+            const uri = `kmp-context://${type}`;
+            if (this.subscriptions.has(uri)) {
+                await this.server.notification({ method: 'notifications/resources/updated', params: { uri } });
+            }
+        }
+        return changed;
+    }
+
     async start() {
+        const { StdioServerTransport } = loadSdk();
         const transport = new StdioServerTransport();
         await this.server.connect(transport);
 
         // Initialize context directory
         ensureContextDir();
 
+        if (WATCH) {
+            const projectRoot = process.cwd();
+            this.watcher = new MemoryWatcher(projectRoot, {
+                typesFor: typesForChange,
+                debounce: WATCH_DEBOUNCE,
+                onChange: types => this.refreshChangedTypes(types, projectRoot)
+            }).start();
+            console.error(`Watching ${projectRoot} for changes`);
+        }
+
         console.error('KMP Context MCP Server running');
     }
 }
@@ -818,6 +1431,14 @@ module.exports = {
     findActualImplementations,
     extractSharedModels,
     detectPlatformTargets,
+    FileCache,
+    createContextBundle,
+    importContextBundle,
+    mergeContext,
+    PROMPTS,
+    buildPrompt,
+    typesForChange,
+    MemoryWatcher,
     readJson,
     writeJson,
     CONTEXT_SCHEMAS,
@@ -7,16 +7,31 @@
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { execSync } = require('child_process');
+const {
+    readJsonFile, writeJsonFile, updateJsonFile, withFileLock, isStorageArtifact, cleanStorageArtifacts
+} = require('../../scripts/lib/storage');
+const { FileCache } = require('../../scripts/lib/file-cache');
+const { parseSize, parseDuration, readLimitSetting } = require('../../scripts/lib/limits');
+const { withoutBookkeeping, MemoryWatcher } = require('../../scripts/lib/watcher');
 
-// MCP Server SDK (assuming stdio transport)
-const MCPServer = require('@modelcontextprotocol/sdk/server/index.js').Server;
-const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+// MCP Server SDK (assuming stdio transport). Resolved on first use so the
+// extractors below can be required without the server's node_modules.
+const loadSdk = () => ({
+    MCPServer: require('@modelcontextprotocol/sdk/server/index.js').Server,
+    StdioServerTransport: require('@modelcontextprotocol/sdk/server/stdio.js').StdioServerTransport
+});
 
 // Configuration
 const MEMORY_DIR = process.env.MOBILE_MEMORY_DIR || '.claude/mobile-memory';
-const MAX_SIZE = process.env.MOBILE_MEMORY_MAX_SIZE || '10MB';
-const RETENTION = process.env.MOBILE_MEMORY_RETENTION || '90days';
+const MAX_SIZE = readLimitSetting('MOBILE_MEMORY_MAX_SIZE', '10MB', parseSize);
+const RETENTION = readLimitSetting('MOBILE_MEMORY_RETENTION', '90days', parseDuration);
+const MODULE_RULES_FILE = process.env.MOBILE_MEMORY_MODULE_RULES || '.claude/module-rules.json';
+const HISTORY_LIMIT = Number(process.env.MOBILE_MEMORY_HISTORY) || 20;
+const WATCH = process.env.MOBILE_MEMORY_WATCH === 'true';
+const WATCH_DEBOUNCE = Number(process.env.MOBILE_MEMORY_WATCH_DEBOUNCE) || 500;
 
 // Memory storage paths
 const getMemoryDir = () => path.join(process.cwd(), MEMORY_DIR);
@@ -29,24 +44,49 @@ const ensureMemoryDir = () => {
 };
 
 const getMemoryPath = (type) => path.join(ensureMemoryDir(), `${type}.json`);
+const getFileCachePath = () => path.join(ensureMemoryDir(), 'cache', 'files.json');
 
-// Utility functions
-const readJson = (filePath) => {
-    try {
-        if (fs.existsSync(filePath)) {
-            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+// Utility functions. JSON stores are shared with the hooks and other servers, so writes
+// are atomic, read-modify-write cycles lock, and corrupt files are restored from backup.
+const readJson = (filePath) => readJsonFile(filePath);
+const writeJson = (filePath, data) => writeJsonFile(filePath, data);
+
+const getTimestamp = () => new Date().toISOString();
+
+// Recursively collect files under dir whose name matches the predicate
+const findFiles = (dir, predicate) => {
+    const files = [];
+    if (!fs.existsSync(dir)) return files;
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...findFiles(fullPath, predicate));
+        } else if (predicate(entry.name, fullPath)) {
+            files.push(fullPath);
         }
-    } catch (error) {
-        // Return null on error
     }
-    return null;
+    return files;
 };
 
-const writeJson = (filePath, data) => {
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
-};
+const decodeXmlEntities = (value) => value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
 
-const getTimestamp = () => new Date().toISOString();
+// Parse the attribute section of an XML start tag into a plain object
+const parseXmlAttributes = (source) => {
+    const attributes = {};
+    const attributeMatches = source.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g);
+    for (const match of attributeMatches) {
+        attributes[match[1]] = decodeXmlEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+};
 
 // Memory type schemas and defaults
 const MEMORY_SCHEMAS = {
@@ -60,6 +100,8 @@ const MEMORY_SCHEMAS = {
     'dependencies': {
         libraries: [],
         plugins: [],
+        pluginUsages: [],
+        catalog: null,
         kgpVersion: null,
         gradleVersion: null,
         lastSync: null
@@ -69,7 +111,7 @@ const MEMORY_SCHEMAS = {
         uiLayer: { screens: [], components: [], viewmodels: [] },
         dataLayer: { repositories: [], datasources: [], models: [] },
         domainLayer: { usecases: [], models: [] },
-        di: { framework: null, modules: [] },
+        di: { framework: null, frameworks: [], modules: [], components: [], bindings: [], edges: [], missingBindings: [] },
         lastAnalyzed: null
     },
     'test-coverage': {
@@ -78,7 +120,8 @@ const MEMORY_SCHEMAS = {
         trend: 'stable',
         failingTests: [],
         flakyTests: [],
-        lastRun: null
+        lastRun: null,
+        lastAnalyzed: null
     },
     'compose-screens': {
         screens: [],
@@ -87,19 +130,211 @@ const MEMORY_SCHEMAS = {
     },
     'build-variants': {
         variants: [],
-        flavors: []
+        flavors: [],
+        flavorDimensions: [],
+        buildTypes: [],
+        lastAnalyzed: null
     },
     'navigation-graph': {
         routes: [],
         deepLinks: [],
-        nestedGraphs: []
+        nestedGraphs: [],
+        navHosts: [],
+        unregisteredNavigations: [],
+        lastIndexed: null
     },
     'recent-changes': {
         files: [],
         sessions: []
+    },
+    'module-graph': {
+        modules: [],
+        edges: [],
+        adjacency: {},
+        cycles: [],
+        rules: [],
+        violations: [],
+        lastAnalyzed: null
+    },
+    'android-manifest': {
+        manifests: [],
+        application: { attributes: {}, variants: {} },
+        components: [],
+        permissions: [],
+        features: [],
+        deepLinks: [],
+        warnings: [],
+        lastAnalyzed: null
+    },
+    'room-database': {
+        databases: [],
+        entities: [],
+        daos: [],
+        migrations: [],
+        schemas: [],
+        warnings: [],
+        lastAnalyzed: null
+    },
+    'static-analysis': {
+        reports: [],
+        issues: [],
+        byModule: [],
+        byRule: [],
+        baseline: { files: [], fixed: [] },
+        summary: { total: 0, errors: 0, warnings: 0, infos: 0, new: 0, fixed: 0 },
+        lastAnalyzed: null
+    },
+    'app-size': {
+        artifacts: [],
+        history: [],
+        comparison: null,
+        warnings: [],
+        lastAnalyzed: null
     }
 };
 
+// Retention per memory type (mirrors mcp-configs/mobile-memory.json). Types that
+// age out follow MOBILE_MEMORY_RETENTION; persistent types are never expired.
+const MEMORY_RETENTION = {
+    'project-structure': 'persistent',
+    'dependencies': RETENTION,
+    'architecture': 'persistent',
+    'test-coverage': RETENTION,
+    'compose-screens': RETENTION,
+    'build-variants': 'persistent',
+    'navigation-graph': RETENTION,
+    'recent-changes': '30days',
+    'module-graph': 'persistent',
+    'android-manifest': 'persistent',
+    'room-database': 'persistent',
+    'static-analysis': RETENTION,
+    'app-size': 'persistent'
+};
+
+// Array entries carrying one of these fields are pruned once they are older than the retention
+const ENTRY_TIMESTAMP_KEYS = ['timestamp', 'date', 'lastModified', 'createdAt', 'recordedAt', 'capturedAt'];
+
+const getDocumentTimestamp = (data) =>
+    data.lastUpdated || data.lastSync || data.lastAnalyzed || data.lastIndexed || data.lastRun || null;
+
+// Remove array entries whose timestamp is before the cutoff, in place.
+// Returns the number of removed entries per JSON path.
+function pruneTimestampedEntries(node, cutoff, nodePath = '$', pruned = {}) {
+    if (Array.isArray(node)) {
+        const kept = node.filter(entry => {
+            const key = entry && typeof entry === 'object' && ENTRY_TIMESTAMP_KEYS.find(k => typeof entry[k] === 'string');
+            return !key || !(Date.parse(entry[key]) < cutoff);
+        });
+        if (kept.length < node.length) {
+            pruned[nodePath] = node.length - kept.length;
+            node.splice(0, node.length, ...kept);
+        }
+        node.forEach((entry, i) => pruneTimestampedEntries(entry, cutoff, `${nodePath}[${i}]`, pruned));
+    } else if (node && typeof node === 'object') {
+        for (const [key, child] of Object.entries(node)) {
+            pruneTimestampedEntries(child, cutoff, `${nodePath}.${key}`, pruned);
+        }
+    }
+    return pruned;
+}
+
+// Backups, corrupt copies and lockfiles kept by the storage layer do not count
+const getDirectorySize = (dir) => findFiles(dir, name => !isStorageArtifact(name))
+    .reduce((total, file) => total + fs.statSync(file).size, 0);
+
+// Apply retention and the size limit to the memory directory.
+//   types     - memory types to check (default: all)
+//   olderThan - duration overriding the per-type retention (memory-forget)
+//   keep      - types that must not be evicted to meet the size limit (just written)
+//   evict     - evict to meet the size limit; only saves and refreshes do, so a load or
+//               forget never drops other memory
+// Returns a report of expired documents, pruned entries and size evictions.
+function enforceMemoryLimits({
+    types = Object.keys(MEMORY_SCHEMAS),
+    olderThan = null,
+    keep = [],
+    evict = false,
+    maxSize = MAX_SIZE,
+    now = Date.now()
+} = {}) {
+    const report = { expired: [], pruned: {}, cache: false, snapshots: 0, evicted: [], size: null };
+
+    for (const type of types) {
+        const retention = olderThan || MEMORY_RETENTION[type] || RETENTION;
+        const maxAge = parseDuration(retention);
+        if (maxAge === null) continue;
+        const memoryPath = getMemoryPath(type);
+        const cutoff = now - maxAge;
+
+        withFileLock(memoryPath, () => {
+            const data = readJson(memoryPath);
+            if (!data) return;
+
+            if (Date.parse(getDocumentTimestamp(data)) < cutoff) {
+                fs.unlinkSync(memoryPath);
+                report.expired.push({ type, retention });
+                return;
+            }
+
+            const pruned = pruneTimestampedEntries(data, cutoff);
+            if (Object.keys(pruned).length > 0) {
+                writeJsonFile(memoryPath, data, { backup: true });
+                report.pruned[type] = pruned;
+            }
+        });
+    }
+
+    const limit = parseSize(maxSize);
+    let bytes = getDirectorySize(getMemoryDir());
+    if (evict && bytes > limit) {
+        // The file cache goes first: the next refresh rebuilds it
+        const cachePath = getFileCachePath();
+        if (fs.existsSync(cachePath)) {
+            bytes -= fs.statSync(cachePath).size;
+            fs.rmSync(cachePath, { force: true });
+            report.cache = true;
+        }
+
+        // Then old snapshots, then whole non-persistent documents, least recently updated first
+        const trimmed = trimSnapshotHistory(bytes, limit);
+        bytes = trimmed.bytes;
+        report.snapshots = trimmed.dropped;
+
+        const candidates = Object.keys(MEMORY_SCHEMAS)
+            .filter(type => MEMORY_RETENTION[type] !== 'persistent' && !keep.includes(type))
+            .map(type => ({ type, data: readJson(getMemoryPath(type)) }))
+            .filter(candidate => candidate.data)
+            .sort((a, b) => String(getDocumentTimestamp(a.data)).localeCompare(String(getDocumentTimestamp(b.data))));
+
+        for (const { type } of candidates) {
+            if (bytes <= limit) break;
+            const memoryPath = getMemoryPath(type);
+            withFileLock(memoryPath, () => {
+                if (!fs.existsSync(memoryPath)) return;
+                bytes -= fs.statSync(memoryPath).size;
+                fs.unlinkSync(memoryPath);
+                report.evicted.push(type);
+            });
+        }
+    }
+    report.size = { bytes, limit: maxSize, overLimit: bytes > limit };
+    // Backups of expired and evicted documents, old corrupt copies, stale locks
+    cleanStorageArtifacts(getMemoryDir(), { now });
+
+    return report;
+}
+
+// One line per action taken, for appending to tool responses
+const formatLimitsReport = (report) => [
+    ...report.expired.map(({ type, retention }) => `Expired ${type} memory (older than ${retention})`),
+    ...Object.entries(report.pruned).flatMap(([type, paths]) =>
+        Object.entries(paths).map(([entryPath, count]) => `Pruned ${count} old entries from ${type} ${entryPath}`)),
+    ...(report.snapshots > 0 ? [`Dropped ${report.snapshots} old snapshots to stay under ${report.size.limit}`] : []),
+    ...(report.cache ? [`Dropped the file cache to stay under ${report.size.limit}`] : []),
+    ...report.evicted.map(type => `Evicted ${type} memory to stay under ${report.size.limit}`),
+    ...(report.size.overLimit ? [`Memory directory is ${report.size.bytes} bytes, over the ${report.size.limit} limit`] : [])
+];
+
 // Android project detection
 function isAndroidProject(dir) {
     const indicators = [
@@ -112,30 +347,334 @@ function isAndroidProject(dir) {
     return indicators.some(indicator => fs.existsSync(path.join(dir, indicator)));
 }
 
-// Extract project structure from Gradle files
-function extractProjectStructure(projectRoot) {
-    const structure = { ...MEMORY_SCHEMAS['project-structure'] };
+// Minimal TOML reader covering what Gradle version catalogs use: tables, dotted keys,
+// basic/literal strings, inline tables, (multi-line) arrays, booleans and numbers
+function parseToml(content) {
+    const root = {};
+    let table = root;
+    let pos = 0;
+
+    const fail = (message) => {
+        throw new Error(`TOML line ${lineAt(content, pos)}: ${message}`);
+    };
+    const skip = (newlines = true) => {
+        while (pos < content.length) {
+            const char = content[pos];
+            if (char === '#') {
+                while (pos < content.length && content[pos] !== '\n') pos++;
+            } else if (char === ' ' || char === '\t' || char === '\r' || (newlines && char === '\n')) {
+                pos++;
+            } else {
+                break;
+            }
+        }
+    };
+    const readString = () => {
+        const quote = content[pos++];
+        let value = '';
+        while (pos < content.length && content[pos] !== quote) {
+            if (quote === '"' && content[pos] === '\\') {
+                const escaped = content[++pos];
+                value += { n: '\n', t: '\t', '"': '"', '\\': '\\' }[escaped] ?? escaped;
+            } else {
+                value += content[pos];
+            }
+            pos++;
+        }
+        if (pos >= content.length) fail('unterminated string');
+        pos++;
+        return value;
+    };
+    const readKey = () => {
+        const parts = [];
+        do {
+            skip(false);
+            if (content[pos] === '"' || content[pos] === "'") {
+                parts.push(readString());
+            } else {
+                const match = /^[A-Za-z0-9_-]+/.exec(content.slice(pos));
+                if (!match) fail('expected a key');
+                parts.push(match[0]);
+                pos += match[0].length;
+            }
+            skip(false);
+        } while (content[pos] === '.' && ++pos);
+        return parts;
+    };
+    const assign = (target, keys, value) => {
+        let node = target;
+        for (const key of keys.slice(0, -1)) {
+            node = node[key] = node[key] && typeof node[key] === 'object' ? node[key] : {};
+        }
+        node[keys[keys.length - 1]] = value;
+    };
+    const readValue = () => {
+        skip(false);
+        const char = content[pos];
+        if (char === '"' || char === "'") return readString();
+        if (char === '[') {
+            pos++;
+            const items = [];
+            for (skip(); content[pos] !== ']'; skip()) {
+                items.push(readValue());
+                skip();
+                if (content[pos] === ',') pos++;
+                else if (content[pos] !== ']') fail('expected , or ]');
+            }
+            pos++;
+            return items;
+        }
+        if (char === '{') {
+            pos++;
+            const inline = {};
+            for (skip(false); content[pos] !== '}'; skip(false)) {
+                const keys = readKey();
+                if (content[pos++] !== '=') fail('expected =');
+                assign(inline, keys, readValue());
+                skip(false);
+                if (content[pos] === ',') pos++;
+                else if (content[pos] !== '}') fail('expected , or }');
+            }
+            pos++;
+            return inline;
+        }
+        const match = /^[^\s,\]}#]+/.exec(content.slice(pos));
+        if (!match) fail('expected a value');
+        pos += match[0].length;
+        if (match[0] === 'true' || match[0] === 'false') return match[0] === 'true';
+        const number = Number(match[0].replace(/_/g, ''));
+        return Number.isNaN(number) ? match[0] : number;
+    };
+
+    for (skip(); pos < content.length; skip()) {
+        if (content[pos] === '[') {
+            const isArray = content[pos + 1] === '[';
+            pos += isArray ? 2 : 1;
+            const keys = readKey();
+            pos += isArray ? 2 : 1;
+            if (isArray) {
+                const parentKeys = keys.slice(0, -1);
+                let parent = root;
+                for (const key of parentKeys) parent = parent[key] = parent[key] || {};
+                const list = parent[keys[keys.length - 1]] = parent[keys[keys.length - 1]] || [];
+                list.push(table = {});
+            } else {
+                table = root;
+                for (const key of keys) table = table[key] = table[key] || {};
+            }
+            continue;
+        }
+        const keys = readKey();
+        if (content[pos++] !== '=') fail('expected =');
+        assign(table, keys, readValue());
+    }
+
+    return root;
+}
+
+// Catalog alias to Gradle accessor: androidx-core_ktx -> androidx.core.ktx
+const toCatalogAccessor = (alias) => alias.replace(/[-_.]/g, '.');
+
+// Resolve a catalog version: a plain string, { ref } into [versions], or a rich version
+function resolveCatalogVersion(version, versions) {
+    if (version === undefined || version === null) return null;
+    if (typeof version !== 'object') return String(version);
+    if (version.ref) return versions[version.ref] ?? null;
+    return version.require || version.strictly || version.prefer || null;
+}
+
+// Read gradle/libs.versions.toml into versions, libraries, bundles and plugins keyed by accessor
+function parseVersionCatalog(content) {
+    const toml = parseToml(content);
+
+    const versions = {};
+    for (const [alias, value] of Object.entries(toml.versions || {})) {
+        versions[alias] = resolveCatalogVersion(value, {});
+    }
+
+    const libraries = [];
+    for (const [alias, entry] of Object.entries(toml.libraries || {})) {
+        let group = null;
+        let name = null;
+        let version = null;
+        let versionRef = null;
+        if (typeof entry === 'string') {
+            [group, name, version = null] = entry.split(':');
+        } else {
+            [group, name] = entry.module ? entry.module.split(':') : [entry.group, entry.name];
+            version = resolveCatalogVersion(entry.version, versions);
+            versionRef = entry.version?.ref || null;
+        }
+        libraries.push({ alias, accessor: toCatalogAccessor(alias), group, name, version, versionRef });
+    }
+
+    const plugins = [];
+    for (const [alias, entry] of Object.entries(toml.plugins || {})) {
+        const [id, version = null] = typeof entry === 'string' ? entry.split(':') : [entry.id];
+        plugins.push({
+            alias,
+            accessor: toCatalogAccessor(alias),
+            id,
+            version: typeof entry === 'string' ? version : resolveCatalogVersion(entry.version, versions),
+            versionRef: entry.version?.ref || null
+        });
+    }
+
+    const bundles = {};
+    for (const [alias, members] of Object.entries(toml.bundles || {})) {
+        bundles[toCatalogAccessor(alias)] = members.map(toCatalogAccessor);
+    }
+
+    return { versions, libraries, bundles, plugins };
+}
+
+// Resolve the Gradle modules included by settings.gradle(.kts) to their directories.
+// The root project is only listed when it holds sources itself (single-module builds).
+function getGradleModules(projectRoot) {
+    const modules = [];
+
+    if (fs.existsSync(path.join(projectRoot, 'src'))) {
+        modules.push({ name: ':', path: '.', dir: projectRoot });
+    }
+
+    for (const settingsFile of ['settings.gradle.kts', 'settings.gradle']) {
+        const settingsPath = path.join(projectRoot, settingsFile);
+        if (!fs.existsSync(settingsPath)) continue;
 
-    // Read settings.gradle.kts for modules
-    const settingsPath = path.join(projectRoot, 'settings.gradle.kts');
-    if (fs.existsSync(settingsPath)) {
         const settings = fs.readFileSync(settingsPath, 'utf8');
-        // Extract module includes
-        const includeMatches = settings.matchAll(/include\s*\("([^"]+)"\)/g);
-        structure.modules = Array.from(includeMatches).map(m => m[1].replace(':', '/'));
+        // include(":app", ":core:network") as well as Groovy include ':app', ':core:network'
+        const includeMatches = settings.matchAll(/^\s*include\s*(?:\(([^)]*)\)|([^\n]+))/gm);
+        for (const match of includeMatches) {
+            const nameMatches = (match[1] || match[2]).matchAll(/["']([^"']+)["']/g);
+            for (const nameMatch of nameMatches) {
+                const name = nameMatch[1].startsWith(':') ? nameMatch[1] : `:${nameMatch[1]}`;
+                const modulePath = name.slice(1).replace(/:/g, '/');
+                if (!modules.some(m => m.name === name)) {
+                    modules.push({ name, path: modulePath, dir: path.join(projectRoot, modulePath) });
+                }
+            }
+        }
+        break;
+    }
+
+    return modules;
+}
+
+// Blank out comments so braces and quotes inside them don't confuse block parsing
+const stripComments = (content) => content.replace(
+    /("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')|\/\/[^\n]*|\/\*[\s\S]*?\*\//g,
+    (match, literal) => literal || match.replace(/[^\n]/g, ' ')
+);
+
+const BRACKET_PAIRS = { '{': '}', '(': ')', '[': ']' };
+
+// Index of the bracket closing the one at openIndex ({, ( or [), skipping string literals
+function findClosingBracket(content, openIndex) {
+    const open = content[openIndex];
+    const close = BRACKET_PAIRS[open];
+    let depth = 0;
+    for (let i = openIndex; i < content.length; i++) {
+        const char = content[i];
+        if (char === '"' || char === "'") {
+            const quote = char;
+            for (i++; i < content.length && content[i] !== quote && content[i] !== '\n'; i++) {
+                if (content[i] === '\\') i++;
+            }
+        } else if (char === open) {
+            depth++;
+        } else if (char === close) {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return content.length;
+}
 
-        // Also find feature modules (common pattern)
-        const featureMatches = settings.matchAll(/include\s*\("feature:([^"]+)"\)/g);
-        structure.featureModules = Array.from(featureMatches).map(m => m[1]);
+// 1-based line number of an index into content
+const lineAt = (content, index) => content.slice(0, index).split('\n').length;
+
+// Body of the first `name {` block in content, or null
+function findBlock(content, name) {
+    const match = new RegExp(`\\b${name}\\s*\\{`).exec(content);
+    if (!match) return null;
+    const open = match.index + match[0].length - 1;
+    return content.slice(open + 1, findClosingBracket(content, open));
+}
+
+const NAMED_CONTAINER_CALLS = ['getByName', 'create', 'register', 'maybeCreate', 'named'];
+
+// Top-level child blocks of a Gradle container such as buildTypes or productFlavors:
+// getByName("debug") { }, create("free") { } and the Groovy/shorthand form debug { }
+function findNamedBlocks(body) {
+    const blocks = [];
+    const pattern = /(\w+)\s*(?:\(\s*["']([^"']+)["']\s*\))?\s*\{/g;
+    let match;
+    while ((match = pattern.exec(body)) !== null) {
+        const open = match.index + match[0].length - 1;
+        const close = findClosingBracket(body, open);
+        const name = NAMED_CONTAINER_CALLS.includes(match[1]) ? match[2] : match[1];
+        if (name) {
+            blocks.push({ name, body: body.slice(open + 1, close) });
+        }
+        pattern.lastIndex = close + 1;
+    }
+    return blocks;
+}
+
+// Kotlin/Java source roots of a module: src/<sourceSet>/java|kotlin, including KMP
+// source sets such as commonMain. Test source sets are skipped unless requested.
+function getSourceRoots(module, { includeTests = false } = {}) {
+    const roots = [];
+    const srcDir = path.join(module.dir, 'src');
+    if (!fs.existsSync(srcDir)) return roots;
+
+    for (const entry of fs.readdirSync(srcDir, { withFileTypes: true })) {
+        if (!entry.isDirectory()) continue;
+        if (!includeTests && /test/i.test(entry.name)) continue;
+
+        for (const language of ['java', 'kotlin']) {
+            const dir = path.join(srcDir, entry.name, language);
+            if (fs.existsSync(dir)) {
+                roots.push({ sourceSet: entry.name, dir });
+            }
+        }
+    }
+    return roots;
+}
+
+// Every Kotlin source file of every module, with the module it belongs to
+function getKotlinSources(projectRoot, options) {
+    const sources = [];
+    for (const module of getGradleModules(projectRoot)) {
+        for (const root of getSourceRoots(module, options)) {
+            for (const file of findFiles(root.dir, name => name.endsWith('.kt'))) {
+                sources.push({ file, module: module.name, sourceSet: root.sourceSet });
+            }
+        }
     }
+    return sources;
+}
+
+// Extract project structure from Gradle files
+function extractProjectStructure(projectRoot) {
+    const structure = structuredClone(MEMORY_SCHEMAS['project-structure']);
+
+    // Modules included by settings.gradle(.kts), as paths (core/network)
+    const modules = getGradleModules(projectRoot).filter(m => m.name !== ':');
+    structure.modules = modules.map(m => m.path);
+
+    // Also find feature modules (common pattern)
+    structure.featureModules = modules
+        .filter(m => m.name.startsWith(':feature:'))
+        .map(m => m.name.slice(':feature:'.length).replace(/:/g, '/'));
 
     structure.lastUpdated = getTimestamp();
     return structure;
 }
 
-// Extract dependencies from build.gradle.kts files
+// Extract dependencies from the version catalog and every module's build file
 function extractDependencies(projectRoot) {
-    const deps = { ...MEMORY_SCHEMAS['dependencies'] };
+    const deps = structuredClone(MEMORY_SCHEMAS['dependencies']);
 
     // Read gradle wrapper properties
     const wrapperPath = path.join(projectRoot, 'gradle/wrapper/gradle-wrapper.properties');
@@ -147,172 +686,3432 @@ function extractDependencies(projectRoot) {
         }
     }
 
-    // Read build.gradle.kts files for dependencies
-    const buildFiles = [
-        path.join(projectRoot, 'build.gradle.kts'),
-        path.join(projectRoot, 'app/build.gradle.kts'),
-        path.join(projectRoot, 'gradle/libs.versions.toml')
-    ];
+    // Version catalog
+    const catalogPath = path.join(projectRoot, 'gradle/libs.versions.toml');
+    let catalog = { versions: {}, libraries: [], bundles: {}, plugins: [] };
+    if (fs.existsSync(catalogPath)) {
+        try {
+            catalog = parseVersionCatalog(fs.readFileSync(catalogPath, 'utf8'));
+        } catch (error) {
+            deps.catalogError = error.message;
+        }
+        deps.catalog = catalog;
+    }
+    const catalogLibraries = new Map(catalog.libraries.map(lib => [lib.accessor, lib]));
+    const catalogPlugins = new Map(catalog.plugins.map(plugin => [plugin.accessor, plugin]));
+
+    const addPlugin = (id) => {
+        if (id && !deps.plugins.includes(id)) deps.plugins.push(id);
+    };
+
+    // The root build file usually only applies plugins, so it is read even without sources
+    const modules = getGradleModules(projectRoot);
+    if (!modules.some(m => m.name === ':')) {
+        modules.unshift({ name: ':', path: '.', dir: projectRoot });
+    }
+
+    for (const module of modules) {
+        const buildFile = ['build.gradle.kts', 'build.gradle']
+            .map(name => path.join(module.dir, name))
+            .find(file => fs.existsSync(file));
+        if (!buildFile) continue;
+
+        const content = stripComments(fs.readFileSync(buildFile, 'utf8'));
+
+        // Extract Kotlin Gradle Plugin version
+        const kgpMatch = content.match(/kotlin\("(?:jvm|android|multiplatform)"\)\s*version\s*["']([^"']+)["']/);
+        if (kgpMatch) deps.kgpVersion = kgpMatch[1];
+
+        // Extract plugins: id("x") and catalog alias(libs.plugins.x)
+        const pluginMatches = content.matchAll(/\bid\s*\(?\s*["']([^"']+)["']/g);
+        for (const match of pluginMatches) {
+            addPlugin(match[1]);
+        }
+        for (const match of content.matchAll(/\balias\s*\(\s*libs\.plugins\.([\w.]+)/g)) {
+            const plugin = catalogPlugins.get(match[1].replace(/\.(get|asProvider)$/, ''));
+            if (!plugin) continue;
+            addPlugin(plugin.id);
+            deps.pluginUsages.push({ id: plugin.id, version: plugin.version, module: module.name, alias: plugin.alias });
+        }
+
+        // Extract library dependencies given as "group:name:version" strings
+        const libMatches = content.matchAll(
+            /\b(\w+)\s*\(?\s*(?:(?:platform|enforcedPlatform)\s*\(\s*)?["']([^:"'\s]+):([^:"'\s]+):([^"'\s]+)["']/g
+        );
+        for (const match of libMatches) {
+            deps.libraries.push({
+                group: match[2],
+                name: match[3],
+                version: match[4],
+                type: match[1],
+                module: module.name,
+                alias: null
+            });
+        }
+
+        // Resolve catalog accessors: implementation(libs.androidx.core.ktx), ksp(libs.room.compiler),
+        // implementation(platform(libs.compose.bom)) and bundles
+        const catalogMatches = content.matchAll(
+            /\b(\w+)\s*\(?\s*(?:(?:platform|enforcedPlatform)\s*\(\s*)?libs\.([\w.]+)/g
+        );
+        for (const match of catalogMatches) {
+            const configuration = match[1];
+            const accessor = match[2].replace(/\.(get|asProvider)$/, '');
+            if (configuration === 'alias' || accessor.startsWith('plugins.') || accessor.startsWith('versions.')) continue;
+
+            const aliases = accessor.startsWith('bundles.')
+                ? catalog.bundles[accessor.slice('bundles.'.length)] || []
+                : [accessor];
+            for (const libraryAccessor of aliases) {
+                const library = catalogLibraries.get(libraryAccessor);
+                if (!library) continue;
+                deps.libraries.push({
+                    group: library.group,
+                    name: library.name,
+                    version: library.version,
+                    type: configuration,
+                    module: module.name,
+                    alias: library.alias
+                });
+            }
+        }
+    }
+
+    // Fall back to the catalog's Kotlin plugin version
+    if (!deps.kgpVersion) {
+        const kotlinPlugin = catalog.plugins.find(p => p.id && p.id.startsWith('org.jetbrains.kotlin.') && p.version);
+        if (kotlinPlugin) deps.kgpVersion = kotlinPlugin.version;
+    }
+
+    deps.lastSync = getTimestamp();
+    return deps;
+}
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// Read the variant-relevant properties of a defaultConfig, flavor or build type block.
+// Handles both Kotlin DSL (`x = "y"`) and Groovy (`x "y"`) assignments.
+function parseVariantProperties(body) {
+    const stringProperty = (name) => {
+        const match = body.match(new RegExp(`\\b${name}\\s*=?\\s*["']([^"']*)["']`));
+        return match ? match[1] : null;
+    };
+    const booleanProperty = (...names) => {
+        for (const name of names) {
+            const match = body.match(new RegExp(`\\b${name}\\s*=?\\s*(true|false)\\b`));
+            if (match) return match[1] === 'true';
+        }
+        return null;
+    };
+
+    const versionCodeMatch = body.match(/\bversionCode\s*=?\s*(\d+)/);
+    const signingMatch = body.match(
+        /\bsigningConfig\s*=?\s*signingConfigs(?:\.getByName\(\s*["'](\w+)["']\s*\)|\[\s*["'](\w+)["']\s*\]|\.(\w+))/
+    );
+
+    const buildConfig = [];
+    const fieldMatches = body.matchAll(
+        /\bbuildConfigField\s*\(?\s*["']([^"']+)["']\s*,\s*["']([^"']+)["']\s*,\s*(?:"((?:\\.|[^"\\])*)"|'([^']*)')/g
+    );
+    for (const match of fieldMatches) {
+        const value = match[3] !== undefined ? match[3].replace(/\\(.)/g, '$1') : match[4];
+        buildConfig.push({ type: match[1], key: match[2], value });
+    }
+
+    return {
+        applicationId: stringProperty('applicationId'),
+        applicationIdSuffix: stringProperty('applicationIdSuffix'),
+        versionCode: versionCodeMatch ? Number(versionCodeMatch[1]) : null,
+        versionName: stringProperty('versionName'),
+        versionNameSuffix: stringProperty('versionNameSuffix'),
+        dimension: stringProperty('dimension'),
+        signingConfig: signingMatch ? (signingMatch[1] || signingMatch[2] || signingMatch[3]) : null,
+        minifyEnabled: booleanProperty('isMinifyEnabled', 'minifyEnabled'),
+        debuggable: booleanProperty('isDebuggable', 'debuggable'),
+        buildConfig
+    };
+}
+
+// Build type properties, including those copied from another type via initWith(...)
+function resolveBuildType(block, buildTypes, seen = new Set()) {
+    const own = parseVariantProperties(block.body);
+    const initWithMatch = block.body.match(
+        /\binitWith\s*\(?\s*(?:buildTypes\.)?(?:getByName\(\s*["'](\w+)["']\s*\)|(\w+))/
+    );
+    const base = initWithMatch && buildTypes.find(b => b.name === (initWithMatch[1] || initWithMatch[2]));
+    if (!base || seen.has(base.name)) return own;
+
+    seen.add(block.name);
+    const inherited = resolveBuildType(base, buildTypes, seen);
+    const merged = { buildConfig: [...inherited.buildConfig, ...own.buildConfig] };
+    for (const key of Object.keys(own)) {
+        if (key !== 'buildConfig') merged[key] = own[key] ?? inherited[key];
+    }
+    // AGP's debug type is debuggable by default, which initWith copies too
+    if (merged.debuggable === null && base.name === 'debug') merged.debuggable = true;
+    return merged;
+}
+
+// AGP joins application id suffixes with a dot
+const appendIdSuffix = (id, suffix) => {
+    if (!suffix) return id;
+    return `${id || ''}${suffix.startsWith('.') ? '' : '.'}${suffix}`;
+};
+
+// Extract build types, product flavors and the resulting variant matrix from every module
+function extractBuildVariants(projectRoot) {
+    const result = structuredClone(MEMORY_SCHEMAS['build-variants']);
+
+    for (const module of getGradleModules(projectRoot)) {
+        const buildFile = ['build.gradle.kts', 'build.gradle']
+            .map(name => path.join(module.dir, name))
+            .find(file => fs.existsSync(file));
+        if (!buildFile) continue;
+
+        const content = stripComments(fs.readFileSync(buildFile, 'utf8'));
+        const android = findBlock(content, 'android');
+        if (!android) continue;
+
+        const isApplication = /com\.android\.application|android\.application\b/.test(content);
+        const defaultConfig = parseVariantProperties(findBlock(android, 'defaultConfig') || '');
+
+        // debug and release always exist even when not configured
+        const buildTypes = [{ name: 'debug', body: '' }, { name: 'release', body: '' }];
+        for (const block of findNamedBlocks(findBlock(android, 'buildTypes') || '')) {
+            const existing = buildTypes.find(b => b.name === block.name);
+            if (existing) {
+                existing.body = block.body;
+            } else {
+                buildTypes.push(block);
+            }
+        }
+
+        const dimensions = [];
+        for (const match of android.matchAll(/\bflavorDimensions\b[^\n]*/g)) {
+            for (const name of match[0].matchAll(/["']([^"']+)["']/g)) {
+                if (!dimensions.includes(name[1])) dimensions.push(name[1]);
+            }
+        }
+
+        const flavors = findNamedBlocks(findBlock(android, 'productFlavors') || '')
+            .map(block => ({ name: block.name, ...parseVariantProperties(block.body) }));
+        for (const flavor of flavors) {
+            // A single declared dimension is assigned implicitly
+            if (!flavor.dimension) flavor.dimension = dimensions.length === 1 ? dimensions[0] : null;
+            if (flavor.dimension && !dimensions.includes(flavor.dimension)) dimensions.push(flavor.dimension);
+        }
+
+        // One flavor per dimension, in dimension (priority) order
+        let combinations = [[]];
+        const groups = dimensions.length > 0
+            ? dimensions.map(d => flavors.filter(f => f.dimension === d))
+            : [flavors];
+        for (const group of groups.filter(g => g.length > 0)) {
+            combinations = combinations.flatMap(combo => group.map(flavor => [...combo, flavor]));
+        }
+
+        for (const combo of combinations) {
+            for (const buildTypeBlock of buildTypes) {
+                const buildType = resolveBuildType(buildTypeBlock, buildTypes);
+                // Lowest priority first: defaultConfig, last dimension ... first dimension, build type
+                const byPriority = [defaultConfig, ...[...combo].reverse(), buildType];
+                const pick = (key) => byPriority.reduce((value, layer) => layer[key] ?? value, null);
+
+                const name = [...combo.map(f => f.name), buildTypeBlock.name]
+                    .map((part, i) => (i === 0 ? part : capitalize(part)))
+                    .join('');
+                const taskPrefix = module.name === ':' ? '' : `${module.name}:`;
+
+                let applicationId = null;
+                if (isApplication) {
+                    applicationId = [defaultConfig, ...[...combo].reverse()]
+                        .reduce((value, layer) => layer.applicationId ?? value, null);
+                    for (const layer of [defaultConfig, ...combo, buildType]) {
+                        applicationId = appendIdSuffix(applicationId, layer.applicationIdSuffix);
+                    }
+                }
+
+                const buildConfig = new Map();
+                for (const layer of byPriority) {
+                    for (const field of layer.buildConfig) buildConfig.set(field.key, field);
+                }
+
+                const versionNameSuffix = [defaultConfig, ...combo, buildType]
+                    .map(layer => layer.versionNameSuffix || '')
+                    .join('');
+                const versionName = pick('versionName');
+
+                result.variants.push({
+                    name,
+                    module: module.name,
+                    buildType: buildTypeBlock.name,
+                    flavors: combo.map(f => f.name),
+                    applicationId,
+                    versionCode: pick('versionCode'),
+                    versionName: versionName !== null ? versionName + versionNameSuffix : null,
+                    signingConfig: pick('signingConfig'),
+                    minifyEnabled: buildType.minifyEnabled ?? false,
+                    debuggable: buildType.debuggable ?? buildTypeBlock.name === 'debug',
+                    buildConfig: Array.from(buildConfig.values()),
+                    tasks: {
+                        assemble: `${taskPrefix}assemble${capitalize(name)}`,
+                        ...(isApplication && {
+                            bundle: `${taskPrefix}bundle${capitalize(name)}`,
+                            install: `${taskPrefix}install${capitalize(name)}`
+                        }),
+                        unitTest: `${taskPrefix}test${capitalize(name)}UnitTest`
+                    }
+                });
+            }
+        }
+
+        for (const flavor of flavors) {
+            if (!result.flavors.includes(flavor.name)) result.flavors.push(flavor.name);
+        }
+        for (const dimension of dimensions) {
+            if (!result.flavorDimensions.includes(dimension)) result.flavorDimensions.push(dimension);
+        }
+        for (const buildType of buildTypes) {
+            if (!result.buildTypes.includes(buildType.name)) result.buildTypes.push(buildType.name);
+        }
+    }
+
+    result.lastAnalyzed = getTimestamp();
+    return result;
+}
+
+// Manifest component tags and the <data> attributes that carry a path
+const MANIFEST_COMPONENTS = ['activity', 'activity-alias', 'service', 'receiver', 'provider'];
+const DEEP_LINK_PATH_ATTRIBUTES = ['path', 'pathPrefix', 'pathPattern', 'pathAdvancedPattern', 'pathSuffix'];
+
+// Parse XML into nested { name, attributes, children } elements; enough for Android manifests
+function parseXmlTree(content) {
+    const root = { name: null, attributes: {}, children: [] };
+    const stack = [root];
+    const source = content.replace(/<!--[\s\S]*?-->/g, '').replace(/<\?[\s\S]*?\?>/g, '');
+    const tagMatches = source.matchAll(/<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g);
+    for (const [, closing, name, attributeText, selfClosing] of tagMatches) {
+        if (closing) {
+            if (stack.length > 1) stack.pop();
+            continue;
+        }
+        const element = { name, attributes: parseXmlAttributes(attributeText), children: [] };
+        stack[stack.length - 1].children.push(element);
+        if (!selfClosing) stack.push(element);
+    }
+    return root.children[0] || null;
+}
+
+// Manifest attributes without the android: prefix, with "true"/"false" as booleans
+const manifestAttributes = (element) => Object.fromEntries(
+    Object.entries(element.attributes)
+        .filter(([key]) => !key.startsWith('xmlns:'))
+        .map(([key, value]) => [
+            key.replace(/^android:/, ''),
+            value === 'true' ? true : value === 'false' ? false : value
+        ])
+);
+
+const childrenNamed = (element, ...names) => element.children.filter(child => names.includes(child.name));
+
+// Actions, categories and the data schemes, hosts, paths and MIME types of an <intent-filter>
+function parseIntentFilter(element) {
+    const data = childrenNamed(element, 'data').map(manifestAttributes);
+    const collect = (...keys) => [...new Set(data.flatMap(d => keys.map(key => d[key]).filter(Boolean)))];
+    return {
+        actions: childrenNamed(element, 'action').map(a => manifestAttributes(a).name),
+        categories: childrenNamed(element, 'category').map(c => manifestAttributes(c).name),
+        schemes: collect('scheme'),
+        hosts: collect('host'),
+        paths: collect(...DEEP_LINK_PATH_ATTRIBUTES),
+        mimeTypes: collect('mimeType'),
+        autoVerify: manifestAttributes(element).autoVerify === true
+    };
+}
+
+// Declarations of a single AndroidManifest.xml, names left as written
+function scanAndroidManifest(content) {
+    const manifest = parseXmlTree(content);
+    const facts = { package: null, application: {}, components: [], permissions: [], features: [] };
+    if (!manifest || manifest.name !== 'manifest') return facts;
+
+    facts.package = manifest.attributes.package || null;
+
+    for (const element of childrenNamed(manifest, 'uses-permission', 'uses-permission-sdk-23')) {
+        const { name, maxSdkVersion = null, 'tools:node': toolsNode = null } = manifestAttributes(element);
+        facts.permissions.push({ name, maxSdkVersion, toolsNode });
+    }
+
+    for (const element of childrenNamed(manifest, 'uses-feature')) {
+        const { name = null, required = true, glEsVersion = null, 'tools:node': toolsNode = null } = manifestAttributes(element);
+        facts.features.push({ name: name || (glEsVersion && `glEsVersion:${glEsVersion}`), required, toolsNode });
+    }
+
+    const application = childrenNamed(manifest, 'application')[0];
+    if (!application) return facts;
+
+    facts.application = manifestAttributes(application);
+    for (const element of childrenNamed(application, ...MANIFEST_COMPONENTS)) {
+        const { name, ...attributes } = manifestAttributes(element);
+        facts.components.push({
+            type: element.name,
+            name,
+            attributes,
+            intentFilters: childrenNamed(element, 'intent-filter').map(parseIntentFilter)
+        });
+    }
+
+    return facts;
+}
+
+// AndroidManifest.xml of every source set of every module (test source sets excluded)
+function getManifestFiles(projectRoot) {
+    const manifests = [];
+    for (const module of getGradleModules(projectRoot)) {
+        const srcDir = path.join(module.dir, 'src');
+        if (!fs.existsSync(srcDir)) continue;
+
+        const buildFile = ['build.gradle.kts', 'build.gradle']
+            .map(name => path.join(module.dir, name))
+            .find(file => fs.existsSync(file));
+        const buildContent = buildFile ? stripComments(fs.readFileSync(buildFile, 'utf8')) : '';
+        const namespace = buildContent.match(/\bnamespace\s*=?\s*["']([^"']+)["']/);
+        const isApplication = /com\.android\.application|android\.application\b/.test(buildContent);
+
+        const sourceSets = fs.readdirSync(srcDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && !/test/i.test(entry.name))
+            .map(entry => entry.name)
+            .sort((a, b) => (a === 'main' ? -1 : b === 'main' ? 1 : a.localeCompare(b)));
+        for (const sourceSet of sourceSets) {
+            const file = path.join(srcDir, sourceSet, 'AndroidManifest.xml');
+            if (fs.existsSync(file)) {
+                manifests.push({ module, sourceSet, file, namespace: namespace ? namespace[1] : null, isApplication });
+            }
+        }
+    }
+
+    // Merge priority: libraries first so application manifests override them
+    return manifests.sort((a, b) => Number(a.isApplication) - Number(b.isApplication));
+}
+
+// Fully qualified class name for a manifest android:name (.MainActivity, MainActivity or com.x.MainActivity)
+const resolveManifestName = (name, namespace) => {
+    if (!name || !namespace) return name;
+    if (name.startsWith('.')) return `${namespace}${name}`;
+    return name.includes('.') ? name : `${namespace}.${name}`;
+};
+
+// Merge the manifests of every module into components, permissions, features and
+// application attributes, then flag deep links and settings that matter for review
+function extractAndroidManifest(projectRoot, cache = new FileCache()) {
+    const result = structuredClone(MEMORY_SCHEMAS['android-manifest']);
+    const components = new Map();
+    const permissions = new Map();
+    const features = new Map();
+
+    // Entries declared in several manifests keep every module and source set they appear in
+    const declare = (map, key, entry, source) => {
+        const existing = map.get(key);
+        const merged = existing ? { ...existing, ...entry } : { ...entry, modules: [], sourceSets: [] };
+        if (!merged.modules.includes(source.module.name)) merged.modules.push(source.module.name);
+        if (!merged.sourceSets.includes(source.sourceSet)) merged.sourceSets.push(source.sourceSet);
+        map.set(key, merged);
+    };
+
+    for (const source of getManifestFiles(projectRoot)) {
+        const facts = cache.get(source.file, 'manifest', scanAndroidManifest);
+        const namespace = source.namespace || facts.package;
+        result.manifests.push({
+            module: source.module.name,
+            sourceSet: source.sourceSet,
+            file: path.relative(projectRoot, source.file),
+            package: namespace
+        });
+
+        // Only main manifests shape the application; other source sets are variant overrides
+        const application = Object.fromEntries(
+            Object.entries(facts.application).filter(([key]) => !key.startsWith('tools:'))
+        );
+        if (application.name) application.name = resolveManifestName(application.name, namespace);
+        if (source.sourceSet === 'main') {
+            Object.assign(result.application.attributes, application);
+        } else if (Object.keys(application).length > 0) {
+            result.application.variants[source.sourceSet] = { ...result.application.variants[source.sourceSet], ...application };
+        }
+
+        for (const permission of facts.permissions) {
+            if (permission.toolsNode === 'remove') {
+                permissions.delete(permission.name);
+            } else {
+                declare(permissions, permission.name, { name: permission.name, maxSdkVersion: permission.maxSdkVersion }, source);
+            }
+        }
 
-    for (const buildFile of buildFiles) {
-        if (fs.existsSync(buildFile)) {
-            const content = fs.readFileSync(buildFile, 'utf8');
+        for (const feature of facts.features) {
+            if (feature.toolsNode === 'remove') {
+                features.delete(feature.name);
+            } else {
+                declare(features, feature.name, { name: feature.name, required: feature.required }, source);
+            }
+        }
+
+        for (const component of facts.components) {
+            const name = resolveManifestName(component.name, namespace);
+            const { exported, enabled, permission, authorities, 'tools:node': toolsNode, ...attributes } = component.attributes;
+            if (toolsNode === 'remove') {
+                components.delete(name);
+                continue;
+            }
+
+            const existing = components.get(name);
+            const intentFilters = [...(existing ? existing.intentFilters : []), ...component.intentFilters];
+            declare(components, name, {
+                type: component.type,
+                name,
+                exported: exported ?? (existing ? existing.exported : null),
+                enabled: enabled ?? (existing ? existing.enabled : true),
+                permission: permission ?? (existing ? existing.permission : null),
+                authorities: authorities ?? (existing ? existing.authorities : null),
+                launcher: intentFilters.some(f =>
+                    f.actions.includes('android.intent.action.MAIN') && f.categories.includes('android.intent.category.LAUNCHER')),
+                intentFilters,
+                attributes: { ...(existing ? existing.attributes : {}), ...attributes },
+                file: path.relative(projectRoot, source.file)
+            }, source);
+        }
+    }
+
+    result.components = Array.from(components.values());
+    result.permissions = Array.from(permissions.values());
+    result.features = Array.from(features.values());
+
+    for (const component of result.components) {
+        for (const filter of component.intentFilters) {
+            if (!filter.actions.includes('android.intent.action.VIEW') || filter.schemes.length === 0) continue;
+            for (const scheme of filter.schemes) {
+                for (const host of filter.hosts.length > 0 ? filter.hosts : ['']) {
+                    for (const pathValue of filter.paths.length > 0 ? filter.paths : ['']) {
+                        result.deepLinks.push({
+                            uri: `${scheme}://${host}${pathValue}`,
+                            component: component.name,
+                            autoVerify: filter.autoVerify
+                        });
+                    }
+                }
+            }
+        }
+
+        // Targeting Android 12+ requires an explicit android:exported once a filter is declared
+        if (component.intentFilters.length > 0 && component.exported === null) {
+            result.warnings.push({ component: component.name, message: 'Declares an intent filter without android:exported' });
+        }
+        if (component.exported === true && !component.permission && !component.launcher &&
+            component.type !== 'activity' && component.type !== 'activity-alias') {
+            result.warnings.push({ component: component.name, message: `Exported ${component.type} is not protected by a permission` });
+        }
+    }
+
+    const { attributes } = result.application;
+    if (attributes.debuggable === true) {
+        result.warnings.push({ component: null, message: 'android:debuggable is hardcoded to true in the main manifest' });
+    }
+    if (attributes.usesCleartextTraffic === true) {
+        result.warnings.push({ component: null, message: 'android:usesCleartextTraffic allows plain HTTP for the whole app' });
+    }
+
+    result.lastAnalyzed = getTimestamp();
+    return result;
+}
+
+// Package segments that mark model classes
+const MODEL_SEGMENTS = ['model', 'models', 'entity', 'entities', 'dto'];
+
+// Type-safe project accessor for a module: :core:network-api -> core.networkApi
+const toProjectAccessor = (moduleName) => moduleName.slice(1).split(':')
+    .map(segment => segment.replace(/[-_]+(\w)/g, (_, char) => char.toUpperCase()))
+    .join('.');
+
+// Gradle path glob: `feature:*` matches one segment, `**` any number; the leading colon is optional
+const modulePatternToRegExp = (pattern) => new RegExp(`^:${pattern.replace(/^:/, '')
+    .split('**').map(part => part.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^:]+'))
+    .join('.*')}$`);
+
+// Layering rules from the rules file. Each rule is either { from, notTo, description }
+// or a sentence of the form "feature:* must not depend on feature:*".
+function loadModuleRules(projectRoot) {
+    const config = readJson(path.join(projectRoot, MODULE_RULES_FILE));
+    const rules = Array.isArray(config) ? config : config?.rules || [];
+
+    return rules.map(rule => {
+        if (typeof rule === 'string') {
+            const match = rule.match(/^\s*(\S+)\s+must\s+not\s+depend\s+on\s+(\S+)\s*$/i);
+            return match ? { from: match[1], notTo: match[2], description: rule.trim() } : null;
+        }
+        return rule && rule.from && rule.notTo ? rule : null;
+    }).filter(Boolean);
+}
+
+// Elementary cycles reachable through the adjacency list, each reported once
+function findCycles(adjacency) {
+    const cycles = [];
+    const seen = new Set();
+    const state = new Map();
+    const stack = [];
+
+    const visit = (node) => {
+        state.set(node, 'visiting');
+        stack.push(node);
+        for (const next of adjacency[node] || []) {
+            if (state.get(next) === 'visiting') {
+                const cycle = stack.slice(stack.indexOf(next));
+                // Rotate so the same cycle found from another node is recognised
+                const start = cycle.indexOf([...cycle].sort()[0]);
+                const key = [...cycle.slice(start), ...cycle.slice(0, start)].join(' -> ');
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    cycles.push([...cycle, next]);
+                }
+            } else if (!state.has(next)) {
+                visit(next);
+            }
+        }
+        stack.pop();
+        state.set(node, 'done');
+    };
+
+    for (const node of Object.keys(adjacency)) {
+        if (!state.has(node)) visit(node);
+    }
+    return cycles;
+}
+
+// Extract project(...) and projects.x.y dependencies between modules, cycles and rule violations
+function extractModuleGraph(projectRoot) {
+    const graph = structuredClone(MEMORY_SCHEMAS['module-graph']);
+
+    const modules = getGradleModules(projectRoot);
+    const accessors = new Map(modules.filter(m => m.name !== ':').map(m => [toProjectAccessor(m.name), m.name]));
+    graph.modules = modules.map(m => m.name);
+
+    for (const module of modules) {
+        graph.adjacency[module.name] = [];
+        const buildFile = ['build.gradle.kts', 'build.gradle']
+            .map(name => path.join(module.dir, name))
+            .find(file => fs.existsSync(file));
+        if (!buildFile) continue;
+
+        const content = stripComments(fs.readFileSync(buildFile, 'utf8'));
+        const dependencyMatches = content.matchAll(
+            /\b(\w+)\s*\(?\s*(?:project\s*\(\s*(?:path\s*[:=]\s*)?["']([^"']+)["'][^)]*\)|projects\.([\w.]+))/g
+        );
+        for (const match of dependencyMatches) {
+            const configuration = match[1];
+            if (configuration === 'project') continue;
+
+            let target = match[2];
+            if (!target) {
+                // Longest accessor prefix, so projects.core.network.api is not cut short
+                const parts = match[3].split('.');
+                while (parts.length > 0 && !accessors.has(parts.join('.'))) parts.pop();
+                target = parts.length > 0 ? accessors.get(parts.join('.')) : `:${match[3].replace(/\./g, ':')}`;
+            }
+            if (!target.startsWith(':')) target = `:${target}`;
+
+            graph.edges.push({
+                from: module.name,
+                to: target,
+                configuration,
+                api: /api$/i.test(configuration),
+                test: /test/i.test(configuration)
+            });
+            if (!graph.adjacency[module.name].includes(target)) {
+                graph.adjacency[module.name].push(target);
+            }
+        }
+    }
+
+    // Test-only edges do not make a build cycle
+    const productionAdjacency = {};
+    for (const edge of graph.edges.filter(e => !e.test)) {
+        (productionAdjacency[edge.from] = productionAdjacency[edge.from] || []).push(edge.to);
+    }
+    graph.cycles = findCycles(productionAdjacency);
+
+    graph.rules = loadModuleRules(projectRoot);
+    for (const rule of graph.rules) {
+        const from = modulePatternToRegExp(rule.from);
+        const notTo = modulePatternToRegExp(rule.notTo);
+        for (const edge of graph.edges) {
+            if (edge.from !== edge.to && from.test(edge.from) && notTo.test(edge.to)) {
+                graph.violations.push({
+                    rule: rule.description || `${rule.from} must not depend on ${rule.notTo}`,
+                    from: edge.from,
+                    to: edge.to,
+                    configuration: edge.configuration
+                });
+            }
+        }
+    }
+
+    graph.lastAnalyzed = getTimestamp();
+    return graph;
+}
+
+// Types the DI frameworks supply themselves, never reported as missing bindings
+const DI_BUILTIN_TYPES = new Set([
+    'Context', 'Application', 'Activity', 'ComponentActivity', 'FragmentActivity', 'AppCompatActivity',
+    'Fragment', 'SavedStateHandle', 'Resources', 'Scope', 'Koin', 'ParametersHolder'
+]);
+
+const KOIN_DEFINITIONS = ['single', 'factory', 'viewModel', 'scoped', 'worker'];
+
+// Annotations before a declaration, e.g. `@Module @InstallIn(SingletonComponent::class) `
+const ANNOTATIONS_PATTERN = '((?:@[\\w.]+(?:\\([^()]*(?:\\([^()]*\\)[^()]*)*\\))?\\s+)*)';
+const MODIFIERS_PATTERN = '(?:(?:public|internal|private|protected|open|abstract|data|sealed|final|inner|override|suspend|lateinit)\\s+)*';
+
+// Split on commas that are not nested in brackets or generics (ignoring the `>` of `->`)
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if ('([{<'.includes(char)) depth++;
+        else if (')]}'.includes(char) || (char === '>' && text[i - 1] !== '-')) depth--;
+        else if (char === ',' && depth === 0) {
+            parts.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start));
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// Parameters of a Kotlin function or primary constructor, with their annotations
+const parseKotlinParameters = (text) => splitTopLevel(text)
+    .map(param => {
+        const annotations = Array.from(param.matchAll(/@([\w.]+)/g), m => m[1].split('.').pop());
+        const declaration = param
+            .replace(/@[\w.]+(?:\([^)]*\))?/g, '')
+            .replace(/\b(?:public|internal|private|protected|override|val|var|vararg|crossinline|noinline)\s+/g, '')
+            .match(/^\s*(\w+)\s*:\s*([^=]+?)\s*(=.*)?$/s);
+        return declaration && { name: declaration[1], type: declaration[2], annotations, hasDefault: Boolean(declaration[3]) };
+    })
+    .filter(Boolean);
+
+// Binding key for a type: no nullability, package prefixes, or Lazy/Provider wrappers
+function normalizeDiType(type) {
+    let normalized = type.replace(/\s+/g, '').replace(/\?$/, '');
+    let wrapper;
+    while ((wrapper = normalized.match(/^(?:[\w.]*\.)?(?:Lazy|Provider)<(.+)>$/))) {
+        normalized = wrapper[1];
+    }
+    return normalized.replace(/\b(?:[a-z]\w*\.)+(?=[A-Z])/g, '');
+}
+
+const classReferences = (text) => Array.from((text || '').matchAll(/([\w.]+)::class/g), m => m[1].split('.').pop());
+
+// Collect the DI declarations of one Kotlin source: injectable classes, Hilt/Dagger modules
+// and components, Koin modules and the places that request instances
+function scanDiSource(source) {
+    const content = stripComments(source);
+    const facts = { classes: [], modules: [], providers: [], components: [], koinModules: [], requests: [] };
+
+    const declarationPattern = new RegExp(
+        `${ANNOTATIONS_PATTERN}${MODIFIERS_PATTERN}(?:companion\\s+)?(class|object|interface)\\s+(\\w+)` +
+        '(?:\\s*<[^{(]*?>)?\\s*((?:@[\\w.]+\\s*)*)(?:(?:public|internal|private|protected)\\s+)?(constructor\\s*)?(\\()?',
+        'g'
+    );
+    const declarations = [];
+    for (const match of content.matchAll(declarationPattern)) {
+        const [, annotationText, kind, name, constructorAnnotations, , hasParameters] = match;
+        const annotations = Array.from(annotationText.matchAll(/@([\w.]+)/g), m => m[1].split('.').pop());
+        const keywordIndex = match.index + annotationText.length + match[0].slice(annotationText.length).search(/\b(?:class|object|interface)\b/);
+        let cursor = match.index + match[0].length;
+        let params = [];
+        if (hasParameters) {
+            const close = findClosingBracket(content, cursor - 1);
+            params = parseKotlinParameters(content.slice(cursor, close));
+            cursor = close + 1;
+        }
+        const open = content.indexOf('{', cursor);
+        const nextDeclaration = content.slice(cursor, open === -1 ? undefined : open).match(/\n\s*(?:@|class\b|object\b|interface\b|fun\b|val\b)/);
+        const end = open === -1 || nextDeclaration ? cursor : findClosingBracket(content, open);
+
+        declarations.push({
+            name,
+            kind,
+            annotations,
+            annotationText,
+            injectConstructor: /@Inject\b/.test(constructorAnnotations),
+            params,
+            line: lineAt(content, keywordIndex),
+            start: match.index,
+            bodyStart: open === -1 || nextDeclaration ? cursor : open,
+            end
+        });
+    }
+
+    const ownerAt = (index) => declarations
+        .filter(d => d.start <= index && d.end >= index)
+        .sort((a, b) => b.start - a.start)[0];
+
+    for (const declaration of declarations) {
+        const { name, annotations, annotationText, params, line } = declaration;
+        if (declaration.kind === 'class') {
+            facts.classes.push({
+                name,
+                params: params.map(({ name: paramName, type, annotations: paramAnnotations, hasDefault }) =>
+                    ({ name: paramName, type, annotations: paramAnnotations, hasDefault })),
+                injectConstructor: declaration.injectConstructor,
+                hiltViewModel: annotations.includes('HiltViewModel'),
+                entryPoint: annotations.some(a => ['AndroidEntryPoint', 'HiltAndroidApp'].includes(a)),
+                line
+            });
+        }
+
+        if (annotations.includes('Module')) {
+            const installIn = annotationText.match(/@InstallIn\s*\(\s*([\w.]+)::class/);
+            facts.modules.push({
+                name,
+                framework: installIn ? 'hilt' : 'dagger',
+                installIn: installIn ? installIn[1].split('.').pop() : null,
+                includes: classReferences((annotationText.match(/@Module\s*\(([^)]*)\)/) || [])[1]),
+                line
+            });
+
+            const body = content.slice(declaration.bodyStart, declaration.end);
+            const functionPattern = new RegExp(`${ANNOTATIONS_PATTERN}${MODIFIERS_PATTERN}fun\\s+(\\w+)\\s*\\(`, 'g');
+            for (const fn of body.matchAll(functionPattern)) {
+                const fnAnnotations = Array.from(fn[1].matchAll(/@([\w.]+)/g), m => m[1].split('.').pop());
+                const kind = fnAnnotations.includes('Provides') ? 'provides' : fnAnnotations.includes('Binds') ? 'binds' : null;
+                if (!kind) continue;
+
+                const open = declaration.bodyStart + fn.index + fn[0].length - 1;
+                const close = findClosingBracket(content, open);
+                const returnType = content.slice(close + 1).match(/^\s*:\s*([\w.]+(?:\s*<[^={\n]*>)?\??)/);
+                if (!returnType) continue;
+
+                const multibinding = ['IntoSet', 'IntoMap', 'ElementsIntoSet'].find(a => fnAnnotations.includes(a)) || null;
+                facts.providers.push({
+                    kind,
+                    name: fn[2],
+                    module: name,
+                    type: returnType[1],
+                    multibinding,
+                    params: parseKotlinParameters(content.slice(open + 1, close)),
+                    line: lineAt(content, open)
+                });
+            }
+        }
+
+        const component = annotationText.match(/@(Component|Subcomponent)(?![.\w])\s*(?:\(([^()]*(?:\([^()]*\)[^()]*)*)\))?/);
+        if (component) {
+            const args = component[2] || '';
+            const body = content.slice(declaration.bodyStart, declaration.end);
+            facts.components.push({
+                name,
+                kind: component[1],
+                modules: classReferences((args.match(/modules\s*=\s*\[([^\]]*)\]/) || args.match(/modules\s*=\s*([\w.]+::class)/) || [])[1]),
+                dependencies: classReferences((args.match(/dependencies\s*=\s*\[([^\]]*)\]/) || [])[1]),
+                // fun okHttp(): OkHttpClient provision methods request the type
+                provisions: Array.from(body.matchAll(/\bfun\s+\w+\s*\(\s*\)\s*:\s*([\w.]+(?:<[^>\n]*>)?)/g), m => m[1])
+                    .filter(type => type !== 'Unit'),
+                // fun inject(activity: MainActivity) members-injection targets
+                injects: Array.from(body.matchAll(/\bfun\s+\w+\s*\(\s*\w+\s*:\s*(\w+)\s*\)\s*(?![:\w])/g), m => m[1]),
+                instances: Array.from(body.matchAll(/@BindsInstance\s+(?:\w+\s*:\s*)?([\w.]+(?:<[^>\n]*>)?)/g), m => m[1]),
+                line
+            });
+        }
+    }
+
+    // Field injection: @Inject lateinit var analytics: Analytics
+    for (const match of content.matchAll(/@Inject\s+(?:@[\w.]+(?:\([^)]*\))?\s+)*(?:lateinit\s+)?var\s+(\w+)\s*:\s*([\w.]+(?:<[^>\n]*>)?)/g)) {
+        const owner = ownerAt(match.index);
+        facts.requests.push({ type: match[2], consumer: owner ? owner.name : null, line: lineAt(content, match.index) });
+    }
+
+    // Koin lookups: by inject<T>(), val x: T by inject(), get<T>(), koinViewModel<T>()
+    const lookupPattern = /(?:\bval\s+\w+\s*:\s*([\w.]+(?:<[^>\n]*>)?)\s+by\s+(?:inject|viewModel|activityViewModel)\s*\(|\b(?:inject|viewModel|activityViewModel|koinViewModel|koinInject|get)\s*<\s*([\w.]+(?:<[^>\n]*>)?)\s*>\s*\()/g;
+    const koinRanges = [];
+
+    // Koin modules: val appModule = module { single { ... } }
+    for (const match of content.matchAll(/\b(?:val|fun)\s+(\w+)\s*(?:\(\s*\))?\s*(?::\s*Module\s*)?=\s*module\s*(?:\([^)]*\)\s*)?\{/g)) {
+        const open = match.index + match[0].length - 1;
+        const close = findClosingBracket(content, open);
+        const body = content.slice(open + 1, close);
+        const definitions = [];
+        koinRanges.push([open, close]);
+
+        const definitionPattern = new RegExp(`\\b(${KOIN_DEFINITIONS.join('|')})(Of)?\\s*(?:<\\s*([\\w.]+(?:<[^>\\n]*>)?)\\s*>)?\\s*(?=[({])`, 'g');
+        for (const definition of body.matchAll(definitionPattern)) {
+            let cursor = definition.index + definition[0].length;
+            let args = '';
+            let lambda = '';
+            if (body[cursor] === '(') {
+                const argsClose = findClosingBracket(body, cursor);
+                args = body.slice(cursor + 1, argsClose);
+                cursor = argsClose + 1;
+            }
+            const lambdaStart = body.slice(cursor).match(/^\s*\{/);
+            if (lambdaStart) {
+                const lambdaOpen = cursor + lambdaStart[0].length - 1;
+                const lambdaClose = findClosingBracket(body, lambdaOpen);
+                lambda = body.slice(lambdaOpen + 1, lambdaClose);
+                cursor = lambdaClose + 1;
+            }
+            const trailing = body.slice(cursor).match(/^\s*(?:bind\s+([\w.]+)::class|binds\s+(?:arrayOf|listOf)\s*\(([^)]*)\))/);
+
+            const implementation = definition[2]
+                ? (args.match(/::\s*(\w+)/) || [])[1]
+                : (lambda.match(/^\s*([A-Z]\w*)\s*[(<]/) || [])[1];
+            definitions.push({
+                kind: definition[1],
+                type: definition[3] || null,
+                implementation: implementation || null,
+                binds: [
+                    ...Array.from(lambda.matchAll(/\bbind\s*<\s*([\w.]+)\s*>\s*\(/g), m => m[1]),
+                    ...(trailing ? [trailing[1], ...classReferences(trailing[2])].filter(Boolean) : [])
+                ],
+                line: lineAt(content, open + 1 + definition.index)
+            });
+        }
+
+        facts.koinModules.push({ name: match[1], definitions, line: lineAt(content, match.index) });
+    }
+
+    for (const match of content.matchAll(lookupPattern)) {
+        // get<T>() inside a module definition is covered by the definition's constructor
+        if (koinRanges.some(([open, close]) => match.index > open && match.index < close)) continue;
+        const owner = ownerAt(match.index);
+        facts.requests.push({ type: match[1] || match[2], consumer: owner ? owner.name : null, line: lineAt(content, match.index) });
+    }
+
+    return facts;
+}
+
+// Build the DI graph: bindings, provider -> consumer edges and requested types nobody binds
+function extractDependencyInjection(projectRoot, cache = new FileCache()) {
+    const di = { framework: null, frameworks: [], modules: [], components: [], bindings: [], edges: [], missingBindings: [] };
+
+    const sources = getKotlinSources(projectRoot).map(source => ({
+        file: path.relative(projectRoot, source.file),
+        facts: cache.get(source.file, 'di', scanDiSource)
+    }));
+
+    const classes = new Map();
+    for (const { file, facts } of sources) {
+        for (const cls of facts.classes) classes.set(cls.name, { ...cls, file });
+    }
+
+    const requests = [];
+    const request = (type, consumer, file, line) => requests.push({ type, consumer, file, line });
+    const bind = (binding) => di.bindings.push(binding);
+
+    for (const { file, facts } of sources) {
+        for (const module of facts.modules) {
+            di.modules.push({ name: module.name, framework: module.framework, installIn: module.installIn, file, line: module.line });
+        }
+
+        for (const provider of facts.providers) {
+            const elementType = normalizeDiType(provider.type);
+            const type = provider.multibinding === 'IntoSet' ? `Set<${elementType}>`
+                : provider.multibinding === 'IntoMap' ? `Map<*,${elementType}>`
+                    : elementType;
+            const name = `${provider.module}.${provider.name}`;
+            bind({ type, kind: provider.kind, provider: name, framework: 'dagger', module: provider.module, file, line: provider.line });
+            for (const param of provider.params) {
+                request(param.type, name, file, provider.line);
+            }
+        }
+
+        for (const cls of facts.classes) {
+            if (cls.injectConstructor) {
+                bind({
+                    type: cls.name,
+                    kind: cls.hiltViewModel ? 'hilt-viewmodel' : 'inject-constructor',
+                    provider: cls.name,
+                    framework: 'dagger',
+                    module: null,
+                    file,
+                    line: cls.line
+                });
+                for (const param of cls.params.filter(p => !p.annotations.includes('Assisted'))) {
+                    request(param.type, cls.name, file, cls.line);
+                }
+            }
+        }
+
+        for (const component of facts.components) {
+            di.components.push({
+                name: component.name,
+                kind: component.kind,
+                modules: component.modules,
+                dependencies: component.dependencies,
+                injects: component.injects,
+                file,
+                line: component.line
+            });
+            for (const type of component.instances) {
+                bind({ type: normalizeDiType(type), kind: 'instance', provider: component.name, framework: 'dagger', module: null, file, line: component.line });
+            }
+            for (const type of component.provisions) {
+                request(type, component.name, file, component.line);
+            }
+        }
+
+        for (const module of facts.koinModules) {
+            di.modules.push({ name: module.name, framework: 'koin', installIn: null, file, line: module.line });
+            for (const definition of module.definitions) {
+                const provided = [definition.type || definition.implementation, ...definition.binds].filter(Boolean);
+                const name = `${module.name}.${definition.kind}(${definition.implementation || definition.type || '?'})`;
+                for (const type of provided) {
+                    bind({ type: normalizeDiType(type), kind: definition.kind, provider: name, framework: 'koin', module: module.name, file, line: definition.line });
+                }
+
+                // Koin resolves every constructor parameter with get()
+                const implementation = classes.get(definition.implementation);
+                for (const param of implementation ? implementation.params.filter(p => !p.hasDefault) : []) {
+                    request(param.type, definition.implementation, file, definition.line);
+                }
+            }
+        }
+
+        for (const { type, consumer, line } of facts.requests) {
+            request(type, consumer || file, file, line);
+        }
+    }
+
+    const hasHilt = di.modules.some(m => m.framework === 'hilt') ||
+        Array.from(classes.values()).some(c => c.hiltViewModel || c.entryPoint);
+    const hasDagger = di.components.length > 0 || di.modules.some(m => m.framework === 'dagger');
+    const hasKoin = di.modules.some(m => m.framework === 'koin');
+    di.frameworks = [hasHilt && 'hilt', hasDagger && 'dagger', hasKoin && 'koin'].filter(Boolean);
+    di.framework = di.frameworks[0] || null;
+    for (const binding of di.bindings) {
+        if (binding.framework === 'dagger' && hasHilt) binding.framework = 'hilt';
+    }
+
+    const bindingsByType = new Map();
+    for (const binding of di.bindings) {
+        if (!bindingsByType.has(binding.type)) bindingsByType.set(binding.type, []);
+        bindingsByType.get(binding.type).push(binding);
+    }
+    const findBindings = (type) => {
+        if (bindingsByType.has(type)) return bindingsByType.get(type);
+        const map = type.match(/^Map<[^,]+,(.+)>$/);
+        return map ? bindingsByType.get(`Map<*,${normalizeDiType(map[1])}>`) || [] : [];
+    };
+
+    for (const { type: rawType, consumer, file, line } of requests) {
+        const type = normalizeDiType(rawType);
+        const providers = findBindings(type);
+        if (providers.length === 0) {
+            if (di.framework && !DI_BUILTIN_TYPES.has(type)) {
+                di.missingBindings.push({ type, requestedBy: consumer, file, line });
+            }
+            continue;
+        }
+        for (const provider of providers) {
+            di.edges.push({ from: provider.provider, to: consumer, type });
+        }
+    }
+
+    return di;
+}
+
+// Extract architecture from the sources of every Gradle module
+function extractArchitecture(projectRoot, cache = new FileCache()) {
+    const arch = structuredClone(MEMORY_SCHEMAS['architecture']);
+
+    const modules = getGradleModules(projectRoot);
+    const allFiles = [];
+
+    for (const module of modules) {
+        for (const root of getSourceRoots(module)) {
+            for (const file of findFiles(root.dir, name => name.endsWith('.kt') || name.endsWith('.java'))) {
+                allFiles.push({ module, file, packagePath: path.relative(root.dir, path.dirname(file)) });
+            }
+        }
+    }
+
+    // Categorize files by class name suffix, then by package and module path segments
+    for (const { module, file, packagePath } of allFiles) {
+        const name = path.basename(file).replace(/\.(kt|java)$/, '');
+        const segments = [...module.path.split('/'), ...packagePath.split(path.sep)]
+            .map(segment => segment.toLowerCase());
+        const entry = { name, module: module.name, file: path.relative(projectRoot, file) };
+        const inSegment = (...names) => segments.some(segment => names.includes(segment));
+
+        // UI Layer
+        if (name.endsWith('ViewModel')) {
+            arch.uiLayer.viewmodels.push(entry);
+        } else if (name.endsWith('Screen')) {
+            arch.uiLayer.screens.push(entry);
+        } else if (inSegment('ui', 'screen', 'screens', 'component', 'components')) {
+            arch.uiLayer.components.push(entry);
+        }
+
+        // Data Layer
+        if (name.includes('Repository') || inSegment('repository', 'repositories')) {
+            arch.dataLayer.repositories.push(entry);
+        }
+        if (name.includes('DataSource') || inSegment('datasource', 'datasources')) {
+            arch.dataLayer.datasources.push(entry);
+        }
+
+        // Domain Layer
+        if (name.endsWith('UseCase') || inSegment('usecase', 'usecases')) {
+            arch.domainLayer.usecases.push(entry);
+        }
+
+        // Models belong to the domain layer when they live under a domain module or package
+        if (inSegment(...MODEL_SEGMENTS)) {
+            if (inSegment('domain')) {
+                arch.domainLayer.models.push(entry);
+            } else {
+                arch.dataLayer.models.push(entry);
+            }
+        }
+    }
+
+    arch.di = extractDependencyInjection(projectRoot, cache);
+
+    // Detect architecture pattern
+    const hasViewModels = arch.uiLayer.viewmodels.length > 0;
+    const hasRepositories = arch.dataLayer.repositories.length > 0;
+    const hasUseCases = arch.domainLayer.usecases.length > 0;
+
+    if (hasUseCases && hasRepositories) {
+        arch.pattern = 'clean-architecture';
+    } else if (hasViewModels) {
+        arch.pattern = 'mvvm';
+    }
+
+    arch.lastAnalyzed = getTimestamp();
+    return arch;
+}
+
+// SQLite affinity Room stores a Kotlin property type with; other types go through a TypeConverter
+const ROOM_AFFINITIES = {
+    Int: 'INTEGER', Long: 'INTEGER', Short: 'INTEGER', Byte: 'INTEGER', Boolean: 'INTEGER', Char: 'INTEGER',
+    String: 'TEXT', Double: 'REAL', Float: 'REAL', ByteArray: 'BLOB'
+};
+
+const ROOM_DAO_ANNOTATIONS = ['Query', 'RawQuery', 'Insert', 'Update', 'Delete', 'Upsert'];
+
+// String literals ("a", """b""") in a piece of Kotlin
+const stringLiterals = (text) => Array.from((text || '').matchAll(/"""([\s\S]*?)"""|"((?:\\.|[^"\\])*)"/g), m => m[1] ?? m[2]);
+
+// Arguments of the annotation call starting at `@Name(`, or '' when it has none
+function annotationArguments(content, index) {
+    const open = content.indexOf('(', index);
+    const between = content.slice(index, open);
+    if (open === -1 || !/^@[\w.]+\s*$/.test(between)) return '';
+    return content.slice(open + 1, findClosingBracket(content, open));
+}
+
+// Name of the class, interface or object declared right after position `from`
+const declaredClassAfter = (content, from) => {
+    const match = content.slice(from).match(
+        new RegExp(`^\\s*${ANNOTATIONS_PATTERN}${MODIFIERS_PATTERN}(?:class|interface|object)\\s+(\\w+)`));
+    return match ? { name: match[2], index: from + match.index + match[0].length } : null;
+};
+
+// Entity columns from constructor parameters or body properties, skipping @Ignore'd ones
+function parseRoomColumns(declarations) {
+    return declarations
+        .filter(({ annotations }) => !/@Ignore\b/.test(annotations))
+        .map(({ annotations, name, type }) => {
+            const columnInfo = annotations.match(/@ColumnInfo\s*\(([^)]*)\)/);
+            const columnName = columnInfo && columnInfo[1].match(/\bname\s*=\s*"([^"]+)"/);
+            const kotlinType = type.trim();
+            return {
+                name: columnName ? columnName[1] : name,
+                field: name,
+                type: kotlinType,
+                nullable: kotlinType.endsWith('?'),
+                primaryKey: /@PrimaryKey\b/.test(annotations),
+                embedded: /@Embedded\b/.test(annotations),
+                indexed: Boolean(columnInfo && /\bindex\s*=\s*true/.test(columnInfo[1]))
+            };
+        });
+}
+
+// Collect the Room declarations of one Kotlin source: @Database, @Entity and @Dao classes
+// and Migration objects. Cross-file checks happen in extractRoomDatabase.
+function scanRoomSource(source) {
+    const content = stripComments(source);
+    const facts = { databases: [], entities: [], daos: [], migrations: [], destructiveFallback: false };
+
+    for (const match of content.matchAll(/@Database\s*\(/g)) {
+        const open = match.index + match[0].length - 1;
+        const close = findClosingBracket(content, open);
+        const args = content.slice(open + 1, close);
+        const declared = declaredClassAfter(content, close + 1);
+        const version = args.match(/\bversion\s*=\s*(\d+)/);
+        const listArgument = (name) => {
+            const list = args.match(new RegExp(`\\b${name}\\s*=\\s*(?:\\[|arrayOf\\s*\\()([^\\])]*)`));
+            return list ? classReferences(list[1]) : [];
+        };
+        facts.databases.push({
+            name: declared ? declared.name : null,
+            version: version ? Number(version[1]) : null,
+            entities: listArgument('entities'),
+            views: listArgument('views'),
+            exportSchema: !/\bexportSchema\s*=\s*false/.test(args),
+            autoMigrations: Array.from(args.matchAll(/\bAutoMigration\s*\(([^)]*)\)/g), m => {
+                const from = m[1].match(/\bfrom\s*=\s*(\d+)/) || m[1].match(/^\s*(\d+)/);
+                const to = m[1].match(/\bto\s*=\s*(\d+)/) || m[1].match(/^\s*\d+\s*,\s*(\d+)/);
+                const spec = m[1].match(/\bspec\s*=\s*([\w.]+)::class/);
+                return { from: from ? Number(from[1]) : null, to: to ? Number(to[1]) : null, spec: spec ? spec[1] : null };
+            }),
+            line: lineAt(content, match.index)
+        });
+    }
+
+    for (const match of content.matchAll(/@Entity\b/g)) {
+        const args = annotationArguments(content, match.index);
+        const declared = declaredClassAfter(content, match.index + match[0].length + (args ? args.length + 2 : 0));
+        if (!declared) continue;
+
+        const tableName = args.match(/\btableName\s*=\s*"([^"]+)"/);
+        const primaryKeys = args.match(/\bprimaryKeys\s*=\s*(?:\[|arrayOf\s*\()([^\])]*)/);
+        const declarations = [];
+
+        // Primary constructor parameters, then properties declared in the class body
+        let cursor = declared.index;
+        const constructor = content.slice(cursor).match(/^\s*(?:(?:public|internal|private)\s+)?(?:constructor\s*)?\(/);
+        if (constructor) {
+            const open = cursor + constructor[0].length - 1;
+            const close = findClosingBracket(content, open);
+            for (const param of splitTopLevel(content.slice(open + 1, close))) {
+                const declaration = param.match(new RegExp(`^${ANNOTATIONS_PATTERN}(?:(?:public|internal|private|protected|override)\\s+)*(?:val|var)\\s+(\\w+)\\s*:\\s*([^=]+?)\\s*(?:=.*)?$`, 's'));
+                if (declaration) declarations.push({ annotations: declaration[1], name: declaration[2], type: declaration[3] });
+            }
+            cursor = close + 1;
+        }
+        const body = content.slice(cursor).match(/^\s*(?::[^{]*)?\{/);
+        if (body) {
+            const open = cursor + body[0].length - 1;
+            const bodyText = content.slice(open + 1, findClosingBracket(content, open));
+            const propertyPattern = new RegExp(`${ANNOTATIONS_PATTERN}(?:(?:public|internal|private|protected|override|lateinit)\\s+)*(?:val|var)\\s+(\\w+)\\s*:\\s*([\\w.<>?, ]+?)\\s*(?:=|\\n|$)`, 'g');
+            for (const property of bodyText.matchAll(propertyPattern)) {
+                declarations.push({ annotations: property[1], name: property[2], type: property[3] });
+            }
+        }
+
+        const columns = parseRoomColumns(declarations);
+        facts.entities.push({
+            name: declared.name,
+            tableName: tableName ? tableName[1] : declared.name,
+            columns,
+            primaryKey: primaryKeys ? stringLiterals(primaryKeys[1]) : columns.filter(c => c.primaryKey).map(c => c.name),
+            indices: [
+                ...Array.from(args.matchAll(/\bIndex\s*\(([^)]*)\)/g), m => ({
+                    name: (m[1].match(/\bname\s*=\s*"([^"]+)"/) || [])[1] || null,
+                    columns: stringLiterals(m[1].replace(/\bname\s*=\s*"[^"]*"/, '')),
+                    unique: /\bunique\s*=\s*true/.test(m[1])
+                })),
+                ...columns.filter(c => c.indexed).map(c => ({ name: null, columns: [c.name], unique: false }))
+            ],
+            line: lineAt(content, match.index)
+        });
+    }
+
+    for (const match of content.matchAll(/@Dao\b/g)) {
+        const declared = declaredClassAfter(content, match.index + match[0].length);
+        const open = declared ? content.indexOf('{', declared.index) : -1;
+        if (open === -1) continue;
+        const body = content.slice(open + 1, findClosingBracket(content, open));
+
+        const methods = [];
+        const annotationPattern = new RegExp(`@(${ROOM_DAO_ANNOTATIONS.join('|')})\\b`, 'g');
+        for (const annotation of body.matchAll(annotationPattern)) {
+            const fun = body.slice(annotation.index).match(/\b(suspend\s+)?fun\s+(\w+)\s*\(/);
+            if (!fun) continue;
+            const paramsOpen = annotation.index + fun.index + fun[0].length - 1;
+            const paramsClose = findClosingBracket(body, paramsOpen);
+            const returns = body.slice(paramsClose + 1).match(/^\s*:\s*([^\n{=]+)/);
+            const sql = annotation[1] === 'Query' ? stringLiterals(annotationArguments(body, annotation.index))[0] || null : null;
+            methods.push({
+                name: fun[2],
+                kind: annotation[1].toLowerCase(),
+                sql: sql ? sql.replace(/\s+/g, ' ').trim() : null,
+                tables: sql ? Array.from(new Set(Array.from(sql.matchAll(/\b(?:FROM|JOIN|INTO|UPDATE)\s+[`"]?(\w+)/gi), m => m[1]))) : [],
+                returns: returns ? returns[1].trim() : 'Unit',
+                suspend: Boolean(fun[1])
+            });
+        }
+        facts.daos.push({ name: declared.name, methods, line: lineAt(content, match.index) });
+    }
+
+    // val MIGRATION_1_2 = object : Migration(1, 2), Migration(1, 2) { db -> } and class X : Migration(1, 2)
+    const migrationPattern = /(?:\bval\s+(\w+)\s*(?::\s*Migration\s*)?=\s*(?:object\s*:\s*)?|\b(?:object|class)\s+(\w+)\s*:\s*)?\bMigration\s*\(\s*(\d+)\s*,\s*(\d+)\s*\)/g;
+    for (const match of content.matchAll(migrationPattern)) {
+        facts.migrations.push({
+            name: match[1] || match[2] || null,
+            from: Number(match[3]),
+            to: Number(match[4]),
+            line: lineAt(content, match.index)
+        });
+    }
+
+    facts.destructiveFallback = /\.fallbackToDestructiveMigration\w*\s*\(/.test(content);
+    return facts;
+}
+
+// Exported Room schemas: <module>/schemas/<qualified.Database>/<version>.json
+function getRoomSchemaFiles(projectRoot) {
+    return getGradleModules(projectRoot).flatMap(module =>
+        findFiles(path.join(module.dir, 'schemas'), name => /^\d+\.json$/.test(name))
+            .map(file => ({
+                database: path.basename(path.dirname(file)).split('.').pop(),
+                version: Number(path.basename(file, '.json')),
+                file
+            })));
+}
+
+// Column differences between an entity and its table in an exported schema
+function diffEntitySchema(entity, table) {
+    const fields = new Map(table.fields
+        .filter(field => !field.fieldPath || !field.fieldPath.includes('.'))
+        .map(field => [field.columnName, field]));
+    const columns = entity.columns.filter(column => !column.embedded);
+
+    const differences = [];
+    for (const column of columns) {
+        const field = fields.get(column.name);
+        if (!field) {
+            differences.push(`${column.name} added`);
+            continue;
+        }
+        const affinity = ROOM_AFFINITIES[column.type.replace('?', '')];
+        if (affinity && field.affinity !== affinity) {
+            differences.push(`${column.name} ${field.affinity} → ${affinity}`);
+        }
+        if (Boolean(field.notNull) === column.nullable) {
+            differences.push(`${column.name} ${column.nullable ? 'now nullable' : 'now NOT NULL'}`);
+        }
+    }
+    for (const name of fields.keys()) {
+        if (!columns.some(column => column.name === name)) differences.push(`${name} removed`);
+    }
+    return differences;
+}
+
+// Extract Room databases, entities, DAOs, migrations and exported schemas, flagging version
+// steps no migration covers and entities that drifted from the latest exported schema
+function extractRoomDatabase(projectRoot, cache = new FileCache()) {
+    const result = structuredClone(MEMORY_SCHEMAS['room-database']);
+    let destructiveFallback = false;
+
+    for (const source of getKotlinSources(projectRoot)) {
+        const facts = cache.get(source.file, 'room', scanRoomSource);
+        const location = { module: source.module, file: path.relative(projectRoot, source.file) };
+        facts.databases.forEach(database => result.databases.push({ ...database, ...location }));
+        facts.entities.forEach(entity => result.entities.push({ ...entity, ...location }));
+        facts.daos.forEach(dao => result.daos.push({ ...dao, ...location }));
+        facts.migrations.forEach(migration => result.migrations.push({ ...migration, ...location }));
+        destructiveFallback = destructiveFallback || facts.destructiveFallback;
+    }
+
+    const exportedTables = new Map();
+    for (const schema of getRoomSchemaFiles(projectRoot)) {
+        const data = readJson(schema.file);
+        if (!data || !data.database) continue;
+        const tables = data.database.entities || [];
+        result.schemas.push({
+            database: schema.database,
+            version: schema.version,
+            file: path.relative(projectRoot, schema.file),
+            tables: tables.map(table => table.tableName)
+        });
+        exportedTables.set(`${schema.database}@${schema.version}`, tables);
+    }
+
+    const entities = new Map(result.entities.map(entity => [entity.name, entity]));
+    // Migrations are not tied to a database in source, so each one counts for every database
+    const steps = [...result.migrations, ...result.databases.flatMap(database => database.autoMigrations)];
+
+    for (const database of result.databases) {
+        const warn = (message, entity = null) => result.warnings.push({ database: database.name, entity, message });
+        database.destructiveFallback = destructiveFallback;
+
+        // Room chains migrations that start exactly at the installed version, so every older
+        // version needs a step starting at it; then each one can reach the current version
+        for (let version = 1; version < (database.version || 1); version++) {
+            if (!steps.some(step => step.from === version && step.to > version && step.to <= database.version)) {
+                warn(`No migration from version ${version} to ${version + 1}${destructiveFallback ? ' (falls back to a destructive migration)' : ''}`);
+            }
+        }
+
+        const exported = result.schemas.filter(schema => schema.database === database.name);
+        const latest = exported.reduce((best, schema) => (!best || schema.version > best.version ? schema : best), null);
+        database.latestSchema = latest ? latest.version : null;
+        if (!latest) {
+            if (database.exportSchema) warn('exportSchema is enabled but no exported schema was found (set room.schemaLocation)');
+            continue;
+        }
+        if (latest.version < database.version) {
+            warn(`Schema for version ${database.version} is not exported yet (latest exported: ${latest.version})`);
+        }
+
+        const tables = new Map(exportedTables.get(`${database.name}@${latest.version}`).map(table => [table.tableName, table]));
+        for (const name of database.entities) {
+            const entity = entities.get(name);
+            if (!entity) continue;
+            const table = tables.get(entity.tableName);
+            if (!table) {
+                warn(`Table ${entity.tableName} is not in exported schema ${latest.version}`, name);
+                continue;
+            }
+            const differences = diffEntitySchema(entity, table);
+            if (differences.length > 0) {
+                warn(`Differs from exported schema ${latest.version}: ${differences.join(', ')}`, name);
+            }
+        }
+    }
+
+    result.lastAnalyzed = getTimestamp();
+    return result;
+}
+
+// ViewModel factories a screen can obtain its ViewModel from, by DI framework
+const VIEW_MODEL_PROVIDERS = { hiltViewModel: 'hilt', koinViewModel: 'koin', viewModel: 'compose' };
+
+// The ViewModel a composable obtains, from `vm: HomeViewModel = hiltViewModel()`
+// or `koinViewModel<HomeViewModel>()` in its parameters or body
+function findScreenViewModel(text) {
+    const match = text.match(/(?::\s*([\w.]+)\s*=\s*)?\b(hiltViewModel|koinViewModel|viewModel)\s*(?:<\s*([\w.]+)\s*>)?\s*\(/);
+    if (!match) return null;
+    const type = match[3] || match[1];
+    return { type: type ? type.split('.').pop() : null, provider: VIEW_MODEL_PROVIDERS[match[2]] };
+}
+
+// Compose facts of one Kotlin source: screen composables with their parameters and ViewModel,
+// the screens each preview renders, and the navigation destinations that call screens
+function scanComposeSource(source) {
+    const content = stripComments(source);
+    const facts = { screens: [], previews: [], navHosts: 0, constants: [], destinations: [] };
+
+    const functionPattern = new RegExp(`${ANNOTATIONS_PATTERN}${MODIFIERS_PATTERN}fun\\s+(\\w+)\\s*\\(`, 'g');
+    for (const match of content.matchAll(functionPattern)) {
+        const [, annotations, name] = match;
+        if (!/@Composable\b/.test(annotations)) continue;
+
+        const open = match.index + match[0].length - 1;
+        const close = findClosingBracket(content, open);
+        const parameters = content.slice(open + 1, close);
+        const bodyStart = content.slice(close + 1).match(/^\s*(?::\s*[\w.<>?]+\s*)?\{/);
+        const body = bodyStart
+            ? content.slice(close + bodyStart[0].length + 1, findClosingBracket(content, close + bodyStart[0].length))
+            : '';
+
+        // Multipreview annotations (@PreviewLightDark, @DevicePreviews) count as previews too
+        if (/@[\w.]*Preview/.test(annotations)) {
+            facts.previews.push(Array.from(new Set(Array.from(body.matchAll(/\b([A-Z]\w*Screen)\s*\(/g), m => m[1]))));
+        } else if (name.endsWith('Screen')) {
+            facts.screens.push({
+                name,
+                line: lineAt(content, match.index + annotations.length),
+                parameters: parseKotlinParameters(parameters).map(({ name: param, type, hasDefault }) => ({ name: param, type, hasDefault })),
+                viewModel: findScreenViewModel(`${parameters}\n${body}`)
+            });
+        }
+    }
+
+    const navigation = scanNavigationSource(source);
+    facts.navHosts = navigation.navHosts.length;
+    facts.constants = navigation.constants;
+    facts.destinations = navigation.destinations.map(({ typeArgument, routeExpression, calls }) => ({ typeArgument, routeExpression, calls }));
+    return facts;
+}
+
+// Screens rendered by a Compose UI test (createComposeRule / createAndroidComposeRule)
+const scanComposeTestSource = (source) => (/\bcreate(?:Android)?ComposeRule\b/.test(source)
+    ? Array.from(new Set(Array.from(stripComments(source).matchAll(/\b([A-Z]\w*Screen)\s*\(/g), m => m[1])))
+    : []);
+
+// Extract Compose screens across all modules, linked to their previews, route and UI tests
+function extractComposeScreens(projectRoot, cache = new FileCache()) {
+    const result = structuredClone(MEMORY_SCHEMAS['compose-screens']);
+    const declared = [];
+    const previews = [];
+    const tested = new Set();
+    const constants = new Map();
+    const destinations = [];
+
+    for (const source of getKotlinSources(projectRoot, { includeTests: true })) {
+        const relativePath = path.relative(projectRoot, source.file);
+        if (/test/i.test(source.sourceSet)) {
+            cache.get(source.file, 'compose-tests', scanComposeTestSource).forEach(name => tested.add(name));
+            continue;
+        }
+
+        const facts = cache.get(source.file, 'compose-screens', scanComposeSource);
+        facts.screens.forEach(screen => declared.push({ ...screen, file: relativePath, module: source.module }));
+        previews.push(...facts.previews);
+        facts.constants.forEach(([name, value]) => constants.set(name, value));
+        destinations.push(...facts.destinations);
+        if (facts.navHosts > 0 && !result.navigation.graphFile) {
+            result.navigation = { type: 'compose-navigation', graphFile: relativePath };
+        }
+    }
+
+    // A screen's route is the first destination whose content calls it
+    const names = new Set(declared.map(screen => screen.name));
+    const routes = new Map();
+    for (const destination of destinations) {
+        const screen = destination.calls.find(name => names.has(name));
+        if (screen && !routes.has(screen)) {
+            routes.set(screen, destination.typeArgument
+                || resolveRouteExpression(destination.routeExpression, constants)
+                || destination.routeExpression);
+        }
+    }
+
+    for (const screen of declared) {
+        const previewCount = previews.filter(targets => targets.includes(screen.name)).length;
+        result.screens.push({
+            name: screen.name,
+            file: screen.file,
+            module: screen.module,
+            line: screen.line,
+            parameters: screen.parameters,
+            viewModel: screen.viewModel,
+            previewCount,
+            previewable: previewCount > 0,
+            route: routes.get(screen.name) || null,
+            testable: tested.has(screen.name)
+        });
+    }
+
+    result.lastIndexed = getTimestamp();
+    return result;
+}
+
+// Read a route expression: a string literal, a constant or a sealed-class `.route` property
+function resolveRouteExpression(expression, constants) {
+    const trimmed = expression.trim();
+    const literal = trimmed.match(/^"((?:\\.|[^"\\])*)"$/);
+    if (literal) return literal[1];
+
+    const reference = trimmed.match(/^([\w.]+?)(?:\.route)?$/);
+    if (reference) {
+        const name = reference[1].split('.').pop();
+        if (constants.has(name)) return constants.get(name);
+    }
+    return null;
+}
+
+// Named argument `name = value` (or the first positional argument) of a call's argument list
+function getCallArgument(args, name, positional = false) {
+    const named = args.match(new RegExp(`\\b${name}\\s*=\\s*("(?:\\\\.|[^"\\\\])*"|[\\w.]+(?:\\([^)]*\\))?)`));
+    if (named) return named[1];
+    if (!positional) return null;
+
+    const first = args.match(/^\s*("(?:\\.|[^"\\])*"|[\w.]+)\s*(?:,|$)/);
+    return first && !/^\w+\s*=/.test(args.trim()) ? first[1] : null;
+}
+
+// Turn the constructor parameters of a route class into navigation arguments
+function parseRouteParameters(parameters) {
+    return parameters.split(',')
+        .map(param => param.trim().match(/^(?:val|var)\s+(\w+)\s*:\s*([^=]+?)\s*(=.*)?$/))
+        .filter(Boolean)
+        .map(match => ({
+            name: match[1],
+            type: match[2].replace('?', ''),
+            nullable: match[2].includes('?'),
+            hasDefault: Boolean(match[3])
+        }));
+}
+
+// A registered route pattern such as "profile/{id}?tab={tab}" matches a navigate() target
+// whose template parts ($id, ${user.id}) may stand for any path segment
+function routeMatches(pattern, target) {
+    const patternSegments = pattern.split('?')[0].split('/');
+    const targetSegments = target.split('?')[0].split('/');
+    if (patternSegments.length !== targetSegments.length) return false;
+
+    return patternSegments.every((segment, i) =>
+        segment === targetSegments[i] || /^\{[^}]+\}$/.test(segment) || targetSegments[i].includes('$'));
+}
+
+// Collect the navigation facts of one Kotlin source. Everything here depends on the
+// file alone, so it can be cached per file; routes are resolved across files later.
+function scanNavigationSource(source) {
+    const content = stripComments(source);
+    const facts = { constants: [], routeClasses: [], navHosts: [], nested: [], destinations: [], navigations: [] };
+
+    // Route constants: const val HOME = "home" and sealed `object Home : Screen("home")`
+    for (const match of content.matchAll(/\bconst\s+val\s+(\w+)\s*(?::\s*String\s*)?=\s*"([^"$]*)"/g)) {
+        facts.constants.push([match[1], match[2]]);
+    }
+    for (const match of content.matchAll(/\bobject\s+(\w+)\s*:\s*\w+\s*\(\s*(?:route\s*=\s*)?"([^"$]*)"/g)) {
+        facts.constants.push([match[1], match[2]]);
+    }
+
+    // Type-safe routes are @Serializable classes and objects
+    const serializableMatches = content.matchAll(
+        /@Serializable\s+(?:(?:data|internal|private|public)\s+)*(class|object)\s+(\w+)\s*(\()?/g
+    );
+    for (const match of serializableMatches) {
+        const parameters = match[3]
+            ? content.slice(match.index + match[0].length, findClosingBracket(content, match.index + match[0].length - 1))
+            : '';
+        facts.routeClasses.push({ name: match[2], kind: match[1], arguments: parseRouteParameters(parameters) });
+    }
+
+    for (const match of content.matchAll(/\bNavHost\s*\(/g)) {
+        const open = match.index + match[0].length - 1;
+        const args = content.slice(open + 1, findClosingBracket(content, open));
+        facts.navHosts.push({ line: lineAt(content, match.index), startDestination: getCallArgument(args, 'startDestination') });
+    }
+
+    // Destinations and nested graphs, with the source range of each graph's builder lambda
+    const callPattern = /\b(composable|dialog|navigation)\s*(?:<\s*([\w.]+)\s*>)?\s*(?=[({])/g;
+    for (const match of content.matchAll(callPattern)) {
+        let cursor = match.index + match[0].length;
+        let args = '';
+        if (content[cursor] === '(') {
+            const close = findClosingBracket(content, cursor);
+            args = content.slice(cursor + 1, close);
+            cursor = close + 1;
+            while (/\s/.test(content[cursor] || '')) cursor++;
+        }
+        let body = '';
+        let bodyEnd = cursor;
+        if (content[cursor] === '{') {
+            bodyEnd = findClosingBracket(content, cursor);
+            body = content.slice(cursor + 1, bodyEnd);
+        }
+
+        const [, kind, typeArgument] = match;
+        const routeExpression = typeArgument ? null : getCallArgument(args, 'route', kind !== 'navigation');
+        if (!typeArgument && !routeExpression) continue;
+
+        const entry = {
+            kind,
+            typeArgument: typeArgument || null,
+            routeExpression,
+            line: lineAt(content, match.index),
+            start: match.index,
+            end: bodyEnd
+        };
+
+        if (kind === 'navigation') {
+            entry.startDestination = getCallArgument(args, 'startDestination');
+            facts.nested.push(entry);
+            continue;
+        }
+
+        entry.arguments = [];
+        for (const argMatch of args.matchAll(/\bnavArgument\s*\(\s*"(\w+)"\s*\)\s*\{([^}]*)\}/g)) {
+            const typeMatch = argMatch[2].match(/NavType\.(\w+?)(?:Type)?\b/);
+            entry.arguments.push({
+                name: argMatch[1],
+                type: typeMatch ? typeMatch[1] : null,
+                nullable: /\bnullable\s*=\s*true/.test(argMatch[2]),
+                hasDefault: /\bdefaultValue\s*=/.test(argMatch[2])
+            });
+        }
+
+        entry.deepLinks = [];
+        for (const linkMatch of args.matchAll(/\buriPattern\s*=\s*"([^"]+)"/g)) {
+            entry.deepLinks.push(linkMatch[1]);
+        }
+        for (const linkMatch of args.matchAll(/\bnavDeepLink\s*<\s*[\w.]+\s*>\s*\(\s*(?:basePath\s*=\s*)?"([^"]+)"/g)) {
+            entry.deepLinks.push(linkMatch[1]);
+        }
+
+        entry.calls = Array.from(body.matchAll(/\b([A-Z]\w*)\s*\(/g)).map(m => m[1]);
+        facts.destinations.push(entry);
+    }
+
+    for (const match of content.matchAll(/\.navigate\s*\(/g)) {
+        const open = match.index + match[0].length - 1;
+        const args = content.slice(open + 1, findClosingBracket(content, open));
+        facts.navigations.push({
+            target: getCallArgument(args, 'route', true) || args.split(',')[0].trim(),
+            line: lineAt(content, match.index)
+        });
+    }
+
+    return facts;
+}
+
+// Extract Compose Navigation routes, nested graphs, deep links and unknown navigate() targets
+function extractNavigationGraph(projectRoot, cache = new FileCache()) {
+    const graph = structuredClone(MEMORY_SCHEMAS['navigation-graph']);
+
+    const sources = getKotlinSources(projectRoot).map(source => ({
+        relativePath: path.relative(projectRoot, source.file),
+        facts: cache.get(source.file, 'navigation', scanNavigationSource)
+    }));
+
+    const constants = new Map(sources.flatMap(source => source.facts.constants));
+    const routeClasses = new Map(sources.flatMap(source => source.facts.routeClasses.map(c => [c.name, c])));
+    const resolve = (expression) => resolveRouteExpression(expression, constants) || expression;
+
+    const screenFiles = new Map(extractComposeScreens(projectRoot, cache).screens.map(s => [s.name, s.file]));
+
+    for (const { relativePath, facts } of sources) {
+        for (const navHost of facts.navHosts) {
+            graph.navHosts.push({
+                file: relativePath,
+                line: navHost.line,
+                startDestination: navHost.startDestination ? resolve(navHost.startDestination) : null
+            });
+        }
+
+        const nested = facts.nested.map(entry => ({
+            ...entry,
+            route: entry.typeArgument || resolve(entry.routeExpression),
+            startDestination: entry.startDestination ? resolve(entry.startDestination) : null
+        }));
+
+        const destinations = facts.destinations.map(entry => {
+            const routeClass = entry.typeArgument ? routeClasses.get(entry.typeArgument.split('.').pop()) : null;
+            // The screen is the first known screen composable called in the destination body
+            const destination = entry.calls.find(name => screenFiles.has(name))
+                || entry.calls.find(name => name.endsWith('Screen'))
+                || null;
+            return {
+                ...entry,
+                route: entry.typeArgument || resolve(entry.routeExpression),
+                arguments: [...(routeClass ? routeClass.arguments : []), ...entry.arguments],
+                destination,
+                screenFile: destination ? screenFiles.get(destination) || null : null
+            };
+        });
+
+        for (const entry of destinations) {
+            // Innermost navigation { } builder enclosing the destination
+            const parent = nested
+                .filter(g => g.start < entry.start && g.end > entry.start)
+                .sort((a, b) => b.start - a.start)[0];
+            graph.routes.push({
+                kind: entry.kind,
+                route: entry.route,
+                typeSafe: Boolean(entry.typeArgument),
+                file: relativePath,
+                line: entry.line,
+                arguments: entry.arguments,
+                deepLinks: entry.deepLinks,
+                destination: entry.destination,
+                screenFile: entry.screenFile,
+                graph: parent ? parent.route : null
+            });
+
+            for (const uri of entry.deepLinks) {
+                graph.deepLinks.push({ uri, destination: entry.route, file: relativePath });
+            }
+        }
+
+        for (const entry of nested) {
+            graph.nestedGraphs.push({
+                route: entry.route,
+                startDestination: entry.startDestination,
+                typeSafe: Boolean(entry.typeArgument),
+                file: relativePath,
+                line: entry.line,
+                routes: destinations.filter(d => d.start > entry.start && d.end <= entry.end).map(d => d.route)
+            });
+        }
+    }
+
+    // navigate() targets that no destination registers
+    const stringRoutes = graph.routes.filter(r => !r.typeSafe).map(r => r.route)
+        .concat(graph.nestedGraphs.filter(g => !g.typeSafe).map(g => g.route));
+    const typedRoutes = new Set(graph.routes.concat(graph.nestedGraphs)
+        .filter(r => r.typeSafe)
+        .map(r => r.route.split('.').pop()));
+
+    for (const { relativePath, facts } of sources) {
+        for (const { target, line } of facts.navigations) {
+            let registered;
+            const route = resolveRouteExpression(target, constants);
+            if (route !== null) {
+                registered = stringRoutes.some(pattern => routeMatches(pattern, route));
+            } else {
+                // Type-safe targets name or construct a @Serializable route class; calls to
+                // anything else (Screen.Profile.createRoute(id)) build routes we cannot resolve
+                const reference = target.match(/^([A-Z][\w.]*)\s*(?:\(|$)/);
+                const name = reference ? reference[1].split('.').pop() : null;
+                if (!routeClasses.has(name)) continue;
+                registered = typedRoutes.has(name);
+            }
+
+            if (!registered) {
+                graph.unregisteredNavigations.push({ target, file: relativePath, line });
+            }
+        }
+    }
+
+    graph.lastIndexed = getTimestamp();
+    return graph;
+}
+
+// Parse a JUnit XML report (Gradle's build/test-results/*/TEST-*.xml)
+function parseJUnitXml(content) {
+    const results = { tests: 0, failures: [], skipped: 0 };
+
+    const testCaseMatches = content.matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g);
+    for (const match of testCaseMatches) {
+        const attributes = parseXmlAttributes(match[1]);
+        const body = match[2] || '';
+        results.tests++;
+
+        if (/<skipped\b/.test(body)) {
+            results.skipped++;
+            continue;
+        }
+
+        const failureMatch = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+        if (!failureMatch) continue;
+
+        const failure = parseXmlAttributes(failureMatch[2]);
+        const stackTrace = decodeXmlEntities(failureMatch[3] || '');
+        const message = (failure.message || stackTrace).split('\n')[0].trim();
+
+        // Point at the first stack frame inside the test class itself
+        const className = attributes.classname || '';
+        const frameMatch = stackTrace.match(
+            new RegExp(`at ${className.replace(/[.$]/g, '\\$&')}[.$][^(]*\\(([^:)]+):(\\d+)\\)`)
+        );
+
+        results.failures.push({
+            class: className,
+            method: attributes.name,
+            kind: failureMatch[1],
+            type: failure.type || null,
+            message: message.substring(0, 300),
+            location: frameMatch ? `${frameMatch[1]}:${frameMatch[2]}` : null
+        });
+    }
+
+    return results;
+}
+
+// Read the report-level line counter from a JaCoCo or Kover XML report
+function parseCoverageReport(content) {
+    if (!/<report\b/.test(content)) return null;
+
+    // Report totals are the counters that follow the last package/group element
+    const lastSection = Math.max(content.lastIndexOf('</package>'), content.lastIndexOf('</group>'));
+    const totals = lastSection >= 0 ? content.slice(lastSection) : content;
+
+    const counters = {};
+    for (const match of totals.matchAll(/<counter\b([^>]*)\/>/g)) {
+        const attributes = parseXmlAttributes(match[1]);
+        counters[attributes.type] = {
+            missed: Number(attributes.missed) || 0,
+            covered: Number(attributes.covered) || 0
+        };
+    }
+
+    return counters.LINE || counters.INSTRUCTION || null;
+}
+
+const COVERAGE_TREND_THRESHOLD = 0.5;
+
+const toPercentage = (covered, missed) =>
+    covered + missed > 0 ? Math.round((covered / (covered + missed)) * 1000) / 10 : 0;
+
+// Extract test results and coverage from every module's build outputs.
+// `previous` is the stored memory, used to keep failure `since` dates and compute the trend.
+function extractTestCoverage(projectRoot, previous = null, cache = new FileCache()) {
+    const coverage = structuredClone(MEMORY_SCHEMAS['test-coverage']);
+    coverage.flakyTests = previous?.flakyTests || [];
+
+    const previousModules = new Map((previous?.modules || []).map(m => [m.name, m]));
+    const previousFailures = new Map((previous?.failingTests || [])
+        .map(t => [`${t.module}|${t.class}|${t.method}`, t]));
+
+    let coveredLines = 0;
+    let missedLines = 0;
+    let hasCoverage = false;
+
+    for (const module of getGradleModules(projectRoot)) {
+        const buildDir = path.join(module.dir, 'build');
+        const resultFiles = findFiles(path.join(buildDir, 'test-results'),
+            name => name.startsWith('TEST-') && name.endsWith('.xml'));
+        const reportFiles = ['kover', 'jacoco']
+            .flatMap(tool => findFiles(path.join(buildDir, 'reports', tool), name => name.endsWith('.xml')))
+            .map(file => ({ file, mtime: fs.statSync(file).mtime }))
+            .sort((a, b) => b.mtime - a.mtime);
+
+        if (resultFiles.length === 0 && reportFiles.length === 0) continue;
+
+        const entry = {
+            name: module.name,
+            path: module.path,
+            coverage: null,
+            goal: previousModules.get(module.name)?.goal ?? null,
+            tests: 0,
+            failures: 0,
+            skipped: 0,
+            lastRun: null
+        };
+        const seenFailures = new Set();
+
+        for (const resultFile of resultFiles) {
+            const runAt = fs.statSync(resultFile).mtime.toISOString();
+            if (!entry.lastRun || runAt > entry.lastRun) entry.lastRun = runAt;
+
+            const results = cache.get(resultFile, 'junit', parseJUnitXml);
+            entry.tests += results.tests;
+            entry.skipped += results.skipped;
+            entry.failures += results.failures.length;
+
+            for (const failure of results.failures) {
+                // The same test fails once per variant task; report it once
+                const key = `${module.name}|${failure.class}|${failure.method}`;
+                if (seenFailures.has(key)) continue;
+                seenFailures.add(key);
+
+                coverage.failingTests.push({
+                    module: module.name,
+                    ...failure,
+                    since: previousFailures.get(key)?.since || runAt
+                });
+            }
+        }
+
+        // Variants write separate reports; the most recent one wins
+        for (const report of reportFiles) {
+            const counter = cache.get(report.file, 'coverage', parseCoverageReport);
+            if (!counter) continue;
+
+            entry.coverage = toPercentage(counter.covered, counter.missed);
+            entry.coverageReport = path.relative(projectRoot, report.file);
+            coveredLines += counter.covered;
+            missedLines += counter.missed;
+            hasCoverage = true;
+            break;
+        }
+
+        coverage.modules.push(entry);
+        if (entry.lastRun && (!coverage.lastRun || entry.lastRun > coverage.lastRun)) {
+            coverage.lastRun = entry.lastRun;
+        }
+    }
+
+    coverage.totalCoverage = toPercentage(coveredLines, missedLines);
+
+    const previousHadCoverage = (previous?.modules || []).some(m => typeof m.coverage === 'number');
+    if (hasCoverage && previousHadCoverage && typeof previous.totalCoverage === 'number') {
+        const delta = coverage.totalCoverage - previous.totalCoverage;
+        if (delta > COVERAGE_TREND_THRESHOLD) {
+            coverage.trend = 'improving';
+        } else if (delta < -COVERAGE_TREND_THRESHOLD) {
+            coverage.trend = 'declining';
+        }
+    }
+
+    // lastRun is when the reports were written; retention counts from this refresh
+    coverage.lastAnalyzed = getTimestamp();
+    return coverage;
+}
+
+// Static analysis severities normalized across Android Lint, SARIF and checkstyle
+const ANALYSIS_SEVERITIES = {
+    fatal: 'error', error: 'error', warning: 'warning', information: 'info', informational: 'info',
+    info: 'info', note: 'info', ignore: 'info', none: 'info'
+};
+const normalizeSeverity = (value) => ANALYSIS_SEVERITIES[String(value || 'warning').toLowerCase()] || 'warning';
+
+// Baseline files next to a module's build script
+const ANALYSIS_BASELINES = { lint: ['lint-baseline.xml'], detekt: ['detekt-baseline.xml', 'config/detekt/baseline.xml'] };
+
+// Android Lint XML (lint-results-*.xml and lint-baseline.xml share the format)
+function parseLintXml(content) {
+    const issues = [];
+    for (const match of content.matchAll(/<issue\b([^>]*?)(?:\/>|>([\s\S]*?)<\/issue>)/g)) {
+        const attributes = parseXmlAttributes(match[1]);
+        const location = (match[2] || '').match(/<location\b([^>]*?)\/?>/);
+        const where = location ? parseXmlAttributes(location[1]) : {};
+        issues.push({
+            rule: attributes.id,
+            severity: normalizeSeverity(attributes.severity),
+            message: (attributes.message || '').substring(0, 300),
+            file: where.file || null,
+            line: where.line ? Number(where.line) : null
+        });
+    }
+    return issues;
+}
+
+// Checkstyle XML as written by detekt, ktlint and checkstyle itself
+function parseCheckstyleXml(content) {
+    const issues = [];
+    for (const fileMatch of content.matchAll(/<file\b([^>]*?)(?:\/>|>([\s\S]*?)<\/file>)/g)) {
+        const { name } = parseXmlAttributes(fileMatch[1]);
+        for (const errorMatch of (fileMatch[2] || '').matchAll(/<error\b([^>]*?)\/?>/g)) {
+            const attributes = parseXmlAttributes(errorMatch[1]);
+            issues.push({
+                rule: (attributes.source || 'unknown').replace(/^detekt\./, ''),
+                severity: normalizeSeverity(attributes.severity),
+                message: (attributes.message || '').substring(0, 300),
+                file: name || null,
+                line: attributes.line ? Number(attributes.line) : null
+            });
+        }
+    }
+    return issues;
+}
+
+// SARIF 2.1 runs (detekt, ktlint); the tool name comes from the run's driver
+function parseSarif(content) {
+    let sarif;
+    try {
+        sarif = JSON.parse(content);
+    } catch {
+        return [];
+    }
+    return (sarif.runs || []).flatMap(run => {
+        const tool = String(run.tool?.driver?.name || 'sarif').toLowerCase();
+        return (run.results || []).map(result => {
+            const physical = result.locations?.[0]?.physicalLocation || {};
+            return {
+                tool,
+                rule: tool === 'detekt' ? String(result.ruleId || '').split('.').pop() : result.ruleId,
+                severity: normalizeSeverity(result.level),
+                message: String(result.message?.text || '').substring(0, 300),
+                file: physical.artifactLocation?.uri || null,
+                line: physical.region?.startLine ?? null
+            };
+        });
+    });
+}
+
+// Parse one report file into { tool, issues }, or null when it is not an analysis report
+function parseAnalysisReport(content, filePath) {
+    if (filePath.endsWith('.sarif') || filePath.endsWith('.sarif.json')) {
+        return { tool: 'sarif', issues: parseSarif(content) };
+    }
+    if (/<issues\b/.test(content)) {
+        return { tool: 'lint', issues: parseLintXml(content) };
+    }
+    if (/<checkstyle\b/.test(content)) {
+        const issues = parseCheckstyleXml(content);
+        const tool = /detekt/i.test(filePath) || issues.some(i => /^detekt\b/.test(i.rule)) ? 'detekt'
+            : /ktlint|kotlinter/i.test(filePath) ? 'ktlint' : 'checkstyle';
+        return { tool, issues };
+    }
+    return null;
+}
+
+// detekt-baseline.xml: <ID>RuleId:Signature</ID> entries
+const parseDetektBaseline = (content) => Array.from(content.matchAll(/<ID>([^<]+)<\/ID>/g), m => {
+    const [rule, ...signature] = decodeXmlEntities(m[1]).split(':');
+    return { rule, signature: signature.join(':') };
+});
+
+// Project-relative path for a path reported by a tool: absolute, file:// URI, or relative
+// to the module or the report directory (the module when the file no longer exists)
+function resolveReportPath(projectRoot, reported, bases) {
+    if (!reported) return null;
+    const cleaned = decodeURIComponent(reported.replace(/^file:\/\//, ''));
+    if (path.isAbsolute(cleaned)) return path.relative(projectRoot, cleaned);
+    for (const base of bases) {
+        const candidate = path.resolve(base, cleaned);
+        if (fs.existsSync(candidate)) return path.relative(projectRoot, candidate);
+    }
+    return path.relative(projectRoot, path.resolve(bases[0], cleaned));
+}
+
+// Owning Gradle module of a project-relative file: the module with the longest matching path
+const moduleForFile = (modules, file, fallback) => modules
+    .filter(module => module.path === '.' || (file && (file === module.path || file.startsWith(`${module.path}/`))))
+    .sort((a, b) => b.path.length - a.path.length)
+    .map(module => module.name)[0] || fallback;
+
+const issueKey = (issue) => `${issue.tool}|${issue.rule}|${issue.file}|${issue.message}`;
+
+// Ingest Android Lint, detekt, ktlint and checkstyle reports from every module's build/reports,
+// with counts per module and rule. Issues are compared against lint/detekt baselines, or
+// against `previous` (the stored memory) for tools without one, to tell new issues apart.
+function extractStaticAnalysis(projectRoot, previous = null, cache = new FileCache()) {
+    const analysis = structuredClone(MEMORY_SCHEMAS['static-analysis']);
+    const modules = getGradleModules(projectRoot);
+    const reportDirs = modules.map(module => ({ module, dir: path.join(module.dir, 'build', 'reports') }));
+    if (!modules.some(module => module.path === '.')) {
+        // Merged reports (detekt reportMerge) land in the root project's build directory
+        reportDirs.push({ module: { name: ':', path: '.', dir: projectRoot }, dir: path.join(projectRoot, 'build', 'reports') });
+    }
+
+    for (const { module, dir } of reportDirs) {
+        const reportFiles = findFiles(dir, name => /\.(xml|sarif)$|\.sarif\.json$/.test(name));
+        for (const file of reportFiles) {
+            const report = cache.get(file, 'static-analysis', parseAnalysisReport);
+            if (!report) continue;
+
+            analysis.reports.push({
+                tool: report.tool === 'sarif' ? Array.from(new Set(report.issues.map(i => i.tool))).join(',') || 'sarif' : report.tool,
+                module: module.name,
+                file: path.relative(projectRoot, file),
+                issues: report.issues.length,
+                generatedAt: fs.statSync(file).mtime.toISOString()
+            });
+            for (const issue of report.issues) {
+                const relativeFile = resolveReportPath(projectRoot, issue.file, [module.dir, path.dirname(file), projectRoot]);
+                analysis.issues.push({
+                    tool: issue.tool || report.tool,
+                    rule: issue.rule,
+                    severity: issue.severity,
+                    message: issue.message,
+                    file: relativeFile,
+                    line: issue.line,
+                    module: moduleForFile(modules, relativeFile, module.name),
+                    new: false
+                });
+            }
+        }
+    }
+
+    // The same finding shows up once per variant report (lint-results-debug/-release); keep one
+    const seen = new Set();
+    analysis.issues = analysis.issues.filter(issue => {
+        const key = `${issueKey(issue)}|${issue.line}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    // Baseline files per module and tool
+    const baselined = new Set();
+    for (const module of modules) {
+        for (const [tool, names] of Object.entries(ANALYSIS_BASELINES)) {
+            const file = names.map(name => path.join(module.dir, name)).find(candidate => fs.existsSync(candidate));
+            if (!file) continue;
+
+            const content = fs.readFileSync(file, 'utf8');
+            const entries = tool === 'lint'
+                ? parseLintXml(content).map(entry => ({
+                    ...entry,
+                    file: resolveReportPath(projectRoot, entry.file, [module.dir, path.dirname(file)])
+                }))
+                : parseDetektBaseline(content);
+            analysis.baseline.files.push({ tool, module: module.name, file: path.relative(projectRoot, file), entries: entries.length });
+            baselined.add(`${tool}|${module.name}`);
+
+            const issues = analysis.issues.filter(issue => issue.tool === tool && issue.module === module.name);
+            const matches = (issue, entry) => (tool === 'lint'
+                ? entry.rule === issue.rule && entry.file === issue.file && entry.message === issue.message
+                // detekt signatures start with the file name, e.g. MagicNumber:Player.kt$Player$42
+                : entry.rule === issue.rule && issue.file && entry.signature.startsWith(path.basename(issue.file)));
+            issues.forEach(issue => { issue.new = !entries.some(entry => matches(issue, entry)); });
+
+            // Baseline entries that no longer occur were fixed, if the tool reported on this module at all
+            if (analysis.reports.some(report => report.tool.split(',').includes(tool) && report.module === module.name) || issues.length > 0) {
+                for (const entry of entries) {
+                    if (!issues.some(issue => matches(issue, entry))) {
+                        analysis.baseline.fixed.push({ tool, module: module.name, rule: entry.rule, file: entry.file || null, message: entry.message || null });
+                    }
+                }
+            }
+        }
+    }
+
+    // Tools without a baseline file are compared with the previous refresh
+    if (previous && Array.isArray(previous.issues)) {
+        const known = new Set(previous.issues.map(issueKey));
+        analysis.issues
+            .filter(issue => !baselined.has(`${issue.tool}|${issue.module}`))
+            .forEach(issue => { issue.new = !known.has(issueKey(issue)); });
+    }
+
+    const count = (key) => {
+        const groups = new Map();
+        for (const issue of analysis.issues) {
+            const group = groups.get(issue[key]) || { [key]: issue[key], total: 0, errors: 0, warnings: 0, new: 0 };
+            group.total++;
+            if (issue.severity === 'error') group.errors++;
+            if (issue.severity === 'warning') group.warnings++;
+            if (issue.new) group.new++;
+            groups.set(issue[key], group);
+        }
+        return Array.from(groups.values()).sort((a, b) => b.total - a.total);
+    };
+    analysis.byModule = count('module');
+    analysis.byRule = count('rule').map(group => ({
+        ...group,
+        tool: analysis.issues.find(issue => issue.rule === group.rule).tool
+    }));
+
+    analysis.summary = {
+        total: analysis.issues.length,
+        errors: analysis.issues.filter(issue => issue.severity === 'error').length,
+        warnings: analysis.issues.filter(issue => issue.severity === 'warning').length,
+        infos: analysis.issues.filter(issue => issue.severity === 'info').length,
+        new: analysis.issues.filter(issue => issue.new).length,
+        fixed: analysis.baseline.fixed.length
+    };
+    analysis.lastAnalyzed = getTimestamp();
+    return analysis;
+}
+
+// APK/AAB size breakdown. Both formats are zip archives; entry sizes come from the central
+// directory, so nothing is inflated and no Android SDK tooling is needed.
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const ZIP_ENTRY_SIGNATURE = 0x02014b50;
+const ZIP_MAX_COMMENT = 0xffff;
+
+const APP_SIZE_CATEGORIES = ['dex', 'resources', 'native', 'assets', 'metadata', 'other'];
+const APP_SIZE_TOP_ENTRIES = 10;
+const APP_SIZE_HISTORY_LIMIT = 50;
+
+const readBytesAt = (fd, position, length) => {
+    const buffer = Buffer.alloc(length);
+    return buffer.subarray(0, fs.readSync(fd, buffer, 0, length, position));
+};
+
+// File entries of a zip archive as { name, compressed, uncompressed }, read from the
+// central directory (ZIP64 archives included)
+function readZipEntries(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const { size } = fs.fstatSync(fd);
+        // The end-of-central-directory record is the last 22 bytes plus an optional comment
+        const tailStart = Math.max(0, size - 22 - ZIP_MAX_COMMENT);
+        const tail = readBytesAt(fd, tailStart, size - tailStart);
+        let eocd = tail.length - 22;
+        while (eocd >= 0 && tail.readUInt32LE(eocd) !== ZIP_EOCD_SIGNATURE) eocd--;
+        if (eocd < 0) {
+            throw new Error(`Not a zip archive: ${file}`);
+        }
+
+        let count = tail.readUInt16LE(eocd + 10);
+        let directorySize = tail.readUInt32LE(eocd + 12);
+        let directoryOffset = tail.readUInt32LE(eocd + 16);
+        if (eocd >= 20 && tail.readUInt32LE(eocd - 20) === ZIP64_LOCATOR_SIGNATURE) {
+            const record = readBytesAt(fd, Number(tail.readBigUInt64LE(eocd - 12)), 56);
+            if (record.length === 56 && record.readUInt32LE(0) === ZIP64_EOCD_SIGNATURE) {
+                count = Number(record.readBigUInt64LE(32));
+                directorySize = Number(record.readBigUInt64LE(40));
+                directoryOffset = Number(record.readBigUInt64LE(48));
+            }
+        }
+
+        const directory = readBytesAt(fd, directoryOffset, directorySize);
+        const entries = [];
+        let offset = 0;
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== ZIP_ENTRY_SIGNATURE) {
+                throw new Error(`Corrupt zip central directory: ${file}`);
+            }
+            const nameLength = directory.readUInt16LE(offset + 28);
+            const extraLength = directory.readUInt16LE(offset + 30);
+            const commentLength = directory.readUInt16LE(offset + 32);
+            const name = directory.toString('utf8', offset + 46, offset + 46 + nameLength);
+            let compressed = directory.readUInt32LE(offset + 20);
+            let uncompressed = directory.readUInt32LE(offset + 24);
+
+            // Sizes that overflow 32 bits move to the ZIP64 extra field, uncompressed first
+            if (compressed === 0xffffffff || uncompressed === 0xffffffff) {
+                let extra = offset + 46 + nameLength;
+                const extraEnd = extra + extraLength;
+                while (extra + 4 <= extraEnd) {
+                    if (directory.readUInt16LE(extra) === 0x0001) {
+                        let field = extra + 4;
+                        if (uncompressed === 0xffffffff) {
+                            uncompressed = Number(directory.readBigUInt64LE(field));
+                            field += 8;
+                        }
+                        if (compressed === 0xffffffff) compressed = Number(directory.readBigUInt64LE(field));
+                        break;
+                    }
+                    extra += 4 + directory.readUInt16LE(extra + 2);
+                }
+            }
+
+            if (!name.endsWith('/')) entries.push({ name, compressed, uncompressed });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Category, ABI and bundle module of an archive entry. AAB entries sit in a module
+// directory (base/, dynamic feature modules) with dex/, lib/, res/, assets/ and root/ inside.
+function classifyArtifactEntry(name, format) {
+    let module = null;
+    let inner = name;
+    if (format === 'aab' && name.includes('/') && !/^(META-INF|BUNDLE-METADATA)\//.test(name)) {
+        module = name.substring(0, name.indexOf('/'));
+        inner = name.substring(module.length + 1).replace(/^(dex|root|manifest)\//, '');
+    }
+
+    const abi = inner.match(/^lib\/([^/]+)\//)?.[1] || null;
+    let category = 'other';
+    if (abi) {
+        category = 'native';
+    } else if (/^classes\d*\.dex$/.test(inner)) {
+        category = 'dex';
+    } else if (/^res\//.test(inner) || /^(resources\.(arsc|pb)|AndroidManifest\.xml)$/.test(inner)) {
+        category = 'resources';
+    } else if (inner.startsWith('assets/')) {
+        category = 'assets';
+    } else if (/^(META-INF|BUNDLE-METADATA|kotlin)\//.test(inner) || inner === 'BundleConfig.pb') {
+        category = 'metadata';
+    }
+    return { category, abi, module };
+}
+
+const emptySizeTotals = () => ({ compressed: 0, uncompressed: 0, entries: 0 });
+
+const addEntrySize = (totals, entry) => {
+    totals.compressed += entry.compressed;
+    totals.uncompressed += entry.uncompressed;
+    totals.entries++;
+    return totals;
+};
+
+// Compressed and uncompressed size of an APK or AAB by category (dex, resources, native
+// libraries per ABI, assets), per bundle module, and its largest entries. For an AAB the
+// compressed size is the bundle's, not what Play delivers to a device.
+// With `includeEntries` every entry's size is kept for diffArtifacts.
+function analyzeArtifact(file, { top = APP_SIZE_TOP_ENTRIES, includeEntries = false } = {}) {
+    const entries = readZipEntries(file);
+    const format = file.endsWith('.aab') || entries.some(entry => entry.name === 'BundleConfig.pb') ? 'aab' : 'apk';
+    const analysis = {
+        file,
+        format,
+        size: fs.statSync(file).size,
+        totals: emptySizeTotals(),
+        categories: Object.fromEntries(APP_SIZE_CATEGORIES.map(category => [category, emptySizeTotals()])),
+        abis: {},
+        ...(format === 'aab' && { modules: {} }),
+        largest: []
+    };
+
+    const classified = entries.map(entry => ({ ...entry, ...classifyArtifactEntry(entry.name, format) }));
+    for (const entry of classified) {
+        addEntrySize(analysis.totals, entry);
+        addEntrySize(analysis.categories[entry.category], entry);
+        if (entry.abi) addEntrySize(analysis.abis[entry.abi] ||= emptySizeTotals(), entry);
+        if (entry.module) addEntrySize(analysis.modules[entry.module] ||= emptySizeTotals(), entry);
+    }
+
+    analysis.largest = classified
+        .sort((a, b) => b.uncompressed - a.uncompressed)
+        .slice(0, top)
+        .map(({ name, category, compressed, uncompressed }) => ({ name, category, compressed, uncompressed }));
+    if (includeEntries) {
+        analysis.entries = Object.fromEntries(entries.map(({ name, compressed, uncompressed }) =>
+            [name, { compressed, uncompressed }]));
+    }
+    return analysis;
+}
+
+const sizeDelta = (before = {}, after = {}) => ({
+    compressed: (after.compressed || 0) - (before.compressed || 0),
+    uncompressed: (after.uncompressed || 0) - (before.uncompressed || 0)
+});
+
+const hasSizeChange = (delta) => delta.compressed !== 0 || delta.uncompressed !== 0;
+
+// Size change from one analysis (or history entry) to another: totals, categories and ABIs
+// that changed, and the entries that changed most when both sides carry their entries
+function diffArtifacts(before, after, { top = APP_SIZE_TOP_ENTRIES } = {}) {
+    const describe = (analysis) => ({
+        file: analysis.file,
+        format: analysis.format,
+        ...(analysis.label && { label: analysis.label })
+    });
+    const changedGroups = (key) => {
+        const names = new Set([...Object.keys(before[key] || {}), ...Object.keys(after[key] || {})]);
+        return Object.fromEntries(Array.from(names)
+            .map(name => [name, sizeDelta(before[key]?.[name], after[key]?.[name])])
+            .filter(([, delta]) => hasSizeChange(delta)));
+    };
+
+    const totals = sizeDelta(before.totals, after.totals);
+    const diff = {
+        from: describe(before),
+        to: describe(after),
+        totals: {
+            ...totals,
+            percent: before.totals?.compressed
+                ? Math.round((totals.compressed / before.totals.compressed) * 1000) / 10
+                : null
+        },
+        categories: changedGroups('categories'),
+        abis: changedGroups('abis')
+    };
+
+    if (before.entries && after.entries && before.format === after.format) {
+        const names = new Set([...Object.keys(before.entries), ...Object.keys(after.entries)]);
+        diff.entries = Array.from(names)
+            .map(name => ({
+                name,
+                change: !before.entries[name] ? 'added' : !after.entries[name] ? 'removed' : 'changed',
+                ...sizeDelta(before.entries[name], after.entries[name])
+            }))
+            .filter(hasSizeChange)
+            .sort((a, b) => Math.abs(b.uncompressed) - Math.abs(a.uncompressed))
+            .slice(0, top);
+    }
+    return diff;
+}
+
+// Gradle module and variant of an artifact under <module>/build/outputs/{apk,bundle}/<variant>/
+function describeArtifactPath(modules, file) {
+    for (const module of modules) {
+        const outputs = path.join(module.dir, 'build', 'outputs');
+        const relative = path.relative(outputs, path.dirname(file)).split(path.sep);
+        if (relative[0] === 'apk' || relative[0] === 'bundle') {
+            return { module: module.name, variant: relative.slice(1).join('/') || null };
+        }
+    }
+    return { module: null, variant: null };
+}
+
+// Project-relative path for artifacts inside the project, absolute otherwise
+const displayArtifactPath = (projectRoot, file) => {
+    const relative = path.relative(projectRoot, file);
+    return relative.startsWith('..') || path.isAbsolute(relative) ? file : relative;
+};
+
+const appSizeSeries = (entry) => `${entry.module || ''}|${entry.variant || ''}|${entry.format}`;
+
+// Add an analysis to the size history of `memory` unless that build is already recorded, and
+// return it as an artifact entry. Builds of the same module, variant and format form one series
+// (`origin` overrides the module and variant read from the path); the change against the
+// previous build in the series is the artifact's `sincePrevious`.
+function recordAppSize(memory, analysis, { projectRoot, modules = [], label = null, origin = null } = {}) {
+    const { entries, ...summary } = analysis;
+    const artifact = {
+        ...summary,
+        file: displayArtifactPath(projectRoot, analysis.file),
+        ...(origin || describeArtifactPath(modules, analysis.file)),
+        builtAt: fs.statSync(analysis.file).mtime.toISOString()
+    };
+
+    const series = memory.history.filter(entry => appSizeSeries(entry) === appSizeSeries(artifact));
+    const index = series.findIndex(entry => entry.builtAt === artifact.builtAt && entry.size === artifact.size);
+    const recorded = index >= 0 ? series[index] : null;
+    const previous = recorded ? series[index - 1] : series[series.length - 1];
+
+    // A refresh keeps the release name given when the build was first recorded
+    const release = label || recorded?.label || null;
+    if (release) artifact.label = release;
+
+    if (!recorded) {
+        memory.history.push({
+            file: artifact.file,
+            module: artifact.module,
+            variant: artifact.variant,
+            format: artifact.format,
+            ...(release && { label: release }),
+            size: artifact.size,
+            totals: artifact.totals,
+            categories: Object.fromEntries(Object.entries(artifact.categories)
+                .map(([category, totals]) => [category, { compressed: totals.compressed, uncompressed: totals.uncompressed }])),
+            abis: artifact.abis,
+            builtAt: artifact.builtAt,
+            recordedAt: getTimestamp()
+        });
+        memory.history = memory.history.slice(-APP_SIZE_HISTORY_LIMIT);
+    } else if (label) {
+        recorded.label = label;
+    }
+
+    artifact.sincePrevious = previous ? diffArtifacts(previous, artifact) : null;
+    return artifact;
+}
+
+// Replace the current entry for an artifact file
+const setCurrentArtifact = (memory, artifact) => {
+    memory.artifacts = memory.artifacts.filter(entry => entry.file !== artifact.file).concat(artifact);
+};
+
+// Analyze the APKs and AABs in every module's build/outputs and extend the size history
+// kept in `previous` (the stored memory)
+function extractAppSize(projectRoot, previous = null) {
+    const memory = structuredClone(MEMORY_SCHEMAS['app-size']);
+    memory.history = previous?.history || [];
+    memory.comparison = previous?.comparison || null;
+
+    const modules = getGradleModules(projectRoot);
+    for (const module of modules) {
+        const outputs = path.join(module.dir, 'build', 'outputs');
+        const artifacts = [
+            ...findFiles(path.join(outputs, 'apk'), name => name.endsWith('.apk')),
+            ...findFiles(path.join(outputs, 'bundle'), name => name.endsWith('.aab'))
+        ];
+        for (const file of artifacts) {
+            try {
+                setCurrentArtifact(memory, recordAppSize(memory, analyzeArtifact(file), { projectRoot, modules }));
+            } catch (error) {
+                memory.warnings.push({ file: path.relative(projectRoot, file), message: error.message });
+            }
+        }
+    }
+
+    memory.lastAnalyzed = getTimestamp();
+    return memory;
+}
+
+// Memory query language
+//
+//   type:compose-screens previewable:false    field filters (type: selects memory types)
+//   path:routes[*].deepLinks                  start from the nodes at a JSON path
+//   coverage:<60 name:Login*                  numeric comparisons and * wildcards
+//   which screens handle login                remaining words are ranked by term weight
+//
+// Results are the matching nodes with their JSON path, not whole documents.
+const DEFAULT_QUERY_LIMIT = 20;
+
+const QUERY_STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'does', 'for', 'from', 'has', 'have', 'how',
+    'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our', 'show', 'that', 'the', 'this', 'to',
+    'use', 'uses', 'using', 'we', 'what', 'where', 'which', 'who', 'with'
+]);
+
+// Keys whose values identify a node; terms found there count double
+const QUERY_IDENTITY_KEYS = new Set(['name', 'route', 'id', 'alias', 'class', 'method', 'module', 'group']);
+
+// Split text into lowercase terms, breaking camelCase and punctuation but
+// keeping the joined word so "LoginScreen" matches both "login" and "loginscreen"
+const tokenize = (text) => {
+    const terms = [];
+    for (const word of String(text).match(/[A-Za-z0-9]+/g) || []) {
+        const parts = word.split(/(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/);
+        for (const part of parts.length > 1 ? [word, ...parts] : [word]) {
+            const term = part.toLowerCase();
+            if (term.length < 2 || QUERY_STOPWORDS.has(term)) continue;
+            terms.push(term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term);
+        }
+    }
+    return terms;
+};
+
+const globToRegExp = (pattern) => new RegExp(`^${pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*')}$`, 'i');
+
+// Split a query on whitespace, keeping "quoted phrases" and key:"quoted values" together
+const splitQuery = (query) => (query.match(/(?:[^\s"]+)?"[^"]*"|[^\s"]+/g) || [])
+    .map(token => token.replace(/"/g, ''));
+
+// Parse a query string into memory types, a path, field filters and free-text terms
+function parseMemoryQuery(query, knownTypes = Object.keys(MEMORY_SCHEMAS)) {
+    const parsed = { types: [], path: null, filters: [], phrases: [], terms: [], limit: null };
+
+    for (const token of splitQuery(query)) {
+        const filter = token.match(/^([A-Za-z_][\w.]*):(?!\/\/)(.+)$/);
+        if (!filter) {
+            if (/\s/.test(token)) parsed.phrases.push(token.toLowerCase());
+            parsed.terms.push(...tokenize(token));
+            continue;
+        }
+
+        const [, field, value] = filter;
+        if (field === 'type') {
+            const types = value.split(',').flatMap(t => knownTypes.filter(k => globToRegExp(t).test(k)));
+            if (types.length > 0) {
+                parsed.types.push(...types);
+                continue;
+            }
+        } else if (field === 'path') {
+            parsed.path = value;
+            continue;
+        } else if (field === 'limit' && /^\d+$/.test(value)) {
+            parsed.limit = Number(value);
+            continue;
+        }
+
+        const comparison = value.match(/^(<=|>=|<|>)(-?\d+(?:\.\d+)?)$/);
+        parsed.filters.push(comparison
+            ? { field, operator: comparison[1], value: Number(comparison[2]) }
+            : { field, operator: '=', value });
+    }
+
+    return parsed;
+}
+
+const formatPathSegment = (key) => (typeof key === 'number'
+    ? `[${key}]`
+    : /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`);
+
+// Resolve a JSON path such as `$.routes[*].deepLinks` or `modules[0]` to [{ path, value }]
+function selectPath(document, jsonPath) {
+    const segments = [];
+    for (const match of jsonPath.replace(/^\$/, '').matchAll(/\.?([^.[\]]+)|\[(\*|\d+|"[^"]*"|'[^']*')\]/g)) {
+        const segment = match[1] ?? match[2];
+        segments.push(/^\d+$/.test(segment) && match[2] !== undefined ? Number(segment) : segment.replace(/^["']|["']$/g, ''));
+    }
+
+    let nodes = [{ path: '$', value: document }];
+    for (const segment of segments) {
+        const next = [];
+        for (const node of nodes) {
+            if (node.value === null || typeof node.value !== 'object') continue;
+            const keys = segment === '*'
+                ? (Array.isArray(node.value) ? node.value.map((_, i) => i) : Object.keys(node.value))
+                : [segment];
+            for (const key of keys) {
+                if (node.value[key] !== undefined) {
+                    next.push({ path: node.path + formatPathSegment(key), value: node.value[key] });
+                }
+            }
+        }
+        nodes = next;
+    }
+    return nodes;
+}
+
+// Collect the searchable nodes under a root: every object (with the text of its own
+// scalar and scalar-array fields), plus scalars that are not owned by such an object.
+// The document root itself only exposes its scalars so a hit never returns the whole document.
+function collectQueryNodes(root, rootPath, isDocumentRoot) {
+    const nodes = [];
+
+    const addText = (node, key, value) => {
+        const weight = QUERY_IDENTITY_KEYS.has(key) ? 2 : 1;
+        for (const term of tokenize(value)) {
+            node.tf.set(term, (node.tf.get(term) || 0) + weight);
+        }
+        node.text.push(String(value).toLowerCase());
+    };
+
+    const visit = (value, nodePath, owner, key, documentRoot) => {
+        if (value === null || typeof value !== 'object') {
+            if (owner) {
+                addText(owner, key, value);
+            } else {
+                const node = { path: nodePath, value, tf: new Map(), text: [] };
+                addText(node, key, value);
+                nodes.push(node);
+            }
+            return;
+        }
+
+        if (Array.isArray(value)) {
+            value.forEach((item, i) => visit(item, nodePath + formatPathSegment(i), owner, key, false));
+            return;
+        }
+
+        const node = documentRoot ? null : { path: nodePath, value, tf: new Map(), text: [] };
+        if (node) {
+            nodes.push(node);
+            for (const keyTerm of tokenize(Object.keys(value).join(' '))) {
+                node.tf.set(keyTerm, (node.tf.get(keyTerm) || 0) + 0.5);
+            }
+        }
+        for (const [childKey, child] of Object.entries(value)) {
+            visit(child, nodePath + formatPathSegment(childKey), node, childKey, false);
+        }
+    };
+
+    visit(root, rootPath, null, null, isDocumentRoot);
+    return nodes;
+}
+
+const matchesFilterValue = (actual, filter) => {
+    if (Array.isArray(actual)) return actual.some(item => matchesFilterValue(item, filter));
+    if (actual === null || typeof actual === 'object') {
+        return filter.operator === '=' && filter.value === String(actual);
+    }
+    if (filter.operator === '=') return globToRegExp(filter.value).test(String(actual));
+
+    const number = Number(actual);
+    if (typeof actual === 'boolean' || Number.isNaN(number)) return false;
+    switch (filter.operator) {
+        case '<': return number < filter.value;
+        case '<=': return number <= filter.value;
+        case '>': return number > filter.value;
+        default: return number >= filter.value;
+    }
+};
+
+const matchesFilters = (value, filters) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    filters.every(filter => {
+        const actual = filter.field.split('.').reduce((node, key) => node?.[key], value);
+        return actual !== undefined && matchesFilterValue(actual, filter);
+    });
+
+// Run a query against { type: document } and return the best matching nodes.
+// Free-text terms are scored with BM25 over the candidate nodes, so rare terms
+// outweigh common ones and long nodes do not win just by being long.
+function queryMemories(documents, query, { limit = DEFAULT_QUERY_LIMIT } = {}) {
+    const parsed = parseMemoryQuery(query, Object.keys(documents));
+    const types = parsed.types.length > 0 ? parsed.types : Object.keys(documents);
+    const max = parsed.limit ?? limit;
+
+    const selected = [];
+    let candidates = [];
+    for (const type of types) {
+        const document = documents[type];
+        if (!document) continue;
+
+        const roots = parsed.path ? selectPath(document, parsed.path) : [{ path: '$', value: document }];
+        for (const root of roots) {
+            selected.push({ ...root, type });
+            const nodes = collectQueryNodes(root.value, root.path, root.path === '$');
+            candidates.push(...nodes.map(node => ({ ...node, type })));
+        }
+    }
+
+    if (parsed.filters.length > 0) {
+        candidates = candidates.filter(node => matchesFilters(node.value, parsed.filters));
+    }
+    if (parsed.phrases.length > 0) {
+        candidates = candidates.filter(node => parsed.phrases.every(phrase => node.text.some(t => t.includes(phrase))));
+    }
+
+    let results;
+    const terms = [...new Set(parsed.terms)];
+    if (terms.length > 0) {
+        const lengths = candidates.map(node => [...node.tf.values()].reduce((sum, n) => sum + n, 0));
+        const averageLength = lengths.reduce((sum, n) => sum + n, 0) / (lengths.length || 1) || 1;
+        const documentFrequency = new Map(terms.map(term => [term, candidates.filter(node => node.tf.has(term)).length]));
+        const k1 = 1.2;
+        const b = 0.75;
+
+        results = candidates.map((node, i) => {
+            let score = 0;
+            let matched = 0;
+            for (const term of terms) {
+                const tf = node.tf.get(term);
+                if (!tf) continue;
+                const df = documentFrequency.get(term);
+                const idf = Math.log(1 + (candidates.length - df + 0.5) / (df + 0.5));
+                score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * lengths[i] / averageLength));
+                matched++;
+            }
+            // Prefer nodes that cover more of the query over ones repeating a single term
+            return { node, score: score * (matched / terms.length) };
+        })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score);
+    } else if (parsed.filters.length > 0 || parsed.phrases.length > 0) {
+        results = candidates.map(node => ({ node }));
+    } else if (parsed.path) {
+        // Plain path selection returns the selected nodes themselves
+        results = selected.map(node => ({ node }));
+    } else {
+        results = [];
+    }
+
+    return {
+        query,
+        total: results.length,
+        results: results.slice(0, max).map(({ node, score }) => ({
+            type: node.type,
+            path: node.path,
+            ...(score !== undefined && { score: Math.round(score * 1000) / 1000 }),
+            value: node.value
+        }))
+    };
+}
+
+// Memory bundles: every memory type plus project metadata, for handing context
+// to another machine with memory-export / memory-import
+const BUNDLE_FORMAT = 'mobile-memory-bundle';
+const BUNDLE_VERSION = 1;
+const MEMORY_SCHEMA_VERSION = 1;
+const MERGE_STRATEGIES = ['replace', 'merge-arrays', 'keep-newer'];
+const MAX_DIFF_CHANGES = 50;
+
+// Keys that identify array entries, so merge-arrays updates entries instead of duplicating them
+const ENTRY_IDENTITY_KEYS = ['name', 'id', 'route', 'path', 'alias', 'file'];
+
+const runGit = (projectRoot, args) => {
+    try {
+        return execSync(`git ${args}`, { cwd: projectRoot, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch {
+        return null;
+    }
+};
+
+// Project name from settings.gradle(.kts), falling back to the directory name
+function getProjectInfo(projectRoot) {
+    let name = path.basename(path.resolve(projectRoot));
+    for (const settingsFile of ['settings.gradle.kts', 'settings.gradle']) {
+        const settingsPath = path.join(projectRoot, settingsFile);
+        if (!fs.existsSync(settingsPath)) continue;
+        const match = fs.readFileSync(settingsPath, 'utf8').match(/rootProject\.name\s*=\s*["']([^"']+)["']/);
+        if (match) name = match[1];
+        break;
+    }
+
+    return {
+        name,
+        gitCommit: runGit(projectRoot, 'rev-parse HEAD'),
+        gitBranch: runGit(projectRoot, 'rev-parse --abbrev-ref HEAD')
+    };
+}
+
+function createMemoryBundle(projectRoot, types = Object.keys(MEMORY_SCHEMAS)) {
+    const memory = {};
+    for (const type of types) {
+        const data = readJson(getMemoryPath(type));
+        if (data) memory[type] = data;
+    }
+
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        schemaVersion: MEMORY_SCHEMA_VERSION,
+        project: getProjectInfo(projectRoot),
+        exportedAt: getTimestamp(),
+        memory
+    };
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const getEntryIdentity = (entry) => {
+    if (!isPlainObject(entry)) return null;
+    const key = ENTRY_IDENTITY_KEYS.find(k => typeof entry[k] === 'string');
+    return key ? `${key}:${entry[key]}` : null;
+};
+
+// Deep merge where incoming scalars win, objects merge key by key and arrays are
+// unioned: entries with the same identity are merged, other new entries appended
+function mergeArraysDeep(local, incoming) {
+    if (Array.isArray(local) && Array.isArray(incoming)) {
+        const merged = [...local];
+        for (const entry of incoming) {
+            const identity = getEntryIdentity(entry);
+            const index = identity
+                ? merged.findIndex(existing => getEntryIdentity(existing) === identity)
+                : merged.findIndex(existing => JSON.stringify(existing) === JSON.stringify(entry));
+            if (index === -1) {
+                merged.push(entry);
+            } else {
+                merged[index] = mergeArraysDeep(merged[index], entry);
+            }
+        }
+        return merged;
+    }
+    if (isPlainObject(local) && isPlainObject(incoming)) {
+        const merged = { ...local };
+        for (const [key, value] of Object.entries(incoming)) {
+            // An own __proto__ key from JSON.parse would replace the merged object's prototype
+            if (key === '__proto__') continue;
+            merged[key] = Object.hasOwn(local, key) ? mergeArraysDeep(local[key], value) : value;
+        }
+        return merged;
+    }
+    return incoming;
+}
+
+// Resolve one memory type; returns the document to keep
+function mergeMemory(local, incoming, strategy) {
+    if (!local) return incoming;
+    switch (strategy) {
+        case 'replace':
+            return incoming;
+        case 'merge-arrays':
+            return mergeArraysDeep(local, incoming);
+        case 'keep-newer': {
+            const localTime = Date.parse(getDocumentTimestamp(local)) || 0;
+            const incomingTime = Date.parse(getDocumentTimestamp(incoming)) || 0;
+            return incomingTime > localTime ? incoming : local;
+        }
+        default:
+            throw new Error(`Unknown merge strategy: ${strategy} (expected ${MERGE_STRATEGIES.join(', ')})`);
+    }
+}
+
+// List the JSON paths that differ between two documents
+function diffJson(before, after, nodePath = '$', changes = []) {
+    if (JSON.stringify(before) === JSON.stringify(after)) return changes;
+
+    const bothArrays = Array.isArray(before) && Array.isArray(after);
+    if (bothArrays || (isPlainObject(before) && isPlainObject(after))) {
+        const keys = bothArrays
+            ? [...Array(Math.max(before.length, after.length)).keys()]
+            : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        for (const key of keys) {
+            const childPath = bothArrays ? `${nodePath}[${key}]` : `${nodePath}.${key}`;
+            if (!(key in before)) {
+                changes.push({ path: childPath, change: 'added', after: after[key] });
+            } else if (!(key in after)) {
+                changes.push({ path: childPath, change: 'removed', before: before[key] });
+            } else {
+                diffJson(before[key], after[key], childPath, changes);
+            }
+        }
+    } else {
+        changes.push({ path: nodePath, change: 'changed', before, after });
+    }
+    return changes;
+}
+
+// Import a bundle into the memory directory. With dryRun nothing is written and
+// the report lists, per type, what would be created or updated and the changed paths.
+function importMemoryBundle(bundle, { strategy = 'merge-arrays', dryRun = false, types = null } = {}) {
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+        throw new Error(`Not a ${BUNDLE_FORMAT} file`);
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+        throw new Error(`Bundle version ${bundle.version} is newer than supported version ${BUNDLE_VERSION}`);
+    }
+    if (!MERGE_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown merge strategy: ${strategy} (expected ${MERGE_STRATEGIES.join(', ')})`);
+    }
+
+    const report = { dryRun, strategy, source: bundle.project, exportedAt: bundle.exportedAt, types: {}, warnings: [] };
+    if (bundle.schemaVersion !== MEMORY_SCHEMA_VERSION) {
+        report.warnings.push(`Bundle schema version ${bundle.schemaVersion} differs from ${MEMORY_SCHEMA_VERSION}`);
+    }
+
+    for (const [type, incoming] of Object.entries(bundle.memory || {})) {
+        if (types && !types.includes(type)) continue;
+        if (!Object.hasOwn(MEMORY_SCHEMAS, type)) {
+            report.warnings.push(`Skipped unknown memory type: ${type}`);
+            continue;
+        }
+
+        // Merged under the document's lock so a concurrent save is not lost
+        const merge = (local) => {
+            const result = mergeMemory(local, incoming, strategy);
+            const changes = local ? diffJson(local, result) : [];
+            const action = !local ? 'create' : changes.length > 0 ? 'update' : 'unchanged';
+
+            report.types[type] = {
+                action,
+                ...(local && {
+                    changes: changes.slice(0, MAX_DIFF_CHANGES),
+                    ...(changes.length > MAX_DIFF_CHANGES && { truncated: changes.length - MAX_DIFF_CHANGES })
+                })
+            };
+            return action === 'unchanged' ? local : result;
+        };
+        if (dryRun) {
+            merge(readJson(getMemoryPath(type)));
+        } else {
+            updateMemory(type, merge, 'import');
+        }
+    }
+
+    return report;
+}
+
+// Snapshot history: every save, refresh and import keeps a copy of the document under
+// history/<type>/<id>.json so memory-diff can compare versions. Ids increase per type;
+// root-level bookkeeping timestamps are left out of the comparison.
+const getHistoryDir = (type) => path.join(getMemoryDir(), 'history', type);
+
+function listSnapshots(type) {
+    const dir = getHistoryDir(type);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => /^\d+\.json$/.test(name))
+        .map(name => {
+            const snapshot = readJson(path.join(dir, name)) || {};
+            return { id: parseInt(name, 10), savedAt: snapshot.savedAt || null, source: snapshot.source || null, file: path.join(dir, name) };
+        })
+        .sort((a, b) => a.id - b.id);
+}
+
+// Store a snapshot unless the content matches the latest one; drops the oldest beyond the limit.
+// Returns the new snapshot id, or null when nothing changed.
+function recordSnapshot(type, data, { source = 'save', limit = HISTORY_LIMIT, now = getTimestamp() } = {}) {
+    const snapshots = listSnapshots(type);
+    const latest = snapshots[snapshots.length - 1];
+    if (latest) {
+        const previous = readJson(latest.file);
+        if (previous && JSON.stringify(withoutBookkeeping(previous.data)) === JSON.stringify(withoutBookkeeping(data))) {
+            return null;
+        }
+    }
+
+    const id = latest ? latest.id + 1 : 1;
+    const dir = getHistoryDir(type);
+    fs.mkdirSync(dir, { recursive: true });
+    writeJson(path.join(dir, `${id}.json`), { type, id, savedAt: now, source, data });
+
+    for (const snapshot of [...snapshots, { id }].slice(0, -limit)) {
+        if (snapshot.file) fs.rmSync(snapshot.file, { force: true });
+    }
+    return id;
+}
+
+// Read-modify-write a memory document under its lock and record the new version in the
+// type's history. update receives the stored document (null when there is none) and returns
+// the new one; returning it unchanged records no snapshot. The previous version is kept as
+// <type>.json.bak, which a corrupt document is restored from. Returns the snapshot id or null.
+const updateMemory = (type, update, source) => {
+    let snapshot = null;
+    updateJsonFile(getMemoryPath(type), (current) => {
+        const data = update(current);
+        if (data !== current) snapshot = recordSnapshot(type, data, { source });
+        return data;
+    }, { fallback: null });
+    return snapshot;
+};
+
+const storeMemory = (type, data, source) => updateMemory(type, () => data, source);
+
+// Drop the oldest snapshots across all types until bytes fits the limit; returns { bytes, dropped }
+function trimSnapshotHistory(bytes, limit) {
+    const snapshots = Object.keys(MEMORY_SCHEMAS)
+        .flatMap(type => listSnapshots(type).map(snapshot => ({ ...snapshot, type })))
+        .sort((a, b) => String(a.savedAt).localeCompare(String(b.savedAt)));
+
+    let dropped = 0;
+    for (const snapshot of snapshots) {
+        if (bytes <= limit) break;
+        // Corrupt snapshots are gone once listSnapshots has read them
+        if (!fs.existsSync(snapshot.file)) continue;
+        bytes -= fs.statSync(snapshot.file).size;
+        fs.unlinkSync(snapshot.file);
+        dropped++;
+    }
+    return { bytes, dropped };
+}
+
+// Resolve a snapshot reference: an id, "latest", "previous", "current" (the stored
+// document), or an ISO date / duration such as "14days" meaning the last snapshot
+// saved at or before that time
+function resolveSnapshot(type, ref, now = Date.now()) {
+    const snapshots = listSnapshots(type);
+    const load = (snapshot, note) => {
+        const stored = readJson(snapshot.file);
+        if (!stored) throw new Error(`${type} snapshot ${snapshot.id} unreadable`);
+        const { data } = stored;
+        return { id: snapshot.id, savedAt: snapshot.savedAt, source: snapshot.source, data, ...(note && { note }) };
+    };
+
+    if (ref === 'current') {
+        const data = readJson(getMemoryPath(type));
+        if (!data) throw new Error(`No ${type} memory stored`);
+        return { id: 'current', savedAt: getDocumentTimestamp(data), source: null, data };
+    }
+    if (snapshots.length === 0) {
+        throw new Error(`No snapshots of ${type} memory`);
+    }
+    if (ref === 'latest') return load(snapshots[snapshots.length - 1]);
+    if (ref === 'previous') return load(snapshots[Math.max(snapshots.length - 2, 0)]);
+
+    if (/^\d+$/.test(String(ref))) {
+        const snapshot = snapshots.find(s => s.id === Number(ref));
+        if (!snapshot) {
+            throw new Error(`No snapshot ${ref} of ${type} memory (available: ${snapshots.map(s => s.id).join(', ')})`);
+        }
+        return load(snapshot);
+    }
+
+    const time = Number.isNaN(Date.parse(ref)) ? now - parseDuration(ref) : Date.parse(ref);
+    const before = snapshots.filter(s => Date.parse(s.savedAt) <= time);
+    if (before.length === 0) {
+        return load(snapshots[0], `No snapshot at or before ${new Date(time).toISOString()}; compared with the oldest one`);
+    }
+    return load(before[before.length - 1]);
+}
 
-            // Extract Kotlin Gradle Plugin version
-            const kgpMatch = content.match(/kotlin\("jvm"\)\s*version\s*["']([^"']+)["']/);
-            if (kgpMatch) deps.kgpVersion = kgpMatch[1];
+// Like diffJson, but array entries are matched by identity (name, route, ...) or value,
+// so additions and removals are reported as such instead of as shifted indexes
+function diffSnapshots(before, after, nodePath = '$', changes = []) {
+    if (JSON.stringify(before) === JSON.stringify(after)) return changes;
 
-            // Extract plugins
-            const pluginMatches = content.matchAll(/id\s*\(\s*["']([^"']+)["']\s*\)/g);
-            for (const match of pluginMatches) {
-                if (!deps.plugins.includes(match[1])) {
-                    deps.plugins.push(match[1]);
-                }
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const keyOf = (entry) => getEntryIdentity(entry) || JSON.stringify(entry);
+        const beforeByKey = new Map(before.map(entry => [keyOf(entry), entry]));
+        const afterByKey = new Map(after.map(entry => [keyOf(entry), entry]));
+        for (const [key, entry] of beforeByKey) {
+            const identity = getEntryIdentity(entry);
+            const childPath = identity ? `${nodePath}[${identity}]` : nodePath;
+            if (!afterByKey.has(key)) {
+                changes.push({ path: childPath, change: 'removed', before: entry });
+            } else if (identity) {
+                diffSnapshots(entry, afterByKey.get(key), childPath, changes);
             }
-
-            // Extract library dependencies (simple pattern)
-            const libMatches = content.matchAll(/implementation\s*\(\s*["']([^:"']+)[:/]([^:"']+)[:/]([^"']+)["']\s*\)/g);
-            for (const match of libMatches) {
-                deps.libraries.push({
-                    group: match[1],
-                    name: match[2],
-                    version: match[3],
-                    type: 'implementation'
-                });
+        }
+        for (const [key, entry] of afterByKey) {
+            if (!beforeByKey.has(key)) {
+                const identity = getEntryIdentity(entry);
+                changes.push({ path: identity ? `${nodePath}[${identity}]` : nodePath, change: 'added', after: entry });
+            }
+        }
+    } else if (isPlainObject(before) && isPlainObject(after)) {
+        for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            const childPath = `${nodePath}.${key}`;
+            if (!(key in before)) {
+                changes.push({ path: childPath, change: 'added', after: after[key] });
+            } else if (!(key in after)) {
+                changes.push({ path: childPath, change: 'removed', before: before[key] });
+            } else {
+                diffSnapshots(before[key], after[key], childPath, changes);
             }
         }
+    } else {
+        changes.push({ path: nodePath, change: 'changed', before, after });
     }
+    return changes;
+}
 
-    deps.lastSync = getTimestamp();
-    return deps;
+const describeSnapshot = ({ id, savedAt, source, note }) => ({ id, savedAt, source, ...(note && { note }) });
+
+// Compare two versions of a memory type. Defaults to the previous snapshot against the
+// stored document; since picks the last snapshot at or before that date instead.
+function diffMemory(type, { from, to = 'current', since, now = Date.now() } = {}) {
+    const before = resolveSnapshot(type, since || from || 'previous', now);
+    const after = resolveSnapshot(type, to, now);
+    const changes = diffSnapshots(withoutBookkeeping(before.data), withoutBookkeeping(after.data));
+
+    // Counts per top-level section, e.g. screens: { added: 2, removed: 0, changed: 1 }
+    const summary = { added: 0, removed: 0, changed: 0 };
+    const sections = {};
+    for (const change of changes) {
+        const section = change.path.match(/^\$\.([^.[]+)/)[1];
+        sections[section] = sections[section] || { added: 0, removed: 0, changed: 0 };
+        sections[section][change.change]++;
+        summary[change.change]++;
+    }
+
+    return {
+        type,
+        from: describeSnapshot(before),
+        to: describeSnapshot(after),
+        summary,
+        sections,
+        changes: changes.slice(0, MAX_DIFF_CHANGES),
+        ...(changes.length > MAX_DIFF_CHANGES && { truncated: changes.length - MAX_DIFF_CHANGES })
+    };
 }
 
-// Extract architecture from code structure
-function extractArchitecture(projectRoot) {
-    const arch = { ...MEMORY_SCHEMAS['architecture'] };
+// Watch mode: with MOBILE_MEMORY_WATCH=true the server re-extracts the memory types
+// affected by source changes and notifies clients subscribed to their resources
 
-    const srcMain = path.join(projectRoot, 'src/main/java');
-    if (!fs.existsSync(srcMain)) {
-        arch.lastAnalyzed = getTimestamp();
-        return arch;
+// Memory types that depend on a changed file, by project-relative path
+function typesForChange(relativePath) {
+    const name = path.basename(relativePath);
+    if (/^settings\.gradle(\.kts)?$/.test(name)) {
+        return ['project-structure', 'module-graph', 'dependencies', 'build-variants'];
+    }
+    if (/^build\.gradle(\.kts)?$/.test(name)) {
+        return ['dependencies', 'module-graph', 'build-variants', 'architecture'];
     }
+    if (name.endsWith('.versions.toml')) return ['dependencies'];
+    if (name === 'AndroidManifest.xml') return ['android-manifest'];
+    if (/^(lint|detekt)-baseline\.xml$/.test(name)) return ['static-analysis'];
+    if (name.endsWith('.kt')) return ['architecture', 'compose-screens', 'navigation-graph', 'room-database'];
+    if (/(^|[\\/])schemas[\\/].+[\\/]\d+\.json$/.test(relativePath)) return ['room-database'];
+    return [];
+}
 
-    // Detect architecture pattern by directory structure
-    function scanDirectory(dir, baseLen) {
-        const items = [];
-        if (!fs.existsSync(dir)) return items;
+// MCP prompts: project briefings assembled from stored memory and trimmed to a token budget,
+// so an agent starts from what is already known instead of re-reading the project
+const DEFAULT_PROMPT_TOKENS = 2000;
+const HIGH_CONFIDENCE = 0.7;
+const INSTINCTS_FILE = path.join('instincts', 'mobile-instincts.json');
 
-        const entries = fs.readdirSync(dir, { withFileTypes: true });
-        for (const entry of entries) {
-            if (entry.isDirectory()) {
-                items.push(...scanDirectory(path.join(dir, entry.name), baseLen));
-            } else if (entry.name.endsWith('.kt')) {
-                items.push(path.relative(baseLen, path.join(dir, entry.name)));
-            }
-        }
-        return items;
+const PROMPTS = [
+    {
+        name: 'onboard-me',
+        description: 'Project tour: module map, architecture pattern, DI framework and key screens',
+        arguments: [
+            { name: 'maxTokens', description: `Token budget for the prompt (default ${DEFAULT_PROMPT_TOKENS})`, required: false }
+        ]
+    },
+    {
+        name: 'plan-feature',
+        description: 'Where the code for a new feature should live, based on the existing feature modules',
+        arguments: [
+            { name: 'feature', description: 'Feature to plan, e.g. "order history"', required: true },
+            { name: 'maxTokens', description: `Token budget for the prompt (default ${DEFAULT_PROMPT_TOKENS})`, required: false }
+        ]
+    },
+    {
+        name: 'review-context',
+        description: 'Project conventions, layering rules and high-confidence instincts for code review',
+        arguments: [
+            { name: 'maxTokens', description: `Token budget for the prompt (default ${DEFAULT_PROMPT_TOKENS})`, required: false }
+        ]
     }
+];
 
-    const allFiles = scanDirectory(srcMain, srcMain.length + 1);
+// Rough token count (about four characters per token), enough for budgeting
+const estimateTokens = (text) => Math.ceil(text.length / 4);
 
-    // Categorize files
-    for (const file of allFiles) {
-        const parts = file.split(path.sep);
+// Render sections in priority order. Items that no longer fit are summarized as
+// "… N more" and later sections are skipped once the budget is spent.
+function fitToBudget(title, sections, maxTokens) {
+    const lines = [`# ${title}`];
+    const trailerTokens = estimateTokens('- … 999 more\n');
+    let used = estimateTokens(`${lines[0]}\n`);
 
-        // UI Layer
-        if (file.includes('ui') || file.includes('screen') || file.includes('Screen.kt')) {
-            if (file.includes('ViewModel')) {
-                arch.uiLayer.viewmodels.push(file);
-            } else if (file.includes('Screen')) {
-                arch.uiLayer.screens.push(file);
-            } else {
-                arch.uiLayer.components.push(file);
+    for (const { heading, items } of sections) {
+        if (!items || items.length === 0) continue;
+        const headingLine = `\n## ${heading}`;
+        if (used + estimateTokens(`${headingLine}\n`) + trailerTokens > maxTokens) break;
+        lines.push(headingLine);
+        used += estimateTokens(`${headingLine}\n`);
+
+        for (let i = 0; i < items.length; i++) {
+            const line = `- ${items[i]}`;
+            const cost = estimateTokens(`${line}\n`);
+            if (used + cost + (i < items.length - 1 ? trailerTokens : 0) > maxTokens) {
+                lines.push(`- … ${items.length - i} more`);
+                used += trailerTokens;
+                break;
             }
+            lines.push(line);
+            used += cost;
         }
+    }
+    return lines.join('\n');
+}
 
-        // Data Layer
-        if (file.includes('repository') || file.includes('Repository')) {
-            arch.dataLayer.repositories.push(file);
-        }
-        if (file.includes('datasource') || file.includes('DataSource')) {
-            arch.dataLayer.datasources.push(file);
-        }
+const parsePromptBudget = (value) => {
+    if (value === undefined || value === null || value === '') return DEFAULT_PROMPT_TOKENS;
+    const tokens = Number(value);
+    if (!Number.isInteger(tokens) || tokens < 100) {
+        throw new Error(`Invalid maxTokens: ${value} (expected an integer of at least 100)`);
+    }
+    return tokens;
+};
 
-        // Domain Layer
-        if (file.includes('usecase') || file.includes('UseCase')) {
-            arch.domainLayer.usecases.push(file);
+// Instincts from the project (.claude/instincts) and the user (~/.claude/instincts);
+// the project copy wins for the same id
+function loadInstincts(projectRoot = process.cwd()) {
+    const byId = new Map();
+    for (const file of [path.join(os.homedir(), '.claude', INSTINCTS_FILE), path.join(projectRoot, '.claude', INSTINCTS_FILE)]) {
+        const data = readJson(file);
+        for (const instinct of (data && data.instincts) || []) {
+            byId.set(instinct.id, instinct);
         }
     }
+    return Array.from(byId.values());
+}
+
+const formatInstincts = (instincts) => instincts
+    .filter(instinct => instinct.confidence >= HIGH_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)
+    .map(instinct => `${instinct.description || instinct.id} (${instinct.context || instinct.type || 'general'}, confidence ${instinct.confidence.toFixed(1)})`);
 
-    // Detect DI framework
-    const koinExists = allFiles.some(f => f.includes('di') || f.includes('module'));
-    if (koinExists) {
-        arch.di.framework = 'koin';
+const entryNames = (entries = []) => entries.map(entry => (typeof entry === 'string' ? entry : entry.name));
+const countBy = (entries, key) => entries.reduce((counts, entry) => {
+    counts[entry[key]] = (counts[entry[key]] || 0) + 1;
+    return counts;
+}, {});
+
+// Facts shared by the prompts, read from whatever memory is stored
+function readPromptMemory() {
+    const memory = {};
+    for (const type of Object.keys(MEMORY_SCHEMAS)) {
+        memory[type] = readJson(getMemoryPath(type));
     }
+    return memory;
+}
 
-    // Detect architecture pattern
-    const hasViewModels = arch.uiLayer.viewmodels.length > 0;
-    const hasRepositories = arch.dataLayer.repositories.length > 0;
-    const hasUseCases = arch.domainLayer.usecases.length > 0;
+const missingMemoryNote = (memory, types) => {
+    const missing = types.filter(type => !memory[type]);
+    return missing.length > 0 ? [`Not stored yet: ${missing.join(', ')} (run memory-refresh)`] : [];
+};
 
-    if (hasUseCases && hasRepositories) {
-        arch.pattern = 'clean-architecture';
-    } else if (hasViewModels) {
-        arch.pattern = 'mvvm';
+function describeStack(memory) {
+    const arch = memory['architecture'] || {};
+    const di = arch.di || {};
+    const nav = memory['navigation-graph'] || {};
+    const items = [];
+    if (arch.pattern) items.push(`Architecture pattern: ${arch.pattern}`);
+    if (di.framework) {
+        items.push(`Dependency injection: ${(di.frameworks && di.frameworks.length > 0 ? di.frameworks : [di.framework]).join(', ')}`);
+    }
+    if (nav.routes && nav.routes.length > 0) {
+        const typeSafe = nav.routes.filter(route => route.typeSafe).length;
+        items.push(`Navigation: ${nav.routes.length} Compose routes (${typeSafe > nav.routes.length / 2 ? 'type-safe @Serializable routes' : 'string routes'})`);
     }
+    if (memory['dependencies'] && memory['dependencies'].catalog) {
+        items.push('Dependencies are declared in the Gradle version catalog (gradle/libs.versions.toml)');
+    }
+    return items;
+}
 
-    arch.lastAnalyzed = getTimestamp();
-    return arch;
+function buildOnboardPrompt(memory) {
+    const structure = memory['project-structure'] || {};
+    const graph = memory['module-graph'] || {};
+    const arch = memory['architecture'] || {};
+    const di = arch.di || {};
+    const screens = (memory['compose-screens'] || {}).screens || [];
+    const nav = memory['navigation-graph'] || {};
+
+    const modules = graph.adjacency && Object.keys(graph.adjacency).length > 0
+        ? Object.entries(graph.adjacency).map(([module, deps]) => (deps.length > 0 ? `${module} → ${deps.join(', ')}` : module))
+        : (structure.modules || []).map(module => `:${module.replace(/\//g, ':')}`);
+
+    const layers = [
+        ['ViewModels', arch.uiLayer && arch.uiLayer.viewmodels],
+        ['Repositories', arch.dataLayer && arch.dataLayer.repositories],
+        ['Use cases', arch.domainLayer && arch.domainLayer.usecases]
+    ]
+        .filter(([, entries]) => entries && entries.length > 0)
+        .map(([label, entries]) => `${label} (${entries.length}): ${entryNames(entries).slice(0, 8).join(', ')}`);
+
+    // Start destinations first, then screens reachable by deep link, then the rest
+    const starts = new Set((nav.navHosts || []).map(host => host.startDestination));
+    const routeOf = (screen) => (nav.routes || []).find(route => route.destination === screen.name)
+        || (screen.route ? { route: screen.route } : null);
+    const rank = (screen) => {
+        const route = routeOf(screen);
+        if (route && starts.has(route.route)) return 0;
+        return route && route.deepLinks && route.deepLinks.length > 0 ? 1 : route ? 2 : 3;
+    };
+    const keyScreens = [...screens]
+        .sort((a, b) => rank(a) - rank(b))
+        .map(screen => {
+            const route = routeOf(screen);
+            return `${screen.name}${route ? ` (route ${route.route})` : ''} — ${screen.file}`;
+        });
+
+    return [
+        { heading: 'Stack', items: [...describeStack(memory), ...missingMemoryNote(memory, ['project-structure', 'architecture', 'compose-screens'])] },
+        { heading: 'Modules', items: modules },
+        { heading: 'Feature modules', items: structure.featureModules || [] },
+        { heading: 'Layers', items: layers },
+        {
+            heading: 'Dependency injection modules',
+            items: (di.modules || []).map(m => `${m.name} (${m.framework}${m.installIn ? `, ${m.installIn}` : ''}) — ${m.file}`)
+        },
+        { heading: 'Key screens', items: keyScreens }
+    ];
 }
 
-// Extract Compose screens
-function extractComposeScreens(projectRoot) {
-    const screens = { ...MEMORY_SCHEMAS['compose-screens'] };
+function buildPlanFeaturePrompt(memory, feature) {
+    const structure = memory['project-structure'] || {};
+    const graph = memory['module-graph'] || {};
+    const arch = memory['architecture'] || {};
+    const di = arch.di || {};
 
-    const srcDirs = [
-        path.join(projectRoot, 'src/main/java'),
-        path.join(projectRoot, 'app/src/main/java')
+    const slug = feature.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const featureModules = structure.featureModules || [];
+    const existing = featureModules.find(module => module === slug || module.endsWith(`/${slug}`));
+    const placement = existing
+        ? [`A feature module already exists: :feature:${existing.replace(/\//g, ':')} (feature/${existing}) — extend it`]
+        : featureModules.length > 0
+            ? [`Create :feature:${slug} in feature/${slug}, next to ${featureModules.map(m => `:feature:${m.replace(/\//g, ':')}`).join(', ')}`]
+            : [`No :feature:* modules yet; code goes into ${(structure.modules || ['app'])[0]} or a new :feature:${slug} module`];
+
+    // Use the feature module with the most dependencies as the template to mirror
+    const featureEdges = (graph.edges || []).filter(edge => edge.from.startsWith(':feature:') && !edge.test);
+    const template = Object.entries(countBy(featureEdges, 'from')).sort((a, b) => b[1] - a[1])[0];
+    const templateDependencies = template
+        ? featureEdges.filter(edge => edge.from === template[0]).map(edge => `${edge.configuration}(${edge.to})`)
+        : [];
+
+    // Which modules hold each kind of class today
+    const layerHomes = [
+        ['Screens', arch.uiLayer && arch.uiLayer.screens],
+        ['ViewModels', arch.uiLayer && arch.uiLayer.viewmodels],
+        ['Use cases', arch.domainLayer && arch.domainLayer.usecases],
+        ['Repositories', arch.dataLayer && arch.dataLayer.repositories],
+        ['Data sources', arch.dataLayer && arch.dataLayer.datasources]
+    ]
+        .filter(([, entries]) => entries && entries.length > 0)
+        .map(([label, entries]) => `${label}: ${Object.entries(countBy(entries, 'module')).map(([module, n]) => `${module} (${n})`).join(', ')}`);
+
+    const diItems = di.framework
+        ? [
+            `Register bindings with ${di.framework}`,
+            ...(di.modules || []).filter(m => m.file.startsWith('feature/')).slice(0, 3)
+                .map(m => `Example feature DI module: ${m.name} — ${m.file}`)
+        ]
+        : [];
+
+    const rules = (graph.rules || []).map(rule => rule.description || `${rule.from} must not depend on ${rule.notTo}`);
+
+    return [
+        { heading: 'Placement', items: [...placement, ...missingMemoryNote(memory, ['project-structure', 'module-graph', 'architecture'])] },
+        { heading: template ? `Dependencies to mirror from ${template[0]}` : 'Dependencies', items: templateDependencies },
+        { heading: 'Where each layer lives', items: layerHomes },
+        { heading: 'Stack', items: describeStack(memory) },
+        { heading: 'Dependency injection', items: diItems },
+        { heading: 'Layering rules', items: rules }
     ];
+}
 
-    for (const srcDir of srcDirs) {
-        if (!fs.existsSync(srcDir)) continue;
+function buildReviewPrompt(memory, instincts) {
+    const graph = memory['module-graph'] || {};
+    const arch = memory['architecture'] || {};
+    const di = arch.di || {};
+    const manifest = memory['android-manifest'] || {};
 
-        function findComposeScreens(dir) {
-            if (!fs.existsSync(dir)) return;
-
-            const entries = fs.readdirSync(dir, { withFileTypes: true });
-            for (const entry of entries) {
-                const fullPath = path.join(dir, entry.name);
-                if (entry.isDirectory()) {
-                    findComposeScreens(fullPath);
-                } else if (entry.name.endsWith('.kt')) {
-                    const content = fs.readFileSync(fullPath, 'utf8');
-
-                    // Find @Composable functions ending in "Screen"
-                    const composableMatches = content.matchAll(/@Composable\s+(?:fun\s+)?(\w+Screen)/g);
-                    for (const match of composableMatches) {
-                        const screenName = match[1];
-                        screens.screens.push({
-                            name: screenName,
-                            file: path.relative(projectRoot, fullPath),
-                            previewable: content.includes('@Preview'),
-                            testable: false // Would need to check test files
-                        });
-                    }
-                }
-            }
+    const naming = [
+        ['ViewModel', arch.uiLayer && arch.uiLayer.viewmodels],
+        ['Repository', arch.dataLayer && arch.dataLayer.repositories],
+        ['UseCase', arch.domainLayer && arch.domainLayer.usecases]
+    ]
+        .filter(([, entries]) => entries && entries.length > 0)
+        .map(([suffix, entries]) => `${entries.length} classes follow the *${suffix} naming`);
+
+    return [
+        { heading: 'Conventions', items: [...describeStack(memory), ...naming, ...missingMemoryNote(memory, ['architecture', 'module-graph'])] },
+        {
+            heading: 'Layering rules',
+            items: (graph.rules || []).map(rule => rule.description || `${rule.from} must not depend on ${rule.notTo}`)
+        },
+        { heading: 'High-confidence instincts', items: formatInstincts(instincts) },
+        {
+            heading: 'Known issues',
+            items: [
+                ...(graph.violations || []).map(v => `Layering violation: ${v.from} → ${v.to} (${v.rule})`),
+                ...(graph.cycles || []).map(cycle => `Module cycle: ${cycle.join(' → ')}`),
+                ...(di.missingBindings || []).map(m => `No binding for ${m.type} requested by ${m.requestedBy} (${m.file}:${m.line})`),
+                ...(manifest.warnings || []).map(w => `Manifest: ${w.component ? `${w.component}: ` : ''}${w.message}`)
+            ]
         }
+    ];
+}
+
+// Render a prompt for prompts/get
+function buildPrompt(name, args = {}) {
+    const prompt = PROMPTS.find(p => p.name === name);
+    if (!prompt) {
+        throw new Error(`Unknown prompt: ${name}`);
+    }
+    const maxTokens = parsePromptBudget(args.maxTokens);
+    const memory = readPromptMemory();
 
-        findComposeScreens(srcDir);
+    let title;
+    let intro;
+    let sections;
+    switch (name) {
+        case 'onboard-me':
+            title = 'Project onboarding';
+            intro = 'Walk me through this Android project using the context below. Point out where to start reading.';
+            sections = buildOnboardPrompt(memory);
+            break;
+        case 'plan-feature':
+            if (!args.feature) {
+                throw new Error('plan-feature requires a feature argument');
+            }
+            title = `Feature plan: ${args.feature}`;
+            intro = `Plan the feature "${args.feature}": which modules, packages and classes to add, following the structure below.`;
+            sections = buildPlanFeaturePrompt(memory, args.feature);
+            break;
+        case 'review-context':
+            title = 'Review context';
+            intro = 'Review the change against these project conventions and learned instincts.';
+            sections = buildReviewPrompt(memory, loadInstincts());
+            break;
     }
 
-    screens.lastIndexed = getTimestamp();
-    return screens;
+    const text = `${intro}\n\n${fitToBudget(title, sections, maxTokens - estimateTokens(`${intro}\n\n`))}`;
+    return {
+        description: prompt.description,
+        messages: [{ role: 'user', content: { type: 'text', text } }]
+    };
 }
 
 // MCP Server implementation
 class MobileMemoryServer {
     constructor() {
+        const { MCPServer } = loadSdk();
         this.server = new MCPServer(
             {
                 name: 'mobile-memory',
@@ -320,13 +4119,16 @@ class MobileMemoryServer {
             },
             {
                 capabilities: {
-                    resources: {},
+                    resources: { subscribe: true },
                     tools: {},
                     prompts: {}
                 }
             }
         );
 
+        // Resource URIs the client asked to be notified about
+        this.subscriptions = new Set();
+        this.watcher = null;
         this.setupHandlers();
     }
 
@@ -347,7 +4149,7 @@ class MobileMemoryServer {
             const uri = request.params.uri;
             const type = uri.replace('memory://', '');
 
-            if (!MEMORY_SCHEMAS[type]) {
+            if (!Object.hasOwn(MEMORY_SCHEMAS, type)) {
                 throw new Error(`Unknown memory type: ${type}`);
             }
 
@@ -368,6 +4170,25 @@ class MobileMemoryServer {
             };
         });
 
+        // Resource subscriptions, answered with notifications/resources/updated in watch mode
+        this.server.setRequestHandler('resources/subscribe', async (request) => {
+            this.subscriptions.add(request.params.uri);
+            return {};
+        });
+
+        this.server.setRequestHandler('resources/unsubscribe', async (request) => {
+            this.subscriptions.delete(request.params.uri);
+            return {};
+        });
+
+        // Prompts built from stored memory
+        this.server.setRequestHandler('prompts/list', async () => ({ prompts: PROMPTS }));
+
+        this.server.setRequestHandler('prompts/get', async (request) => {
+            const { name, arguments: args } = request.params;
+            return buildPrompt(name, args);
+        });
+
         // List available tools
         this.server.setRequestHandler('tools/list', async () => {
             return {
@@ -413,13 +4234,17 @@ class MobileMemoryServer {
                     },
                     {
                         name: 'memory-query',
-                        description: 'Query memory with natural language',
+                        description: 'Query memory with field filters, JSON paths or keywords; returns matching nodes with their paths',
                         inputSchema: {
                             type: 'object',
                             properties: {
                                 query: {
                                     type: 'string',
-                                    description: 'Natural language query'
+                                    description: 'e.g. "type:compose-screens previewable:false", "path:routes[*].deepLinks", "coverage:<60" or plain keywords'
+                                },
+                                limit: {
+                                    type: 'number',
+                                    description: `Maximum number of results (default ${DEFAULT_QUERY_LIMIT})`
                                 }
                             },
                             required: ['query']
@@ -446,7 +4271,128 @@ class MobileMemoryServer {
                                 },
                                 olderThan: {
                                     type: 'string',
-                                    description: 'Forget data older than (e.g., 30days)'
+                                    description: 'Forget data older than (e.g., 30days, 12h, 2weeks); applies to all types when no type is given'
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'memory-module-graph',
+                        description: 'Module dependency graph with cycles and layering rule violations',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                module: {
+                                    type: 'string',
+                                    description: 'Only show dependencies and dependents of this module (e.g., :feature:auth)'
+                                },
+                                refresh: {
+                                    type: 'boolean',
+                                    description: 'Re-read build files instead of using stored memory',
+                                    default: false
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'memory-app-size',
+                        description: 'APK/AAB size by category, ABI and largest entries, with growth against the previous build or another artifact',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                artifact: {
+                                    type: 'string',
+                                    description: 'APK or AAB to analyze; re-analyzes every module\'s build/outputs when omitted'
+                                },
+                                compareTo: {
+                                    type: 'string',
+                                    description: 'Earlier APK or AAB (e.g. the last release) to diff the artifact against'
+                                },
+                                label: {
+                                    type: 'string',
+                                    description: 'Release name recorded with the artifact in the size history (e.g., 2.4.0)'
+                                },
+                                top: {
+                                    type: 'number',
+                                    description: 'Number of largest and most changed entries to list',
+                                    default: APP_SIZE_TOP_ENTRIES
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'memory-diff',
+                        description: 'Show what changed in memory between two snapshots or since a date',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                type: {
+                                    type: 'string',
+                                    enum: Object.keys(MEMORY_SCHEMAS),
+                                    description: 'Memory type to compare; all types with history when omitted'
+                                },
+                                from: {
+                                    type: 'string',
+                                    description: 'Snapshot id, "previous", "latest" or a date (default: previous)'
+                                },
+                                to: {
+                                    type: 'string',
+                                    description: 'Snapshot id, "latest" or "current" (default: current)'
+                                },
+                                since: {
+                                    type: 'string',
+                                    description: 'Compare the current memory with the last snapshot before this date or age (e.g., 2026-10-01, 14days)'
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'memory-export',
+                        description: 'Export all memory as a versioned bundle with project name and git commit',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                path: {
+                                    type: 'string',
+                                    description: 'File to write the bundle to (returned inline when omitted)'
+                                },
+                                types: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Specific types to export (all if empty)'
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'memory-import',
+                        description: 'Import a memory bundle exported on another machine',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                path: {
+                                    type: 'string',
+                                    description: 'Bundle file written by memory-export'
+                                },
+                                bundle: {
+                                    type: 'object',
+                                    description: 'Bundle object, instead of a path'
+                                },
+                                strategy: {
+                                    type: 'string',
+                                    enum: MERGE_STRATEGIES,
+                                    description: 'replace local memory, merge arrays into it, or keep whichever is newer',
+                                    default: 'merge-arrays'
+                                },
+                                dryRun: {
+                                    type: 'boolean',
+                                    description: 'Only report what would change',
+                                    default: false
+                                },
+                                types: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Specific types to import (all if empty)'
                                 }
                             }
                         }
@@ -461,6 +4407,11 @@ class MobileMemoryServer {
                                     type: 'array',
                                     items: { type: 'string' },
                                     description: 'Specific types to refresh (all if empty)'
+                                },
+                                force: {
+                                    type: 'boolean',
+                                    description: 'Re-extract every file instead of reusing cached results for unchanged files',
+                                    default: false
                                 }
                             }
                         }
@@ -480,20 +4431,21 @@ class MobileMemoryServer {
                     let data = args.data;
 
                     if (args.refresh) {
-                        data = await this.refreshMemoryType(type, projectRoot);
+                        const cache = new FileCache(getFileCachePath());
+                        data = await this.refreshMemoryType(type, projectRoot, cache);
+                        cache.save();
                     } else if (!data) {
                         data = MEMORY_SCHEMAS[type];
                     }
 
-                    const memoryPath = getMemoryPath(type);
-                    const existing = readJson(memoryPath) || {};
-                    const merged = { ...existing, ...data, lastUpdated: getTimestamp() };
-                    writeJson(memoryPath, merged);
+                    const snapshot = updateMemory(type, existing => ({ ...existing, ...data, lastUpdated: getTimestamp() }),
+                        args.refresh ? 'refresh' : 'save');
+                    const limits = formatLimitsReport(enforceMemoryLimits({ keep: [type], evict: true }));
 
                     return {
                         content: [{
                             type: 'text',
-                            text: `Saved ${type} memory`
+                            text: [`Saved ${type} memory${snapshot ? ` (snapshot ${snapshot})` : ''}`, ...limits].join('\n')
                         }]
                     };
                 }
@@ -501,12 +4453,20 @@ class MobileMemoryServer {
                 case 'memory-load': {
                     const type = args.type;
                     const memoryPath = getMemoryPath(type);
+                    // Expired memory is dropped here and rebuilt below
+                    enforceMemoryLimits({ types: [type] });
                     let data = readJson(memoryPath);
 
                     if (!data) {
                         // Try to refresh from project
-                        data = await this.refreshMemoryType(type, projectRoot);
-                        writeJson(memoryPath, data);
+                        const cache = new FileCache(getFileCachePath());
+                        const refreshed = await this.refreshMemoryType(type, projectRoot, cache);
+                        cache.save();
+                        // Another client may have stored it in the meantime
+                        updateMemory(type, current => {
+                            data = current || refreshed;
+                            return data;
+                        }, 'refresh');
                     }
 
                     return {
@@ -518,21 +4478,18 @@ class MobileMemoryServer {
                 }
 
                 case 'memory-query': {
-                    const query = args.query.toLowerCase();
-                    const results = [];
+                    const documents = {};
 
                     // Search across all memory types
                     for (const type of Object.keys(MEMORY_SCHEMAS)) {
-                        const memoryPath = getMemoryPath(type);
-                        const data = readJson(memoryPath);
+                        const data = readJson(getMemoryPath(type));
                         if (data) {
-                            const jsonStr = JSON.stringify(data);
-                            if (jsonStr.toLowerCase().includes(query)) {
-                                results.push({ type, data });
-                            }
+                            documents[type] = data;
                         }
                     }
 
+                    const results = queryMemories(documents, args.query, { limit: args.limit });
+
                     return {
                         content: [{
                             type: 'text',
@@ -550,13 +4507,17 @@ class MobileMemoryServer {
                         if (data) {
                             summary[type] = {
                                 exists: true,
-                                lastUpdated: data.lastUpdated || data.lastSync || data.lastAnalyzed || data.lastIndexed || data.lastRun,
-                                size: JSON.stringify(data).length
+                                lastUpdated: getDocumentTimestamp(data),
+                                size: JSON.stringify(data).length,
+                                retention: MEMORY_RETENTION[type],
+                                snapshots: listSnapshots(type).length
                             };
                         } else {
-                            summary[type] = { exists: false };
+                            summary[type] = { exists: false, retention: MEMORY_RETENTION[type] };
                         }
                     }
+                    summary.storage = { bytes: getDirectorySize(getMemoryDir()), limit: MAX_SIZE };
+                    summary.cache = new FileCache(getFileCachePath()).summary();
 
                     return {
                         content: [{
@@ -567,11 +4528,25 @@ class MobileMemoryServer {
                 }
 
                 case 'memory-forget': {
+                    if (args.olderThan) {
+                        const report = enforceMemoryLimits({
+                            types: args.type ? [args.type] : Object.keys(MEMORY_SCHEMAS),
+                            olderThan: args.olderThan
+                        });
+                        const lines = formatLimitsReport(report);
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: lines.length > 0 ? lines.join('\n') : `No memory older than ${args.olderThan}`
+                            }]
+                        };
+                    }
                     if (args.type) {
                         const memoryPath = getMemoryPath(args.type);
                         if (fs.existsSync(memoryPath)) {
                             fs.unlinkSync(memoryPath);
                         }
+                        fs.rmSync(getHistoryDir(args.type), { recursive: true, force: true });
                         return {
                             content: [{
                                 type: 'text',
@@ -584,18 +4559,176 @@ class MobileMemoryServer {
                     };
                 }
 
+                case 'memory-module-graph': {
+                    const memoryPath = getMemoryPath('module-graph');
+                    let graph = args.refresh ? null : readJson(memoryPath);
+
+                    if (!graph) {
+                        graph = await this.refreshMemoryType('module-graph', projectRoot);
+                        storeMemory('module-graph', graph, 'refresh');
+                    }
+
+                    if (args.module && graph.edges) {
+                        const name = args.module.startsWith(':') ? args.module : `:${args.module}`;
+                        graph = {
+                            module: name,
+                            dependencies: graph.edges.filter(e => e.from === name),
+                            dependents: graph.edges.filter(e => e.to === name),
+                            cycles: graph.cycles.filter(cycle => cycle.includes(name)),
+                            violations: graph.violations.filter(v => v.from === name || v.to === name)
+                        };
+                    }
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: JSON.stringify(graph, null, 2)
+                        }]
+                    };
+                }
+
+                case 'memory-app-size': {
+                    let result;
+
+                    if (!args.artifact) {
+                        result = await this.refreshMemoryType('app-size', projectRoot);
+                        if (!result.error) storeMemory('app-size', result, 'refresh');
+                    } else {
+                        result = withFileLock(getMemoryPath('app-size'), () => {
+                            const memory = readJson(getMemoryPath('app-size')) || structuredClone(MEMORY_SCHEMAS['app-size']);
+                            const options = { top: args.top, includeEntries: true };
+                            const modules = isAndroidProject(projectRoot) ? getGradleModules(projectRoot) : [];
+                            const analysis = analyzeArtifact(path.resolve(projectRoot, args.artifact), options);
+                            const origin = describeArtifactPath(modules, analysis.file);
+
+                            // The earlier artifact joins the same series first, so the history reads in release order
+                            let baseline = null;
+                            if (args.compareTo) {
+                                baseline = analyzeArtifact(path.resolve(projectRoot, args.compareTo), options);
+                                recordAppSize(memory, baseline, { projectRoot, origin });
+                            }
+                            const artifact = recordAppSize(memory, analysis, { projectRoot, origin, label: args.label });
+                            setCurrentArtifact(memory, artifact);
+                            if (baseline) {
+                                memory.comparison = {
+                                    ...diffArtifacts(
+                                        { ...baseline, file: displayArtifactPath(projectRoot, baseline.file) },
+                                        { ...analysis, file: artifact.file, label: artifact.label },
+                                        options),
+                                    comparedAt: getTimestamp()
+                                };
+                            }
+                            memory.lastAnalyzed = getTimestamp();
+                            storeMemory('app-size', memory, 'save');
+
+                            return {
+                                artifact,
+                                ...(baseline && { comparison: memory.comparison })
+                            };
+                        });
+                    }
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: JSON.stringify(result, null, 2)
+                        }]
+                    };
+                }
+
+                case 'memory-diff': {
+                    const options = { from: args.from, to: args.to, since: args.since };
+                    let result;
+                    if (args.type) {
+                        result = diffMemory(args.type, options);
+                    } else {
+                        result = {};
+                        const types = Object.keys(MEMORY_SCHEMAS)
+                            .filter(t => listSnapshots(t).length > 0 && fs.existsSync(getMemoryPath(t)));
+                        for (const type of types) {
+                            try {
+                                const diff = diffMemory(type, options);
+                                if (diff.changes.length > 0) result[type] = diff;
+                            } catch (error) {
+                                result[type] = { error: error.message };
+                            }
+                        }
+                    }
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: JSON.stringify(result, null, 2)
+                        }]
+                    };
+                }
+
+                case 'memory-export': {
+                    const bundle = createMemoryBundle(projectRoot, args.types || Object.keys(MEMORY_SCHEMAS));
+
+                    if (args.path) {
+                        const bundlePath = path.resolve(projectRoot, args.path);
+                        fs.mkdirSync(path.dirname(bundlePath), { recursive: true });
+                        writeJson(bundlePath, bundle);
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: `Exported ${Object.keys(bundle.memory).length} memory types to ${args.path}`
+                            }]
+                        };
+                    }
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: JSON.stringify(bundle, null, 2)
+                        }]
+                    };
+                }
+
+                case 'memory-import': {
+                    const bundle = args.bundle || (args.path && readJson(path.resolve(projectRoot, args.path)));
+                    if (!bundle) {
+                        throw new Error(args.path ? `Cannot read bundle: ${args.path}` : 'No bundle or path specified');
+                    }
+
+                    const report = importMemoryBundle(bundle, {
+                        strategy: args.strategy,
+                        dryRun: args.dryRun,
+                        types: args.types
+                    });
+                    if (!report.dryRun) {
+                        const imported = Object.keys(report.types);
+                        report.limits = formatLimitsReport(enforceMemoryLimits({ types: imported, keep: imported, evict: true }));
+                    }
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: JSON.stringify(report, null, 2)
+                        }]
+                    };
+                }
+
                 case 'memory-refresh': {
                     const types = args.types || Object.keys(MEMORY_SCHEMAS);
                     const results = {};
+                    // Unchanged source files reuse their cached extraction results unless forced
+                    const cache = new FileCache(getFileCachePath(), { force: args.force });
 
                     for (const type of types) {
-                        if (MEMORY_SCHEMAS[type]) {
-                            const data = await this.refreshMemoryType(type, projectRoot);
-                            const memoryPath = getMemoryPath(type);
-                            writeJson(memoryPath, data);
-                            results[type] = 'refreshed';
+                        if (Object.hasOwn(MEMORY_SCHEMAS, type)) {
+                            const data = await this.refreshMemoryType(type, projectRoot, cache);
+                            results[type] = storeMemory(type, data, 'refresh') ? 'refreshed' : 'unchanged';
                         }
                     }
+                    cache.save();
+                    results.cache = cache.stats;
+
+                    const limits = formatLimitsReport(enforceMemoryLimits({ keep: types, evict: true }));
+                    if (limits.length > 0) {
+                        results.limits = limits;
+                    }
 
                     return {
                         content: [{
@@ -611,7 +4744,7 @@ class MobileMemoryServer {
         });
     }
 
-    async refreshMemoryType(type, projectRoot) {
+    async refreshMemoryType(type, projectRoot, cache = new FileCache()) {
         if (!isAndroidProject(projectRoot)) {
             return { error: 'Not an Android project' };
         }
@@ -622,21 +4755,77 @@ class MobileMemoryServer {
             case 'dependencies':
                 return extractDependencies(projectRoot);
             case 'architecture':
-                return extractArchitecture(projectRoot);
+                return extractArchitecture(projectRoot, cache);
             case 'compose-screens':
-                return extractComposeScreens(projectRoot);
+                return extractComposeScreens(projectRoot, cache);
+            case 'navigation-graph':
+                return extractNavigationGraph(projectRoot, cache);
+            case 'module-graph':
+                return extractModuleGraph(projectRoot);
+            case 'build-variants':
+                return extractBuildVariants(projectRoot);
+            case 'android-manifest':
+                return extractAndroidManifest(projectRoot, cache);
+            case 'room-database':
+                return extractRoomDatabase(projectRoot, cache);
+            case 'static-analysis':
+                return extractStaticAnalysis(projectRoot, readJson(getMemoryPath(type)), cache);
+            case 'app-size':
+                return extractAppSize(projectRoot, readJson(getMemoryPath(type)));
+            case 'test-coverage':
+                return extractTestCoverage(projectRoot, readJson(getMemoryPath(type)), cache);
             default:
                 return { ...MEMORY_SCHEMAS[type], lastUpdated: getTimestamp() };
         }
     }
 
+    // Re-extract the types touched by watched changes; subscribers hear about the ones whose content changed
+    async refreshChangedTypes(types, projectRoot) {
+        const cache = new FileCache(getFileCachePath());
+        const changed = [];
+
+        for (const type of types) {
+            const data = await this.refreshMemoryType(type, projectRoot, cache);
+            if (!data.error && storeMemory(type, data, 'watch')) {
+                changed.push(type);
+            }
+        }
+        cache.save();
+
+        for (const type of changed) {
+            const uri = `memory://${type}`;
+            if (this.subscriptions.has(uri)) {
+                await this.server.notification({ method: 'notifications/resources/updated', params: { uri } });
+            }
+        }
+        return changed;
+    }
+
     async start() {
+        const { StdioServerTransport } = loadSdk();
         const transport = new StdioServerTransport();
         await this.server.connect(transport);
 
         // Initialize memory directory
         ensureMemoryDir();
 
+        try {
+            const limits = formatLimitsReport(enforceMemoryLimits());
+            limits.forEach(line => console.error(line));
+        } catch (error) {
+            console.error(`Memory limits not enforced: ${error.message}`);
+        }
+
+        if (WATCH) {
+            const projectRoot = process.cwd();
+            this.watcher = new MemoryWatcher(projectRoot, {
+                typesFor: typesForChange,
+                debounce: WATCH_DEBOUNCE,
+                onChange: types => this.refreshChangedTypes(types, projectRoot)
+            }).start();
+            console.error(`Watching ${projectRoot} for changes`);
+        }
+
         console.error('Mobile Memory MCP Server running');
     }
 }
@@ -654,7 +4843,46 @@ module.exports = {
     extractProjectStructure,
     extractDependencies,
     extractArchitecture,
+    extractDependencyInjection,
     extractComposeScreens,
+    extractTestCoverage,
+    extractBuildVariants,
+    extractNavigationGraph,
+    extractModuleGraph,
+    extractAndroidManifest,
+    extractRoomDatabase,
+    extractStaticAnalysis,
+    extractAppSize,
+    readZipEntries,
+    analyzeArtifact,
+    diffArtifacts,
+    parseToml,
+    parseVersionCatalog,
+    FileCache,
+    parseMemoryQuery,
+    queryMemories,
+    parseSize,
+    parseDuration,
+    pruneTimestampedEntries,
+    enforceMemoryLimits,
+    recordSnapshot,
+    storeMemory,
+    listSnapshots,
+    diffMemory,
+    diffSnapshots,
+    typesForChange,
+    MemoryWatcher,
+    createMemoryBundle,
+    importMemoryBundle,
+    mergeMemory,
+    diffJson,
+    PROMPTS,
+    buildPrompt,
+    fitToBudget,
+    findCycles,
+    getGradleModules,
+    parseJUnitXml,
+    parseCoverageReport,
     readJson,
     writeJson,
     MEMORY_SCHEMAS,
@@ -10,7 +10,8 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 
-const { getProjectRoot, ensureDir, getTimestamp } = require('../lib/utils');
+const { getProjectRoot, ensureDir, getTimestamp, readJsonFile, writeJsonFile } = require('../lib/utils');
+const { extractAndroidManifest } = require('../../mcp-servers/mobile-memory');
 
 const CHECKPOINT_DIR = '.claude/checkpoints';
 
@@ -112,16 +113,25 @@ function getTestResults(dir) {
     return results;
 }
 
+// Checkpoint summary of the merged manifests, read by the same extractor as the android-manifest memory type
+function getManifest(dir) {
+    const extracted = extractAndroidManifest(dir);
+    const { attributes } = extracted.application;
+
+    return {
+        files: extracted.manifests.map(manifest => manifest.file),
+        permissions: extracted.permissions.map(permission => permission.name),
+        components: extracted.components.map(({ type, name, exported }) => ({ type, name, exported })),
+        // Main source set only; debug manifests commonly override these
+        application: Object.fromEntries(['debuggable', 'usesCleartextTraffic', 'allowBackup']
+            .filter(flag => typeof attributes[flag] === 'boolean')
+            .map(flag => [flag, attributes[flag]]))
+    };
+}
+
 function loadInstincts(dir) {
     const instinctsPath = path.join(dir, '.claude/instincts/mobile-instincts.json');
-    if (fs.existsSync(instinctsPath)) {
-        try {
-            return JSON.parse(fs.readFileSync(instinctsPath, 'utf8'));
-        } catch {
-            return { instincts: [] };
-        }
-    }
-    return { instincts: [] };
+    return readJsonFile(instinctsPath) || { instincts: [] };
 }
 
 function createCheckpoint(level, name) {
@@ -177,7 +187,7 @@ function createCheckpoint(level, name) {
                 break;
 
             case 'manifest':
-                checkpoint.manifest = { tracked: true };
+                checkpoint.manifest = getManifest(projectRoot);
                 break;
 
             case 'compose-state':
@@ -186,7 +196,7 @@ function createCheckpoint(level, name) {
         }
     }
 
-    fs.writeFileSync(checkpointFile, JSON.stringify(checkpoint, null, 2));
+    writeJsonFile(checkpointFile, checkpoint);
 
     cleanOldCheckpoints(checkpointDir, 20);
 
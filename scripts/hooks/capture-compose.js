@@ -12,7 +12,7 @@
 const fs = require('fs');
 const path = require('path');
 
-const { getInstinctsDir, ensureDir, getTimestamp } = require('../lib/utils');
+const { getInstinctsDir, ensureDir, getTimestamp, updateJsonFile } = require('../lib/utils');
 
 function main() {
     const filePath = process.argv[2];
@@ -61,23 +61,14 @@ function main() {
     const instinctsDir = ensureDir(getInstinctsDir());
     const composeInstinctsFile = path.join(instinctsDir, 'compose-patterns.json');
 
-    let existing = {};
-    if (fs.existsSync(composeInstinctsFile)) {
-        existing = JSON.parse(fs.readFileSync(composeInstinctsFile, 'utf8'));
-    }
-
     // Update with this screen's patterns
-    existing[screenName] = {
-        file: path.relative(process.cwd(), filePath),
-        patterns: patterns,
-        capturedAt: new Date().toISOString()
-    };
-
-    fs.writeFileSync(
-        composeInstinctsFile,
-        JSON.stringify(existing, null, 2),
-        'utf8'
-    );
+    updateJsonFile(composeInstinctsFile, (existing) => {
+        existing[screenName] = {
+            file: path.relative(process.cwd(), filePath),
+            patterns: patterns,
+            capturedAt: new Date().toISOString()
+        };
+    });
 
     // Output detected patterns
     const detected = Object.entries(patterns)
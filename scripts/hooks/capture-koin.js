@@ -12,7 +12,7 @@
 const fs = require('fs');
 const path = require('path');
 
-const { getInstinctsDir, ensureDir } = require('../lib/utils');
+const { getInstinctsDir, ensureDir, updateJsonFile } = require('../lib/utils');
 
 function main() {
     const filePath = process.argv[2];
@@ -77,24 +77,15 @@ function main() {
     const instinctsDir = ensureDir(getInstinctsDir());
     const koinInstinctsFile = path.join(instinctsDir, 'koin-patterns.json');
 
-    let existing = {};
-    if (fs.existsSync(koinInstinctsFile)) {
-        existing = JSON.parse(fs.readFileSync(koinInstinctsFile, 'utf8'));
-    }
-
     // Update with this module's patterns
-    existing[moduleName] = {
-        file: path.relative(process.cwd(), filePath),
-        patterns: patterns,
-        dependencies: dependencies,
-        capturedAt: new Date().toISOString()
-    };
-
-    fs.writeFileSync(
-        koinInstinctsFile,
-        JSON.stringify(existing, null, 2),
-        'utf8'
-    );
+    updateJsonFile(koinInstinctsFile, (existing) => {
+        existing[moduleName] = {
+            file: path.relative(process.cwd(), filePath),
+            patterns: patterns,
+            dependencies: dependencies,
+            capturedAt: new Date().toISOString()
+        };
+    });
 
     // Output detected patterns
     const detected = Object.entries(patterns)
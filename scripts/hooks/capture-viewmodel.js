@@ -12,7 +12,7 @@
 const fs = require('fs');
 const path = require('path');
 
-const { getInstinctsDir, ensureDir, getTimestamp } = require('../lib/utils');
+const { getInstinctsDir, ensureDir, getTimestamp, updateJsonFile } = require('../lib/utils');
 
 function main() {
     const filePath = process.argv[2];
@@ -48,23 +48,14 @@ function main() {
     const instinctsDir = ensureDir(getInstinctsDir());
     const viewmodelInstinctsFile = path.join(instinctsDir, 'viewmodel-patterns.json');
 
-    let existing = {};
-    if (fs.existsSync(viewmodelInstinctsFile)) {
-        existing = JSON.parse(fs.readFileSync(viewmodelInstinctsFile, 'utf8'));
-    }
-
     // Update with this ViewModel's patterns
-    existing[className] = {
-        file: path.relative(process.cwd(), filePath),
-        patterns: patterns,
-        capturedAt: new Date().toISOString()
-    };
-
-    fs.writeFileSync(
-        viewmodelInstinctsFile,
-        JSON.stringify(existing, null, 2),
-        'utf8'
-    );
+    updateJsonFile(viewmodelInstinctsFile, (existing) => {
+        existing[className] = {
+            file: path.relative(process.cwd(), filePath),
+            patterns: patterns,
+            capturedAt: new Date().toISOString()
+        };
+    });
 
     // Output detected patterns
     const detected = Object.entries(patterns)
@@ -6,7 +6,7 @@
 
 const path = require('path');
 const fs = require('fs');
-const { log, getProjectRoot, ensureDir, getTimestamp } = require('../lib/utils');
+const { log, getProjectRoot, ensureDir, getTimestamp, writeJsonFile } = require('../lib/utils');
 const { loadInstincts, saveInstincts } = require('../lib/instincts');
 
 async function main() {
@@ -27,7 +27,7 @@ async function main() {
         lastFiles: getRecentFiles(projectRoot)
     };
 
-    fs.writeFileSync(checkpointFile, JSON.stringify(checkpoint, null, 2));
+    writeJsonFile(checkpointFile, checkpoint);
     log(`Checkpoint saved: ${path.basename(checkpointFile)}`, 'success');
 
     // Clean old checkpoints (keep last 10)
@@ -6,11 +6,10 @@
  * and prompts if the session was productive.
  */
 
-const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 
-const { getProjectRoot, ensureDir, getTimestamp } = require('../lib/utils');
+const { getProjectRoot, ensureDir, getTimestamp, updateJsonFile } = require('../lib/utils');
 
 const SESSION_FILE = '.claude/mobile-memory/session-history.json';
 
@@ -55,25 +54,21 @@ function getCurrentBranch(projectRoot) {
     }
 }
 
-function loadSessionHistory(projectRoot) {
+function recordSession(projectRoot, activity) {
     const sessionPath = path.join(projectRoot, SESSION_FILE);
-    if (fs.existsSync(sessionPath)) {
-        try {
-            return JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
-        } catch {
-            return { sessions: [] };
+    return updateJsonFile(sessionPath, (history) => {
+        if (!Array.isArray(history.sessions)) {
+            history.sessions = [];
         }
-    }
-    return { sessions: [] };
-}
+        history.sessions.push({
+            timestamp: new Date().toISOString(),
+            activity: activity
+        });
 
-function saveSessionHistory(projectRoot, history) {
-    const sessionPath = path.join(projectRoot, SESSION_FILE);
-    const sessionDir = path.dirname(sessionPath);
-    if (!fs.existsSync(sessionDir)) {
-        fs.mkdirSync(sessionDir, { recursive: true });
-    }
-    fs.writeFileSync(sessionPath, JSON.stringify(history, null, 2));
+        if (history.sessions.length > 30) {
+            history.sessions = history.sessions.slice(-30);
+        }
+    }, { fallback: { sessions: [] } });
 }
 
 function shouldSuggestCheckpoint(activity) {
@@ -90,17 +85,7 @@ function main() {
 
     const activity = getSessionActivity(projectRoot);
 
-    const history = loadSessionHistory(projectRoot);
-    history.sessions.push({
-        timestamp: new Date().toISOString(),
-        activity: activity
-    });
-
-    if (history.sessions.length > 30) {
-        history.sessions = history.sessions.slice(-30);
-    }
-
-    saveSessionHistory(projectRoot, history);
+    recordSession(projectRoot, activity);
 
     if (shouldSuggestCheckpoint(activity)) {
         console.log('');
@@ -9,7 +9,7 @@
 const fs = require('fs');
 const path = require('path');
 
-const { getInstinctsDir, ensureDir, getTimestamp } = require('../lib/utils');
+const { getInstinctsDir, ensureDir, getTimestamp, updateJsonFile } = require('../lib/utils');
 
 function main() {
     const filePath = process.argv[2];
@@ -53,7 +53,7 @@ function main() {
     }
 
     // Extract ksp/kapt plugins
-    const kspMatches = content.matchAll/(ksp|kapt)\s*\(\s*"([^:]+):([^:]+):([^")]+)"\s*\)/g);
+    const kspMatches = content.matchAll(/(ksp|kapt)\s*\(\s*"([^:]+):([^:]+):([^")]+)"\s*\)/g);
     for (const match of kspMatches) {
         dependencies.push({
             type: match[1],
@@ -64,89 +64,82 @@ function main() {
     }
 
     // Extract plugin IDs
-    const pluginMatches = content.matchAll/id\s*\(\s*"([^"]+)"\s*\)/g);
+    const pluginMatches = content.matchAll(/id\s*\(\s*"([^"]+)"\s*\)/g);
     const plugins = Array.from(pluginMatches).map(m => m[1]);
 
     // Track changes
     const instinctsDir = ensureDir(getInstinctsDir());
     const dependencyHistoryFile = path.join(instinctsDir, 'dependency-history.json');
 
-    let history = {};
-    if (fs.existsSync(dependencyHistoryFile)) {
-        history = JSON.parse(fs.readFileSync(dependencyHistoryFile, 'utf8'));
-    }
-
-    // Get previous state for this file
-    const fileKey = fileName.replace(/[^a-z0-9]/gi, '_');
-    const previousState = history[fileKey] || { dependencies: [], plugins: [] };
-
-    // Detect changes
-    const changes = {
-        added: [],
-        removed: [],
-        updated: [],
-        timestamp: new Date().toISOString()
-    };
-
-    // Compare dependencies
-    const currentMap = new Map(dependencies.map(d => [`${d.group}:${d.name}`, d]));
-    const previousMap = new Map(previousState.dependencies.map(d => [`${d.group}:${d.name}`, d]));
-
-    // Find added and updated
-    for (const [key, dep] of currentMap) {
-        if (!previousMap.has(key)) {
-            changes.added.push(dep);
-        } else {
-            const prevDep = previousMap.get(key);
-            if (prevDep.version !== dep.version) {
-                changes.updated.push({ ...dep, previousVersion: prevDep.version });
+    // Compare with the previous state and save the current one in a single locked update
+    let changes;
+    updateJsonFile(dependencyHistoryFile, (history) => {
+        // Get previous state for this file
+        const fileKey = fileName.replace(/[^a-z0-9]/gi, '_');
+        const previousState = history[fileKey] || { dependencies: [], plugins: [] };
+
+        // Detect changes
+        changes = {
+            added: [],
+            removed: [],
+            updated: [],
+            timestamp: new Date().toISOString()
+        };
+
+        // Compare dependencies
+        const currentMap = new Map(dependencies.map(d => [`${d.group}:${d.name}`, d]));
+        const previousMap = new Map(previousState.dependencies.map(d => [`${d.group}:${d.name}`, d]));
+
+        // Find added and updated
+        for (const [key, dep] of currentMap) {
+            if (!previousMap.has(key)) {
+                changes.added.push(dep);
+            } else {
+                const prevDep = previousMap.get(key);
+                if (prevDep.version !== dep.version) {
+                    changes.updated.push({ ...dep, previousVersion: prevDep.version });
+                }
             }
         }
-    }
 
-    // Find removed
-    for (const [key, dep] of previousMap) {
-        if (!currentMap.has(key)) {
-            changes.removed.push(dep);
+        // Find removed
+        for (const [key, dep] of previousMap) {
+            if (!currentMap.has(key)) {
+                changes.removed.push(dep);
+            }
         }
-    }
-
-    // Save current state
-    history[fileKey] = {
-        file: path.relative(process.cwd(), filePath),
-        dependencies: dependencies,
-        plugins: plugins,
-        lastTracked: new Date().toISOString()
-    };
 
-    // Track global library usage patterns
-    if (!history.libraryPatterns) {
-        history.libraryPatterns = {};
-    }
+        // Save current state
+        history[fileKey] = {
+            file: path.relative(process.cwd(), filePath),
+            dependencies: dependencies,
+            plugins: plugins,
+            lastTracked: new Date().toISOString()
+        };
+
+        // Track global library usage patterns
+        if (!history.libraryPatterns) {
+            history.libraryPatterns = {};
+        }
 
-    for (const dep of dependencies) {
-        const key = `${dep.group}:${dep.name}`;
-        if (!history.libraryPatterns[key]) {
-            history.libraryPatterns[key] = {
-                firstSeen: new Date().toISOString(),
-                lastSeen: new Date().toISOString(),
-                usageCount: 1,
-                files: [fileName]
-            };
-        } else {
-            history.libraryPatterns[key].lastSeen = new Date().toISOString();
-            history.libraryPatterns[key].usageCount++;
-            if (!history.libraryPatterns[key].files.includes(fileName)) {
-                history.libraryPatterns[key].files.push(fileName);
+        for (const dep of dependencies) {
+            const key = `${dep.group}:${dep.name}`;
+            if (!history.libraryPatterns[key]) {
+                history.libraryPatterns[key] = {
+                    firstSeen: new Date().toISOString(),
+                    lastSeen: new Date().toISOString(),
+                    usageCount: 1,
+                    files: [fileName]
+                };
+            } else {
+                history.libraryPatterns[key].lastSeen = new Date().toISOString();
+                history.libraryPatterns[key].usageCount++;
+                if (!history.libraryPatterns[key].files.includes(fileName)) {
+                    history.libraryPatterns[key].files.push(fileName);
+                }
             }
         }
-    }
-
-    fs.writeFileSync(
-        dependencyHistoryFile,
-        JSON.stringify(history, null, 2),
-        'utf8'
-    );
+    });
 
     // Report changes
     if (changes.added.length > 0 || changes.removed.length > 0 || changes.updated.length > 0) {
@@ -9,12 +9,11 @@
  * - Testing strategies
  */
 
-const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 
-const { getProjectRoot, ensureDir, getTimestamp } = require('../lib/utils');
-const { loadInstincts, saveInstincts, addInstinct } = require('../lib/instincts');
+const { getProjectRoot, ensureDir, getTimestamp, updateJsonFile } = require('../lib/utils');
+const { updateInstincts, addInstinct } = require('../lib/instincts');
 
 // V2 pattern definitions for cross-file analysis
 const V2_PATTERNS = {
@@ -173,7 +172,6 @@ function main() {
     console.log(`   Session focus: ${focus.join(', ') || 'general'}`);
 
     const detectedPatterns = [];
-    const allInstincts = loadInstincts();
 
     for (const [category, patterns] of Object.entries(V2_PATTERNS)) {
         for (const [patternId, pattern] of Object.entries(patterns)) {
@@ -202,25 +200,17 @@ function main() {
 
     const v2AnalysisFile = path.join(instinctsDir, 'v2-sessions.json');
 
-    let v2History = {};
-    if (fs.existsSync(v2AnalysisFile)) {
-        v2History = JSON.parse(fs.readFileSync(v2AnalysisFile, 'utf8'));
-    }
-
     const sessionId = `session-${Date.now()}`;
-    v2History[sessionId] = {
-        timestamp: new Date().toISOString(),
-        filesChanged: changedFiles.length,
-        focus: focus,
-        patterns: detectedPatterns,
-        gitBranch: getCurrentBranch(projectRoot)
-    };
-
-    fs.writeFileSync(
-        v2AnalysisFile,
-        JSON.stringify(v2History, null, 2),
-        'utf8'
-    );
+    const gitBranch = getCurrentBranch(projectRoot);
+    const v2History = updateJsonFile(v2AnalysisFile, (history) => {
+        history[sessionId] = {
+            timestamp: new Date().toISOString(),
+            filesChanged: changedFiles.length,
+            focus: focus,
+            patterns: detectedPatterns,
+            gitBranch
+        };
+    });
 
     if (detectedPatterns.length > 0) {
         console.log(`   V2 Patterns detected: ${detectedPatterns.length}`);
@@ -229,7 +219,7 @@ function main() {
         });
     }
 
-    updatePatternConfidence(v2History, allInstincts);
+    updatePatternConfidence(v2History);
 
     console.log('   V2 analysis complete');
 }
@@ -242,7 +232,7 @@ function getCurrentBranch(projectRoot) {
     }
 }
 
-function updatePatternConfidence(v2History, instincts) {
+function updatePatternConfidence(v2History) {
     const patternCounts = {};
 
     for (const [sessionId, session] of Object.entries(v2History)) {
@@ -260,17 +250,18 @@ function updatePatternConfidence(v2History, instincts) {
         }
     }
 
-    for (const [patternId, data] of Object.entries(patternCounts)) {
-        if (data.count >= 3) {
-            const existingInstinct = instincts.instincts.find(i => i.id === patternId);
-            if (existingInstinct && existingInstinct.confidence < 0.8) {
-                existingInstinct.confidence = Math.min(0.9, existingInstinct.confidence + 0.15);
-                existingInstinct.observationCount = data.count;
+    // Applied to the current instincts, which include the ones just added by addInstinct
+    updateInstincts((instincts) => {
+        for (const [patternId, data] of Object.entries(patternCounts)) {
+            if (data.count >= 3) {
+                const existingInstinct = instincts.instincts.find(i => i.id === patternId);
+                if (existingInstinct && existingInstinct.confidence < 0.8) {
+                    existingInstinct.confidence = Math.min(0.9, existingInstinct.confidence + 0.15);
+                    existingInstinct.observationCount = data.count;
+                }
             }
         }
-    }
-
-    saveInstincts(instincts);
+    });
 }
 
 main();
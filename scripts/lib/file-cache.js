@@ -0,0 +1,85 @@
+/**
+ * Fingerprint cache for the per-file extraction results of the memory servers
+ *
+ * - A file is re-extracted only when its content hash changed; the hash is only
+ *   recomputed when its mtime or size did
+ * - The hash covers the raw bytes, so binary files (compiled plists) and text files
+ *   are fingerprinted the same way
+ * - Without a cache path the cache lives for a single extraction
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./storage');
+
+// Bump when a cached per-file extraction result changes shape in any of the servers
+const FILE_CACHE_VERSION = 3;
+
+class FileCache {
+    constructor(cachePath = null, { force = false } = {}) {
+        this.cachePath = cachePath;
+        this.force = force;
+        this.stats = { hits: 0, rehashed: 0, misses: 0 };
+
+        const stored = cachePath ? readJsonFile(cachePath) : null;
+        this.entries = stored && stored.version === FILE_CACHE_VERSION ? stored.entries : {};
+        this.lastRefresh = stored ? stored.lastRefresh || null : null;
+    }
+
+    /**
+     * Return extract(content, filePath) for the file, reusing the cached result when unchanged
+     */
+    get(filePath, namespace, extract) {
+        const stat = fs.statSync(filePath);
+        let entry = this.entries[filePath];
+
+        if (!this.force && entry && entry.mtimeMs === stat.mtimeMs && entry.size === stat.size &&
+            namespace in entry.results) {
+            this.stats.hits++;
+            return entry.results[namespace];
+        }
+
+        const buffer = fs.readFileSync(filePath);
+        const hash = crypto.createHash('sha1').update(buffer).digest('hex');
+        if (!entry || entry.hash !== hash) {
+            entry = { results: {} };
+        }
+        Object.assign(entry, { mtimeMs: stat.mtimeMs, size: stat.size, hash });
+        this.entries[filePath] = entry;
+
+        if (!this.force && namespace in entry.results) {
+            this.stats.rehashed++;
+        } else {
+            this.stats.misses++;
+            entry.results[namespace] = extract(buffer.toString('utf8'), filePath);
+        }
+        return entry.results[namespace];
+    }
+
+    /**
+     * Persist the cache, dropping entries for files that no longer exist
+     */
+    save() {
+        if (!this.cachePath) return;
+        for (const filePath of Object.keys(this.entries)) {
+            if (!fs.existsSync(filePath)) delete this.entries[filePath];
+        }
+        this.lastRefresh = { ...this.stats, force: this.force, at: new Date().toISOString() };
+        fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+        writeJsonFile(this.cachePath, { version: FILE_CACHE_VERSION, lastRefresh: this.lastRefresh, entries: this.entries });
+    }
+
+    summary() {
+        return {
+            files: Object.keys(this.entries).length,
+            bytes: this.cachePath && fs.existsSync(this.cachePath) ? fs.statSync(this.cachePath).size : 0,
+            lastRefresh: this.lastRefresh
+        };
+    }
+}
+
+module.exports = {
+    FILE_CACHE_VERSION,
+    FileCache
+};
@@ -3,61 +3,70 @@
  * Handles pattern storage, retrieval, and confidence scoring
  */
 
-const fs = require('fs');
 const path = require('path');
-const { getInstinctsDir, ensureDir, readJsonFile, writeJsonFile, getTimestamp } = require('./utils');
+const { getInstinctsDir, ensureDir, getTimestamp } = require('./utils');
+const { readJsonFile, writeJsonFile, updateJsonFile, withFileLock } = require('./storage');
+
+const emptyInstincts = () => ({ instincts: [], version: '1.0', lastUpdated: null });
+
+function getInstinctsFile() {
+    return path.join(getInstinctsDir(), 'mobile-instincts.json');
+}
 
 /**
  * Load all instincts
  */
 function loadInstincts() {
-    const instinctsDir = getInstinctsDir();
-    const instinctsFile = path.join(instinctsDir, 'mobile-instincts.json');
-
-    if (!fs.existsSync(instinctsFile)) {
-        return { instincts: [], version: '1.0', lastUpdated: null };
-    }
-
-    return readJsonFile(instinctsFile) || { instincts: [], version: '1.0', lastUpdated: null };
+    return readJsonFile(getInstinctsFile()) || emptyInstincts();
 }
 
 /**
  * Save instincts
  */
 function saveInstincts(data) {
-    const instinctsDir = ensureDir(getInstinctsDir());
-    const instinctsFile = path.join(instinctsDir, 'mobile-instincts.json');
+    ensureDir(getInstinctsDir());
+    const instinctsFile = getInstinctsFile();
 
     data.lastUpdated = new Date().toISOString();
-    writeJsonFile(instinctsFile, data);
+    withFileLock(instinctsFile, () => writeJsonFile(instinctsFile, data, { backup: true }));
+}
+
+/**
+ * Change instincts in place under the store's lock, so that hooks running in
+ * parallel don't overwrite each other's updates
+ */
+function updateInstincts(update) {
+    ensureDir(getInstinctsDir());
+    return updateJsonFile(getInstinctsFile(), (data) => {
+        update(data);
+        data.lastUpdated = new Date().toISOString();
+    }, { fallback: emptyInstincts() });
 }
 
 /**
  * Add or update an instinct
  */
 function addInstinct(instinct) {
-    const data = loadInstincts();
-    const existingIndex = data.instincts.findIndex(i => i.id === instinct.id);
-
-    if (existingIndex >= 0) {
-        // Update existing - increase confidence
-        const existing = data.instincts[existingIndex];
-        existing.confidence = Math.min(1.0, existing.confidence + 0.1);
-        existing.lastUsed = new Date().toISOString();
-        existing.usageCount = (existing.usageCount || 1) + 1;
-    } else {
-        // Add new
-        data.instincts.push({
-            ...instinct,
-            confidence: instinct.confidence || 0.3,
-            createdAt: new Date().toISOString(),
-            lastUsed: new Date().toISOString(),
-            usageCount: 1
-        });
-    }
+    return updateInstincts((data) => {
+        const existingIndex = data.instincts.findIndex(i => i.id === instinct.id);
 
-    saveInstincts(data);
-    return data;
+        if (existingIndex >= 0) {
+            // Update existing - increase confidence
+            const existing = data.instincts[existingIndex];
+            existing.confidence = Math.min(1.0, existing.confidence + 0.1);
+            existing.lastUsed = new Date().toISOString();
+            existing.usageCount = (existing.usageCount || 1) + 1;
+        } else {
+            // Add new
+            data.instincts.push({
+                ...instinct,
+                confidence: instinct.confidence || 0.3,
+                createdAt: new Date().toISOString(),
+                lastUsed: new Date().toISOString(),
+                usageCount: 1
+            });
+        }
+    });
 }
 
 /**
@@ -100,49 +109,45 @@ function importInstincts(inputPath) {
         throw new Error('Invalid instincts file');
     }
 
-    const currentData = loadInstincts();
-
-    // Merge instincts
-    for (const instinct of importData.instincts) {
-        const existingIndex = currentData.instincts.findIndex(i => i.id === instinct.id);
-
-        if (existingIndex >= 0) {
-            // Keep higher confidence
-            if (instinct.confidence > currentData.instincts[existingIndex].confidence) {
-                currentData.instincts[existingIndex] = instinct;
+    return updateInstincts((currentData) => {
+        // Merge instincts
+        for (const instinct of importData.instincts) {
+            const existingIndex = currentData.instincts.findIndex(i => i.id === instinct.id);
+
+            if (existingIndex >= 0) {
+                // Keep higher confidence
+                if (instinct.confidence > currentData.instincts[existingIndex].confidence) {
+                    currentData.instincts[existingIndex] = instinct;
+                }
+            } else {
+                currentData.instincts.push(instinct);
             }
-        } else {
-            currentData.instincts.push(instinct);
         }
-    }
-
-    saveInstincts(currentData);
-    return currentData;
+    });
 }
 
 /**
  * Decay confidence for unused instincts
  */
 function decayUnusedInstincts(daysThreshold = 30) {
-    const data = loadInstincts();
     const now = new Date();
 
-    for (const instinct of data.instincts) {
-        const lastUsed = new Date(instinct.lastUsed);
-        const daysSinceUse = (now - lastUsed) / (1000 * 60 * 60 * 24);
+    return updateInstincts((data) => {
+        for (const instinct of data.instincts) {
+            const lastUsed = new Date(instinct.lastUsed);
+            const daysSinceUse = (now - lastUsed) / (1000 * 60 * 60 * 24);
 
-        if (daysSinceUse > daysThreshold) {
-            instinct.confidence = Math.max(0.1, instinct.confidence - 0.05);
+            if (daysSinceUse > daysThreshold) {
+                instinct.confidence = Math.max(0.1, instinct.confidence - 0.05);
+            }
         }
-    }
-
-    saveInstincts(data);
-    return data;
+    });
 }
 
 module.exports = {
     loadInstincts,
     saveInstincts,
+    updateInstincts,
     addInstinct,
     getInstinctsByContext,
     getHighConfidenceInstincts,
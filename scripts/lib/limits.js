@@ -0,0 +1,51 @@
+/**
+ * Size and duration settings for the memory servers' retention and size limits
+ *
+ * - Sizes: "10MB", "512 kb", "2048" (bytes)
+ * - Durations: "30days", "12h", "2weeks", or "persistent" for no expiry
+ * - Settings from the environment are validated once, when a server loads; an invalid
+ *   value falls back to the default with a warning instead of failing every tool call
+ */
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+const DURATION_UNITS = { h: 3600000, hour: 3600000, d: 86400000, day: 86400000, w: 604800000, week: 604800000 };
+
+// "10MB" -> bytes
+const parseSize = (value) => {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i);
+    if (!match) {
+        throw new Error(`Invalid size: ${value}`);
+    }
+    return Math.round(Number(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()]);
+};
+
+// "30days", "12h", "2weeks" -> milliseconds; "persistent" -> null
+const parseDuration = (value) => {
+    if (value === 'persistent') return null;
+    const match = String(value).trim().match(/^(\d+)\s*(h|hours?|d|days?|w|weeks?)$/i);
+    if (!match) {
+        throw new Error(`Invalid duration: ${value}`);
+    }
+    return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase().replace(/s$/, '')];
+};
+
+/**
+ * The value of environment variable name if parse accepts it, else fallback
+ */
+function readLimitSetting(name, fallback, parse, env = process.env) {
+    const value = env[name];
+    if (value === undefined || value === '') return fallback;
+    try {
+        parse(value);
+        return value;
+    } catch (error) {
+        console.error(`[WARN] ${name}: ${error.message}; using ${fallback}`);
+        return fallback;
+    }
+}
+
+module.exports = {
+    parseSize,
+    parseDuration,
+    readLimitSetting
+};
@@ -0,0 +1,303 @@
+/**
+ * Safe JSON storage for the .claude stores shared by hooks, MCP servers and instincts
+ *
+ * - Writes go to a temp file that is renamed over the target, so readers never see a partial file
+ * - Read-modify-write cycles hold a lockfile next to the target; locks left behind by a dead
+ *   or hung process are taken over once stale
+ * - A file that no longer parses is copied aside to <file>.corrupt-<time> and restored from
+ *   <file>.bak, the copy of the last good version kept by updateJsonFile. Recovery runs under
+ *   the file's lock, so an update in progress never sees the file disappear
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const LOCK_STALE_MS = 10000;
+const LOCK_TIMEOUT_MS = 15000;
+const LOCK_RETRY_MS = 20;
+const RENAME_RETRIES = 5;
+const CORRUPT_COPY_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Files whose lock this process holds, so nested withFileLock calls do not wait on themselves
+const heldLocks = new Set();
+
+/**
+ * Block the current thread (hooks and servers use synchronous fs throughout)
+ */
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Write a file by renaming a fully written temp file over it
+ */
+function writeFileAtomic(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2, 8)}.tmp`;
+
+    try {
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeFileSync(fd, content, 'utf8');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        // Windows refuses to replace a file another process has open; that clears up quickly
+        for (let attempt = 1; ; attempt++) {
+            try {
+                fs.renameSync(tempPath, filePath);
+                return;
+            } catch (error) {
+                if (!['EPERM', 'EACCES', 'EBUSY'].includes(error.code) || attempt >= RENAME_RETRIES) {
+                    throw error;
+                }
+                sleepSync(LOCK_RETRY_MS * attempt);
+            }
+        }
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Whether a lockfile was left behind: older than staleMs, or owned by a process
+ * on this machine that no longer runs
+ */
+function isLockStale(lockPath, staleMs = LOCK_STALE_MS) {
+    let stat;
+    try {
+        stat = fs.statSync(lockPath);
+    } catch {
+        // Released in the meantime
+        return false;
+    }
+    if (Date.now() - stat.mtimeMs > staleMs) {
+        return true;
+    }
+
+    let owner;
+    try {
+        owner = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    } catch {
+        // Released, or caught between create and write
+        return false;
+    }
+    if (owner.host === os.hostname() && Number.isInteger(owner.pid)) {
+        try {
+            process.kill(owner.pid, 0);
+        } catch (error) {
+            return error.code === 'ESRCH';
+        }
+    }
+    return false;
+}
+
+/**
+ * Take the lockfile <filePath>.lock, waiting for its owner to release it.
+ * Returns a function that releases the lock.
+ */
+function acquireLock(filePath, { staleMs = LOCK_STALE_MS, timeoutMs = LOCK_TIMEOUT_MS } = {}) {
+    const lockPath = `${filePath}.lock`;
+    const owner = JSON.stringify({ pid: process.pid, host: os.hostname(), createdAt: new Date().toISOString() });
+    const deadline = Date.now() + timeoutMs;
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+
+    for (;;) {
+        try {
+            fs.writeFileSync(lockPath, owner, { flag: 'wx' });
+            heldLocks.add(path.resolve(filePath));
+            return () => {
+                heldLocks.delete(path.resolve(filePath));
+                // Only remove the lock if it is still ours (it may have been taken over as stale)
+                try {
+                    if (fs.readFileSync(lockPath, 'utf8') === owner) {
+                        fs.unlinkSync(lockPath);
+                    }
+                } catch {
+                    // Already gone
+                }
+            };
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        if (isLockStale(lockPath, staleMs)) {
+            // Rename first so that of several waiters only one removes the stale lock
+            const claimed = `${lockPath}.${process.pid}.stale`;
+            try {
+                fs.renameSync(lockPath, claimed);
+                fs.unlinkSync(claimed);
+            } catch {
+                // Another waiter got there first
+            }
+            continue;
+        }
+
+        if (Date.now() >= deadline) {
+            throw new Error(`Timed out waiting for lock on ${filePath}`);
+        }
+        sleepSync(LOCK_RETRY_MS);
+    }
+}
+
+/**
+ * Run fn while holding the lock for filePath. Nested calls for a file whose lock this
+ * process already holds run fn directly.
+ */
+function withFileLock(filePath, fn, options) {
+    if (heldLocks.has(path.resolve(filePath))) {
+        return fn();
+    }
+    const release = acquireLock(filePath, options);
+    try {
+        return fn();
+    } finally {
+        release();
+    }
+}
+
+/**
+ * Copy a corrupt file aside and restore the last good version from <filePath>.bak.
+ * Returns the restored data, or null when there is no usable backup. Caller holds the lock.
+ */
+function recoverJsonFile(filePath, content) {
+    const corruptPath = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    fs.writeFileSync(corruptPath, content, 'utf8');
+
+    let restored = null;
+    try {
+        const backup = fs.readFileSync(`${filePath}.bak`, 'utf8');
+        restored = JSON.parse(backup);
+        // Replaced in one step: readers see either the corrupt or the restored file
+        writeFileAtomic(filePath, backup);
+    } catch {
+        restored = null;
+        fs.rmSync(filePath, { force: true });
+    }
+
+    console.error(`[WARN] ${filePath} was corrupt; copied to ${path.basename(corruptPath)}` +
+        (restored !== null ? ' and restored from backup' : ' (no backup to restore)'));
+    return restored;
+}
+
+/**
+ * Read and parse a JSON file: { data } (null when it does not exist), or
+ * { data: undefined, content } when it does not parse
+ */
+function readJsonContent(filePath) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf8');
+    } catch {
+        return { data: null };
+    }
+    try {
+        return { data: JSON.parse(content) };
+    } catch {
+        return { data: undefined, content };
+    }
+}
+
+/**
+ * Read a JSON file. Returns null when it does not exist; a file that does not parse
+ * is recovered from its backup (null when there is none) under the file's lock.
+ */
+function readJsonFile(filePath) {
+    const first = readJsonContent(filePath);
+    if (first.data !== undefined) return first.data;
+
+    return withFileLock(filePath, () => {
+        // Another process may have recovered or rewritten it while we waited for the lock
+        const current = readJsonContent(filePath);
+        return current.data !== undefined ? current.data : recoverJsonFile(filePath, current.content);
+    });
+}
+
+/**
+ * Write a JSON file atomically. With backup, the current file is kept as <filePath>.bak first.
+ */
+function writeJsonFile(filePath, data, { backup = false } = {}) {
+    if (backup && fs.existsSync(filePath)) {
+        writeFileAtomic(`${filePath}.bak`, fs.readFileSync(filePath, 'utf8'));
+    }
+    writeFileAtomic(filePath, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Read-modify-write a JSON file under its lock. update receives the current data (a copy
+ * of fallback when the file is missing or unrecoverable) and returns the new data, or
+ * undefined after changing it in place. The previous version is kept as the backup.
+ */
+function updateJsonFile(filePath, update, { fallback = {}, ...lockOptions } = {}) {
+    return withFileLock(filePath, () => {
+        const current = readJsonFile(filePath);
+        const data = current !== null ? current : structuredClone(fallback);
+        const result = update(data);
+        const next = result === undefined ? data : result;
+        writeJsonFile(filePath, next, { backup: current !== null });
+        return next;
+    }, lockOptions);
+}
+
+// Files kept next to a store: backups, corrupt copies, lockfiles and temp files of writes in progress
+const STORAGE_ARTIFACT = /\.(bak|lock|tmp|stale)$|\.corrupt-[^\\/]+$/;
+const isStorageArtifact = (filePath) => STORAGE_ARTIFACT.test(filePath);
+
+/**
+ * Remove the storage artifacts under dir that are no longer useful: backups of stores that
+ * no longer exist, corrupt copies older than corruptMaxAgeMs, and locks and temp files left
+ * behind by a dead process. Returns the removed paths.
+ */
+function cleanStorageArtifacts(dir, { corruptMaxAgeMs = CORRUPT_COPY_MAX_AGE_MS, now = Date.now() } = {}) {
+    const removed = [];
+    if (!fs.existsSync(dir)) return removed;
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            removed.push(...cleanStorageArtifacts(fullPath, { corruptMaxAgeMs, now }));
+            continue;
+        }
+        if (!isStorageArtifact(entry.name)) continue;
+
+        let stale;
+        try {
+            const age = now - fs.statSync(fullPath).mtimeMs;
+            if (entry.name.endsWith('.bak')) {
+                stale = !fs.existsSync(fullPath.slice(0, -'.bak'.length));
+            } else if (entry.name.endsWith('.lock')) {
+                stale = isLockStale(fullPath);
+            } else if (/\.corrupt-/.test(entry.name)) {
+                stale = age > corruptMaxAgeMs;
+            } else {
+                stale = age > LOCK_STALE_MS;
+            }
+        } catch {
+            // Removed in the meantime
+            continue;
+        }
+        if (stale) {
+            fs.rmSync(fullPath, { force: true });
+            removed.push(fullPath);
+        }
+    }
+    return removed;
+}
+
+module.exports = {
+    writeFileAtomic,
+    isLockStale,
+    acquireLock,
+    withFileLock,
+    readJsonFile,
+    writeJsonFile,
+    updateJsonFile,
+    isStorageArtifact,
+    cleanStorageArtifacts
+};
@@ -7,6 +7,7 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { execSync, spawn } = require('child_process');
+const { readJsonFile, writeJsonFile, updateJsonFile } = require('./storage');
 
 // Platform detection
 const isWindows = process.platform === 'win32';
@@ -85,29 +86,6 @@ function runCommand(command, options = {}) {
     }
 }
 
-/**
- * Read JSON file safely
- */
-function readJsonFile(filePath) {
-    try {
-        const content = fs.readFileSync(filePath, 'utf-8');
-        return JSON.parse(content);
-    } catch (error) {
-        return null;
-    }
-}
-
-/**
- * Write JSON file with formatting
- */
-function writeJsonFile(filePath, data) {
-    const dir = path.dirname(filePath);
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-    }
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n');
-}
-
 /**
  * Get instincts directory
  */
@@ -158,6 +136,7 @@ module.exports = {
     runCommand,
     readJsonFile,
     writeJsonFile,
+    updateJsonFile,
     getInstinctsDir,
     ensureDir,
     getTimestamp,
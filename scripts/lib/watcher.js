@@ -0,0 +1,128 @@
+/**
+ * Watch mode shared by the memory servers
+ *
+ * - Every directory gets its own non-recursive watcher, and directories in WATCH_IGNORED_DIRS
+ *   are skipped before one is registered: a recursive watch would also cover build output,
+ *   Gradle and Xcode caches and node_modules, use up the inotify watches and fire on every build
+ * - Changes are mapped to memory types by the server's typesFor(relativePath), debounced and
+ *   handed to onChange; refreshes never overlap
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DEBOUNCE_MS = 500;
+
+// Directories that never hold project sources worth re-extracting
+const WATCH_IGNORED_DIRS = new Set(['.git', '.gradle', '.idea', '.claude', 'build', 'node_modules', 'DerivedData', 'Pods', '.build']);
+
+const isIgnoredWatchPath = (relativePath) => relativePath
+    .split(/[\\/]/)
+    .some(segment => WATCH_IGNORED_DIRS.has(segment));
+
+// Root-level timestamps (lastIndexed, lastSync, ...) change on every extraction and do not count as changes
+const isBookkeepingKey = (key) => /^last[A-Z]/.test(key);
+
+const withoutBookkeeping = (data) => Object.fromEntries(
+    Object.entries(data || {}).filter(([key]) => !isBookkeepingKey(key)));
+
+const sameContent = (a, b) => JSON.stringify(withoutBookkeeping(a)) === JSON.stringify(withoutBookkeeping(b));
+
+/**
+ * Watches a project tree, collects the memory types affected by each change and hands
+ * them to onChange once the tree has been quiet for `debounce` ms. Changes that arrive
+ * during a refresh are picked up by the next one.
+ */
+class MemoryWatcher {
+    constructor(root, { typesFor, onChange, debounce = DEFAULT_DEBOUNCE_MS, watch = fs.watch } = {}) {
+        this.root = root;
+        this.typesFor = typesFor;
+        this.onChange = onChange;
+        this.debounce = debounce;
+        this.watch = watch;
+        this.watchers = [];
+        this.pending = new Set();
+        this.timer = null;
+        this.running = null;
+    }
+
+    start() {
+        this.watchDirectory(this.root);
+        return this;
+    }
+
+    // Watch dir and, recursively, every subdirectory that is not ignored
+    watchDirectory(dir) {
+        const relativeDir = path.relative(this.root, dir);
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+            this.watchers.push(this.watch(dir, (event, file) => {
+                if (!file) return;
+                const relativePath = path.join(relativeDir, file.toString());
+                const absolutePath = path.join(this.root, relativePath);
+                if (event === 'rename' && !isIgnoredWatchPath(relativePath) && fs.existsSync(absolutePath) && fs.statSync(absolutePath).isDirectory()) {
+                    this.watchDirectory(absolutePath);
+                }
+                this.handle(relativePath);
+            }));
+        } catch (error) {
+            // A directory created and removed again before we got to it
+            if (dir !== this.root && error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        for (const entry of entries) {
+            if (entry.isDirectory() && !WATCH_IGNORED_DIRS.has(entry.name)) {
+                this.watchDirectory(path.join(dir, entry.name));
+            }
+        }
+    }
+
+    // Queue the types affected by one changed path (relative to the root)
+    handle(file) {
+        if (!file) return;
+        const relativePath = file.toString();
+        if (isIgnoredWatchPath(relativePath)) return;
+
+        const types = this.typesFor(relativePath);
+        if (types.length === 0) return;
+        types.forEach(type => this.pending.add(type));
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.debounce);
+    }
+
+    async flush() {
+        this.timer = null;
+        if (this.running) {
+            await this.running;
+            if (this.timer || this.running) return;
+        }
+        if (this.pending.size === 0) return;
+
+        const types = Array.from(this.pending);
+        this.pending.clear();
+        this.running = Promise.resolve()
+            .then(() => this.onChange(types))
+            .catch(error => console.error(`Watch refresh failed: ${error.message}`))
+            .finally(() => { this.running = null; });
+        await this.running;
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+    }
+}
+
+module.exports = {
+    WATCH_IGNORED_DIRS,
+    isIgnoredWatchPath,
+    isBookkeepingKey,
+    withoutBookkeeping,
+    sameContent,
+    MemoryWatcher
+};
@@ -8,6 +8,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
 
 const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
 
@@ -40,6 +41,71 @@ function writeFiles(base, files) {
     }
 }
 
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Write a zip archive (APK/AAB stand-in) from a map of { entryName: content }.
+ * Entries are deflated unless listed in options.stored, like native libraries
+ * packaged uncompressed.
+ */
+function writeZip(file, entries, { stored = [] } = {}) {
+    const locals = [];
+    const central = [];
+    let offset = 0;
+
+    for (const [name, content] of Object.entries(entries)) {
+        const data = Buffer.from(content);
+        const method = stored.includes(name) ? 0 : 8;
+        const compressed = method === 0 ? data : zlib.deflateRawSync(data);
+        const nameBytes = Buffer.from(name);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(crc32(data), 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(method, 10);
+        header.writeUInt32LE(crc32(data), 16);
+        header.writeUInt32LE(compressed.length, 20);
+        header.writeUInt32LE(data.length, 24);
+        header.writeUInt16LE(nameBytes.length, 28);
+        header.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBytes, compressed);
+        central.push(header, nameBytes);
+        offset += local.length + nameBytes.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(central.length / 2, 8);
+    end.writeUInt16LE(central.length / 2, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, Buffer.concat([...locals, directory, end]));
+}
+
 /**
  * Create a mock Android project with Gradle, Kotlin source, and test files.
  */
@@ -551,6 +617,7 @@ module.exports = {
     cleanupDir,
     mkdirs,
     writeFiles,
+    writeZip,
     createMockAndroidProject,
     createMockIOSProject,
     createMockKMPProject,
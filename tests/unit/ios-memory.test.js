@@ -6,8 +6,8 @@
  * Info.plist parsing, and memory storage.
  *
  * These tests exercise the regex patterns and file-system logic
- * directly against mock iOS project fixtures, without importing
- * the MCP SDK-dependent server module.
+ * directly against mock iOS project fixtures. The server module
+ * loads the MCP SDK lazily, so its helpers can be required as well.
  */
 
 const fs = require('fs');
@@ -15,6 +15,7 @@ const path = require('path');
 const { describe, it, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert');
 const { createMockIOSProject, cleanupDir } = require('../helpers/test-utils');
+const iosMemory = require('../../mcp-servers/ios-memory/index.js');
 
 const TEST_DIR = path.join(__dirname, '../fixtures/ios-test-project');
 const MEMORY_DIR = path.join(TEST_DIR, '.claude/ios-memory');
@@ -226,9 +227,14 @@ const MEMORY_SCHEMAS = {
     'xcode-project': {
         projectFile: null,
         workspace: null,
+        objectVersion: null,
         targets: [],
         schemes: [],
         configurations: [],
+        defaultConfiguration: null,
+        buildConfigurations: [],
+        packages: [],
+        warnings: [],
         lastAnalyzed: null,
     },
     'swiftui-views': {
@@ -241,22 +247,36 @@ const MEMORY_SCHEMAS = {
     'ios-dependencies': {
         spmPackages: [],
         cocoaPods: [],
+        transitivePackages: [],
+        transitivePods: [],
         frameworks: [],
         systemFrameworks: [],
+        lockFiles: [],
+        drift: [],
+        warnings: [],
         lastSync: null,
     },
     'ios-schemes': {
         schemes: [],
         runConfigurations: [],
+        warnings: [],
         lastListed: null,
     },
     'ios-tests': {
         unitTestTargets: [],
         uiTestTargets: [],
+        testPlans: [],
         testCount: 0,
+        failureCount: 0,
+        skippedCount: 0,
         coverage: 0,
+        coverageTargets: [],
+        coverageReport: null,
         failingTests: [],
+        reports: [],
+        warnings: [],
         lastRun: null,
+        lastAnalyzed: null,
     },
     'info-plist': {
         bundleId: null,
@@ -265,6 +285,9 @@ const MEMORY_SCHEMAS = {
         deploymentTarget: null,
         permissions: [],
         urlSchemes: [],
+        entitlements: null,
+        targets: [],
+        warnings: [],
         lastRead: null,
     },
 };
@@ -840,6 +863,7 @@ pod 'Firebase'
             assert.strictEqual(schema.coverage, 0);
             assert.ok(Array.isArray(schema.failingTests));
             assert.strictEqual(schema.lastRun, null);
+            assert.strictEqual(schema.lastAnalyzed, null);
         });
 
         it('should have correct schema structure for info-plist', () => {
@@ -876,4 +900,995 @@ pod 'Firebase'
             assert.strictEqual(loaded.cocoaPods[0].name, 'SwiftLint');
         });
     });
+
+    describe('Xcode Project Parsing', () => {
+        const PBXPROJ = `// !$*UTF8*$!
+{
+	archiveVersion = 1;
+	classes = {
+	};
+	objectVersion = 60;
+	objects = {
+
+/* Begin PBXBuildFile section */
+		B100 /* ContentView.swift in Sources */ = {isa = PBXBuildFile; fileRef = F100 /* ContentView.swift */; };
+		B101 /* Assets.xcassets in Resources */ = {isa = PBXBuildFile; fileRef = F101 /* Assets.xcassets */; };
+		B102 /* StoreKit.framework in Frameworks */ = {isa = PBXBuildFile; fileRef = F102 /* StoreKit.framework */; };
+		B103 /* Alamofire in Frameworks */ = {isa = PBXBuildFile; productRef = P200 /* Alamofire */; };
+		B104 /* MyAppTests.swift in Sources */ = {isa = PBXBuildFile; fileRef = F103 /* MyAppTests.swift */; };
+/* End PBXBuildFile section */
+
+/* Begin PBXFileReference section */
+		F100 /* ContentView.swift */ = {isa = PBXFileReference; lastKnownFileType = sourcecode.swift; path = ContentView.swift; sourceTree = "<group>"; };
+		F101 /* Assets.xcassets */ = {isa = PBXFileReference; lastKnownFileType = folder.assetcatalog; path = Assets.xcassets; sourceTree = "<group>"; };
+		F102 /* StoreKit.framework */ = {isa = PBXFileReference; lastKnownFileType = wrapper.framework; name = StoreKit.framework; path = System/Library/Frameworks/StoreKit.framework; sourceTree = SDKROOT; };
+		F103 /* MyAppTests.swift */ = {isa = PBXFileReference; lastKnownFileType = sourcecode.swift; path = MyAppTests.swift; sourceTree = "<group>"; };
+		F104 /* My App.app */ = {isa = PBXFileReference; explicitFileType = wrapper.application; includeInIndex = 0; path = "My App.app"; sourceTree = BUILT_PRODUCTS_DIR; };
+/* End PBXFileReference section */
+
+/* Begin PBXGroup section */
+		G000 = {isa = PBXGroup; children = (G100 /* MyApp */, G101 /* MyAppTests */, ); sourceTree = "<group>"; };
+		G100 /* MyApp */ = {isa = PBXGroup; children = (F100 /* ContentView.swift */, F101 /* Assets.xcassets */, ); path = MyApp; sourceTree = "<group>"; };
+		G101 /* MyAppTests */ = {isa = PBXGroup; children = (F103, ); path = MyAppTests; sourceTree = "<group>"; };
+/* End PBXGroup section */
+
+/* Begin PBXNativeTarget section */
+		T100 /* My App */ = {
+			isa = PBXNativeTarget;
+			buildConfigurationList = L100 /* Build configuration list for PBXNativeTarget "My App" */;
+			buildPhases = (
+				S100 /* Sources */,
+				S101 /* Frameworks */,
+				S102 /* Resources */,
+				S103 /* SwiftLint */,
+			);
+			dependencies = (
+			);
+			name = "My App";
+			packageProductDependencies = (
+				P200 /* Alamofire */,
+			);
+			productName = "My App";
+			productReference = F104 /* My App.app */;
+			productType = "com.apple.product-type.application";
+		};
+		T101 /* MyAppTests */ = {
+			isa = PBXNativeTarget;
+			buildConfigurationList = L101;
+			buildPhases = (S104 /* Sources */, );
+			dependencies = (D100 /* PBXTargetDependency */, );
+			name = MyAppTests;
+			productName = MyAppTests;
+			productType = "com.apple.product-type.bundle.unit-test";
+		};
+/* End PBXNativeTarget section */
+
+/* Begin PBXProject section */
+		R000 /* Project object */ = {
+			isa = PBXProject;
+			buildConfigurationList = L000 /* Build configuration list for PBXProject "MyApp" */;
+			mainGroup = G000;
+			packageReferences = (
+				K100 /* XCRemoteSwiftPackageReference "Alamofire" */,
+				K101 /* XCLocalSwiftPackageReference "Packages/DesignSystem" */,
+			);
+			targets = (
+				T100 /* My App */,
+				T101 /* MyAppTests */,
+			);
+		};
+/* End PBXProject section */
+
+		S100 /* Sources */ = {isa = PBXSourcesBuildPhase; files = (B100 /* ContentView.swift in Sources */, ); };
+		S101 /* Frameworks */ = {isa = PBXFrameworksBuildPhase; files = (B102, B103, ); };
+		S102 /* Resources */ = {isa = PBXResourcesBuildPhase; files = (B101, ); };
+		S103 /* SwiftLint */ = {isa = PBXShellScriptBuildPhase; files = ( ); name = SwiftLint; shellScript = "if which swiftlint; then\\n  swiftlint\\nfi\\n"; };
+		S104 /* Sources */ = {isa = PBXSourcesBuildPhase; files = (B104, ); };
+		D100 /* PBXTargetDependency */ = {isa = PBXTargetDependency; target = T100 /* My App */; };
+
+/* Begin XCBuildConfiguration section */
+		C000 /* Debug */ = {isa = XCBuildConfiguration; buildSettings = {IPHONEOS_DEPLOYMENT_TARGET = 16.0; SDKROOT = iphoneos; SWIFT_ACTIVE_COMPILATION_CONDITIONS = "DEBUG $(inherited)"; }; name = Debug; };
+		C001 /* Release */ = {isa = XCBuildConfiguration; buildSettings = {IPHONEOS_DEPLOYMENT_TARGET = 16.0; SDKROOT = iphoneos; }; name = Release; };
+		C100 /* Debug */ = {isa = XCBuildConfiguration; buildSettings = {PRODUCT_BUNDLE_IDENTIFIER = "com.example.$(PRODUCT_NAME:rfc1034identifier).debug"; PRODUCT_NAME = "$(TARGET_NAME)"; }; name = Debug; };
+		C101 /* Release */ = {isa = XCBuildConfiguration; buildSettings = {PRODUCT_BUNDLE_IDENTIFIER = "com.example.$(PRODUCT_NAME:rfc1034identifier)"; PRODUCT_NAME = "$(TARGET_NAME)"; }; name = Release; };
+		C200 /* Debug */ = {isa = XCBuildConfiguration; buildSettings = {PRODUCT_BUNDLE_IDENTIFIER = com.example.MyAppTests; }; name = Debug; };
+/* End XCBuildConfiguration section */
+
+		L000 = {isa = XCConfigurationList; buildConfigurations = (C000 /* Debug */, C001 /* Release */, ); defaultConfigurationIsVisible = 0; defaultConfigurationName = Release; };
+		L100 = {isa = XCConfigurationList; buildConfigurations = (C100, C101, ); defaultConfigurationName = Release; };
+		L101 = {isa = XCConfigurationList; buildConfigurations = (C200, ); defaultConfigurationName = Debug; };
+
+		K100 /* XCRemoteSwiftPackageReference "Alamofire" */ = {
+			isa = XCRemoteSwiftPackageReference;
+			repositoryURL = "https://github.com/Alamofire/Alamofire.git";
+			requirement = {
+				kind = upToNextMajorVersion;
+				minimumVersion = 5.8.0;
+			};
+		};
+		K101 /* XCLocalSwiftPackageReference "Packages/DesignSystem" */ = {isa = XCLocalSwiftPackageReference; relativePath = Packages/DesignSystem; };
+		P200 /* Alamofire */ = {isa = XCSwiftPackageProductDependency; package = K100 /* XCRemoteSwiftPackageReference "Alamofire" */; productName = Alamofire; };
+	};
+	rootObject = R000 /* Project object */;
+}
+`;
+
+        it('parses the OpenStep plist format', () => {
+            const plist = iosMemory.parsePbxproj(PBXPROJ);
+
+            assert.strictEqual(plist.objectVersion, '60');
+            assert.strictEqual(plist.rootObject, 'R000');
+            assert.deepStrictEqual(plist.objects.G000.children, ['G100', 'G101']);
+            assert.strictEqual(plist.objects.S103.shellScript, 'if which swiftlint; then\n  swiftlint\nfi\n');
+            assert.deepStrictEqual(plist.objects.K100.requirement, { kind: 'upToNextMajorVersion', minimumVersion: '5.8.0' });
+            assert.throws(() => iosMemory.parsePbxproj('{ objects = { A = {isa = PBXGroup; }; }'), /Invalid project\.pbxproj \(line 1\)/);
+        });
+
+        it('resolves targets, build phases, configurations and packages by object ID', () => {
+            const project = iosMemory.readXcodeProject(iosMemory.parsePbxproj(PBXPROJ));
+            const [app, tests] = project.targets;
+
+            assert.deepStrictEqual(
+                [app.name, app.type, app.bundleId, app.platform, app.deploymentTarget],
+                ['My App', 'application', 'com.example.My-App', 'iOS', '16.0']);
+            assert.deepStrictEqual(app.buildPhases.map(p => p.name || p.type),
+                ['sources', 'frameworks', 'resources', 'SwiftLint']);
+            assert.deepStrictEqual(app.buildPhases[0].files,
+                [{ name: 'ContentView.swift', path: 'MyApp/ContentView.swift', kind: 'file', fileType: 'sourcecode.swift' }]);
+            assert.deepStrictEqual(app.buildPhases[1].files.map(f => [f.name, f.kind]),
+                [['StoreKit.framework', 'file'], ['Alamofire', 'package-product']]);
+            assert.deepStrictEqual(app.buildConfigurations.map(c => c.name), ['Debug', 'Release']);
+            assert.deepStrictEqual(app.packageProducts, [{ name: 'Alamofire', package: 'Alamofire' }]);
+
+            assert.deepStrictEqual([tests.type, tests.bundleId, tests.dependencies], ['test', 'com.example.MyAppTests', ['My App']]);
+            assert.strictEqual(tests.buildPhases[0].files[0].path, 'MyAppTests/MyAppTests.swift');
+
+            assert.strictEqual(project.defaultConfiguration, 'Release');
+            assert.strictEqual(project.buildConfigurations[0].settings.SWIFT_ACTIVE_COMPILATION_CONDITIONS, 'DEBUG $(inherited)');
+            assert.deepStrictEqual(project.packages, [
+                {
+                    name: 'Alamofire',
+                    kind: 'remote',
+                    url: 'https://github.com/Alamofire/Alamofire.git',
+                    requirement: { kind: 'upToNextMajorVersion', minimumVersion: '5.8.0' }
+                },
+                { name: 'DesignSystem', kind: 'local', relativePath: 'Packages/DesignSystem' }
+            ]);
+        });
+
+        it('reads schemes from the project bundle and frameworks from the link phase', () => {
+            const bundle = path.join(TEST_DIR, 'MyApp.xcodeproj');
+            fs.writeFileSync(path.join(bundle, 'project.pbxproj'), PBXPROJ);
+            fs.mkdirSync(path.join(bundle, 'xcshareddata/xcschemes'), { recursive: true });
+            fs.writeFileSync(path.join(bundle, 'xcshareddata/xcschemes/My App.xcscheme'), '<Scheme/>');
+
+            const structure = iosMemory.extractXcodeProject(TEST_DIR);
+            assert.deepStrictEqual(structure.targets.map(t => t.name), ['My App', 'MyAppTests']);
+            assert.deepStrictEqual(structure.schemes, ['My App']);
+            assert.deepStrictEqual(structure.configurations, ['Debug', 'Release']);
+            assert.deepStrictEqual(structure.warnings, []);
+
+            const deps = iosMemory.extractIOSDependencies(TEST_DIR);
+            assert.deepStrictEqual(deps.systemFrameworks, ['StoreKit.framework']);
+            assert.deepStrictEqual(deps.frameworks, []);
+
+            fs.writeFileSync(path.join(bundle, 'project.pbxproj'), PBXPROJ.slice(0, 400));
+            assert.match(iosMemory.extractXcodeProject(TEST_DIR).warnings[0], /Invalid project\.pbxproj/);
+        });
+    });
+
+    describe('Xcode Schemes', () => {
+        const SCHEME = `<?xml version="1.0" encoding="UTF-8"?>
+<Scheme
+   LastUpgradeVersion = "1500"
+   version = "1.7">
+   <BuildAction
+      parallelizeBuildables = "YES"
+      buildImplicitDependencies = "NO">
+      <PreActions>
+         <ExecutionAction
+            ActionType = "Xcode.IDEStandardExecutionActionsCore.ExecutionActionType.ShellScriptAction">
+            <ActionContent
+               title = "Generate"
+               scriptText = "cd &quot;$SRCROOT&quot;&#10;swiftgen&#10;"
+               shellToInvoke = "/bin/zsh">
+               <EnvironmentBuildable>
+                  <BuildableReference
+                     BuildableIdentifier = "primary"
+                     BlueprintIdentifier = "T100"
+                     BuildableName = "MyApp.app"
+                     BlueprintName = "MyApp"
+                     ReferencedContainer = "container:MyApp.xcodeproj">
+                  </BuildableReference>
+               </EnvironmentBuildable>
+            </ActionContent>
+         </ExecutionAction>
+      </PreActions>
+      <BuildActionEntries>
+         <BuildActionEntry
+            buildForTesting = "YES"
+            buildForRunning = "YES"
+            buildForProfiling = "YES"
+            buildForArchiving = "YES"
+            buildForAnalyzing = "YES">
+            <BuildableReference
+               BuildableIdentifier = "primary"
+               BlueprintIdentifier = "T100"
+               BuildableName = "MyApp.app"
+               BlueprintName = "MyApp"
+               ReferencedContainer = "container:MyApp.xcodeproj">
+            </BuildableReference>
+         </BuildActionEntry>
+      </BuildActionEntries>
+   </BuildAction>
+   <TestAction
+      buildConfiguration = "Debug"
+      shouldUseLaunchSchemeArgsEnv = "YES"
+      codeCoverageEnabled = "YES">
+      <TestPlans>
+         <TestPlanReference
+            reference = "container:MyApp.xctestplan"
+            default = "YES">
+         </TestPlanReference>
+      </TestPlans>
+      <Testables>
+         <TestableReference
+            skipped = "NO"
+            parallelizable = "YES">
+            <BuildableReference
+               BuildableIdentifier = "primary"
+               BlueprintIdentifier = "T101"
+               BuildableName = "MyAppTests.xctest"
+               BlueprintName = "MyAppTests"
+               ReferencedContainer = "container:MyApp.xcodeproj">
+            </BuildableReference>
+            <SkippedTests>
+               <Test
+                  Identifier = "NetworkTests/testSlowUpload()">
+               </Test>
+            </SkippedTests>
+         </TestableReference>
+      </Testables>
+   </TestAction>
+   <LaunchAction
+      buildConfiguration = "Debug"
+      launchStyle = "0">
+      <BuildableProductRunnable
+         runnableDebuggingMode = "0">
+         <BuildableReference
+            BuildableIdentifier = "primary"
+            BlueprintIdentifier = "T100"
+            BuildableName = "MyApp.app"
+            BlueprintName = "MyApp"
+            ReferencedContainer = "container:MyApp.xcodeproj">
+         </BuildableReference>
+      </BuildableProductRunnable>
+      <CommandLineArguments>
+         <CommandLineArgument
+            argument = "-FIRDebugEnabled"
+            isEnabled = "YES">
+         </CommandLineArgument>
+         <CommandLineArgument
+            argument = "-UITestMode"
+            isEnabled = "NO">
+         </CommandLineArgument>
+      </CommandLineArguments>
+      <EnvironmentVariables>
+         <EnvironmentVariable
+            key = "API_ENV"
+            value = "staging"
+            isEnabled = "YES">
+         </EnvironmentVariable>
+      </EnvironmentVariables>
+   </LaunchAction>
+   <ProfileAction
+      buildConfiguration = "Release">
+   </ProfileAction>
+   <AnalyzeAction
+      buildConfiguration = "Debug">
+   </AnalyzeAction>
+   <ArchiveAction
+      buildConfiguration = "Release"
+      revealArchiveInOrganizer = "YES">
+   </ArchiveAction>
+</Scheme>
+`;
+
+        beforeEach(() => {
+            const bundle = path.join(TEST_DIR, 'MyApp.xcodeproj');
+            fs.mkdirSync(path.join(bundle, 'xcshareddata/xcschemes'), { recursive: true });
+            fs.writeFileSync(path.join(bundle, 'xcshareddata/xcschemes/MyApp.xcscheme'), SCHEME);
+            fs.mkdirSync(path.join(bundle, 'xcuserdata/jane.xcuserdatad/xcschemes'), { recursive: true });
+            fs.writeFileSync(path.join(bundle, 'xcuserdata/jane.xcuserdatad/xcschemes/MyApp Staging.xcscheme'),
+                '<Scheme version="1.7"><LaunchAction buildConfiguration="Staging"></LaunchAction></Scheme>');
+        });
+
+        it('parses build entries, test plans, testables, arguments and scripts', () => {
+            const scheme = iosMemory.parseXcscheme(SCHEME);
+
+            assert.strictEqual(scheme.buildAction.buildImplicitDependencies, false);
+            assert.deepStrictEqual(scheme.buildAction.entries, [{
+                name: 'MyApp', buildableName: 'MyApp.app', container: 'MyApp.xcodeproj',
+                buildFor: ['testing', 'running', 'profiling', 'archiving', 'analyzing'],
+            }]);
+            assert.deepStrictEqual(scheme.buildAction.preActions, [{
+                title: 'Generate', type: 'shell-script', script: 'cd "$SRCROOT"\nswiftgen\n', shell: '/bin/zsh',
+                environmentTarget: { name: 'MyApp', buildableName: 'MyApp.app', container: 'MyApp.xcodeproj' },
+            }]);
+
+            assert.strictEqual(scheme.testAction.buildConfiguration, 'Debug');
+            assert.strictEqual(scheme.testAction.codeCoverageEnabled, true);
+            assert.deepStrictEqual(scheme.testAction.testPlans, [{ path: 'MyApp.xctestplan', default: true }]);
+            assert.deepStrictEqual(scheme.testAction.testables.map(t => [t.name, t.skipped, t.skippedTests]),
+                [['MyAppTests', false, ['NetworkTests/testSlowUpload()']]]);
+
+            assert.strictEqual(scheme.launchAction.runnable.buildableName, 'MyApp.app');
+            assert.deepStrictEqual(scheme.launchAction.arguments,
+                [{ argument: '-FIRDebugEnabled', enabled: true }, { argument: '-UITestMode', enabled: false }]);
+            assert.deepStrictEqual(scheme.launchAction.environment, [{ key: 'API_ENV', value: 'staging', enabled: true }]);
+            assert.deepStrictEqual([scheme.profileAction.buildConfiguration, scheme.archiveAction.buildConfiguration], ['Release', 'Release']);
+
+            assert.throws(() => iosMemory.parseXcscheme('<Workspace version="1.0"></Workspace>'), /not an Xcode scheme/);
+        });
+
+        it('lists shared and user schemes with their run configurations', () => {
+            const result = iosMemory.extractIOSSchemes(TEST_DIR);
+
+            assert.deepStrictEqual(result.schemes.map(s => [s.name, s.shared, s.user]),
+                [['MyApp', true, null], ['MyApp Staging', false, 'jane']]);
+            assert.strictEqual(result.schemes[0].file, path.join('MyApp.xcodeproj', 'xcshareddata', 'xcschemes', 'MyApp.xcscheme'));
+            assert.deepStrictEqual(result.runConfigurations[0], {
+                scheme: 'MyApp',
+                runnable: 'MyApp.app',
+                buildConfiguration: 'Debug',
+                testConfiguration: 'Debug',
+                testPlan: 'MyApp.xctestplan',
+                testTargets: ['MyAppTests'],
+                arguments: ['-FIRDebugEnabled'],
+                environment: { API_ENV: 'staging' },
+            });
+            assert.strictEqual(result.runConfigurations[1].buildConfiguration, 'Staging');
+            assert.deepStrictEqual(iosMemory.extractXcodeProject(TEST_DIR).schemes, ['MyApp', 'MyApp Staging']);
+        });
+
+        it('gives onboard-me the scheme names xcodebuild accepts', () => {
+            fs.mkdirSync(MEMORY_DIR, { recursive: true });
+            fs.writeFileSync(path.join(MEMORY_DIR, 'ios-schemes.json'), JSON.stringify(iosMemory.extractIOSSchemes(TEST_DIR)));
+            const originalCwd = process.cwd();
+            process.chdir(TEST_DIR);
+            try {
+                const text = iosMemory.buildPrompt('onboard-me').messages[0].content.text;
+                assert.match(text, /Scheme: MyApp - runs MyApp\.app \(Debug\); tests MyApp\.xctestplan/);
+                assert.match(text, /Scheme: MyApp Staging$/m);
+            } finally {
+                process.chdir(originalCwd);
+            }
+        });
+    });
+
+    describe('Test Results', () => {
+        const JUNIT = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Selected tests" tests="4" failures="1">
+  <testsuite name="MyAppTests.LoginTests" tests="3" failures="1">
+    <testcase classname="MyAppTests.LoginTests" name="testValidPassword" time="0.012"/>
+    <testcase classname="MyAppTests.LoginTests" name="testInvalidPassword" time="0.020">
+      <failure message="XCTAssertEqual failed: (&quot;nil&quot;) is not equal to (&quot;error&quot;)">/Users/ci/MyApp/MyAppTests/LoginTests.swift:41</failure>
+    </testcase>
+    <testcase classname="MyAppTests.LoginTests" name="testBiometrics">
+      <skipped/>
+    </testcase>
+  </testsuite>
+  <testsuite name="MyAppUITests.OnboardingUITests" tests="1" failures="0">
+    <testcase classname="MyAppUITests.OnboardingUITests" name="testSkipOnboarding" time="3.1"/>
+  </testsuite>
+</testsuites>
+`;
+        const INVOCATION_RECORD = {
+            _type: { _name: 'ActionsInvocationRecord' },
+            metrics: {
+                testsCount: { _type: { _name: 'Int' }, _value: '4' },
+                testsFailedCount: { _type: { _name: 'Int' }, _value: '1' },
+                testsSkippedCount: { _type: { _name: 'Int' }, _value: '1' },
+            },
+            issues: {
+                testFailureSummaries: {
+                    _values: [{
+                        _type: { _name: 'TestFailureIssueSummary' },
+                        message: { _value: 'XCTAssertEqual failed: ("nil") is not equal to ("error")' },
+                        producingTarget: { _value: 'MyAppTests' },
+                        testCaseName: { _value: 'LoginTests.testInvalidPassword()' },
+                        documentLocationInCreatingWorkspace: {
+                            url: { _value: 'file:///Users/ci/MyApp/MyAppTests/LoginTests.swift#CharacterRangeLen=0&EndingLineNumber=40&StartingLineNumber=40' },
+                        },
+                    }],
+                },
+            },
+        };
+        const TEST_NODES = {
+            testNodes: [{
+                nodeType: 'Test Plan', name: 'MyApp', children: [
+                    { nodeType: 'Unit test bundle', name: 'MyAppTests', children: [
+                        { nodeType: 'Test Suite', name: 'LoginTests', children: [
+                            { nodeType: 'Test Case', name: 'testInvalidPassword()', nodeIdentifier: 'LoginTests/testInvalidPassword()', result: 'Failed',
+                                children: [{ nodeType: 'Failure Message', name: 'LoginTests.swift:41: XCTAssertEqual failed' }] },
+                            { nodeType: 'Test Case', name: 'testValidPassword()', nodeIdentifier: 'LoginTests/testValidPassword()', result: 'Passed' },
+                        ] },
+                    ] },
+                    { nodeType: 'UI test bundle', name: 'Smoke', children: [
+                        { nodeType: 'Test Suite', name: 'SmokeTests', children: [
+                            { nodeType: 'Test Case', name: 'testLaunch()', nodeIdentifier: 'SmokeTests/testLaunch()', result: 'Skipped' },
+                        ] },
+                    ] },
+                ],
+            }],
+        };
+
+        it('parses JUnit reports from xcpretty and xcbeautify', () => {
+            const { tests } = iosMemory.parseXcodeJUnit(JUNIT);
+
+            assert.deepStrictEqual(tests.map(t => [t.target, t.class, t.method, t.status]), [
+                ['MyAppTests', 'LoginTests', 'testValidPassword', 'passed'],
+                ['MyAppTests', 'LoginTests', 'testInvalidPassword', 'failed'],
+                ['MyAppTests', 'LoginTests', 'testBiometrics', 'skipped'],
+                ['MyAppUITests', 'OnboardingUITests', 'testSkipOnboarding', 'passed'],
+            ]);
+            assert.strictEqual(tests[1].message, 'XCTAssertEqual failed: ("nil") is not equal to ("error")');
+            assert.strictEqual(tests[1].location, '/Users/ci/MyApp/MyAppTests/LoginTests.swift:41');
+
+            const xcbeautify = iosMemory.parseXcodeJUnit(
+                '<testsuite><testcase classname="CoreTests.CartTests" name="testTotal()"><failure message="CartTests.swift:12: XCTAssertTrue failed"/></testcase></testsuite>');
+            assert.deepStrictEqual(xcbeautify.tests[0],
+                { target: 'CoreTests', class: 'CartTests', method: 'testTotal', status: 'failed', message: 'XCTAssertTrue failed', location: 'CartTests.swift:12' });
+        });
+
+        it('reads legacy and Xcode 16 xcresulttool exports', () => {
+            const record = iosMemory.parseTestReportJson(JSON.stringify(INVOCATION_RECORD));
+            assert.deepStrictEqual(record.totals, { tests: 4, failed: 1, skipped: 1 });
+            assert.deepStrictEqual(record.failures, [{
+                target: 'MyAppTests', class: 'LoginTests', method: 'testInvalidPassword',
+                message: 'XCTAssertEqual failed: ("nil") is not equal to ("error")',
+                location: '/Users/ci/MyApp/MyAppTests/LoginTests.swift:41',
+            }]);
+
+            const nodes = iosMemory.parseTestReportJson(JSON.stringify(TEST_NODES));
+            assert.deepStrictEqual(nodes.uiTargets, ['Smoke']);
+            assert.deepStrictEqual(nodes.tests.map(t => [t.target, t.class, t.method, t.status]), [
+                ['MyAppTests', 'LoginTests', 'testInvalidPassword', 'failed'],
+                ['MyAppTests', 'LoginTests', 'testValidPassword', 'passed'],
+                ['Smoke', 'SmokeTests', 'testLaunch', 'skipped'],
+            ]);
+            assert.strictEqual(nodes.tests[0].location, 'LoginTests.swift:41');
+
+            assert.strictEqual(iosMemory.parseTestReportJson('{"name": "unrelated"}'), null);
+            assert.strictEqual(iosMemory.parseTestReportJson('not json'), null);
+        });
+
+        it('combines test plans, results and xccov coverage into ios-tests', () => {
+            fs.writeFileSync(path.join(TEST_DIR, 'MyApp.xctestplan'), JSON.stringify({
+                configurations: [{ id: '1', name: 'Default', options: {} }],
+                defaultOptions: { codeCoverage: { targets: [] }, environmentVariableEntries: [{ key: 'MOCK_API', value: '1' }] },
+                testTargets: [
+                    { parallelizable: true, skippedTests: ['LoginTests/testBiometrics()'], target: { containerPath: 'container:MyApp.xcodeproj', identifier: 'T101', name: 'MyAppTests' } },
+                    { enabled: false, target: { containerPath: 'container:MyApp.xcodeproj', identifier: 'T102', name: 'MyAppUITests' } },
+                ],
+                version: 1,
+            }));
+            fs.mkdirSync(path.join(TEST_DIR, 'build/reports'), { recursive: true });
+            fs.writeFileSync(path.join(TEST_DIR, 'build/reports/junit.xml'), JUNIT);
+            fs.writeFileSync(path.join(TEST_DIR, 'build/reports/xcresult.json'), JSON.stringify(INVOCATION_RECORD));
+            fs.writeFileSync(path.join(TEST_DIR, 'build/reports/coverage.json'), JSON.stringify({
+                coveredLines: 620, executableLines: 1000, lineCoverage: 0.62,
+                targets: [{ name: 'MyApp.app', coveredLines: 620, executableLines: 1000, lineCoverage: 0.62, files: [] }],
+            }));
+            fs.mkdirSync(path.join(TEST_DIR, 'Assets.xcassets'), { recursive: true });
+            fs.writeFileSync(path.join(TEST_DIR, 'Assets.xcassets/Contents.json'), '{"info": {"version": 1}}');
+            fs.writeFileSync(path.join(TEST_DIR, 'config.json'), '{"totalTestCount": "not a report"}');
+
+            const result = iosMemory.extractIOSTests(TEST_DIR);
+
+            assert.deepStrictEqual(result.unitTestTargets, ['MyAppTests']);
+            assert.deepStrictEqual(result.uiTestTargets, ['MyAppUITests']);
+            assert.deepStrictEqual(result.testPlans[0].targets.map(t => [t.name, t.enabled]), [['MyAppTests', true], ['MyAppUITests', false]]);
+            assert.deepStrictEqual(result.testPlans[0].environment, { MOCK_API: '1' });
+            assert.strictEqual(result.testPlans[0].codeCoverage, true);
+
+            assert.deepStrictEqual([result.testCount, result.failureCount, result.skippedCount], [4, 1, 1]);
+            assert.deepStrictEqual(result.failingTests, [{
+                name: 'LoginTests.testInvalidPassword',
+                target: 'MyAppTests',
+                class: 'LoginTests',
+                method: 'testInvalidPassword',
+                message: 'XCTAssertEqual failed: ("nil") is not equal to ("error")',
+                location: '/Users/ci/MyApp/MyAppTests/LoginTests.swift:41',
+                report: path.join('build', 'reports', 'junit.xml'),
+            }]);
+
+            assert.strictEqual(result.coverage, 62);
+            assert.deepStrictEqual(result.coverageTargets.map(t => [t.name, t.coverage]), [['MyApp.app', 62]]);
+            assert.deepStrictEqual(result.reports.map(r => r.kind).sort(), ['coverage', 'junit', 'xcresult']);
+            assert.ok(result.lastRun);
+        });
+
+        it('reads reports only from report directories or files named like reports', () => {
+            const write = (relativePath, content) => {
+                fs.mkdirSync(path.dirname(path.join(TEST_DIR, relativePath)), { recursive: true });
+                fs.writeFileSync(path.join(TEST_DIR, relativePath), content);
+            };
+            write('build/reports/junit.xml', JUNIT);
+            write('build/Build/Intermediates.noindex/junit.xml', JUNIT);
+            write('build/Logs/Test/xcresult.json', JSON.stringify(INVOCATION_RECORD));
+            write('fastlane/test_output/report.xml', JUNIT);
+            write('ci/xcresult.json', JSON.stringify(INVOCATION_RECORD));
+            write('MyApp/Fixtures/record.json', JSON.stringify(INVOCATION_RECORD));
+            write('MyApp/Fixtures/suite.xml', JUNIT);
+            write('res/raw/junit.xml', JUNIT);
+
+            const result = iosMemory.extractIOSTests(TEST_DIR);
+
+            assert.deepStrictEqual(result.reports.map(r => r.file).sort(), [
+                path.join('build', 'reports', 'junit.xml'),
+                path.join('ci', 'xcresult.json'),
+                path.join('fastlane', 'test_output', 'report.xml'),
+            ]);
+        });
+
+        it('stamps ios-tests with the refresh time so old reports do not expire it', () => {
+            const reportTime = new Date('2025-01-01T00:00:00.000Z');
+            fs.mkdirSync(path.join(TEST_DIR, 'build/reports'), { recursive: true });
+            fs.writeFileSync(path.join(TEST_DIR, 'build/reports/junit.xml'), JUNIT);
+            fs.utimesSync(path.join(TEST_DIR, 'build/reports/junit.xml'), reportTime, reportTime);
+
+            const result = iosMemory.extractIOSTests(TEST_DIR);
+            assert.strictEqual(result.lastRun, reportTime.toISOString());
+            assert.ok(Date.now() - Date.parse(result.lastAnalyzed) < 60000);
+
+            const originalCwd = process.cwd();
+            process.chdir(TEST_DIR);
+            try {
+                fs.mkdirSync(MEMORY_DIR, { recursive: true });
+                fs.writeFileSync(path.join(MEMORY_DIR, 'ios-tests.json'), JSON.stringify(result));
+                const report = iosMemory.enforceMemoryLimits({ types: ['ios-tests'] });
+                assert.deepStrictEqual(report.expired, []);
+                assert.ok(fs.existsSync(path.join(MEMORY_DIR, 'ios-tests.json')));
+            } finally {
+                process.chdir(originalCwd);
+            }
+        });
+    });
+
+    describe('Info.plist and Entitlements', () => {
+        // Written by plistlib in binary format; bplist00 is what Xcode leaves in built products
+        const BINARY_PLIST = Buffer.from(
+            [
+                'YnBsaXN0MDDXAQIDBAUGBwgJCg8QERJfEBJDRkJ1bmRsZUlkZW50aWZpZXJfEBpDRkJ1bmRsZVNob3J0VmVyc2lvblN0cmlu',
+                'Z18QEENGQnVuZGxlVVJMVHlwZXNfEA9DRkJ1bmRsZVZlcnNpb25fEBhOU0NhbWVyYVVzYWdlRGVzY3JpcHRpb25fEB5OU1Bo',
+                'b3RvTGlicmFyeVVzYWdlRGVzY3JpcHRpb25fEBFVSUJhY2tncm91bmRNb2Rlc18QHCQoUFJPRFVDVF9CVU5ETEVfSURFTlRJ',
+                'RklFUilfEBQkKE1BUktFVElOR19WRVJTSU9OKaEL0QwNXxASQ0ZCdW5kbGVVUkxTY2hlbWVzoQ5VbXlhcHBfEBokKENVUlJF',
+                'TlRfUFJPSkVDVF9WRVJTSU9OKV8QHVNjYW4gcmVjZWlwdHMgd2l0aCB0aGUgY2FtZXJhbxAhAEEAdAB0AGEAYwBoACAAcABo',
+                'AG8AdABvAHMAICAUACAAZgByAG8AbQAgAHkAbwB1AHIAIABsAGkAYgByAGEAcgB5ohMUXxATcmVtb3RlLW5vdGlmaWNhdGlv',
+                'blVmZXRjaAAIABcALABJAFwAbgCJAKoAvgDdAPQA9gD5AQ4BEAEWATMBUwGYAZsBsQAAAAAAAAIBAAAAAAAAABUAAAAAAAAA',
+                'AAAAAAAAAAG3',
+            ].join(''),
+            'base64',
+        );
+        const ENTITLEMENTS = `<?xml version="1.0" encoding="UTF-8"?>
+<plist version="1.0">
+<dict>
+    <key>aps-environment</key>
+    <string>development</string>
+    <key>com.apple.developer.associated-domains</key>
+    <array>
+        <string>applinks:example.com</string>
+    </array>
+    <key>com.apple.security.application-groups</key>
+    <array>
+        <string>group.com.example.MyApp</string>
+    </array>
+    <key>keychain-access-groups</key>
+    <array>
+        <string>$(AppIdentifierPrefix)com.example.shared</string>
+    </array>
+</dict>
+</plist>
+`;
+        const PBXPROJ = `// !$*UTF8*$!
+{
+	objectVersion = 56;
+	objects = {
+		R000 = {isa = PBXProject; buildConfigurationList = L000; mainGroup = G000; targets = (T100, T101, ); };
+		G000 = {isa = PBXGroup; children = ( ); sourceTree = "<group>"; };
+		T100 = {isa = PBXNativeTarget; buildConfigurationList = L100; buildPhases = ( ); name = MyApp; productName = MyApp; productType = "com.apple.product-type.application"; };
+		T101 = {isa = PBXNativeTarget; buildConfigurationList = L101; buildPhases = ( ); name = MyWidget; productName = MyWidget; productType = "com.apple.product-type.app-extension"; };
+		C000 = {isa = XCBuildConfiguration; buildSettings = {IPHONEOS_DEPLOYMENT_TARGET = 16.4; MARKETING_VERSION = 3.1.0; SDKROOT = iphoneos; }; name = Release; };
+		C100 = {isa = XCBuildConfiguration; buildSettings = {CODE_SIGN_ENTITLEMENTS = MyApp/MyApp.entitlements; CURRENT_PROJECT_VERSION = 77; INFOPLIST_FILE = "$(SRCROOT)/MyApp/Info.plist"; PRODUCT_BUNDLE_IDENTIFIER = com.example.MyApp; }; name = Release; };
+		C101 = {isa = XCBuildConfiguration; buildSettings = {GENERATE_INFOPLIST_FILE = YES; INFOPLIST_KEY_NSLocationWhenInUseUsageDescription = "Shows weather for $(PRODUCT_NAME) nearby"; PRODUCT_BUNDLE_IDENTIFIER = com.example.MyApp.widget; }; name = Release; };
+		L000 = {isa = XCConfigurationList; buildConfigurations = (C000, ); defaultConfigurationName = Release; };
+		L100 = {isa = XCConfigurationList; buildConfigurations = (C100, ); defaultConfigurationName = Release; };
+		L101 = {isa = XCConfigurationList; buildConfigurations = (C101, ); defaultConfigurationName = Release; };
+	};
+	rootObject = R000;
+}
+`;
+
+        it('reads XML and binary property lists', () => {
+            const xml = iosMemory.parsePlist(Buffer.from(`<?xml version="1.0"?>
+<plist version="1.0"><dict>
+    <key>Name</key><string>Tom &amp; Jerry</string>
+    <key>Count</key><integer>3</integer>
+    <key>Enabled</key><true/>
+    <key>Empty</key><string></string>
+    <key>Blob</key><data>
+        AAE=
+    </data>
+    <key>Nested</key><array><dict><key>Ratio</key><real>1.5</real></dict><false/></array>
+</dict></plist>`));
+            assert.deepStrictEqual(xml, {
+                Name: 'Tom & Jerry', Count: 3, Enabled: true, Empty: '', Blob: 'AAE=', Nested: [{ Ratio: 1.5 }, false],
+            });
+
+            const binary = iosMemory.parsePlist(BINARY_PLIST);
+            assert.strictEqual(binary.NSPhotoLibraryUsageDescription, 'Attach photos — from your library');
+            assert.deepStrictEqual(binary.UIBackgroundModes, ['remote-notification', 'fetch']);
+            assert.deepStrictEqual(binary.CFBundleURLTypes, [{ CFBundleURLSchemes: ['myapp'] }]);
+
+            assert.throws(() => iosMemory.parsePlist(Buffer.from('<plist><dict><key>A</key>')), /Invalid plist/);
+        });
+
+        it('records usage descriptions, URL schemes and entitlements for each target', () => {
+            fs.writeFileSync(path.join(TEST_DIR, 'MyApp.xcodeproj/project.pbxproj'), PBXPROJ);
+            fs.mkdirSync(path.join(TEST_DIR, 'MyApp'), { recursive: true });
+            fs.writeFileSync(path.join(TEST_DIR, 'MyApp/Info.plist'), BINARY_PLIST);
+            fs.writeFileSync(path.join(TEST_DIR, 'MyApp/MyApp.entitlements'), ENTITLEMENTS);
+
+            const info = iosMemory.extractInfoPlist(TEST_DIR);
+            const [app, widget] = info.targets;
+
+            assert.deepStrictEqual(
+                [app.name, app.infoPlist, app.bundleId, app.version, app.buildNumber, app.deploymentTarget],
+                ['MyApp', path.join('MyApp', 'Info.plist'), 'com.example.MyApp', '3.1.0', '77', '16.4']);
+            assert.deepStrictEqual(app.permissions.map(p => [p.key, p.name, p.description]), [
+                ['NSCameraUsageDescription', 'Camera', 'Scan receipts with the camera'],
+                ['NSPhotoLibraryUsageDescription', 'PhotoLibrary', 'Attach photos — from your library'],
+            ]);
+            assert.deepStrictEqual(app.urlSchemes, ['myapp']);
+            assert.deepStrictEqual(app.backgroundModes, ['remote-notification', 'fetch']);
+            assert.deepStrictEqual(app.entitlements, {
+                file: path.join('MyApp', 'MyApp.entitlements'),
+                push: 'development',
+                appGroups: ['group.com.example.MyApp'],
+                associatedDomains: ['applinks:example.com'],
+                keychainGroups: ['$(AppIdentifierPrefix)com.example.shared'],
+                iCloudContainers: [],
+                keys: [
+                    'aps-environment',
+                    'com.apple.developer.associated-domains',
+                    'com.apple.security.application-groups',
+                    'keychain-access-groups',
+                ],
+            });
+
+            assert.deepStrictEqual([widget.name, widget.infoPlist, widget.bundleId, widget.entitlements], ['MyWidget', null, 'com.example.MyApp.widget', null]);
+            assert.deepStrictEqual(widget.permissions.map(p => p.description), ['Shows weather for MyWidget nearby']);
+
+            assert.strictEqual(info.bundleId, 'com.example.MyApp');
+            assert.deepStrictEqual(info.permissions.map(p => p.key), ['NSCameraUsageDescription', 'NSPhotoLibraryUsageDescription']);
+            assert.strictEqual(info.entitlements.push, 'development');
+        });
+
+        it('falls back to Info.plist files when there is no project file', () => {
+            const info = iosMemory.extractInfoPlist(TEST_DIR);
+
+            assert.strictEqual(info.bundleId, 'com.example.MyApp');
+            assert.strictEqual(info.deploymentTarget, '17.0');
+            assert.deepStrictEqual(info.permissions.map(p => p.name), ['Camera', 'LocationWhenInUse']);
+            assert.deepStrictEqual(info.urlSchemes, ['myapp']);
+            assert.deepStrictEqual(info.warnings, []);
+        });
+    });
+
+    describe('Resolved Dependencies', () => {
+        const PODFILE_LOCK = `PODS:
+  - Firebase/Analytics (10.18.0):
+    - Firebase/Core
+  - Firebase/Core (10.18.0):
+    - FirebaseAnalytics (~> 10.18.0)
+  - FirebaseAnalytics (10.18.0)
+  - "GoogleUtilities/Environment (7.12.0)":
+    - PromisesObjC (< 3.0, >= 1.2)
+  - SnapKit (5.7.1)
+  - SwiftLint (0.53.0)
+
+DEPENDENCIES:
+  - SnapKit (~> 5.7)
+  - SwiftLint (~> 0.54)
+
+SPEC REPOS:
+  trunk:
+    - SnapKit
+    - SwiftLint
+
+EXTERNAL SOURCES:
+  DesignKit:
+    :path: "../DesignKit"
+
+SPEC CHECKSUMS:
+  Firebase: 10d8a8d9e8c5b4a4a4e5d8a1f0f8d4f6c2b3a1e9
+  SnapKit: e01d52ebb8ddbc333eefe2132acf85c8227d9c25
+  SwiftLint: c1de071d9d08c8aba837545e6254315bc900e211
+
+PODFILE CHECKSUM: 4c2a8e2b8f3e2d1a0b9c8d7e6f5a4b3c2d1e0f9a
+
+COCOAPODS: 1.14.3
+`;
+        const resolvedV2 = (pins) => JSON.stringify({
+            originHash: 'abc',
+            pins: pins.map(([identity, location, state]) => ({ identity, kind: 'remoteSourceControl', location, state })),
+            version: 3,
+        });
+
+        it('parses requirement kinds from Package.swift and both Package.resolved formats', () => {
+            const packages = iosMemory.parsePackageSwift(`
+let package = Package(
+    dependencies: [
+        // .package(url: "https://github.com/example/Commented.git", from: "1.0.0"),
+        .package(url: "https://github.com/Alamofire/Alamofire.git", from: "5.8.0"),
+        .package(url: "https://github.com/pointfreeco/swift-snapshot-testing", .upToNextMinor(from: "1.15.0")),
+        .package(url: "https://github.com/apple/swift-log.git", exact: "1.5.3"),
+        .package(url: "https://github.com/example/Edge.git", branch: "main"),
+        .package(url: "https://github.com/example/Pinned.git", revision: "a1b2c3d"),
+        .package(url: "https://github.com/example/Ranged.git", "1.0.0"..<"1.4.0"),
+        .package(path: "../DesignSystem"),
+    ]
+)`);
+            assert.deepStrictEqual(packages.map(p => [p.identity, p.requirement]), [
+                ['alamofire', { kind: 'upToNextMajor', minimumVersion: '5.8.0' }],
+                ['swift-snapshot-testing', { kind: 'upToNextMinor', minimumVersion: '1.15.0' }],
+                ['swift-log', { kind: 'exact', version: '1.5.3' }],
+                ['edge', { kind: 'branch', branch: 'main' }],
+                ['pinned', { kind: 'revision', revision: 'a1b2c3d' }],
+                ['ranged', { kind: 'range', minimumVersion: '1.0.0', maximumVersion: '1.4.0' }],
+                ['designsystem', null],
+            ]);
+            assert.strictEqual(packages[6].path, '../DesignSystem');
+
+            const v1 = iosMemory.parsePackageResolved(JSON.stringify({
+                object: { pins: [{ package: 'Alamofire', repositoryURL: 'https://github.com/Alamofire/Alamofire.git', state: { branch: null, revision: 'f455c27', version: '5.8.1' } }] },
+                version: 1,
+            }));
+            assert.deepStrictEqual(v1.pins, [{ identity: 'alamofire', url: 'https://github.com/Alamofire/Alamofire.git', version: '5.8.1', branch: null, revision: 'f455c27' }]);
+
+            const v3 = iosMemory.parsePackageResolved(resolvedV2([['edge', 'https://github.com/example/Edge.git', { branch: 'main', revision: '9f8e7d' }]]));
+            assert.deepStrictEqual(v3.pins, [{ identity: 'edge', url: 'https://github.com/example/Edge.git', version: null, branch: 'main', revision: '9f8e7d' }]);
+        });
+
+        it('parses Podfile.lock pods, transitive dependencies, checksums and external sources', () => {
+            const lock = iosMemory.parsePodfileLock(PODFILE_LOCK);
+
+            assert.deepStrictEqual(lock.pods.map(p => [p.name, p.version]), [
+                ['Firebase/Analytics', '10.18.0'],
+                ['Firebase/Core', '10.18.0'],
+                ['FirebaseAnalytics', '10.18.0'],
+                ['GoogleUtilities/Environment', '7.12.0'],
+                ['SnapKit', '5.7.1'],
+                ['SwiftLint', '0.53.0'],
+            ]);
+            assert.deepStrictEqual(lock.pods[3].dependencies, ['PromisesObjC (< 3.0, >= 1.2)']);
+            assert.deepStrictEqual(lock.dependencies, [{ name: 'SnapKit', requirement: '~> 5.7' }, { name: 'SwiftLint', requirement: '~> 0.54' }]);
+            assert.strictEqual(lock.checksums.SnapKit, 'e01d52ebb8ddbc333eefe2132acf85c8227d9c25');
+            assert.deepStrictEqual(lock.externalSources, { DesignKit: { path: '../DesignKit' } });
+            assert.deepStrictEqual([lock.podfileChecksum, lock.cocoapodsVersion], ['4c2a8e2b8f3e2d1a0b9c8d7e6f5a4b3c2d1e0f9a', '1.14.3']);
+        });
+
+        it('reports drift between declared requirements and resolved versions', () => {
+            fs.writeFileSync(path.join(TEST_DIR, 'Package.resolved'), resolvedV2([
+                ['alamofire', 'https://github.com/Alamofire/Alamofire.git', { revision: 'f455c27', version: '5.8.1' }],
+                ['kingfisher', 'https://github.com/onevcat/Kingfisher.git', { revision: '3ec0ab0', version: '8.0.0' }],
+                ['swift-collections', 'https://github.com/apple/swift-collections.git', { revision: '94cf62b', version: '1.1.0' }],
+            ]));
+            fs.writeFileSync(path.join(TEST_DIR, 'Podfile.lock'), PODFILE_LOCK);
+            fs.writeFileSync(path.join(TEST_DIR, 'MyApp.xcodeproj/project.pbxproj'), `{
+    objectVersion = 60;
+    objects = {
+        R000 = {isa = PBXProject; mainGroup = G000; packageReferences = (K100, ); targets = ( ); };
+        G000 = {isa = PBXGroup; children = ( ); sourceTree = "<group>"; };
+        K100 = {isa = XCRemoteSwiftPackageReference; repositoryURL = "https://github.com/airbnb/lottie-spm.git"; requirement = {kind = exactVersion; version = 4.4.0; }; };
+    };
+    rootObject = R000;
+}`);
+            const swiftpm = path.join(TEST_DIR, 'MyApp.xcodeproj/project.xcworkspace/xcshareddata/swiftpm');
+            fs.mkdirSync(swiftpm, { recursive: true });
+            fs.writeFileSync(path.join(swiftpm, 'Package.resolved'), resolvedV2([
+                ['lottie-spm', 'https://github.com/airbnb/lottie-spm.git', { revision: 'e2d8c7b', version: '4.4.1' }],
+            ]));
+
+            const deps = iosMemory.extractIOSDependencies(TEST_DIR);
+
+            assert.deepStrictEqual(deps.spmPackages.map(p => [p.identity, p.source, p.version, p.drift]), [
+                ['alamofire', 'Package.swift', '5.8.1', null],
+                ['kingfisher', 'Package.swift', '8.0.0', 'requires up to next major from 7.10.0, resolved 8.0.0'],
+                ['lottie-spm', 'xcodeproj', '4.4.1', 'requires exactly 4.4.0, resolved 4.4.1'],
+            ]);
+            assert.deepStrictEqual(deps.transitivePackages.map(p => p.identity), ['swift-collections']);
+
+            assert.deepStrictEqual(deps.cocoaPods.map(p => [p.name, p.resolved, p.drift]), [
+                ['SwiftLint', '0.53.0', 'requires ~> 0.54, resolved 0.53.0'],
+                ['SnapKit', '5.7.1', null],
+            ]);
+            assert.strictEqual(deps.cocoaPods[1].checksum, 'e01d52ebb8ddbc333eefe2132acf85c8227d9c25');
+            assert.deepStrictEqual(deps.transitivePods.map(p => p.name), [
+                'Firebase/Analytics', 'Firebase/Core', 'FirebaseAnalytics', 'GoogleUtilities/Environment',
+            ]);
+            assert.strictEqual(deps.transitivePods[0].checksum, '10d8a8d9e8c5b4a4a4e5d8a1f0f8d4f6c2b3a1e9');
+
+            assert.deepStrictEqual(deps.drift.map(d => `${d.manager} ${d.name}`), ['spm kingfisher', 'spm lottie-spm', 'cocoapods SwiftLint']);
+            assert.deepStrictEqual(deps.lockFiles.map(l => l.format), ['Package.resolved v3', 'Package.resolved v3', 'CocoaPods 1.14.3']);
+        });
+    });
+
+    describe('Retention and Size Limits', () => {
+        const NOW = Date.parse('2026-06-01T00:00:00.000Z');
+        const daysAgo = (days) => new Date(NOW - days * 86400000).toISOString();
+        let originalCwd;
+
+        beforeEach(() => {
+            fs.mkdirSync(MEMORY_DIR, { recursive: true });
+            fs.writeFileSync(path.join(MEMORY_DIR, 'swiftui-views.json'),
+                JSON.stringify({ views: [], lastIndexed: daysAgo(100) }));
+            fs.writeFileSync(path.join(MEMORY_DIR, 'xcode-project.json'),
+                JSON.stringify({ targets: [], lastAnalyzed: daysAgo(300) }));
+            fs.writeFileSync(path.join(MEMORY_DIR, 'ios-tests.json'), JSON.stringify({
+                failingTests: [{ name: 'testLogin', timestamp: daysAgo(95) }, { name: 'testHome', timestamp: daysAgo(3) }],
+                lastRun: daysAgo(3),
+            }));
+            originalCwd = process.cwd();
+            process.chdir(TEST_DIR);
+        });
+
+        afterEach(() => process.chdir(originalCwd));
+
+        it('expires and prunes by per-type retention, keeping persistent types', () => {
+            const report = iosMemory.enforceMemoryLimits({ now: NOW });
+
+            assert.deepStrictEqual(report.expired, [{ type: 'swiftui-views', retention: '90days' }]);
+            assert.deepStrictEqual(report.pruned, { 'ios-tests': { '$.failingTests': 1 } });
+            assert.ok(fs.existsSync(path.join(MEMORY_DIR, 'xcode-project.json')));
+        });
+
+        it('evicts non-persistent memory when over the size limit', () => {
+            const report = iosMemory.enforceMemoryLimits({ types: [], maxSize: '40B', evict: true, now: NOW });
+
+            assert.deepStrictEqual(report.evicted.sort(), ['ios-tests', 'swiftui-views']);
+            assert.strictEqual(report.size.overLimit, true, 'persistent memory alone exceeds the limit');
+        });
+
+        it('drops the file cache before memory and evicts only when asked to', () => {
+            const cachePath = path.join(MEMORY_DIR, 'cache/files.json');
+            fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+            fs.writeFileSync(cachePath, JSON.stringify({ version: 1, entries: { padding: 'x'.repeat(2000) } }));
+
+            const load = iosMemory.enforceMemoryLimits({ types: [], maxSize: '1KB', now: NOW });
+            assert.deepStrictEqual([load.cache, load.evicted, load.size.overLimit], [false, [], true]);
+
+            const save = iosMemory.enforceMemoryLimits({ types: [], maxSize: '1KB', evict: true, now: NOW });
+            assert.deepStrictEqual([save.cache, save.evicted, save.size.overLimit], [true, [], false]);
+            assert.ok(!fs.existsSync(cachePath));
+        });
+    });
+
+    describe('File Fingerprint Cache', () => {
+        it('reuses SwiftUI view extraction for unchanged files', () => {
+            const cachePath = path.join(MEMORY_DIR, 'cache/files.json');
+            fs.mkdirSync(path.join(TEST_DIR, 'Sources/App'), { recursive: true });
+            fs.writeFileSync(path.join(TEST_DIR, 'Sources/App/ProfileView.swift'),
+                'struct ProfileView: View {\n    @State var name: String = ""\n}\n#Preview { ProfileView() }\n');
+
+            const first = new iosMemory.FileCache(cachePath);
+            const views = iosMemory.extractSwiftUIViews(TEST_DIR, first);
+            first.save();
+            assert.strictEqual(first.stats.misses, 1);
+            assert.deepStrictEqual(views.views.map(v => [v.name, v.hasPreview]), [['ProfileView', true]]);
+
+            const second = new iosMemory.FileCache(cachePath);
+            assert.deepStrictEqual(iosMemory.extractSwiftUIViews(TEST_DIR, second).views, views.views);
+            assert.strictEqual(second.stats.misses, 0);
+            assert.strictEqual(second.stats.hits, first.stats.misses);
+        });
+    });
+
+    describe('Prompts', () => {
+        const promptText = (name, args) => iosMemory.buildPrompt(name, args).messages[0].content.text;
+        let originalCwd;
+
+        beforeEach(() => {
+            fs.mkdirSync(MEMORY_DIR, { recursive: true });
+            fs.writeFileSync(path.join(MEMORY_DIR, 'xcode-project.json'), JSON.stringify({
+                workspace: 'MyApp.xcworkspace', targets: ['MyApp', 'MyAppTests'], schemes: ['MyApp'],
+            }));
+            fs.writeFileSync(path.join(MEMORY_DIR, 'swiftui-views.json'), JSON.stringify({
+                views: [
+                    { name: 'HomeView', hasPreview: true, file: 'MyApp/Features/Home/HomeView.swift',
+                        stateProperties: [{ name: 'model', type: 'HomeViewModel', kind: 'ObservedObject' }] },
+                    { name: 'ProfileView', hasPreview: false, file: 'MyApp/Features/Profile/ProfileView.swift', stateProperties: [] },
+                ],
+            }));
+            fs.writeFileSync(path.join(MEMORY_DIR, 'ios-dependencies.json'), JSON.stringify({
+                spmPackages: [{ url: 'https://github.com/Alamofire/Alamofire.git', version: '5.8.0' }], cocoaPods: [],
+            }));
+            originalCwd = process.cwd();
+            process.chdir(TEST_DIR);
+        });
+
+        afterEach(() => process.chdir(originalCwd));
+
+        it('lists onboard-me, plan-feature and review-context with a token budget', () => {
+            assert.deepStrictEqual(iosMemory.PROMPTS.map(p => p.name), ['onboard-me', 'plan-feature', 'review-context']);
+            assert.ok(iosMemory.PROMPTS.every(p => p.arguments.some(arg => arg.name === 'maxTokens')));
+        });
+
+        it('onboard-me summarizes targets, feature folders and dependencies', () => {
+            const text = promptText('onboard-me');
+
+            assert.match(text, /Open MyApp\.xcworkspace/);
+            assert.match(text, /Target: MyAppTests/);
+            assert.match(text, /MyApp\/Features\/Home: HomeView/);
+            assert.match(text, /SPM https:\/\/github\.com\/Alamofire\/Alamofire\.git 5\.8\.0/);
+            assert.match(text, /UI: SwiftUI \(2 views, 1 with previews\)/);
+        });
+
+        it('plan-feature suggests a folder next to the existing features', () => {
+            const text = promptText('plan-feature', { feature: 'order history' });
+
+            assert.match(text, /Create MyApp\/Features\/OrderHistory\/ next to Home, Profile/);
+            assert.match(text, /OrderHistoryView\.swift with struct OrderHistoryView: View and a #Preview/);
+            assert.match(text, /OrderHistoryViewModel/);
+            assert.match(promptText('plan-feature', { feature: 'profile' }), /already exists: MyApp\/Features\/Profile/);
+        });
+
+        it('review-context flags views without previews and respects the budget', () => {
+            assert.match(promptText('review-context'), /ProfileView has no #Preview/);
+
+            const text = promptText('onboard-me', { maxTokens: '100' });
+            assert.ok(text.length / 4 <= 100);
+            assert.throws(() => iosMemory.buildPrompt('onboard-me', { maxTokens: '5' }), /Invalid maxTokens/);
+        });
+    });
+
+    describe('Watch Mode', () => {
+        it('maps changed files to the memory types they feed', () => {
+            assert.deepStrictEqual(iosMemory.typesForChange('MyApp.xcodeproj/project.pbxproj'), ['xcode-project', 'ios-dependencies', 'info-plist']);
+            assert.deepStrictEqual(iosMemory.typesForChange('Podfile.lock'), ['ios-dependencies']);
+            assert.deepStrictEqual(iosMemory.typesForChange('MyApp/MyApp.entitlements'), ['info-plist']);
+            assert.deepStrictEqual(iosMemory.typesForChange('MyApp.xcodeproj/xcshareddata/xcschemes/MyApp.xcscheme'), ['xcode-project', 'ios-schemes']);
+            assert.deepStrictEqual(iosMemory.typesForChange('Package.swift'), ['ios-dependencies']);
+            assert.deepStrictEqual(iosMemory.typesForChange('MyApp/Info.plist'), ['info-plist']);
+            assert.deepStrictEqual(iosMemory.typesForChange('MyApp/Features/Home/HomeView.swift'), ['swiftui-views']);
+            assert.deepStrictEqual(iosMemory.typesForChange('MyApp/Assets.xcassets/Contents.json'), []);
+            assert.deepStrictEqual(iosMemory.typesForChange('fastlane/test_output/report.junit'), ['ios-tests']);
+            assert.deepStrictEqual(iosMemory.typesForChange('fastlane/test_output/report.xml'), ['ios-tests']);
+            assert.deepStrictEqual(iosMemory.typesForChange('ci/xcresult.json'), ['ios-tests']);
+            assert.deepStrictEqual(iosMemory.typesForChange('MyApp/Fixtures/user.json'), []);
+        });
+
+        it('refreshes changed types and notifies their subscribers', async () => {
+            const originalCwd = process.cwd();
+            process.chdir(TEST_DIR);
+
+            const notifications = [];
+            const server = Object.create(iosMemory.IOSMemoryServer.prototype);
+            server.subscriptions = new Set(['ios-memory://swiftui-views']);
+            server.server = { notification: async (message) => notifications.push(message) };
+
+            try {
+                assert.deepStrictEqual(await server.refreshChangedTypes(['swiftui-views'], TEST_DIR), ['swiftui-views']);
+                assert.deepStrictEqual(notifications, [
+                    { method: 'notifications/resources/updated', params: { uri: 'ios-memory://swiftui-views' } }
+                ]);
+                // Re-extracting unchanged sources only moves timestamps, which is not a change
+                assert.deepStrictEqual(await server.refreshChangedTypes(['swiftui-views'], TEST_DIR), []);
+                assert.strictEqual(notifications.length, 1);
+            } finally {
+                process.chdir(originalCwd);
+            }
+        });
+    });
 });
@@ -6,8 +6,8 @@
  * expect/actual matching, shared model detection, and context storage.
  *
  * We test the LOGIC (regex, file scanning, JSON round-trip) directly
- * against mock fixture data rather than importing the server class
- * (which requires the MCP SDK at runtime).
+ * against mock fixture data. The server module loads the MCP SDK lazily,
+ * so the bundle export/import helpers are required from it directly.
  */
 
 const fs = require('fs');
@@ -15,6 +15,7 @@ const path = require('path');
 const { describe, it, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert');
 const { createMockKMPProject, cleanupDir } = require('../helpers/test-utils');
+const kmpContext = require('../../mcp-servers/kmp-context/index.js');
 
 const TEST_DIR = path.join(__dirname, '../fixtures/kmp-test-project');
 const CONTEXT_DIR = path.join(TEST_DIR, '.claude/kmp-context');
@@ -702,4 +703,208 @@ data class Bar(val b: Int)
             assert.strictEqual(Object.keys(CONTEXT_SCHEMAS).length, expectedTypes.length);
         });
     });
+
+    // -----------------------------------------------------------------------
+    // 7. Context Export / Import
+    // -----------------------------------------------------------------------
+    describe('Context Export and Import', () => {
+        let originalCwd;
+
+        beforeEach(() => {
+            fs.mkdirSync(CONTEXT_DIR, { recursive: true });
+            writeJson(path.join(CONTEXT_DIR, 'expect-actual.json'), {
+                declarations: [{ name: 'Platform', kind: 'class', actuals: ['android'] }],
+                lastScanned: '2026-03-01T00:00:00.000Z'
+            });
+            originalCwd = process.cwd();
+            process.chdir(TEST_DIR);
+        });
+
+        afterEach(() => process.chdir(originalCwd));
+
+        it('exports a versioned bundle with project metadata', () => {
+            const bundle = kmpContext.createContextBundle(TEST_DIR);
+
+            assert.strictEqual(bundle.format, 'kmp-context-bundle');
+            assert.strictEqual(bundle.version, 1);
+            assert.strictEqual(bundle.schemaVersion, 1);
+            assert.ok(bundle.project.name);
+            assert.ok('gitCommit' in bundle.project);
+            assert.deepStrictEqual(Object.keys(bundle.context), ['expect-actual']);
+        });
+
+        it('merges arrays by identity and reports a dry-run diff without writing', () => {
+            const bundle = kmpContext.createContextBundle(TEST_DIR);
+            bundle.context['expect-actual'] = {
+                declarations: [
+                    { name: 'Platform', kind: 'class', actuals: ['android', 'ios'] },
+                    { name: 'currentTime', kind: 'fun', actuals: ['android'] }
+                ],
+                lastScanned: '2026-04-01T00:00:00.000Z'
+            };
+
+            const report = kmpContext.importContextBundle(bundle, { strategy: 'merge-arrays', dryRun: true });
+            const changes = report.types['expect-actual'].changes.map(c => [c.path, c.change]);
+
+            assert.strictEqual(report.types['expect-actual'].action, 'update');
+            assert.deepStrictEqual(changes, [
+                ['$.declarations[0].actuals[1]', 'added'],
+                ['$.declarations[1]', 'added'],
+                ['$.lastScanned', 'changed']
+            ]);
+            assert.strictEqual(readJson(path.join(CONTEXT_DIR, 'expect-actual.json')).declarations.length, 1);
+        });
+
+        it('keeps the newer document with keep-newer', () => {
+            const bundle = kmpContext.createContextBundle(TEST_DIR);
+            bundle.context['expect-actual'] = { declarations: [], lastScanned: '2025-01-01T00:00:00.000Z' };
+
+            const report = kmpContext.importContextBundle(bundle, { strategy: 'keep-newer' });
+
+            assert.strictEqual(report.types['expect-actual'].action, 'unchanged');
+            assert.strictEqual(readJson(path.join(CONTEXT_DIR, 'expect-actual.json')).declarations.length, 1);
+        });
+
+        it('rejects foreign bundles and unknown strategies', () => {
+            const bundle = kmpContext.createContextBundle(TEST_DIR);
+
+            assert.throws(() => kmpContext.importContextBundle({ format: 'other' }), /Not a kmp-context-bundle/);
+            assert.throws(() => kmpContext.importContextBundle(bundle, { strategy: 'overwrite' }), /Unknown merge strategy/);
+        });
+
+        it('skips inherited property names as types and never merges __proto__', () => {
+            const bundle = JSON.parse(JSON.stringify(kmpContext.createContextBundle(TEST_DIR)));
+            bundle.context = JSON.parse('{"constructor": {}, "toString": {}, "__proto__": {}}');
+
+            const report = kmpContext.importContextBundle(bundle);
+            assert.deepStrictEqual(report.warnings, [
+                'Skipped unknown context type: constructor',
+                'Skipped unknown context type: toString',
+                'Skipped unknown context type: __proto__'
+            ]);
+            assert.ok(!fs.existsSync(path.join(CONTEXT_DIR, 'constructor.json')));
+
+            const merged = kmpContext.mergeContext({ declarations: [] }, JSON.parse('{"__proto__": {"polluted": true}, "declarations": []}'), 'merge-arrays');
+            assert.strictEqual(Object.getPrototypeOf(merged), Object.prototype);
+            assert.strictEqual(merged.polluted, undefined);
+        });
+    });
+
+    // -----------------------------------------------------------------------
+    // 8. Incremental refresh
+    // -----------------------------------------------------------------------
+    describe('File Fingerprint Cache', () => {
+        it('scans each source once and reuses it on the next refresh', () => {
+            const sharedDir = path.join(TEST_DIR, 'shared');
+            fs.mkdirSync(path.join(sharedDir, 'commonMain/kotlin'), { recursive: true });
+            fs.mkdirSync(path.join(sharedDir, 'androidMain/kotlin'), { recursive: true });
+            fs.writeFileSync(path.join(sharedDir, 'commonMain/kotlin/Platform.kt'),
+                'expect class Platform\nexpect fun platformName(): String\n');
+            fs.writeFileSync(path.join(sharedDir, 'androidMain/kotlin/Platform.android.kt'),
+                'actual Platform\nactual platformName\n');
+            const cachePath = path.join(CONTEXT_DIR, 'cache/files.json');
+
+            const first = new kmpContext.FileCache(cachePath);
+            const declarations = kmpContext.extractExpectActual(TEST_DIR, first).declarations;
+            first.save();
+            // The android source is read once even though two expect declarations look it up
+            assert.deepStrictEqual(first.stats, { hits: 1, rehashed: 0, misses: 2 });
+            assert.deepStrictEqual(declarations.map(d => d.actualImplementations.length), [1, 1]);
+
+            const second = new kmpContext.FileCache(cachePath);
+            assert.deepStrictEqual(kmpContext.extractExpectActual(TEST_DIR, second).declarations, declarations);
+            assert.deepStrictEqual(second.stats, { hits: 3, rehashed: 0, misses: 0 });
+        });
+    });
+
+    // -----------------------------------------------------------------------
+    // 9. Prompts
+    // -----------------------------------------------------------------------
+    describe('Prompts', () => {
+        const promptText = (name, args) => kmpContext.buildPrompt(name, args).messages[0].content.text;
+        let originalCwd;
+
+        beforeEach(() => {
+            fs.mkdirSync(CONTEXT_DIR, { recursive: true });
+            writeJson(path.join(CONTEXT_DIR, 'kmp-modules.json'), {
+                sharedModule: { name: 'shared', path: 'shared' }, targets: ['android', 'iosArm64'], hierarchicalStructure: true
+            });
+            writeJson(path.join(CONTEXT_DIR, 'source-sets.json'), {
+                commonMain: { path: 'shared/src/commonMain', dependencies: ['ktor-client-core'], packages: ['com.example.app.data', 'com.example.app.profile'] },
+                androidMain: { path: 'shared/src/androidMain', dependencies: [], packages: [] },
+                iosMain: { path: 'shared/src/iosMain', dependencies: [], packages: [] }
+            });
+            writeJson(path.join(CONTEXT_DIR, 'expect-actual.json'), {
+                declarations: [
+                    { name: 'Platform', kind: 'class', expectLocation: { file: 'Platform.kt', sourceSet: 'commonMain' },
+                        actualImplementations: [{ platform: 'android', location: 'Platform.android.kt' }, { platform: 'ios', location: 'Platform.ios.kt' }] },
+                    { name: 'randomUuid', kind: 'fun', expectLocation: { file: 'Uuid.kt', sourceSet: 'commonMain' },
+                        actualImplementations: [{ platform: 'android', location: 'Uuid.android.kt' }] }
+                ]
+            });
+            originalCwd = process.cwd();
+            process.chdir(TEST_DIR);
+        });
+
+        afterEach(() => process.chdir(originalCwd));
+
+        it('onboard-me summarizes the shared module, source sets and expect/actual', () => {
+            const text = promptText('onboard-me');
+
+            assert.match(text, /Shared module: shared/);
+            assert.match(text, /commonMain: 2 packages, 1 dependencies/);
+            assert.match(text, /expect class Platform → android, ios \(Platform\.kt\)/);
+            assert.match(text, /Targets: android, iosArm64/);
+        });
+
+        it('plan-feature places shared code under the base package', () => {
+            const text = promptText('plan-feature', { feature: 'order history' });
+
+            assert.match(text, /commonMain under com\.example\.app\.orderhistory/);
+            assert.match(text, /actual in androidMain, iosMain/);
+            assert.match(promptText('plan-feature', { feature: 'Profile' }), /already exists in commonMain: com\.example\.app\.profile/);
+            assert.throws(() => kmpContext.buildPrompt('plan-feature', {}), /requires a feature argument/);
+        });
+
+        it('review-context flags expect declarations missing an actual', () => {
+            assert.match(promptText('review-context'), /expect randomUuid has no actual for ios/);
+
+            const text = promptText('onboard-me', { maxTokens: 100 });
+            assert.ok(text.length / 4 <= 100);
+            assert.throws(() => kmpContext.buildPrompt('onboard-me', { maxTokens: 'lots' }), /Invalid maxTokens/);
+        });
+    });
+
+    // -----------------------------------------------------------------------
+    // 10. Watch mode
+    // -----------------------------------------------------------------------
+    describe('Watch Mode', () => {
+        it('maps changed files to the context types they feed', () => {
+            assert.deepStrictEqual(kmpContext.typesForChange('shared/build.gradle.kts'), ['kmp-modules', 'source-sets', 'platform-targets']);
+            assert.deepStrictEqual(kmpContext.typesForChange('shared/src/commonMain/kotlin/Platform.kt'),
+                ['source-sets', 'expect-actual', 'shared-models']);
+            assert.deepStrictEqual(kmpContext.typesForChange('iosApp/iosApp.xcodeproj/project.pbxproj'), []);
+        });
+
+        it('refreshes changed types and notifies their subscribers', async () => {
+            const originalCwd = process.cwd();
+            process.chdir(TEST_DIR);
+
+            const notifications = [];
+            const server = Object.create(kmpContext.KMPContextServer.prototype);
+            server.subscriptions = new Set(['kmp-context://kmp-modules']);
+            server.server = { notification: async (message) => notifications.push(message) };
+
+            try {
+                assert.deepStrictEqual(await server.refreshChangedTypes(['kmp-modules', 'expect-actual'], TEST_DIR), ['kmp-modules', 'expect-actual']);
+                assert.deepStrictEqual(notifications, [
+                    { method: 'notifications/resources/updated', params: { uri: 'kmp-context://kmp-modules' } }
+                ]);
+                assert.deepStrictEqual(await server.refreshChangedTypes(['kmp-modules'], TEST_DIR), []);
+                assert.strictEqual(notifications.length, 1);
+            } finally {
+                process.chdir(originalCwd);
+            }
+        });
+    });
 });
@@ -8,6 +8,8 @@ const fs = require('fs');
 const path = require('path');
 const { describe, it, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert');
+const { writeFiles, writeZip, cleanupDir, createMockAndroidProject } = require('../helpers/test-utils');
+const mobileMemory = require('../../mcp-servers/mobile-memory/index.js');
 
 // Mock the MCP SDK
 class MockServer {
@@ -226,4 +228,1921 @@ describe('Mobile Memory MCP Server', () => {
     });
 });
 
+describe('Test Coverage Memory', () => {
+    const PROJECT_DIR = path.join(__dirname, '../fixtures/coverage-project');
+
+    const junitReport = (cases) => `<?xml version="1.0" encoding="UTF-8"?>
+<testsuite name="com.example.AuthViewModelTest" tests="${cases.length}" skipped="0" failures="0" errors="0">
+${cases.join('\n')}
+</testsuite>`;
+
+    const jacocoReport = (covered, missed) => `<?xml version="1.0" encoding="UTF-8"?>
+<report name="app">
+  <package name="com/example">
+    <counter type="LINE" missed="1" covered="1"/>
+  </package>
+  <counter type="INSTRUCTION" missed="10" covered="90"/>
+  <counter type="LINE" missed="${missed}" covered="${covered}"/>
+</report>`;
+
+    beforeEach(() => {
+        cleanupDir(PROJECT_DIR);
+        writeFiles(PROJECT_DIR, {
+            'settings.gradle.kts': 'include(":app")\ninclude(":feature:auth")\ninclude(":core:network")\n',
+            'build.gradle.kts': '',
+            'app/build/test-results/testDebugUnitTest/TEST-com.example.AuthViewModelTest.xml': junitReport([
+                '<testcase name="loginSucceeds" classname="com.example.AuthViewModelTest" time="0.01"/>',
+                '<testcase name="loginFails" classname="com.example.AuthViewModelTest" time="0.02">' +
+                    '<failure message="expected:&lt;Error&gt; but was:&lt;Loading&gt;" type="org.opentest4j.AssertionFailedError">' +
+                    'org.opentest4j.AssertionFailedError: expected\n' +
+                    '\tat org.junit.Assert.fail(Assert.java:89)\n' +
+                    '\tat com.example.AuthViewModelTest.loginFails(AuthViewModelTest.kt:42)</failure></testcase>',
+                '<testcase name="ignored" classname="com.example.AuthViewModelTest"><skipped/></testcase>',
+            ]),
+            'app/build/test-results/testReleaseUnitTest/TEST-com.example.AuthViewModelTest.xml': junitReport([
+                '<testcase name="loginFails" classname="com.example.AuthViewModelTest"><failure message="boom"/></testcase>',
+            ]),
+            'app/build/reports/kover/reportDebug.xml': jacocoReport(80, 20),
+            'feature/auth/build/reports/jacoco/test/jacocoTestReport.xml': jacocoReport(30, 70),
+        });
+    });
+
+    afterEach(() => cleanupDir(PROJECT_DIR));
+
+    it('resolves modules from settings.gradle.kts', () => {
+        const modules = mobileMemory.getGradleModules(PROJECT_DIR);
+        assert.deepStrictEqual(modules.map(m => m.path), ['app', 'feature/auth', 'core/network']);
+        assert.strictEqual(modules[1].name, ':feature:auth');
+    });
+
+    it('parses failures with message and location from JUnit XML', () => {
+        const file = path.join(PROJECT_DIR, 'app/build/test-results/testDebugUnitTest/TEST-com.example.AuthViewModelTest.xml');
+        const results = mobileMemory.parseJUnitXml(fs.readFileSync(file, 'utf8'));
+
+        assert.strictEqual(results.tests, 3);
+        assert.strictEqual(results.skipped, 1);
+        assert.strictEqual(results.failures.length, 1);
+        assert.strictEqual(results.failures[0].message, 'expected:<Error> but was:<Loading>');
+        assert.strictEqual(results.failures[0].location, 'AuthViewModelTest.kt:42');
+    });
+
+    it('reads report-level line counters from JaCoCo/Kover XML', () => {
+        assert.deepStrictEqual(mobileMemory.parseCoverageReport(jacocoReport(3, 1)), { covered: 3, missed: 1 });
+        assert.strictEqual(mobileMemory.parseCoverageReport('<testsuite/>'), null);
+    });
+
+    it('fills modules, totals and failing tests per module', () => {
+        const coverage = mobileMemory.extractTestCoverage(PROJECT_DIR);
+
+        assert.deepStrictEqual(coverage.modules.map(m => m.name), [':app', ':feature:auth']);
+        assert.strictEqual(coverage.modules[0].coverage, 80);
+        assert.strictEqual(coverage.modules[1].coverage, 30);
+        assert.strictEqual(coverage.totalCoverage, 55);
+        assert.strictEqual(coverage.failingTests.length, 1);
+        assert.strictEqual(coverage.failingTests[0].module, ':app');
+        assert.strictEqual(coverage.failingTests[0].method, 'loginFails');
+        assert.strictEqual(coverage.trend, 'stable');
+        assert.ok(coverage.lastRun);
+    });
+
+    it('keeps the first since timestamp and computes the trend', () => {
+        const previous = {
+            modules: [{ name: ':app', coverage: 90, goal: 85 }],
+            totalCoverage: 70,
+            failingTests: [{ module: ':app', class: 'com.example.AuthViewModelTest', method: 'loginFails', since: '2024-01-01T00:00:00.000Z' }],
+        };
+        const coverage = mobileMemory.extractTestCoverage(PROJECT_DIR, previous);
+
+        assert.strictEqual(coverage.failingTests[0].since, '2024-01-01T00:00:00.000Z');
+        assert.strictEqual(coverage.modules[0].goal, 85);
+        assert.strictEqual(coverage.trend, 'declining');
+        assert.deepStrictEqual(mobileMemory.MEMORY_SCHEMAS['test-coverage'].modules, []);
+    });
+
+    it('stamps the document with the refresh time so old reports do not expire it', () => {
+        const reportTime = new Date('2020-01-01T00:00:00.000Z');
+        for (const file of fs.readdirSync(PROJECT_DIR, { recursive: true }).filter(f => path.basename(f).startsWith('TEST-'))) {
+            fs.utimesSync(path.join(PROJECT_DIR, file), reportTime, reportTime);
+        }
+
+        const coverage = mobileMemory.extractTestCoverage(PROJECT_DIR);
+        assert.strictEqual(coverage.lastRun, reportTime.toISOString());
+        assert.ok(Date.now() - Date.parse(coverage.lastAnalyzed) < 60000);
+
+        const originalCwd = process.cwd();
+        process.chdir(PROJECT_DIR);
+        try {
+            mobileMemory.storeMemory('test-coverage', coverage);
+            const report = mobileMemory.enforceMemoryLimits({ types: ['test-coverage'] });
+            assert.deepStrictEqual(report.expired, []);
+            assert.ok(fs.existsSync(path.join(PROJECT_DIR, '.claude/mobile-memory/test-coverage.json')));
+        } finally {
+            process.chdir(originalCwd);
+        }
+    });
+});
+
+describe('Build Variants Memory', () => {
+    const PROJECT_DIR = path.join(__dirname, '../fixtures/variants-project');
+
+    beforeEach(() => {
+        cleanupDir(PROJECT_DIR);
+        writeFiles(PROJECT_DIR, {
+            'settings.gradle.kts': 'include(":app", ":core:data")\n',
+            'app/build.gradle.kts': `
+plugins {
+    id("com.android.application")
+}
+
+android {
+    defaultConfig {
+        applicationId = "com.example.shop"
+        versionCode = 12
+        versionName = "2.1"
+        buildConfigField("String", "API_URL", "\\"https://api.example.com\\"")
+    }
+    flavorDimensions += listOf("tier", "env")
+    productFlavors {
+        create("free") {
+            dimension = "tier"
+            applicationIdSuffix = ".free"
+        }
+        create("paid") { dimension = "tier" }
+        create("dev") {
+            dimension = "env"
+            versionNameSuffix = "-dev"
+            buildConfigField("String", "API_URL", "\\"https://dev.example.com\\"")
+        }
+        create("prod") { dimension = "env" }
+    }
+    buildTypes {
+        getByName("release") {
+            isMinifyEnabled = true
+            signingConfig = signingConfigs.getByName("release")
+        }
+        create("staging") {
+            initWith(getByName("debug"))
+            applicationIdSuffix = ".staging"
+        }
+    }
+}
+`,
+            'core/data/build.gradle': `
+plugins { id 'com.android.library' }
+android {
+    buildTypes {
+        release { minifyEnabled false }
+    }
+}
+`,
+        });
+    });
+
+    afterEach(() => cleanupDir(PROJECT_DIR));
+
+    it('computes the full flavor x build type matrix', () => {
+        const variants = mobileMemory.extractBuildVariants(PROJECT_DIR);
+        const app = variants.variants.filter(v => v.module === ':app');
+
+        assert.strictEqual(app.length, 12);
+        assert.deepStrictEqual(variants.flavorDimensions, ['tier', 'env']);
+        assert.deepStrictEqual(variants.flavors, ['free', 'paid', 'dev', 'prod']);
+        assert.deepStrictEqual(variants.buildTypes, ['debug', 'release', 'staging']);
+        assert.ok(app.some(v => v.name === 'paidProdRelease'));
+    });
+
+    it('resolves application id, version, signing and BuildConfig per variant', () => {
+        const { variants } = mobileMemory.extractBuildVariants(PROJECT_DIR);
+        const staging = variants.find(v => v.name === 'freeDevStaging');
+        const release = variants.find(v => v.name === 'paidProdRelease');
+
+        assert.strictEqual(staging.applicationId, 'com.example.shop.free.staging');
+        assert.strictEqual(staging.versionName, '2.1-dev');
+        assert.strictEqual(staging.debuggable, true);
+        assert.deepStrictEqual(staging.buildConfig, [{ type: 'String', key: 'API_URL', value: '"https://dev.example.com"' }]);
+        assert.strictEqual(staging.tasks.assemble, ':app:assembleFreeDevStaging');
+
+        assert.strictEqual(release.applicationId, 'com.example.shop');
+        assert.strictEqual(release.versionCode, 12);
+        assert.strictEqual(release.signingConfig, 'release');
+        assert.strictEqual(release.minifyEnabled, true);
+    });
+
+    it('handles Groovy library modules without flavors', () => {
+        const { variants } = mobileMemory.extractBuildVariants(PROJECT_DIR);
+        const library = variants.filter(v => v.module === ':core:data');
+
+        assert.deepStrictEqual(library.map(v => v.name), ['debug', 'release']);
+        assert.strictEqual(library[0].applicationId, null);
+        assert.strictEqual(library[1].tasks.assemble, ':core:data:assembleRelease');
+        assert.strictEqual(library[1].tasks.install, undefined);
+    });
+});
+
+describe('Navigation Graph Memory', () => {
+    const PROJECT_DIR = path.join(__dirname, '../fixtures/navigation-project');
+
+    beforeEach(() => {
+        cleanupDir(PROJECT_DIR);
+        writeFiles(PROJECT_DIR, {
+            'settings.gradle.kts': 'include(":app")\n',
+            'app/src/main/java/com/example/ui/HomeScreen.kt': `
+@Composable
+fun HomeScreen(onOpen: (String) -> Unit) {}
+`,
+            'app/src/main/java/com/example/nav/AppNavHost.kt': `
+const val HOME_ROUTE = "home"
+
+@Serializable
+data class ProfileRoute(val userId: String, val tab: Int = 0)
+
+@Serializable
+data object SettingsRoute
+
+@Composable
+fun AppNavHost(navController: NavHostController) {
+    NavHost(navController = navController, startDestination = HOME_ROUTE) {
+        composable(HOME_ROUTE) {
+            HomeScreen(onOpen = { id -> navController.navigate("details/$id") })
+        }
+        composable(
+            route = "details/{id}",
+            arguments = listOf(navArgument("id") { type = NavType.StringType }),
+            deepLinks = listOf(navDeepLink { uriPattern = "https://example.com/details/{id}" })
+        ) { entry ->
+            DetailsScreen(id = entry.arguments?.getString("id"))
+        }
+        composable<ProfileRoute> { entry ->
+            ProfileScreen(entry.toRoute<ProfileRoute>().userId)
+        }
+        navigation(startDestination = "auth/login", route = "auth") {
+            composable("auth/login") {
+                LoginScreen(onDone = { navController.navigate(ProfileRoute("1")) })
+            }
+        }
+        // navController.navigate("commented/out")
+        navController.navigate("missing/screen")
+        navController.navigate(SettingsRoute)
+    }
+}
+`,
+        });
+    });
+
+    afterEach(() => cleanupDir(PROJECT_DIR));
+
+    it('finds string and type-safe routes with their arguments', () => {
+        const graph = mobileMemory.extractNavigationGraph(PROJECT_DIR);
+        const routes = Object.fromEntries(graph.routes.map(r => [r.route, r]));
+
+        assert.deepStrictEqual(Object.keys(routes), ['home', 'details/{id}', 'ProfileRoute', 'auth/login']);
+        assert.strictEqual(routes.ProfileRoute.typeSafe, true);
+        assert.deepStrictEqual(routes.ProfileRoute.arguments.map(a => [a.name, a.type, a.hasDefault]),
+            [['userId', 'String', false], ['tab', 'Int', true]]);
+        assert.deepStrictEqual(routes['details/{id}'].arguments.map(a => [a.name, a.type]), [['id', 'String']]);
+        assert.deepStrictEqual(graph.navHosts.map(h => h.startDestination), ['home']);
+    });
+
+    it('links routes to screen composables', () => {
+        const graph = mobileMemory.extractNavigationGraph(PROJECT_DIR);
+        const home = graph.routes.find(r => r.route === 'home');
+
+        assert.strictEqual(home.destination, 'HomeScreen');
+        assert.strictEqual(home.screenFile, path.join('app/src/main/java/com/example/ui/HomeScreen.kt'));
+        assert.strictEqual(graph.routes.find(r => r.route === 'ProfileRoute').destination, 'ProfileScreen');
+    });
+
+    it('records nested graphs and deep links', () => {
+        const graph = mobileMemory.extractNavigationGraph(PROJECT_DIR);
+
+        assert.strictEqual(graph.nestedGraphs.length, 1);
+        assert.strictEqual(graph.nestedGraphs[0].route, 'auth');
+        assert.strictEqual(graph.nestedGraphs[0].startDestination, 'auth/login');
+        assert.deepStrictEqual(graph.nestedGraphs[0].routes, ['auth/login']);
+        assert.strictEqual(graph.routes.find(r => r.route === 'auth/login').graph, 'auth');
+        assert.deepStrictEqual(graph.deepLinks.map(l => [l.uri, l.destination]),
+            [['https://example.com/details/{id}', 'details/{id}']]);
+    });
+
+    it('flags navigate() calls whose route is never registered', () => {
+        const graph = mobileMemory.extractNavigationGraph(PROJECT_DIR);
+
+        assert.deepStrictEqual(graph.unregisteredNavigations.map(n => n.target),
+            ['"missing/screen"', 'SettingsRoute']);
+    });
+
+    it('resolves route constants and skips route builder calls before treating a target as a route class', () => {
+        writeFiles(PROJECT_DIR, {
+            'app/src/main/java/com/example/nav/SearchNavHost.kt': `
+object Routes {
+    const val SEARCH = "search"
+}
+
+sealed class Screen(val route: String) {
+    object Profile : Screen("profile/{id}") {
+        fun createRoute(id: String) = "profile/$id"
+    }
+}
+
+@Composable
+fun SearchNavHost(navController: NavHostController) {
+    NavHost(navController = navController, startDestination = Routes.SEARCH) {
+        composable(Routes.SEARCH) {
+            SearchScreen(onOpen = { id -> navController.navigate(Screen.Profile.createRoute(id)) })
+        }
+        composable(Screen.Profile.route) { ProfileDetails() }
+    }
+    navController.navigate(Routes.SEARCH)
+}
+`,
+        });
+        const graph = mobileMemory.extractNavigationGraph(PROJECT_DIR);
+
+        assert.ok(graph.routes.some(r => r.route === 'search'));
+        assert.deepStrictEqual(graph.unregisteredNavigations.map(n => n.target).sort(),
+            ['"missing/screen"', 'SettingsRoute']);
+    });
+});
+
+describe('Architecture Memory', () => {
+    const PROJECT_DIR = path.join(__dirname, '../fixtures/architecture-project');
+
+    beforeEach(() => {
+        createMockAndroidProject(PROJECT_DIR);
+        writeFiles(PROJECT_DIR, {
+            'settings.gradle': "include ':app', ':core:network', ':core:domain'\ninclude ':feature:auth'\n",
+            'feature/auth/src/main/kotlin/com/example/auth/LoginScreen.kt': '',
+            'feature/auth/src/main/kotlin/com/example/auth/LoginViewModel.kt': '',
+            'core/domain/src/main/kotlin/com/example/domain/model/User.kt': '',
+            'core/network/src/main/kotlin/com/example/network/dto/UserDto.kt': '',
+            'core/network/src/commonMain/kotlin/com/example/network/ApiDataSource.kt': '',
+        });
+        fs.rmSync(path.join(PROJECT_DIR, 'settings.gradle.kts'));
+    });
+
+    afterEach(() => cleanupDir(PROJECT_DIR));
+
+    it('lists modules and feature modules from settings.gradle', () => {
+        const structure = mobileMemory.extractProjectStructure(PROJECT_DIR);
+
+        assert.deepStrictEqual(structure.modules, ['app', 'core/network', 'core/domain', 'feature/auth']);
+        assert.deepStrictEqual(structure.featureModules, ['auth']);
+    });
+
+    it('scans java, kotlin and KMP source roots of every module', () => {
+        const arch = mobileMemory.extractArchitecture(PROJECT_DIR);
+
+        assert.deepStrictEqual(arch.uiLayer.screens.map(s => [s.name, s.module]),
+            [['HomeScreen', ':app'], ['LoginScreen', ':feature:auth']]);
+        assert.deepStrictEqual(arch.uiLayer.viewmodels.map(v => v.module), [':app', ':feature:auth']);
+        assert.deepStrictEqual(arch.dataLayer.datasources.map(d => [d.name, d.module]),
+            [['ApiDataSource', ':core:network']]);
+        assert.strictEqual(arch.pattern, 'clean-architecture');
+    });
+
+    it('fills data and domain models', () => {
+        const arch = mobileMemory.extractArchitecture(PROJECT_DIR);
+
+        assert.deepStrictEqual(arch.dataLayer.models.map(m => m.name), ['UserDto']);
+        assert.deepStrictEqual(arch.domainLayer.models.map(m => [m.name, m.module]), [['User', ':core:domain']]);
+        assert.strictEqual(arch.domainLayer.models[0].file, path.join('core/domain/src/main/kotlin/com/example/domain/model/User.kt'));
+    });
+});
+
+describe('Module Graph Memory', () => {
+    const PROJECT_DIR = path.join(__dirname, '../fixtures/module-graph-project');
+
+    beforeEach(() => {
+        cleanupDir(PROJECT_DIR);
+        writeFiles(PROJECT_DIR, {
+            'settings.gradle.kts': 'include(":app", ":core:network", ":core:data", ":core:design-system")\ninclude(":feature:auth", ":feature:home")\n',
+            'app/build.gradle.kts': `
+dependencies {
+    implementation(project(":feature:auth"))
+    implementation(projects.feature.home)
+}
+`,
+            'feature/auth/build.gradle.kts': `
+dependencies {
+    implementation(projects.core.data)
+    implementation(projects.core.designSystem)
+    testImplementation(project(":feature:home"))
+}
+`,
+            'feature/home/build.gradle': `
+dependencies {
+    implementation project(':feature:auth')
+    api project(path: ':core:data')
+}
+`,
+            'core/data/build.gradle.kts': 'dependencies {\n    api(projects.core.network)\n}\n',
+            'core/network/build.gradle.kts': 'dependencies {\n    implementation(projects.core.data)\n}\n',
+            '.claude/module-rules.json': JSON.stringify({
+                rules: [
+                    'feature:* must not depend on feature:*',
+                    { from: 'core:**', notTo: 'feature:**', description: 'core stays feature-agnostic' },
+                ],
+            }),
+        });
+    });
+
+    afterEach(() => cleanupDir(PROJECT_DIR));
+
+    it('builds adjacency from project() and type-safe accessors', () => {
+        const graph = mobileMemory.extractModuleGraph(PROJECT_DIR);
+
+        assert.deepStrictEqual(graph.adjacency[':app'], [':feature:auth', ':feature:home']);
+        assert.deepStrictEqual(graph.adjacency[':feature:auth'], [':core:data', ':core:design-system', ':feature:home']);
+        assert.deepStrictEqual(graph.adjacency[':core:design-system'], []);
+    });
+
+    it('distinguishes api, implementation and test edges', () => {
+        const graph = mobileMemory.extractModuleGraph(PROJECT_DIR);
+        const edge = (from, to) => graph.edges.find(e => e.from === from && e.to === to);
+
+        assert.strictEqual(edge(':feature:home', ':core:data').api, true);
+        assert.strictEqual(edge(':feature:home', ':feature:auth').api, false);
+        assert.strictEqual(edge(':feature:auth', ':feature:home').test, true);
+    });
+
+    it('detects cycles, ignoring test-only edges', () => {
+        const graph = mobileMemory.extractModuleGraph(PROJECT_DIR);
+
+        assert.strictEqual(graph.cycles.length, 1);
+        assert.deepStrictEqual([...graph.cycles[0]].sort(), [':core:data', ':core:data', ':core:network']);
+    });
+
+    it('reports layering rule violations from the rules file', () => {
+        const graph = mobileMemory.extractModuleGraph(PROJECT_DIR);
+
+        assert.strictEqual(graph.rules.length, 2);
+        assert.deepStrictEqual(graph.violations.map(v => [v.from, v.to]),
+            [[':feature:auth', ':feature:home'], [':feature:home', ':feature:auth']]);
+    });
+});
+
+describe('Version Catalog Dependencies', () => {
+    const PROJECT_DIR = path.join(__dirname, '../fixtures/catalog-project');
+
+    const CATALOG = `# Version catalog
+[versions]
+agp = "8.5.0"
+kotlin = "2.0.20" # inline comment
+coreKtx = "1.13.1"
+room = { strictly = "2.6.1" }
+
+[libraries]
+androidx-core-ktx = { group = "androidx.core", name = "core-ktx", version.ref = "coreKtx" }
+compose-bom = "androidx.compose:compose-bom:2024.09.00"
+compose-ui = { module = "androidx.compose.ui:ui" }
+room-runtime = { module = "androidx.room:room-runtime", version.ref = "room" }
+room-compiler = { module = "androidx.room:room-compiler", version = { ref = "room" } }
+junit = 'junit:junit:4.13.2'
+
+[bundles]
+room = [
+    "room-runtime",
+    "compose-ui",
+]
+
+[plugins]
+android-application = { id = "com.android.application", version.ref = "agp" }
+kotlin-android = { id = "org.jetbrains.kotlin.android", version.ref = "kotlin" }
+ksp = "com.google.devtools.ksp:2.0.20-1.0.25"
+`;
+
+    beforeEach(() => {
+        cleanupDir(PROJECT_DIR);
+        writeFiles(PROJECT_DIR, {
+            'settings.gradle.kts': 'include(":app")\n',
+            'gradle/libs.versions.toml': CATALOG,
+            'build.gradle.kts': `
+plugins {
+    alias(libs.plugins.android.application) apply false
+    alias(libs.plugins.kotlin.android) apply false
+}
+`,
+            'app/build.gradle.kts': `
+plugins {
+    alias(libs.plugins.android.application)
+    alias(libs.plugins.ksp)
+}
+
+dependencies {
+    implementation(libs.androidx.core.ktx)
+    implementation(platform(libs.compose.bom))
+    implementation(libs.bundles.room)
+    ksp(libs.room.compiler)
+    testImplementation(libs.junit)
+    debugImplementation("com.squareup.leakcanary:leakcanary-android:2.14")
+}
+`,
+        });
+    });
+
+    afterEach(() => cleanupDir(PROJECT_DIR));
+
+    it('parses TOML tables, dotted keys, inline tables and multi-line arrays', () => {
+        const toml = mobileMemory.parseToml(CATALOG);
+
+        assert.strictEqual(toml.versions.kotlin, '2.0.20');
+        assert.deepStrictEqual(toml.libraries['androidx-core-ktx'].version, { ref: 'coreKtx' });
+        assert.deepStrictEqual(toml.bundles.room, ['room-runtime', 'compose-ui']);
+        assert.throws(() => mobileMemory.parseToml('[versions]\nkotlin = "2.0'), /unterminated string/);
+    });
+
+    it('resolves version refs, rich versions and plugin notations', () => {
+        const catalog = mobileMemory.parseVersionCatalog(CATALOG);
+        const library = (alias) => catalog.libraries.find(l => l.alias === alias);
+
+        assert.strictEqual(library('androidx-core-ktx').version, '1.13.1');
+        assert.strictEqual(library('room-compiler').version, '2.6.1');
+        assert.strictEqual(library('compose-bom').name, 'compose-bom');
+        assert.strictEqual(library('compose-ui').version, null);
+        assert.deepStrictEqual(catalog.plugins.map(p => [p.accessor, p.version]),
+            [['android.application', '8.5.0'], ['kotlin.android', '2.0.20'], ['ksp', '2.0.20-1.0.25']]);
+    });
+
+    it('maps catalog usages to coordinates per module and configuration', () => {
+        const deps = mobileMemory.extractDependencies(PROJECT_DIR);
+        const usage = (name) => deps.libraries.find(l => l.name === name);
+
+        assert.deepStrictEqual(usage('core-ktx'),
+            { group: 'androidx.core', name: 'core-ktx', version: '1.13.1', type: 'implementation', module: ':app', alias: 'androidx-core-ktx' });
+        assert.strictEqual(usage('room-compiler').type, 'ksp');
+        assert.strictEqual(usage('junit').type, 'testImplementation');
+        assert.strictEqual(usage('leakcanary-android').type, 'debugImplementation');
+        assert.ok(usage('room-runtime') && usage('ui'), 'bundle members are expanded');
+    });
+
+    it('resolves plugin aliases and the Kotlin plugin version', () => {
+        const deps = mobileMemory.extractDependencies(PROJECT_DIR);
+
+        assert.deepStrictEqual(deps.plugins, ['com.android.application', 'org.jetbrains.kotlin.android', 'com.google.devtools.ksp']);
+        assert.deepStrictEqual(deps.pluginUsages.filter(p => p.module === ':app').map(p => p.id),
+            ['com.android.application', 'com.google.devtools.ksp']);
+        assert.strictEqual(deps.kgpVersion, '2.0.20');
+    });
+});
+
+describe('Memory Query', () => {
+    const documents = {
+        'compose-screens': {
+            screens: [
+                { name: 'LoginScreen', file: 'auth/LoginScreen.kt', previewable: false },
+                { name: 'HomeScreen', file: 'home/HomeScreen.kt', previewable: true },
+                { name: 'SettingsScreen', file: 'settings/SettingsScreen.kt', previewable: false },
+            ],
+        },
+        'navigation-graph': {
+            routes: [
+                { route: 'login', deepLinks: ['app://login'], destination: 'LoginScreen' },
+                { route: 'home', deepLinks: [] },
+            ],
+        },
+        'dependencies': {
+            plugins: ['com.android.application', 'com.google.devtools.ksp'],
+            libraries: [{ group: 'androidx.room', name: 'room-compiler', version: '2.6.1', type: 'ksp' }],
+        },
+        'test-coverage': {
+            modules: [{ name: ':app', coverage: 45 }, { name: ':core:data', coverage: 82 }],
+        },
+    };
+
+    it('parses types, paths, filters and free-text terms', () => {
+        const parsed = mobileMemory.parseMemoryQuery('type:compose-screens previewable:false coverage:<60 "login flow"');
+
+        assert.deepStrictEqual(parsed.types, ['compose-screens']);
+        assert.deepStrictEqual(parsed.filters, [
+            { field: 'previewable', operator: '=', value: 'false' },
+            { field: 'coverage', operator: '<', value: 60 },
+        ]);
+        assert.deepStrictEqual(parsed.phrases, ['login flow']);
+        assert.deepStrictEqual(parsed.terms, ['login', 'flow']);
+    });
+
+    it('returns only the nodes matching field filters, with their JSON path', () => {
+        const result = mobileMemory.queryMemories(documents, 'type:compose-screens previewable:false');
+
+        assert.deepStrictEqual(result.results.map(r => r.path), ['$.screens[0]', '$.screens[2]']);
+        assert.strictEqual(result.results[0].value.name, 'LoginScreen');
+        assert.deepStrictEqual(
+            mobileMemory.queryMemories(documents, 'coverage:<60').results.map(r => r.value.name), [':app']);
+    });
+
+    it('treats type: as a field filter when it is not a memory type', () => {
+        const result = mobileMemory.queryMemories(documents, 'type:ksp');
+
+        assert.deepStrictEqual(result.results.map(r => [r.type, r.path]), [['dependencies', '$.libraries[0]']]);
+    });
+
+    it('selects nodes by JSON path', () => {
+        const result = mobileMemory.queryMemories(documents, 'path:routes[*].deepLinks');
+
+        assert.deepStrictEqual(result.results.map(r => [r.path, r.value]), [
+            ['$.routes[0].deepLinks', ['app://login']],
+            ['$.routes[1].deepLinks', []],
+        ]);
+    });
+
+    it('ranks natural-language queries by term weight and honours the limit', () => {
+        const result = mobileMemory.queryMemories(documents, 'which screen handles login?', { limit: 2 });
+
+        assert.strictEqual(result.results.length, 2);
+        assert.ok(result.total > 2);
+        assert.deepStrictEqual(result.results.map(r => r.path).sort(), ['$.routes[0]', '$.screens[0]']);
+        assert.ok(result.results[0].score >= result.results[1].score);
+    });
+
+    it('never returns a whole memory document for a keyword hit', () => {
+        const result = mobileMemory.queryMemories(documents, 'ksp');
+
+        assert.ok(result.results.length > 0);
+        assert.ok(result.results.every(r => r.path !== '$'));
+        assert.strictEqual(result.results[0].value, 'com.google.devtools.ksp');
+    });
+});
+
+describe('Memory Retention and Size Limits', () => {
+    const PROJECT_DIR = path.join(__dirname, '../fixtures/retention-project');
+    const MEMORY_DIR = path.join(PROJECT_DIR, '.claude/mobile-memory');
+    const NOW = Date.parse('2026-06-01T00:00:00.000Z');
+    const daysAgo = (days) => new Date(NOW - days * 86400000).toISOString();
+    const memoryFile = (type) => path.join(MEMORY_DIR, `${type}.json`);
+    let originalCwd;
+
+    beforeEach(() => {
+        cleanupDir(PROJECT_DIR);
+        writeFiles(MEMORY_DIR, {
+            'recent-changes.json': JSON.stringify({
+                files: [
+                    { path: 'app/Old.kt', lastModified: daysAgo(45), changeType: 'modify' },
+                    { path: 'app/New.kt', lastModified: daysAgo(2), changeType: 'create' },
+                ],
+                sessions: [{ date: daysAgo(40), focus: 'auth' }, { date: daysAgo(1), focus: 'home' }],
+                lastUpdated: daysAgo(1),
+            }),
+            'dependencies.json': JSON.stringify({ libraries: [], lastUpdated: daysAgo(120) }),
+            'project-structure.json': JSON.stringify({ modules: [':app'], lastUpdated: daysAgo(400) }),
+            'compose-screens.json': JSON.stringify({ screens: [], padding: 'x'.repeat(4000), lastUpdated: daysAgo(10) }),
+        });
+        originalCwd = process.cwd();
+        process.chdir(PROJECT_DIR);
+    });
+
+    afterEach(() => {
+        process.chdir(originalCwd);
+        cleanupDir(PROJECT_DIR);
+    });
+
+    it('parses sizes and durations', () => {
+        assert.strictEqual(mobileMemory.parseSize('10MB'), 10 * 1024 * 1024);
+        assert.strictEqual(mobileMemory.parseSize('512 kb'), 512 * 1024);
+        assert.strictEqual(mobileMemory.parseDuration('30days'), 30 * 86400000);
+        assert.strictEqual(mobileMemory.parseDuration('12h'), 12 * 3600000);
+        assert.strictEqual(mobileMemory.parseDuration('persistent'), null);
+        assert.throws(() => mobileMemory.parseDuration('soon'), /Invalid duration/);
+    });
+
+    it('expires documents past their type retention but keeps persistent ones', () => {
+        const report = mobileMemory.enforceMemoryLimits({ now: NOW });
+
+        assert.deepStrictEqual(report.expired, [{ type: 'dependencies', retention: '90days' }]);
+        assert.ok(!fs.existsSync(memoryFile('dependencies')));
+        assert.ok(fs.existsSync(memoryFile('project-structure')));
+    });
+
+    it('prunes timestamped array entries and reports them', () => {
+        const report = mobileMemory.enforceMemoryLimits({ now: NOW });
+        const changes = JSON.parse(fs.readFileSync(memoryFile('recent-changes'), 'utf8'));
+
+        assert.deepStrictEqual(report.pruned['recent-changes'], { '$.files': 1, '$.sessions': 1 });
+        assert.deepStrictEqual(changes.files.map(f => f.path), ['app/New.kt']);
+        assert.deepStrictEqual(changes.sessions.map(s => s.focus), ['home']);
+    });
+
+    it('applies olderThan to the given types regardless of retention', () => {
+        const report = mobileMemory.enforceMemoryLimits({ types: ['project-structure'], olderThan: '365days', now: NOW });
+
+        assert.deepStrictEqual(report.expired, [{ type: 'project-structure', retention: '365days' }]);
+        assert.ok(fs.existsSync(memoryFile('dependencies')), 'other types are untouched');
+    });
+
+    it('evicts the least recently updated non-persistent memory to meet the size limit', () => {
+        const report = mobileMemory.enforceMemoryLimits({ types: [], maxSize: '2KB', keep: ['recent-changes'], evict: true, now: NOW });
+
+        assert.deepStrictEqual(report.evicted, ['dependencies', 'compose-screens']);
+        assert.ok(fs.existsSync(memoryFile('project-structure')));
+        assert.ok(fs.existsSync(memoryFile('recent-changes')));
+        assert.strictEqual(report.size.overLimit, false);
+    });
+
+    it('leaves storage backups and corrupt copies out of the size and cleans up stale ones', () => {
+        const old = new Date(Date.now() - 30 * 86400000);
+        writeFiles(MEMORY_DIR, {
+            'compose-screens.json.bak': 'x'.repeat(20000),
+            'build-variants.json.bak': '{}',
+            'dependencies.json.corrupt-2026-05-01T00-00-00-000Z': 'x'.repeat(20000),
+            'dependencies.json.corrupt-recent': '{',
+        });
+        fs.utimesSync(memoryFile('dependencies') + '.corrupt-2026-05-01T00-00-00-000Z', old, old);
+
+        const report = mobileMemory.enforceMemoryLimits({ types: [], maxSize: '8KB', evict: true });
+
+        assert.deepStrictEqual(report.evicted, []);
+        assert.strictEqual(report.size.overLimit, false);
+        assert.deepStrictEqual(fs.readdirSync(MEMORY_DIR).filter(f => !f.endsWith('.json')).sort(),
+            ['compose-screens.json.bak', 'dependencies.json.corrupt-recent']);
+    });
+
+    it('restores a corrupt document from the backup kept when it was last written', () => {
+        mobileMemory.enforceMemoryLimits({ now: NOW });
+        const pruned = fs.readFileSync(memoryFile('recent-changes'), 'utf8');
+        assert.ok(fs.existsSync(memoryFile('recent-changes') + '.bak'));
+
+        mobileMemory.storeMemory('recent-changes', { files: [], sessions: [], lastUpdated: daysAgo(0) }, 'save');
+        fs.writeFileSync(memoryFile('recent-changes'), '{"files": [');
+
+        const report = mobileMemory.enforceMemoryLimits({ types: ['recent-changes'], now: NOW });
+        assert.deepStrictEqual(report.expired, []);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(memoryFile('recent-changes'), 'utf8')), JSON.parse(pruned));
+        assert.ok(fs.readdirSync(MEMORY_DIR).some(f => f.startsWith('recent-changes.json.corrupt-')));
+    });
+});
+
+describe('Memory Export and Import', () => {
+    const PROJECT_DIR = path.join(__dirname, '../fixtures/bundle-project');
+    const MEMORY_DIR = path.join(PROJECT_DIR, '.claude/mobile-memory');
+    const memoryFile = (type) => path.join(MEMORY_DIR, `${type}.json`);
+    let originalCwd;
+
+    beforeEach(() => {
+        cleanupDir(PROJECT_DIR);
+        writeFiles(PROJECT_DIR, {
+            'settings.gradle.kts': 'rootProject.name = "Shop"\ninclude(":app")\n',
+        });
+        writeFiles(MEMORY_DIR, {
+            'compose-screens.json': JSON.stringify({
+                screens: [{ name: 'LoginScreen', previewable: false }],
+                lastUpdated: new Date().toISOString(),
+            }),
+        });
+        originalCwd = process.cwd();
+        process.chdir(PROJECT_DIR);
+    });
+
+    afterEach(() => {
+        process.chdir(originalCwd);
+        cleanupDir(PROJECT_DIR);
+    });
+
+    const incomingBundle = (screens, lastUpdated) => {
+        const bundle = mobileMemory.createMemoryBundle(PROJECT_DIR);
+        bundle.memory['compose-screens'] = { screens, lastUpdated };
+        bundle.memory['dependencies'] = { libraries: [{ group: 'io.ktor', name: 'ktor-client-core' }], lastUpdated };
+        return bundle;
+    };
+
+    it('exports every stored type with project metadata', () => {
+        const bundle = mobileMemory.createMemoryBundle(PROJECT_DIR);
+
+        assert.strictEqual(bundle.format, 'mobile-memory-bundle');
+        assert.strictEqual(bundle.project.name, 'Shop');
+        assert.ok('gitCommit' in bundle.project);
+        assert.deepStrictEqual(Object.keys(bundle.memory), ['compose-screens']);
+    });
+
+    it('previews changes with a dry run', () => {
+        const bundle = incomingBundle([{ name: 'HomeScreen', previewable: true }], new Date().toISOString());
+        const report = mobileMemory.importMemoryBundle(bundle, { dryRun: true });
+
+        assert.strictEqual(report.types['dependencies'].action, 'create');
+        assert.strictEqual(report.types['compose-screens'].action, 'update');
+        assert.ok(report.types['compose-screens'].changes.some(c => c.path === '$.screens[1]' && c.change === 'added'));
+        assert.ok(!fs.existsSync(memoryFile('dependencies')));
+    });
+
+    it('merges arrays, replaces, or keeps the newer document', () => {
+        const older = incomingBundle([{ name: 'LoginScreen', previewable: true }], '2020-01-01T00:00:00.000Z');
+
+        mobileMemory.importMemoryBundle(older, { strategy: 'keep-newer' });
+        assert.strictEqual(JSON.parse(fs.readFileSync(memoryFile('compose-screens'), 'utf8')).screens[0].previewable, false);
+        assert.ok(fs.existsSync(memoryFile('dependencies')), 'missing types are always imported');
+
+        mobileMemory.importMemoryBundle(incomingBundle([{ name: 'HomeScreen' }], older.exportedAt), { strategy: 'merge-arrays' });
+        assert.deepStrictEqual(
+            JSON.parse(fs.readFileSync(memoryFile('compose-screens'), 'utf8')).screens.map(s => s.name),
+            ['LoginScreen', 'HomeScreen']);
+
+        mobileMemory.importMemoryBundle(incomingBundle([{ name: 'SettingsScreen' }], older.exportedAt), { strategy: 'replace' });
+        assert.deepStrictEqual(
+            JSON.parse(fs.readFileSync(memoryFile('compose-screens'), 'utf8')).screens.map(s => s.name),
+            ['SettingsScreen']);
+    });
+
+    it('warns about unknown types and rejects newer bundle versions', () => {
+        const bundle = incomingBundle([], new Date().toISOString());
+        bundle.memory['kmp-modules'] = {};
+
+        assert.deepStrictEqual(mobileMemory.importMemoryBundle(bundle, { dryRun: true }).warnings,
+            ['Skipped unknown memory type: kmp-modules']);
+        assert.throws(() => mobileMemory.importMemoryBundle({ ...bundle, version: 99 }), /newer than supported/);
+    });
+
+    it('skips inherited property names as types and never merges __proto__', () => {
+        const bundle = incomingBundle([], new Date().toISOString());
+        bundle.memory = JSON.parse('{"constructor": {}, "toString": {}, "__proto__": {}}');
+
+        const report = mobileMemory.importMemoryBundle(bundle);
+        assert.deepStrictEqual(report.warnings, [
+            'Skipped unknown memory type: constructor',
+            'Skipped unknown memory type: toString',
+            'Skipped unknown memory type: __proto__',
+        ]);
+        assert.ok(!fs.existsSync(memoryFile('constructor')));
+
+        const merged = mobileMemory.mergeMemory({ screens: [] }, JSON.parse('{"__proto__": {"polluted": true}, "screens": []}'), 'merge-arrays');
+        assert.strictEqual(Object.getPrototypeOf(merged), Object.prototype);
+        assert.strictEqual(merged.polluted, undefined);
+    });
+});
+
+describe('File Fingerprint Cache', () => {
+    const PROJECT_DIR = path.join(__dirname, '../fixtures/cache-project');
+    const CACHE_PATH = path.join(PROJECT_DIR, '.claude/mobile-memory/cache/files.json');
+    const SCREEN_FILE = path.join(PROJECT_DIR, 'app/src/main/java/com/example/HomeScreen.kt');
+
+    beforeEach(() => {
+        cleanupDir(PROJECT_DIR);
+        writeFiles(PROJECT_DIR, {
+            'settings.gradle.kts': 'include(":app")\n',
+            'app/src/main/java/com/example/HomeScreen.kt': '@Composable\nfun HomeScreen() {}\n',
+            'app/src/main/java/com/example/LoginScreen.kt': '@Composable\nfun LoginScreen() {}\n@Preview\n',
+        });
+    });
+
+    afterEach(() => cleanupDir(PROJECT_DIR));
+
+    it('reuses results for unchanged files across refreshes', () => {
+        const first = new mobileMemory.FileCache(CACHE_PATH);
+        const screens = mobileMemory.extractComposeScreens(PROJECT_DIR, first).screens;
+        first.save();
+        assert.deepStrictEqual(first.stats, { hits: 0, rehashed: 0, misses: 2 });
+
+        const second = new mobileMemory.FileCache(CACHE_PATH);
+        assert.deepStrictEqual(mobileMemory.extractComposeScreens(PROJECT_DIR, second).screens, screens);
+        assert.deepStrictEqual(second.stats, { hits: 2, rehashed: 0, misses: 0 });
+    });
+
+    it('re-extracts only files whose content changed', () => {
+        const first = new mobileMemory.FileCache(CACHE_PATH);
+        mobileMemory.extractComposeScreens(PROJECT_DIR, first);
+        first.save();
+
+        // Same content with a new mtime is rehashed, not re-extracted
+        const later = new Date(Date.now() + 60000);
+        fs.utimesSync(path.join(path.dirname(SCREEN_FILE), 'LoginScreen.kt'), later, later);
+        fs.writeFileSync(SCREEN_FILE, '@Composable\nfun HomeScreen() {}\n@Preview\n@Composable\nfun HomeScreenPreview() { HomeScreen() }\n');
+
+        const second = new mobileMemory.FileCache(CACHE_PATH);
+        const screens = mobileMemory.extractComposeScreens(PROJECT_DIR, second).screens;
+        assert.deepStrictEqual(second.stats, { hits: 0, rehashed: 1, misses: 1 });
+        assert.strictEqual(screens.find(screen => screen.name === 'HomeScreen').previewable, true);
+    });
+
+    it('re-extracts everything when forced and forgets deleted files', () => {
+        const first = new mobileMemory.FileCache(CACHE_PATH);
+        mobileMemory.extractComposeScreens(PROJECT_DIR, first);
+        first.save();
+
+        fs.unlinkSync(SCREEN_FILE);
+        const forced = new mobileMemory.FileCache(CACHE_PATH, { force: true });
+        mobileMemory.extractComposeScreens(PROJECT_DIR, forced);
+        forced.save();
+
+        assert.deepStrictEqual(forced.stats, { hits: 0, rehashed: 0, misses: 1 });
+        const summary = new mobileMemory.FileCache(CACHE_PATH).summary();
+        assert.strictEqual(summary.files, 1);
+        assert.strictEqual(summary.lastRefresh.force, true);
+    });
+});
+
+describe('Compose Screen Index', () => {
+    const PROJECT_DIR = path.join(__dirname, '../fixtures/compose-project');
+
+    beforeEach(() => {
+        cleanupDir(PROJECT_DIR);
+        writeFiles(PROJECT_DIR, {
+            'settings.gradle.kts': 'include(":app", ":feature:home", ":feature:profile")\n',
+            'feature/home/src/main/java/com/example/home/HomeScreen.kt': `
+@Composable
+fun HomeScreen(
+    onOpenProfile: (String) -> Unit,
+    viewModel: HomeViewModel = hiltViewModel()
+) {
+    val state by viewModel.state.collectAsState()
+}
+
+@Preview(showBackground = true)
+@Composable
+private fun HomeScreenPreview() {
+    HomeScreen(onOpenProfile = {})
+}
+
+@PreviewLightDark
+@Composable
+private fun HomeScreenDarkPreview() { HomeScreen(onOpenProfile = {}) }
+`,
+            'feature/profile/src/main/java/com/example/profile/ProfileScreen.kt': `
+@Composable
+internal fun ProfileScreen(userId: String) {
+    val viewModel = koinViewModel<ProfileViewModel>()
+}
+
+@Preview
+@Composable
+fun AvatarPreview() { Avatar() }
+`,
+            'app/src/main/java/com/example/AppNavHost.kt': `
+const val HOME_ROUTE = "home"
+
+@Composable
+fun AppNavHost(navController: NavHostController) {
+    NavHost(navController = navController, startDestination = HOME_ROUTE) {
+        composable(HOME_ROUTE) { HomeScreen(onOpenProfile = { navController.navigate("profile/$it") }) }
+        composable("profile/{userId}") { entry -> ProfileScreen(entry.arguments?.getString("userId")!!) }
+    }
+}
+`,
+            'feature/home/src/androidTest/java/com/example/home/HomeScreenTest.kt': `
+class HomeScreenTest {
+    @get:Rule val composeRule = createComposeRule()
+
+    @Test fun showsGreeting() {
+        composeRule.setContent { HomeScreen(onOpenProfile = {}) }
+    }
+}
+`,
+            'feature/profile/src/test/java/com/example/profile/ProfileViewModelTest.kt': 'class ProfileViewModelTest { fun render() = ProfileScreen("1") }\n',
+        });
+    });
+
+    afterEach(() => cleanupDir(PROJECT_DIR));
+
+    it('indexes screens in every module with parameters and ViewModel', () => {
+        const { screens } = mobileMemory.extractComposeScreens(PROJECT_DIR);
+        const home = screens.find(s => s.name === 'HomeScreen');
+        const profile = screens.find(s => s.name === 'ProfileScreen');
+
+        assert.deepStrictEqual(screens.map(s => s.module).sort(), [':feature:home', ':feature:profile']);
+        assert.strictEqual(home.line, 3);
+        assert.deepStrictEqual(home.parameters, [
+            { name: 'onOpenProfile', type: '(String) -> Unit', hasDefault: false },
+            { name: 'viewModel', type: 'HomeViewModel', hasDefault: true }
+        ]);
+        assert.deepStrictEqual(home.viewModel, { type: 'HomeViewModel', provider: 'hilt' });
+        assert.deepStrictEqual(profile.viewModel, { type: 'ProfileViewModel', provider: 'koin' });
+    });
+
+    it('counts only previews that render the screen and links routes and tests', () => {
+        const result = mobileMemory.extractComposeScreens(PROJECT_DIR);
+        const home = result.screens.find(s => s.name === 'HomeScreen');
+        const profile = result.screens.find(s => s.name === 'ProfileScreen');
+
+        assert.strictEqual(home.previewCount, 2);
+        assert.strictEqual(profile.previewCount, 0);
+        assert.strictEqual(profile.previewable, false);
+        assert.strictEqual(home.route, 'home');
+        assert.strictEqual(profile.route, 'profile/{userId}');
+        // Only a Compose UI test counts, not a plain unit test that mentions the screen
+        assert.strictEqual(home.testable, true);
+        assert.strictEqual(profile.testable, false);
+        assert.deepStrictEqual(result.navigation, { type: 'compose-navigation', graphFile: 'app/src/main/java/com/example/AppNavHost.kt' });
+    });
+});
+
+describe('Dependency Injection Graph', () => {
+    const PROJECT_DIR = path.join(__dirname, '../fixtures/di-project');
+    const SOURCE_DIR = 'app/src/main/java/com/example';
+
+    const extract = (files) => {
+        writeFiles(PROJECT_DIR, { 'settings.gradle.kts': 'include(":app")\n', ...files });
+        return mobileMemory.extractDependencyInjection(PROJECT_DIR);
+    };
+
+    afterEach(() => {
+        cleanupDir(PROJECT_DIR);
+    });
+
+    it('builds the Hilt graph from modules, bindings and inject constructors', () => {
+        const di = extract({
+            [`${SOURCE_DIR}/di/NetworkModule.kt`]: `
+@Module
+@InstallIn(SingletonComponent::class)
+object NetworkModule {
+    @Provides
+    @Singleton
+    fun provideOkHttp(): OkHttpClient = OkHttpClient()
+
+    @Provides
+    fun provideApi(client: OkHttpClient, json: Json): UserApi = Retrofit.create(client)
+}
+
+@Module
+@InstallIn(SingletonComponent::class)
+abstract class DataModule {
+    @Binds
+    abstract fun bindUserRepository(impl: UserRepositoryImpl): UserRepository
+
+    @Binds @IntoSet
+    abstract fun bindLogging(impl: LoggingInterceptor): Interceptor
+}
+`,
+            [`${SOURCE_DIR}/data/UserRepositoryImpl.kt`]: `
+class UserRepositoryImpl @Inject constructor(
+    private val api: UserApi,
+    private val interceptors: Set<@JvmSuppressWildcards Interceptor>
+) : UserRepository
+
+class LoggingInterceptor @Inject constructor() : Interceptor
+`,
+            [`${SOURCE_DIR}/ui/ProfileViewModel.kt`]: `
+@HiltViewModel
+class ProfileViewModel @Inject constructor(
+    private val repository: Lazy<UserRepository>,
+    private val savedStateHandle: SavedStateHandle
+) : ViewModel()
+
+@AndroidEntryPoint
+class MainActivity : ComponentActivity() {
+    @Inject lateinit var analytics: Analytics
+}
+`,
+        });
+
+        assert.strictEqual(di.framework, 'hilt');
+        assert.deepStrictEqual(di.modules.map(m => [m.name, m.installIn]), [
+            ['NetworkModule', 'SingletonComponent'],
+            ['DataModule', 'SingletonComponent'],
+        ]);
+
+        const binding = di.bindings.find(b => b.type === 'UserRepository');
+        assert.strictEqual(binding.kind, 'binds');
+        assert.strictEqual(binding.provider, 'DataModule.bindUserRepository');
+        assert.ok(di.bindings.some(b => b.type === 'ProfileViewModel' && b.kind === 'hilt-viewmodel'));
+        assert.ok(di.bindings.some(b => b.type === 'Set<Interceptor>'));
+
+        assert.ok(di.edges.some(e => e.from === 'DataModule.bindUserRepository' && e.to === 'ProfileViewModel'));
+        assert.ok(di.edges.some(e => e.from === 'NetworkModule.provideOkHttp' && e.to === 'NetworkModule.provideApi'));
+        assert.ok(di.edges.some(e => e.from === 'DataModule.bindLogging' && e.to === 'UserRepositoryImpl'));
+
+        assert.deepStrictEqual(di.missingBindings.map(m => [m.type, m.requestedBy]), [
+            ['Json', 'NetworkModule.provideApi'],
+            ['Analytics', 'MainActivity'],
+        ]);
+    });
+
+    it('builds the Koin graph from module definitions', () => {
+        const di = extract({
+            [`${SOURCE_DIR}/di/AppModule.kt`]: `
+val appModule = module {
+    single { HttpClient() }
+    single<UserRepository> { UserRepositoryImpl(get(), get()) }
+    factoryOf(::GetUserUseCase)
+    viewModelOf(::ProfileViewModel)
+    singleOf(::DiskCache) { bind<Cache>() }
+}
+`,
+            [`${SOURCE_DIR}/Classes.kt`]: `
+class UserRepositoryImpl(private val client: HttpClient, private val database: Database) : UserRepository
+class GetUserUseCase(private val repository: UserRepository)
+class ProfileViewModel(private val getUser: GetUserUseCase, val tag: String = "profile") : ViewModel()
+class DiskCache(private val context: Context) : Cache
+
+class ProfileActivity : ComponentActivity() {
+    private val viewModel: ProfileViewModel by viewModel()
+    private val cache by inject<Cache>()
+}
+`,
+        });
+
+        assert.strictEqual(di.framework, 'koin');
+        assert.deepStrictEqual(di.modules.map(m => m.name), ['appModule']);
+        assert.deepStrictEqual(
+            di.bindings.map(b => [b.type, b.kind]),
+            [
+                ['HttpClient', 'single'],
+                ['UserRepository', 'single'],
+                ['GetUserUseCase', 'factory'],
+                ['ProfileViewModel', 'viewModel'],
+                ['DiskCache', 'single'],
+                ['Cache', 'single'],
+            ]
+        );
+        assert.ok(di.edges.some(e => e.type === 'UserRepository' && e.to === 'GetUserUseCase'));
+        assert.ok(di.edges.some(e => e.type === 'Cache' && e.to === 'ProfileActivity'));
+        assert.deepStrictEqual(di.missingBindings.map(m => [m.type, m.requestedBy]), [['Database', 'UserRepositoryImpl']]);
+    });
+
+    it('reads Dagger components and replaces the path-based Koin guess', () => {
+        writeFiles(PROJECT_DIR, {
+            'settings.gradle.kts': 'include(":app")\n',
+            [`${SOURCE_DIR}/di/AppComponent.kt`]: `
+@Singleton
+@Component(modules = [StorageModule::class], dependencies = [CoreComponent::class])
+interface AppComponent {
+    fun inject(activity: MainActivity)
+    fun repository(): Repository
+
+    @Component.Factory
+    interface Factory {
+        fun create(@BindsInstance config: AppConfig): AppComponent
+    }
+}
+
+@Module
+class StorageModule {
+    @Provides
+    fun provideDatabase(config: AppConfig): Database = Database(config)
+}
+
+class Repository @Inject constructor(private val database: Database)
+`,
+        });
+
+        const arch = mobileMemory.extractArchitecture(PROJECT_DIR);
+
+        assert.strictEqual(arch.di.framework, 'dagger');
+        assert.deepStrictEqual(arch.di.components.map(c => [c.name, c.modules, c.dependencies, c.injects]), [
+            ['AppComponent', ['StorageModule'], ['CoreComponent'], ['MainActivity']],
+        ]);
+        assert.ok(arch.di.edges.some(e => e.from === 'AppComponent' && e.to === 'StorageModule.provideDatabase'));
+        assert.ok(arch.di.edges.some(e => e.from === 'Repository' && e.to === 'AppComponent'));
+        assert.deepStrictEqual(arch.di.missingBindings, []);
+    });
+
+    it('reports no framework for sources without DI declarations', () => {
+        const di = extract({
+            [`${SOURCE_DIR}/module/di/Helpers.kt`]: 'class Helper(private val name: String)\n',
+        });
+
+        assert.strictEqual(di.framework, null);
+        assert.deepStrictEqual(di.missingBindings, []);
+    });
+});
+
+describe('Android Manifest', () => {
+    const PROJECT_DIR = path.join(__dirname, '../fixtures/manifest-project');
+
+    beforeEach(() => {
+        cleanupDir(PROJECT_DIR);
+        writeFiles(PROJECT_DIR, {
+            'settings.gradle.kts': 'include(":app", ":core")\n',
+            'app/build.gradle.kts': 'plugins { id("com.android.application") }\nandroid { namespace = "com.example.app" }\n',
+            'core/build.gradle.kts': 'plugins { id("com.android.library") }\nandroid { namespace = "com.example.core" }\n',
+            'app/src/main/AndroidManifest.xml': `<?xml version="1.0" encoding="utf-8"?>
+<manifest xmlns:android="http://schemas.android.com/apk/res/android"
+    xmlns:tools="http://schemas.android.com/tools">
+    <uses-permission android:name="android.permission.INTERNET" />
+    <uses-permission android:name="android.permission.READ_CONTACTS" tools:node="remove" />
+    <uses-feature android:name="android.hardware.camera" android:required="false" />
+    <!-- <activity android:name=".LegacyActivity" /> -->
+    <application android:name=".App" android:allowBackup="false">
+        <activity android:name=".MainActivity" android:exported="true">
+            <intent-filter>
+                <action android:name="android.intent.action.MAIN" />
+                <category android:name="android.intent.category.LAUNCHER" />
+            </intent-filter>
+            <intent-filter android:autoVerify="true">
+                <action android:name="android.intent.action.VIEW" />
+                <category android:name="android.intent.category.BROWSABLE" />
+                <data android:scheme="https" android:host="example.com" android:pathPrefix="/profile" />
+            </intent-filter>
+        </activity>
+        <service android:name="com.example.app.sync.SyncService" android:exported="true" />
+        <receiver android:name=".BootReceiver">
+            <intent-filter>
+                <action android:name="android.intent.action.BOOT_COMPLETED" />
+            </intent-filter>
+        </receiver>
+    </application>
+</manifest>
+`,
+            'app/src/debug/AndroidManifest.xml': `<manifest xmlns:android="http://schemas.android.com/apk/res/android">
+    <application android:usesCleartextTraffic="true" />
+</manifest>
+`,
+            'core/src/main/AndroidManifest.xml': `<manifest xmlns:android="http://schemas.android.com/apk/res/android">
+    <uses-permission android:name="android.permission.INTERNET" />
+    <uses-permission android:name="android.permission.READ_CONTACTS" />
+    <application>
+        <provider android:name="androidx.startup.InitializationProvider"
+            android:authorities="\${applicationId}.startup" android:exported="false" />
+    </application>
+</manifest>
+`,
+        });
+    });
+
+    afterEach(() => {
+        cleanupDir(PROJECT_DIR);
+    });
+
+    it('merges components of every module with resolved names and intent filters', () => {
+        const manifest = mobileMemory.extractAndroidManifest(PROJECT_DIR);
+
+        assert.deepStrictEqual(manifest.manifests.map(m => `${m.module}/${m.sourceSet}`), [':core/main', ':app/main', ':app/debug']);
+        assert.deepStrictEqual(manifest.components.map(c => [c.type, c.name, c.exported]), [
+            ['provider', 'androidx.startup.InitializationProvider', false],
+            ['activity', 'com.example.app.MainActivity', true],
+            ['service', 'com.example.app.sync.SyncService', true],
+            ['receiver', 'com.example.app.BootReceiver', null],
+        ]);
+
+        const main = manifest.components.find(c => c.type === 'activity');
+        assert.strictEqual(main.launcher, true);
+        assert.deepStrictEqual(main.intentFilters[1], {
+            actions: ['android.intent.action.VIEW'],
+            categories: ['android.intent.category.BROWSABLE'],
+            schemes: ['https'],
+            hosts: ['example.com'],
+            paths: ['/profile'],
+            mimeTypes: [],
+            autoVerify: true,
+        });
+        assert.deepStrictEqual(manifest.deepLinks, [
+            { uri: 'https://example.com/profile', component: 'com.example.app.MainActivity', autoVerify: true },
+        ]);
+        assert.strictEqual(manifest.components[0].authorities, '${applicationId}.startup');
+    });
+
+    it('merges permissions and features, honouring tools:node="remove"', () => {
+        const manifest = mobileMemory.extractAndroidManifest(PROJECT_DIR);
+
+        assert.deepStrictEqual(manifest.permissions, [
+            { name: 'android.permission.INTERNET', maxSdkVersion: null, modules: [':core', ':app'], sourceSets: ['main'] },
+        ]);
+        assert.deepStrictEqual(manifest.features.map(f => [f.name, f.required]), [['android.hardware.camera', false]]);
+    });
+
+    it('keeps variant application attributes apart and flags risky declarations', () => {
+        const manifest = mobileMemory.extractAndroidManifest(PROJECT_DIR);
+
+        assert.deepStrictEqual(manifest.application.attributes, { name: 'com.example.app.App', allowBackup: false });
+        assert.deepStrictEqual(manifest.application.variants, { debug: { usesCleartextTraffic: true } });
+        assert.deepStrictEqual(manifest.warnings.map(w => w.component), [
+            'com.example.app.sync.SyncService',
+            'com.example.app.BootReceiver',
+        ]);
+
+        writeFiles(PROJECT_DIR, {
+            'app/src/main/AndroidManifest.xml': `<manifest xmlns:android="http://schemas.android.com/apk/res/android">
+    <application android:debuggable="true" android:usesCleartextTraffic="true" />
+</manifest>
+`,
+        });
+        const messages = mobileMemory.extractAndroidManifest(PROJECT_DIR).warnings.map(w => w.message);
+        assert.ok(messages.some(m => m.includes('debuggable')));
+        assert.ok(messages.some(m => m.includes('usesCleartextTraffic')));
+    });
+});
+
+describe('Room Database', () => {
+    const PROJECT_DIR = path.join(__dirname, '../fixtures/room-project');
+    const SOURCE_DIR = 'app/src/main/java/com/example/db';
+    const SCHEMA_DIR = 'app/schemas/com.example.db.AppDatabase';
+
+    // Exported schema of the users table as Room writes it
+    const exportedSchema = (version, fields) => JSON.stringify({
+        formatVersion: 1,
+        database: { version, entities: [{ tableName: 'users', fields }] }
+    });
+
+    beforeEach(() => {
+        cleanupDir(PROJECT_DIR);
+        writeFiles(PROJECT_DIR, {
+            'settings.gradle.kts': 'include(":app")\n',
+            [`${SOURCE_DIR}/AppDatabase.kt`]: `
+@Database(
+    entities = [User::class],
+    version = 4,
+    autoMigrations = [AutoMigration(from = 2, to = 3, spec = AppDatabase.RenameSpec::class)]
+)
+abstract class AppDatabase : RoomDatabase() {
+    abstract fun userDao(): UserDao
+}
+
+val MIGRATION_1_2 = object : Migration(1, 2) {
+    override fun migrate(db: SupportSQLiteDatabase) {
+        db.execSQL("ALTER TABLE users ADD COLUMN email TEXT")
+    }
+}
+`,
+            [`${SOURCE_DIR}/User.kt`]: `
+@Entity(tableName = "users", indices = [Index(value = ["email"], unique = true)])
+data class User(
+    @PrimaryKey(autoGenerate = true) val id: Long = 0,
+    @ColumnInfo(name = "user_name") val name: String,
+    val email: String?,
+    @Ignore val selected: Boolean = false
+)
+`,
+            [`${SOURCE_DIR}/UserDao.kt`]: `
+@Dao
+interface UserDao {
+    @Query("SELECT * FROM users WHERE id IN (:ids)")
+    fun observe(ids: List<Long>): Flow<List<User>>
+
+    @Insert(onConflict = OnConflictStrategy.REPLACE)
+    suspend fun insert(user: User)
+}
+`,
+            [`${SCHEMA_DIR}/3.json`]: exportedSchema(3, [
+                { fieldPath: 'id', columnName: 'id', affinity: 'INTEGER', notNull: true },
+                { fieldPath: 'name', columnName: 'user_name', affinity: 'TEXT', notNull: true },
+                { fieldPath: 'age', columnName: 'age', affinity: 'INTEGER', notNull: true },
+            ]),
+        });
+    });
+
+    afterEach(() => cleanupDir(PROJECT_DIR));
+
+    it('reads databases, entities with columns and indices, and DAO queries', () => {
+        const room = mobileMemory.extractRoomDatabase(PROJECT_DIR);
+        const [database] = room.databases;
+        const [user] = room.entities;
+
+        assert.strictEqual(database.name, 'AppDatabase');
+        assert.strictEqual(database.version, 4);
+        assert.deepStrictEqual(database.entities, ['User']);
+        assert.deepStrictEqual(database.autoMigrations, [{ from: 2, to: 3, spec: 'AppDatabase.RenameSpec' }]);
+
+        assert.strictEqual(user.tableName, 'users');
+        assert.deepStrictEqual(user.columns.map(c => [c.name, c.field, c.nullable]),
+            [['id', 'id', false], ['user_name', 'name', false], ['email', 'email', true]]);
+        assert.deepStrictEqual(user.primaryKey, ['id']);
+        assert.deepStrictEqual(user.indices, [{ name: null, columns: ['email'], unique: true }]);
+
+        assert.deepStrictEqual(room.daos[0].methods.map(m => [m.name, m.kind, m.tables, m.returns, m.suspend]), [
+            ['observe', 'query', ['users'], 'Flow<List<User>>', false],
+            ['insert', 'insert', [], 'Unit', true]
+        ]);
+    });
+
+    it('flags version steps that no migration covers', () => {
+        const room = mobileMemory.extractRoomDatabase(PROJECT_DIR);
+
+        assert.deepStrictEqual(room.migrations.map(m => [m.name, m.from, m.to]), [['MIGRATION_1_2', 1, 2]]);
+        assert.deepStrictEqual(room.warnings.filter(w => w.message.startsWith('No migration')).map(w => w.message),
+            ['No migration from version 3 to 4']);
+    });
+
+    it('does not count a migration that skips a version as covering it', () => {
+        writeFiles(PROJECT_DIR, {
+            [`${SOURCE_DIR}/AppDatabase.kt`]: `
+@Database(entities = [User::class], version = 3, exportSchema = false)
+abstract class AppDatabase : RoomDatabase()
+
+val MIGRATION_1_3 = object : Migration(1, 3) {
+    override fun migrate(db: SupportSQLiteDatabase) {}
+}
+`,
+        });
+        const room = mobileMemory.extractRoomDatabase(PROJECT_DIR);
+
+        assert.deepStrictEqual(room.migrations.map(m => [m.from, m.to]), [[1, 3]]);
+        assert.deepStrictEqual(room.warnings.filter(w => w.message.startsWith('No migration')).map(w => w.message),
+            ['No migration from version 2 to 3']);
+    });
+
+    it('compares entities with the latest exported schema', () => {
+        writeFiles(PROJECT_DIR, {
+            [`${SCHEMA_DIR}/4.json`]: exportedSchema(4, [
+                { fieldPath: 'id', columnName: 'id', affinity: 'INTEGER', notNull: true },
+                { fieldPath: 'name', columnName: 'user_name', affinity: 'TEXT', notNull: true },
+                { fieldPath: 'email', columnName: 'email', affinity: 'TEXT', notNull: true },
+            ]),
+        });
+        const room = mobileMemory.extractRoomDatabase(PROJECT_DIR);
+
+        assert.deepStrictEqual(room.schemas.map(s => s.version).sort(), [3, 4]);
+        assert.strictEqual(room.databases[0].latestSchema, 4);
+        assert.deepStrictEqual(room.warnings.filter(w => w.entity).map(w => [w.entity, w.message]),
+            [['User', 'Differs from exported schema 4: email now nullable']]);
+    });
+});
+
+describe('Static Analysis', () => {
+    const PROJECT_DIR = path.join(__dirname, '../fixtures/analysis-project');
+    const mainFile = path.join(PROJECT_DIR, 'app/src/main/java/com/example/Main.kt');
+
+    const lintIssue = (id, severity, message, file, line) =>
+        `<issue id="${id}" severity="${severity}" message="${message}"><location file="${file}" line="${line}"/></issue>`;
+
+    beforeEach(() => {
+        cleanupDir(PROJECT_DIR);
+        writeFiles(PROJECT_DIR, {
+            'settings.gradle.kts': 'include(":app", ":core")\n',
+            'app/src/main/java/com/example/Main.kt': 'class Main\n',
+            'app/build/reports/lint-results-debug.xml': `<issues format="6">
+${lintIssue('HardcodedText', 'Warning', 'Hardcoded string &quot;Hi&quot;', 'src/main/res/layout/main.xml', 12)}
+${lintIssue('MissingPermission', 'Error', 'Call requires permission', mainFile, 40)}
+</issues>`,
+            // The release report repeats the debug findings
+            'app/build/reports/lint-results-release.xml': `<issues format="6">
+${lintIssue('MissingPermission', 'Error', 'Call requires permission', mainFile, 40)}
+</issues>`,
+            'app/lint-baseline.xml': `<issues format="6">
+${lintIssue('HardcodedText', 'Warning', 'Hardcoded string &quot;Hi&quot;', 'src/main/res/layout/main.xml', 10)}
+${lintIssue('UnusedResources', 'Warning', 'R.string.old appears to be unused', 'src/main/res/values/strings.xml', 3)}
+</issues>`,
+            'app/build/reports/detekt/detekt.sarif': JSON.stringify({
+                version: '2.1.0',
+                runs: [{
+                    tool: { driver: { name: 'detekt' } },
+                    results: [{
+                        ruleId: 'detekt.style.MagicNumber',
+                        level: 'warning',
+                        message: { text: 'This expression contains a magic number.' },
+                        locations: [{ physicalLocation: { artifactLocation: { uri: `file://${mainFile}` }, region: { startLine: 7 } } }]
+                    }]
+                }]
+            }),
+            'core/build/reports/ktlint/ktlintMainSourceSetCheck.xml': `<checkstyle version="8.0">
+<file name="src/main/java/Net.kt"><error line="3" severity="error" message="Wildcard import" source="standard:no-wildcard-imports"/></file>
+</checkstyle>`,
+        });
+    });
+
+    afterEach(() => cleanupDir(PROJECT_DIR));
+
+    it('normalizes lint, SARIF and checkstyle reports into one issue list with counts', () => {
+        const analysis = mobileMemory.extractStaticAnalysis(PROJECT_DIR);
+
+        assert.deepStrictEqual(analysis.issues.map(i => [i.tool, i.rule, i.severity, i.file, i.line, i.module]).sort(), [
+            ['detekt', 'MagicNumber', 'warning', 'app/src/main/java/com/example/Main.kt', 7, ':app'],
+            ['ktlint', 'standard:no-wildcard-imports', 'error', 'core/src/main/java/Net.kt', 3, ':core'],
+            ['lint', 'HardcodedText', 'warning', 'app/src/main/res/layout/main.xml', 12, ':app'],
+            ['lint', 'MissingPermission', 'error', 'app/src/main/java/com/example/Main.kt', 40, ':app'],
+        ]);
+        assert.deepStrictEqual(analysis.byModule.map(m => [m.module, m.total, m.errors]), [[':app', 3, 1], [':core', 1, 1]]);
+        assert.deepStrictEqual(analysis.byRule.find(r => r.rule === 'MagicNumber'),
+            { rule: 'MagicNumber', total: 1, errors: 0, warnings: 1, new: 0, tool: 'detekt' });
+        assert.strictEqual(analysis.reports.length, 4);
+    });
+
+    it('marks lint issues missing from the baseline as new and lists fixed baseline entries', () => {
+        const analysis = mobileMemory.extractStaticAnalysis(PROJECT_DIR);
+
+        assert.deepStrictEqual(analysis.issues.filter(i => i.new).map(i => i.rule), ['MissingPermission']);
+        assert.deepStrictEqual(analysis.baseline.fixed.map(f => [f.rule, f.file]),
+            [['UnusedResources', 'app/src/main/res/values/strings.xml']]);
+        assert.deepStrictEqual([analysis.summary.new, analysis.summary.fixed], [1, 1]);
+    });
+
+    it('compares tools without a baseline with the previous refresh', () => {
+        const previous = mobileMemory.extractStaticAnalysis(PROJECT_DIR);
+        writeFiles(PROJECT_DIR, {
+            'core/build/reports/ktlint/ktlintMainSourceSetCheck.xml': `<checkstyle version="8.0">
+<file name="src/main/java/Net.kt"><error line="3" severity="error" message="Wildcard import" source="standard:no-wildcard-imports"/></file>
+<file name="src/main/java/Cache.kt"><error line="9" severity="error" message="Exceeded max line length" source="standard:max-line-length"/></file>
+</checkstyle>`,
+        });
+
+        const analysis = mobileMemory.extractStaticAnalysis(PROJECT_DIR, previous);
+        assert.deepStrictEqual(analysis.issues.filter(i => i.new).map(i => i.rule).sort(),
+            ['MissingPermission', 'standard:max-line-length']);
+    });
+});
+
+describe('App Size', () => {
+    const PROJECT_DIR = path.join(__dirname, '../fixtures/app-size-project');
+    const apkFile = path.join(PROJECT_DIR, 'app/build/outputs/apk/release/app-release.apk');
+
+    const release = (dexSize, abis) => ({
+        'AndroidManifest.xml': 'm'.repeat(200),
+        'classes.dex': 'd'.repeat(dexSize),
+        'resources.arsc': 'r'.repeat(500),
+        'res/drawable/logo.png': 'p'.repeat(300),
+        'assets/fonts/inter.ttf': 'f'.repeat(800),
+        'META-INF/CERT.RSA': 'c'.repeat(50),
+        ...Object.fromEntries(abis.map(abi => [`lib/${abi}/libsqlite.so`, 's'.repeat(1000)])),
+    });
+
+    beforeEach(() => {
+        cleanupDir(PROJECT_DIR);
+        writeFiles(PROJECT_DIR, { 'settings.gradle.kts': 'include(":app")\n', 'app/build.gradle.kts': '' });
+    });
+
+    afterEach(() => cleanupDir(PROJECT_DIR));
+
+    it('breaks an APK down by category and ABI and lists the largest entries', () => {
+        writeZip(apkFile, release(4000, ['arm64-v8a', 'x86_64']), { stored: ['lib/arm64-v8a/libsqlite.so'] });
+        const analysis = mobileMemory.analyzeArtifact(apkFile, { top: 2 });
+
+        assert.strictEqual(analysis.format, 'apk');
+        assert.strictEqual(analysis.totals.uncompressed, 7850);
+        assert.deepStrictEqual(Object.fromEntries(Object.entries(analysis.categories).map(([c, t]) => [c, t.uncompressed])),
+            { dex: 4000, resources: 1000, native: 2000, assets: 800, metadata: 50, other: 0 });
+        // The stored library keeps its full size; the deflated one shrinks
+        assert.strictEqual(analysis.abis['arm64-v8a'].compressed, 1000);
+        assert.ok(analysis.abis.x86_64.compressed < 1000);
+        assert.deepStrictEqual(analysis.largest.map(e => e.name), ['classes.dex', 'lib/arm64-v8a/libsqlite.so']);
+    });
+
+    it('groups AAB entries by bundle module and diffs two artifacts entry by entry', () => {
+        const bundle = path.join(PROJECT_DIR, 'app/build/outputs/bundle/release/app-release.aab');
+        writeZip(bundle, {
+            'BundleConfig.pb': 'b',
+            'base/dex/classes.dex': 'd'.repeat(3000),
+            'base/manifest/AndroidManifest.xml': 'm'.repeat(100),
+            'base/resources.pb': 'r'.repeat(400),
+            'base/lib/armeabi-v7a/libsqlite.so': 's'.repeat(900),
+            'camera/dex/classes.dex': 'c'.repeat(700),
+        });
+        const aab = mobileMemory.analyzeArtifact(bundle);
+        assert.strictEqual(aab.format, 'aab');
+        assert.deepStrictEqual([aab.categories.dex.uncompressed, aab.categories.resources.uncompressed], [3700, 500]);
+        assert.deepStrictEqual(Object.keys(aab.abis), ['armeabi-v7a']);
+        assert.deepStrictEqual(Object.fromEntries(Object.entries(aab.modules).map(([m, t]) => [m, t.uncompressed])),
+            { base: 4400, camera: 700 });
+
+        const before = path.join(PROJECT_DIR, 'releases/2.3.0.apk');
+        writeZip(before, release(4000, ['arm64-v8a']));
+        writeZip(apkFile, release(5500, ['arm64-v8a', 'x86_64']));
+        const diff = mobileMemory.diffArtifacts(
+            mobileMemory.analyzeArtifact(before, { includeEntries: true }),
+            mobileMemory.analyzeArtifact(apkFile, { includeEntries: true }));
+
+        assert.strictEqual(diff.totals.uncompressed, 2500);
+        assert.deepStrictEqual(Object.keys(diff.categories).sort(), ['dex', 'native']);
+        assert.deepStrictEqual(Object.keys(diff.abis), ['x86_64']);
+        assert.deepStrictEqual(diff.entries.map(e => [e.name, e.change, e.uncompressed]), [
+            ['classes.dex', 'changed', 1500],
+            ['lib/x86_64/libsqlite.so', 'added', 1000],
+        ]);
+    });
+
+    it('tracks size growth across builds in the stored history', () => {
+        writeZip(apkFile, release(4000, ['arm64-v8a']));
+        fs.utimesSync(apkFile, new Date('2026-10-01'), new Date('2026-10-01'));
+        const first = mobileMemory.extractAppSize(PROJECT_DIR);
+        assert.deepStrictEqual(first.artifacts.map(a => [a.file, a.module, a.variant, a.sincePrevious]),
+            [['app/build/outputs/apk/release/app-release.apk', ':app', 'release', null]]);
+
+        // Refreshing without a new build records nothing
+        assert.strictEqual(mobileMemory.extractAppSize(PROJECT_DIR, first).history.length, 1);
+
+        writeZip(apkFile, release(6000, ['arm64-v8a']));
+        const second = mobileMemory.extractAppSize(PROJECT_DIR, first);
+        assert.strictEqual(second.history.length, 2);
+        assert.strictEqual(second.artifacts[0].sincePrevious.totals.uncompressed, 2000);
+        assert.deepStrictEqual(Object.keys(second.artifacts[0].sincePrevious.categories), ['dex']);
+    });
+});
+
+describe('Memory Snapshots and Diff', () => {
+    const PROJECT_DIR = path.join(__dirname, '../fixtures/snapshot-project');
+    const HISTORY_DIR = path.join(PROJECT_DIR, '.claude/mobile-memory/history');
+    const memoryFile = path.join(PROJECT_DIR, '.claude/mobile-memory/dependencies.json');
+    let originalCwd;
+
+    // Store a dependencies document and snapshot it as if saved at the given date
+    const save = (data, savedAt) => {
+        fs.writeFileSync(memoryFile, JSON.stringify(data));
+        return mobileMemory.recordSnapshot('dependencies', data, { now: savedAt });
+    };
+
+    beforeEach(() => {
+        cleanupDir(PROJECT_DIR);
+        fs.mkdirSync(path.dirname(memoryFile), { recursive: true });
+        originalCwd = process.cwd();
+        process.chdir(PROJECT_DIR);
+    });
+
+    afterEach(() => {
+        process.chdir(originalCwd);
+        cleanupDir(PROJECT_DIR);
+    });
+
+    it('keeps a bounded history and skips saves that change nothing', () => {
+        assert.strictEqual(save({ libraries: [], lastSync: '2026-10-01T00:00:00.000Z' }, '2026-10-01T00:00:00.000Z'), 1);
+        assert.strictEqual(save({ libraries: [], lastSync: '2026-10-02T00:00:00.000Z' }, '2026-10-02T00:00:00.000Z'), null);
+
+        for (let i = 0; i < 4; i++) {
+            mobileMemory.recordSnapshot('dependencies', { libraries: [{ name: `lib${i}` }] }, { limit: 3 });
+        }
+
+        assert.deepStrictEqual(mobileMemory.listSnapshots('dependencies').map(s => s.id), [3, 4, 5]);
+        assert.deepStrictEqual(fs.readdirSync(path.join(HISTORY_DIR, 'dependencies')).sort(), ['3.json', '4.json', '5.json']);
+    });
+
+    it('reports entries added, removed and changed by identity', () => {
+        save({
+            libraries: [{ name: 'okhttp', version: '4.11.0' }, { name: 'gson', version: '2.10' }],
+            modules: [':app', ':legacy'],
+        }, '2026-10-01T00:00:00.000Z');
+        save({
+            libraries: [{ name: 'coil', version: '2.5.0' }, { name: 'okhttp', version: '4.12.0' }],
+            modules: [':app'],
+        }, '2026-10-10T00:00:00.000Z');
+
+        const diff = mobileMemory.diffMemory('dependencies', { from: '1', to: 'latest' });
+
+        assert.deepStrictEqual(diff.from.id, 1);
+        assert.deepStrictEqual(diff.to.id, 2);
+        assert.deepStrictEqual(diff.summary, { added: 1, removed: 2, changed: 1 });
+        assert.deepStrictEqual(diff.sections, {
+            libraries: { added: 1, removed: 1, changed: 1 },
+            modules: { added: 0, removed: 1, changed: 0 },
+        });
+        assert.deepStrictEqual(
+            diff.changes.find(c => c.change === 'changed'),
+            { path: '$.libraries[name:okhttp].version', change: 'changed', before: '4.11.0', after: '4.12.0' }
+        );
+        assert.ok(diff.changes.some(c => c.path === '$.libraries[name:coil]' && c.change === 'added'));
+        assert.ok(diff.changes.some(c => c.path === '$.modules' && c.change === 'removed' && c.before === ':legacy'));
+    });
+
+    it('compares the current memory with the last snapshot before a date', () => {
+        save({ modules: [':app'] }, '2026-09-01T00:00:00.000Z');
+        save({ modules: [':app', ':feature:home'] }, '2026-09-20T00:00:00.000Z');
+        save({ modules: [':app', ':feature:home', ':feature:auth'] }, '2026-10-10T00:00:00.000Z');
+
+        const since = mobileMemory.diffMemory('dependencies', { since: '2026-09-25' });
+        assert.strictEqual(since.from.id, 2);
+        assert.strictEqual(since.to.id, 'current');
+        assert.deepStrictEqual(since.changes.map(c => c.after), [':feature:auth']);
+
+        const relative = mobileMemory.diffMemory('dependencies', { since: '30days', now: Date.parse('2026-10-12T00:00:00.000Z') });
+        assert.strictEqual(relative.from.id, 1);
+
+        const beforeHistory = mobileMemory.diffMemory('dependencies', { since: '2026-01-01' });
+        assert.strictEqual(beforeHistory.from.id, 1);
+        assert.match(beforeHistory.from.note, /oldest/);
+
+        assert.throws(() => mobileMemory.diffMemory('dependencies', { from: '9' }), /No snapshot 9/);
+        assert.throws(() => mobileMemory.diffMemory('architecture'), /No snapshots of architecture/);
+    });
+
+    it('drops old snapshots before evicting memory when over the size limit', () => {
+        for (let i = 0; i < 5; i++) {
+            save({ libraries: [{ name: `lib${i}`, padding: 'x'.repeat(200) }] }, `2026-10-0${i + 1}T00:00:00.000Z`);
+        }
+
+        const report = mobileMemory.enforceMemoryLimits({ maxSize: '1KB', evict: true });
+
+        assert.ok(report.snapshots > 0);
+        assert.deepStrictEqual(report.evicted, []);
+        assert.ok(fs.existsSync(memoryFile));
+        assert.ok(!report.size.overLimit);
+        assert.strictEqual(mobileMemory.listSnapshots('dependencies')[0].id, report.snapshots + 1);
+    });
+
+    it('reports a corrupt snapshot as unreadable and skips it when trimming', () => {
+        for (let i = 0; i < 3; i++) {
+            save({ libraries: [{ name: `lib${i}`, padding: 'x'.repeat(200) }] }, `2026-10-0${i + 1}T00:00:00.000Z`);
+        }
+        const corrupt = (id) => fs.writeFileSync(path.join(HISTORY_DIR, 'dependencies', `${id}.json`), '{"type":');
+
+        corrupt(1);
+        const report = mobileMemory.enforceMemoryLimits({ maxSize: '1KB', evict: true });
+        assert.strictEqual(report.snapshots, 1);
+        assert.deepStrictEqual(mobileMemory.listSnapshots('dependencies').map(s => s.id), [3]);
+
+        corrupt(3);
+        assert.throws(() => mobileMemory.diffMemory('dependencies', { from: '3' }), /dependencies snapshot 3 unreadable/);
+    });
+});
+
+describe('Memory Prompts', () => {
+    const PROJECT_DIR = path.join(__dirname, '../fixtures/prompt-project');
+    const MEMORY_DIR = path.join(PROJECT_DIR, '.claude/mobile-memory');
+    const promptText = (name, args) => mobileMemory.buildPrompt(name, args).messages[0].content.text;
+    let originalCwd;
+
+    beforeEach(() => {
+        cleanupDir(PROJECT_DIR);
+        writeFiles(MEMORY_DIR, {
+            'project-structure.json': JSON.stringify({
+                modules: ['app', 'feature/home', 'feature/profile', 'core/data'],
+                featureModules: ['home', 'profile'],
+            }),
+            'module-graph.json': JSON.stringify({
+                adjacency: { ':app': [':feature:home', ':feature:profile'], ':feature:home': [':core:data'], ':feature:profile': [':core:data'], ':core:data': [] },
+                edges: [
+                    { from: ':app', to: ':feature:home', configuration: 'implementation' },
+                    { from: ':feature:home', to: ':core:data', configuration: 'implementation' },
+                    { from: ':feature:profile', to: ':core:data', configuration: 'implementation' },
+                    { from: ':feature:profile', to: ':core:ui', configuration: 'api' },
+                ],
+                cycles: [],
+                rules: [{ from: 'feature:*', notTo: 'feature:*', description: 'feature:* must not depend on feature:*' }],
+                violations: [{ rule: 'feature:* must not depend on feature:*', from: ':feature:home', to: ':feature:profile' }],
+            }),
+            'architecture.json': JSON.stringify({
+                pattern: 'clean-architecture',
+                uiLayer: { screens: [], components: [], viewmodels: [{ name: 'HomeViewModel', module: ':feature:home', file: 'feature/home/HomeViewModel.kt' }] },
+                dataLayer: { repositories: [{ name: 'UserRepository', module: ':core:data', file: 'core/data/UserRepository.kt' }], datasources: [], models: [] },
+                domainLayer: { usecases: [], models: [] },
+                di: {
+                    framework: 'hilt',
+                    frameworks: ['hilt'],
+                    modules: [{ name: 'HomeModule', framework: 'hilt', installIn: 'ViewModelComponent', file: 'feature/home/di/HomeModule.kt' }],
+                    missingBindings: [{ type: 'Analytics', requestedBy: 'MainActivity', file: 'app/MainActivity.kt', line: 12 }],
+                },
+            }),
+            'compose-screens.json': JSON.stringify({
+                screens: [
+                    { name: 'SettingsScreen', file: 'app/SettingsScreen.kt' },
+                    { name: 'HomeScreen', file: 'feature/home/HomeScreen.kt' },
+                ],
+            }),
+            'navigation-graph.json': JSON.stringify({
+                routes: [{ route: 'home', destination: 'HomeScreen', typeSafe: false, deepLinks: [] }],
+                navHosts: [{ file: 'app/MainActivity.kt', startDestination: 'home' }],
+            }),
+        });
+        writeFiles(path.join(PROJECT_DIR, '.claude/instincts'), {
+            'mobile-instincts.json': JSON.stringify({
+                instincts: [
+                    { id: 'state-flow', description: 'Expose UI state as StateFlow', context: 'viewmodel', confidence: 0.9 },
+                    { id: 'maybe', description: 'Prefer sealed errors', context: 'errors', confidence: 0.4 },
+                ],
+            }),
+        });
+        originalCwd = process.cwd();
+        process.chdir(PROJECT_DIR);
+    });
+
+    afterEach(() => {
+        process.chdir(originalCwd);
+        cleanupDir(PROJECT_DIR);
+    });
+
+    it('lists the prompts with a token budget argument', () => {
+        assert.deepStrictEqual(mobileMemory.PROMPTS.map(p => p.name), ['onboard-me', 'plan-feature', 'review-context']);
+        for (const prompt of mobileMemory.PROMPTS) {
+            assert.ok(prompt.arguments.some(arg => arg.name === 'maxTokens' && !arg.required));
+        }
+        assert.throws(() => mobileMemory.buildPrompt('explain-everything'), /Unknown prompt/);
+    });
+
+    it('onboard-me covers modules, stack, DI and key screens', () => {
+        const prompt = mobileMemory.buildPrompt('onboard-me');
+        const text = prompt.messages[0].content.text;
+
+        assert.strictEqual(prompt.messages[0].role, 'user');
+        assert.match(text, /:app → :feature:home, :feature:profile/);
+        assert.match(text, /Architecture pattern: clean-architecture/);
+        assert.match(text, /Dependency injection: hilt/);
+        assert.match(text, /HomeModule \(hilt, ViewModelComponent\)/);
+        // The start destination is listed before other screens
+        assert.ok(text.indexOf('HomeScreen (route home)') < text.indexOf('SettingsScreen'));
+    });
+
+    it('plan-feature places new code next to the existing feature modules', () => {
+        const text = promptText('plan-feature', { feature: 'Order History' });
+
+        assert.match(text, /Create :feature:order-history in feature\/order-history/);
+        assert.match(text, /Dependencies to mirror from :feature:profile/);
+        assert.match(text, /api\(:core:ui\)/);
+        assert.match(text, /ViewModels: :feature:home \(1\)/);
+        assert.match(text, /feature:\* must not depend on feature:\*/);
+
+        assert.match(promptText('plan-feature', { feature: 'home' }), /already exists: :feature:home/);
+        assert.throws(() => mobileMemory.buildPrompt('plan-feature', {}), /requires a feature/);
+    });
+
+    it('review-context lists conventions, high-confidence instincts and known issues', () => {
+        const text = promptText('review-context');
+
+        assert.match(text, /1 classes follow the \*ViewModel naming/);
+        assert.match(text, /Expose UI state as StateFlow \(viewmodel, confidence 0\.9\)/);
+        assert.doesNotMatch(text, /Prefer sealed errors/);
+        assert.match(text, /Layering violation: :feature:home → :feature:profile/);
+        assert.match(text, /No binding for Analytics requested by MainActivity/);
+    });
+
+    it('trims prompts to the token budget', () => {
+        const screens = Array.from({ length: 200 }, (_, i) => ({ name: `Screen${i}Screen`, file: `app/Screen${i}.kt` }));
+        fs.writeFileSync(path.join(MEMORY_DIR, 'compose-screens.json'), JSON.stringify({ screens }));
+
+        const text = promptText('onboard-me', { maxTokens: '300' });
+        assert.ok(text.length / 4 <= 300, `prompt is ${text.length / 4} tokens`);
+        assert.match(text, /… \d+ more/);
+        assert.ok(promptText('onboard-me').length > text.length);
+
+        assert.throws(() => mobileMemory.buildPrompt('onboard-me', { maxTokens: 'lots' }), /Invalid maxTokens/);
+    });
+});
+
+describe('Watch Mode', () => {
+    const PROJECT_DIR = path.join(__dirname, '../fixtures/watch-project');
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    // Stand-in for fs.watch that records the watched directories and lets a test fire
+    // change events by hand, by project-relative path
+    const fakeWatch = (root) => {
+        const listeners = new Map();
+        const watch = (dir, listener) => {
+            listeners.set(path.relative(root, dir), listener);
+            return { close: () => { watch.closed = true; } };
+        };
+        watch.dirs = () => Array.from(listeners.keys()).sort();
+        watch.emit = (event, relativePath) => listeners.get(path.dirname(relativePath).replace(/^\.$/, ''))(event, path.basename(relativePath));
+        return watch;
+    };
+
+    const watchTree = () => writeFiles(PROJECT_DIR, {
+        'gradle/libs.versions.toml': '',
+        'app/src/main/AndroidManifest.xml': '<manifest />',
+        'app/build/generated/Hilt_App.kt': '',
+        '.gradle/8.5/checksums.lock': '',
+        'node_modules/pkg/index.js': ''
+    });
+
+    it('maps changed files to the memory types they feed', () => {
+        assert.deepStrictEqual(mobileMemory.typesForChange('feature/auth/build.gradle.kts'),
+            ['dependencies', 'module-graph', 'build-variants', 'architecture']);
+        assert.deepStrictEqual(mobileMemory.typesForChange('gradle/libs.versions.toml'), ['dependencies']);
+        assert.deepStrictEqual(mobileMemory.typesForChange('app/src/main/AndroidManifest.xml'), ['android-manifest']);
+        assert.deepStrictEqual(mobileMemory.typesForChange('app/src/main/java/HomeScreen.kt'),
+            ['architecture', 'compose-screens', 'navigation-graph', 'room-database']);
+        assert.deepStrictEqual(mobileMemory.typesForChange('app/schemas/com.example.AppDatabase/3.json'), ['room-database']);
+        assert.deepStrictEqual(mobileMemory.typesForChange('README.md'), []);
+    });
+
+    it('registers no watcher under build output or dependency caches', () => {
+        watchTree();
+        const watch = fakeWatch(PROJECT_DIR);
+        const watcher = new mobileMemory.MemoryWatcher(PROJECT_DIR, { typesFor: mobileMemory.typesForChange, watch }).start();
+
+        try {
+            assert.deepStrictEqual(watch.dirs(), ['', 'app', 'app/src', 'app/src/main', 'gradle']);
+
+            // Directories created later are watched too, unless they are ignored
+            fs.mkdirSync(path.join(PROJECT_DIR, 'feature/build'), { recursive: true });
+            watch.emit('rename', 'feature');
+            watch.emit('rename', 'feature/build');
+            assert.deepStrictEqual(watch.dirs(), ['', 'app', 'app/src', 'app/src/main', 'feature', 'gradle']);
+        } finally {
+            watcher.stop();
+            cleanupDir(PROJECT_DIR);
+        }
+    });
+
+    it('debounces a burst of changes into one refresh and skips build output', async () => {
+        watchTree();
+        const watch = fakeWatch(PROJECT_DIR);
+        const calls = [];
+        const watcher = new mobileMemory.MemoryWatcher(PROJECT_DIR, {
+            typesFor: mobileMemory.typesForChange,
+            onChange: types => calls.push(types.sort()),
+            debounce: 20,
+            watch
+        }).start();
+
+        watch.emit('change', 'app/src/main/AndroidManifest.xml');
+        watch.emit('change', 'gradle/libs.versions.toml');
+        watch.emit('rename', 'app/build');
+        watch.emit('change', 'app/src/main/AndroidManifest.xml');
+        await wait(60);
+
+        assert.deepStrictEqual(calls, [['android-manifest', 'dependencies']]);
+        watcher.stop();
+        assert.strictEqual(watch.closed, true);
+        cleanupDir(PROJECT_DIR);
+    });
+
+    it('notifies only subscribers of types whose content changed', async () => {
+        createMockAndroidProject(PROJECT_DIR);
+        writeFiles(PROJECT_DIR, {
+            'app/src/main/AndroidManifest.xml': '<manifest xmlns:android="http://schemas.android.com/apk/res/android"><uses-permission android:name="android.permission.INTERNET" /></manifest>'
+        });
+        const originalCwd = process.cwd();
+        process.chdir(PROJECT_DIR);
+
+        const notifications = [];
+        const server = Object.create(mobileMemory.MobileMemoryServer.prototype);
+        server.subscriptions = new Set(['memory://android-manifest']);
+        server.server = { notification: async (message) => notifications.push(message) };
+
+        try {
+            const changed = await server.refreshChangedTypes(['android-manifest', 'build-variants'], PROJECT_DIR);
+            assert.deepStrictEqual(changed, ['android-manifest', 'build-variants']);
+            assert.deepStrictEqual(notifications, [
+                { method: 'notifications/resources/updated', params: { uri: 'memory://android-manifest' } }
+            ]);
+
+            // A refresh that finds nothing new stays quiet
+            assert.deepStrictEqual(await server.refreshChangedTypes(['android-manifest'], PROJECT_DIR), []);
+            assert.strictEqual(notifications.length, 1);
+        } finally {
+            process.chdir(originalCwd);
+            cleanupDir(PROJECT_DIR);
+        }
+    });
+});
+
 module.exports = { setupTestProject, cleanupTestProject };
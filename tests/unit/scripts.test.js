@@ -4,14 +4,18 @@
  * Tests:
  *   - scripts/lib/utils.js
  *   - scripts/lib/instincts.js
+ *   - scripts/lib/storage.js (atomic writes, locking, corruption recovery)
+ *   - scripts/lib/file-cache.js (shared fingerprint cache)
+ *   - scripts/lib/limits.js (size and duration settings)
  *   - scripts/hooks/extract-pattern.js (PATTERNS array and regex logic)
- *   - scripts/hooks/auto-checkpoint.js (LEVELS config and cleanOldCheckpoints)
+ *   - scripts/hooks/auto-checkpoint.js (LEVELS config, cleanOldCheckpoints and the full-checkpoint manifest)
  *   - scripts/hooks/track-dependency.js (categorizeLibrary and dependency regex)
  */
 
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { spawn, spawnSync } = require('child_process');
 const { describe, it, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert');
 
@@ -333,6 +337,20 @@ describe('scripts/lib/instincts.js', () => {
     });
   });
 
+  describe('corruption recovery', () => {
+    it('restores instincts from the backup instead of resetting them', () => {
+      const { addInstinct, loadInstincts } = getInstincts();
+      addInstinct({ id: 'kept', confidence: 0.6 });
+      addInstinct({ id: 'latest', confidence: 0.4 });
+      // A writer dies halfway through the file
+      fs.writeFileSync(path.join(instinctsDir, 'mobile-instincts.json'), '{"instincts": [{"id": "ke');
+
+      const data = loadInstincts();
+      assert.deepStrictEqual(data.instincts.map(i => i.id), ['kept']);
+      assert.ok(fs.readdirSync(instinctsDir).some(f => f.startsWith('mobile-instincts.json.corrupt-')));
+    });
+  });
+
   describe('getInstinctsByContext', () => {
     it('filters by context', () => {
       const { addInstinct, getInstinctsByContext } = getInstincts();
@@ -724,6 +742,51 @@ describe('scripts/hooks/auto-checkpoint.js — checkpoint logic', () => {
       assert.doesNotThrow(() => cleanOldCheckpoints(tmpDir, 5));
     });
   });
+
+  describe('full checkpoint manifest', () => {
+    let tmpDir;
+    beforeEach(() => { tmpDir = makeTmpDir(); });
+    afterEach(() => { rmDir(tmpDir); });
+
+    const writeFile = (relativePath, content) => {
+      const file = path.join(tmpDir, relativePath);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, content);
+    };
+
+    it('lists each component once across source sets, as the android-manifest memory type does', () => {
+      fs.mkdirSync(path.join(tmpDir, '.claude'));
+      writeFile('settings.gradle.kts', 'include(":app")\n');
+      writeFile('app/build.gradle.kts', 'plugins { id("com.android.application") }\nandroid { namespace = "com.example.app" }\n');
+      writeFile('app/src/main/AndroidManifest.xml', `<manifest xmlns:android="http://schemas.android.com/apk/res/android">
+    <uses-permission android:name="android.permission.INTERNET" />
+    <application android:allowBackup="false">
+        <activity android:name=".MainActivity" android:exported="true" />
+    </application>
+</manifest>`);
+      writeFile('app/src/debug/AndroidManifest.xml', `<manifest xmlns:android="http://schemas.android.com/apk/res/android">
+    <uses-permission android:name="android.permission.INTERNET" />
+    <application android:debuggable="true">
+        <activity android:name=".MainActivity" android:exported="true" />
+    </application>
+</manifest>`);
+
+      const result = spawnSync(process.execPath, [path.join(__dirname, '../../scripts/hooks/auto-checkpoint.js'), 'full', 'manifest'], {
+        cwd: tmpDir,
+        encoding: 'utf8',
+        timeout: 30000
+      });
+      assert.strictEqual(result.status, 0, result.stderr);
+
+      const checkpoint = JSON.parse(fs.readFileSync(path.join(tmpDir, '.claude/checkpoints/manifest.json'), 'utf8'));
+      assert.deepStrictEqual(checkpoint.manifest, {
+        files: [path.join('app', 'src', 'main', 'AndroidManifest.xml'), path.join('app', 'src', 'debug', 'AndroidManifest.xml')],
+        permissions: ['android.permission.INTERNET'],
+        components: [{ type: 'activity', name: 'com.example.app.MainActivity', exported: true }],
+        application: { allowBackup: false }
+      });
+    });
+  });
 });
 
 // ===========================================================================
@@ -925,3 +988,213 @@ describe('scripts/hooks/track-dependency.js — dependency tracking', () => {
     });
   });
 });
+
+// ===========================================================================
+// 6. scripts/lib/storage.js
+// ===========================================================================
+
+describe('scripts/lib/storage.js', () => {
+  const storage = require('../../scripts/lib/storage');
+  let tmpDir;
+  beforeEach(() => { tmpDir = makeTmpDir(); });
+  afterEach(() => { rmDir(tmpDir); });
+
+  describe('writeJsonFile', () => {
+    it('replaces the file without leaving temp files behind', () => {
+      const filePath = path.join(tmpDir, 'store.json');
+      storage.writeJsonFile(filePath, { version: 1 });
+      storage.writeJsonFile(filePath, { version: 2 });
+      assert.deepStrictEqual(storage.readJsonFile(filePath), { version: 2 });
+      assert.deepStrictEqual(fs.readdirSync(tmpDir), ['store.json']);
+    });
+  });
+
+  describe('readJsonFile', () => {
+    it('moves a corrupt file aside and restores the backup kept by updateJsonFile', () => {
+      const filePath = path.join(tmpDir, 'koin-patterns.json');
+      storage.updateJsonFile(filePath, (data) => { data.AppModule = { patterns: 1 }; });
+      storage.updateJsonFile(filePath, (data) => { data.NetworkModule = { patterns: 2 }; });
+      fs.writeFileSync(filePath, '{"AppModule": {');
+
+      assert.deepStrictEqual(storage.readJsonFile(filePath), { AppModule: { patterns: 1 } });
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { AppModule: { patterns: 1 } });
+      const corrupt = fs.readdirSync(tmpDir).filter(f => f.startsWith('koin-patterns.json.corrupt-'));
+      assert.strictEqual(corrupt.length, 1);
+      assert.strictEqual(fs.readFileSync(path.join(tmpDir, corrupt[0]), 'utf8'), '{"AppModule": {');
+    });
+
+    it('leaves a corrupt file alone while another process holds its lock', async () => {
+      const filePath = path.join(tmpDir, 'store.json');
+      storage.updateJsonFile(filePath, (data) => { data.saved = 1; });
+      storage.updateJsonFile(filePath, (data) => { data.saved = 2; });
+      fs.writeFileSync(filePath, '{"saved":');
+
+      const release = storage.acquireLock(filePath);
+      const script = `
+        const { readJsonFile } = require(${JSON.stringify(require.resolve('../../scripts/lib/storage'))});
+        process.stdout.write(JSON.stringify(readJsonFile(${JSON.stringify(filePath)})));`;
+      const child = spawn(process.execPath, ['-e', script], { stdio: ['ignore', 'pipe', 'ignore'] });
+      let output = '';
+      child.stdout.on('data', (chunk) => { output += chunk; });
+      const exited = new Promise((resolve) => child.on('exit', resolve));
+
+      await new Promise((resolve) => setTimeout(resolve, 300));
+      assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '{"saved":');
+      assert.strictEqual(fs.readdirSync(tmpDir).some(f => f.includes('.corrupt-')), false);
+      release();
+
+      assert.strictEqual(await exited, 0);
+      assert.deepStrictEqual(JSON.parse(output), { saved: 1 });
+      assert.deepStrictEqual(storage.readJsonFile(filePath), { saved: 1 });
+    });
+
+    it('returns null for a corrupt file without a backup', () => {
+      const filePath = path.join(tmpDir, 'store.json');
+      fs.writeFileSync(filePath, '');
+      assert.strictEqual(storage.readJsonFile(filePath), null);
+      assert.strictEqual(fs.existsSync(filePath), false);
+    });
+  });
+
+  describe('updateJsonFile', () => {
+    it('keeps every update when processes write concurrently', async () => {
+      const filePath = path.join(tmpDir, 'counter.json');
+      const script = `
+        const { updateJsonFile } = require(${JSON.stringify(require.resolve('../../scripts/lib/storage'))});
+        for (let i = 0; i < 25; i++) {
+          updateJsonFile(${JSON.stringify(filePath)}, (data) => { data.count = (data.count || 0) + 1; });
+        }`;
+      const exits = Array.from({ length: 4 }, () => new Promise((resolve) => {
+        spawn(process.execPath, ['-e', script], { stdio: 'inherit' }).on('exit', resolve);
+      }));
+
+      assert.deepStrictEqual(await Promise.all(exits), [0, 0, 0, 0]);
+      assert.strictEqual(storage.readJsonFile(filePath).count, 100);
+    });
+
+    it('starts from the fallback when the file does not exist', () => {
+      const filePath = path.join(tmpDir, 'nested', 'sessions.json');
+      const fallback = { sessions: [] };
+      const result = storage.updateJsonFile(filePath, (data) => { data.sessions.push('s1'); }, { fallback });
+      assert.deepStrictEqual(result, { sessions: ['s1'] });
+      assert.deepStrictEqual(fallback, { sessions: [] });
+      assert.strictEqual(fs.existsSync(`${filePath}.lock`), false);
+    });
+  });
+
+  describe('locking', () => {
+    it('takes over a lock left by a process that no longer runs', () => {
+      const filePath = path.join(tmpDir, 'store.json');
+      const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+      fs.writeFileSync(`${filePath}.lock`, JSON.stringify({ pid: deadPid, host: os.hostname() }));
+
+      assert.strictEqual(storage.isLockStale(`${filePath}.lock`), true);
+      storage.updateJsonFile(filePath, (data) => { data.ok = true; }, { timeoutMs: 500 });
+      assert.deepStrictEqual(storage.readJsonFile(filePath), { ok: true });
+    });
+
+    it('takes over a lock older than the stale age', () => {
+      const lockPath = path.join(tmpDir, 'store.json.lock');
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, host: os.hostname() }));
+      const old = new Date(Date.now() - 60000);
+      fs.utimesSync(lockPath, old, old);
+      assert.strictEqual(storage.isLockStale(lockPath), true);
+    });
+
+    it('times out while a live process holds the lock', () => {
+      const filePath = path.join(tmpDir, 'store.json');
+      const release = storage.acquireLock(filePath);
+      try {
+        assert.throws(() => storage.acquireLock(filePath, { timeoutMs: 100 }), /Timed out waiting for lock/);
+      } finally {
+        release();
+      }
+      assert.strictEqual(fs.existsSync(`${filePath}.lock`), false);
+    });
+  });
+});
+
+// ===========================================================================
+// 7. scripts/lib/file-cache.js
+// ===========================================================================
+
+describe('scripts/lib/file-cache.js', () => {
+  const { FileCache, FILE_CACHE_VERSION } = require('../../scripts/lib/file-cache');
+  let tmpDir;
+  beforeEach(() => { tmpDir = makeTmpDir(); });
+  afterEach(() => { rmDir(tmpDir); });
+
+  it('fingerprints the raw bytes so binary and text files hash the same way', () => {
+    const binary = path.join(tmpDir, 'Info.plist');
+    const cachePath = path.join(tmpDir, 'cache', 'files.json');
+    // Two invalid UTF-8 sequences that decode to the same replacement characters
+    fs.writeFileSync(binary, Buffer.from([0x62, 0x70, 0xff]));
+
+    const first = new FileCache(cachePath);
+    first.get(binary, 'plist', () => 'first');
+    first.save();
+
+    fs.writeFileSync(binary, Buffer.from([0x62, 0x70, 0xfe]));
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(binary, later, later);
+    const second = new FileCache(cachePath);
+    assert.strictEqual(second.get(binary, 'plist', () => 'second'), 'second');
+    assert.deepStrictEqual(second.stats, { hits: 0, rehashed: 0, misses: 1 });
+    assert.strictEqual(JSON.parse(fs.readFileSync(cachePath, 'utf8')).version, FILE_CACHE_VERSION);
+  });
+
+  it('is shared by all three memory servers', () => {
+    for (const server of ['mobile-memory', 'ios-memory', 'kmp-context']) {
+      assert.strictEqual(require(`../../mcp-servers/${server}/index.js`).FileCache, FileCache);
+    }
+  });
+});
+
+// ===========================================================================
+// 8. scripts/lib/limits.js
+// ===========================================================================
+
+describe('scripts/lib/limits.js', () => {
+  const { parseSize, parseDuration, readLimitSetting } = require('../../scripts/lib/limits');
+
+  it('accepts valid settings and falls back to the default for invalid ones', () => {
+    const env = { SIZE: '512 kb', RETENTION: 'persistent', BAD_SIZE: 'lots', BAD_RETENTION: '90 dayz' };
+    assert.strictEqual(readLimitSetting('SIZE', '10MB', parseSize, env), '512 kb');
+    assert.strictEqual(readLimitSetting('RETENTION', '90days', parseDuration, env), 'persistent');
+    assert.strictEqual(readLimitSetting('UNSET', '90days', parseDuration, env), '90days');
+
+    const warnings = [];
+    const originalError = console.error;
+    console.error = (message) => warnings.push(message);
+    try {
+      assert.strictEqual(readLimitSetting('BAD_SIZE', '10MB', parseSize, env), '10MB');
+      assert.strictEqual(readLimitSetting('BAD_RETENTION', '90days', parseDuration, env), '90days');
+    } finally {
+      console.error = originalError;
+    }
+    assert.deepStrictEqual(warnings, [
+      '[WARN] BAD_SIZE: Invalid size: lots; using 10MB',
+      '[WARN] BAD_RETENTION: Invalid duration: 90 dayz; using 90days',
+    ]);
+  });
+
+  it('keeps the memory tools working with an invalid setting in the environment', () => {
+    const tmpDir = makeTmpDir();
+    try {
+      const script = `
+        const memory = require(${JSON.stringify(require.resolve('../../mcp-servers/mobile-memory/index.js'))});
+        process.stdout.write(JSON.stringify(memory.enforceMemoryLimits({ evict: true }).size));`;
+      const result = spawnSync(process.execPath, ['-e', script], {
+        cwd: tmpDir,
+        encoding: 'utf8',
+        env: { ...process.env, MOBILE_MEMORY_MAX_SIZE: 'lots', MOBILE_MEMORY_RETENTION: 'forever' },
+      });
+      assert.strictEqual(result.status, 0, result.stderr);
+      assert.strictEqual(JSON.parse(result.stdout).limit, '10MB');
+      assert.match(result.stderr, /MOBILE_MEMORY_MAX_SIZE: Invalid size: lots; using 10MB/);
+      assert.match(result.stderr, /MOBILE_MEMORY_RETENTION: Invalid duration: forever; using 90days/);
+    } finally {
+      rmDir(tmpDir);
+    }
+  });
+});